@@ -0,0 +1,78 @@
+/**
+ * Absence types (Abwesenheitstypen) in the dashboards
+ *
+ * The types are maintained by super-admins and loaded once per page from
+ * /api/abwesenheitstypen. Deactivated types are still known so that existing
+ * absences keep their color, but they are not offered for new absences.
+ */
+
+let abwesenheitstypen = [];
+let abwesenheitstypenAnfrage = null;
+
+const ABSENCE_SCOPE_LABELS = { vormittag: 'vormittags', nachmittag: 'nachmittags' };
+
+/**
+ * Loads the absence types once; later calls wait for the same request
+ * On errors the list stays empty and the next call tries again.
+ * @param {boolean} [neuLaden] - Reload after the types were changed
+ * @returns {Promise<Array<Object>>} - Types sorted by name
+ */
+function ladeAbwesenheitstypen(neuLaden = false) {
+    if (!abwesenheitstypenAnfrage || neuLaden) {
+        abwesenheitstypenAnfrage = fetch('/api/abwesenheitstypen', { credentials: 'include' })
+            .then(async response => {
+                const result = await response.json();
+                if (!response.ok || !result.success) throw new Error(result.message || `Fehler ${response.status}`);
+                abwesenheitstypen = result.abwesenheitstypen;
+                return abwesenheitstypen;
+            })
+            .catch(error => {
+                console.error('Abwesenheitsarten konnten nicht geladen werden:', error);
+                abwesenheitstypenAnfrage = null;
+                return abwesenheitstypen;
+            });
+    }
+    return abwesenheitstypenAnfrage;
+}
+
+/**
+ * Fills a select with the active absence types
+ * Fixed options of the markup (placeholder, 'Arbeit') are kept in front.
+ * @param {HTMLSelectElement} select - Type select of a form
+ * @param {string} [aktuellerTyp] - Type of the edited absence, offered even if deactivated
+ */
+function fuelleAbwesenheitstypAuswahl(select, aktuellerTyp = null) {
+    select.querySelectorAll('option[data-abwesenheitstyp]').forEach(option => option.remove());
+    abwesenheitstypen
+        .filter(typ => typ.aktiv || typ.name === aktuellerTyp)
+        .forEach(typ => {
+            const option = new Option(typ.aktiv ? typ.name : `${typ.name} (deaktiviert)`, typ.name);
+            option.dataset.abwesenheitstyp = typ.name;
+            select.add(option);
+        });
+}
+
+/**
+ * Type with the scope of partial-day absences, e.g. 'Urlaub (vormittags)' or 'Urlaub (2,5 Std.)'
+ * @param {{abwesenheit_typ: string, umfang?: string, stunden?: number|string}} absence - Absence from the API
+ * @returns {string}
+ */
+function formatAbsenceType(absence) {
+    if (absence.umfang === 'stunden') return `${absence.abwesenheit_typ} (${parseFloat(absence.stunden).toLocaleString('de-DE')} Std.)`;
+    if (ABSENCE_SCOPE_LABELS[absence.umfang]) return `${absence.abwesenheit_typ} (${ABSENCE_SCOPE_LABELS[absence.umfang]})`;
+    return absence.abwesenheit_typ;
+}
+
+/**
+ * Badge in the color of the absence type, labelled like formatAbsenceType()
+ * @param {{abwesenheit_typ: string, umfang?: string, stunden?: number|string}} absence - Absence from the API
+ * @returns {HTMLSpanElement}
+ */
+function erstelleAbwesenheitstypBadge(absence) {
+    const typ = abwesenheitstypen.find(t => t.name === absence.abwesenheit_typ);
+    const badge = document.createElement('span');
+    badge.className = 'badge';
+    badge.style.backgroundColor = typ ? typ.farbe : '#6c757d';
+    badge.textContent = formatAbsenceType(absence);
+    return badge;
+}
@@ -0,0 +1,55 @@
+/**
+ * Inline display of field-level validation errors
+ *
+ * The API answers invalid requests with 400 and a list of field errors:
+ *   { success: false, message: "...", fehler: [{ feld: "end_datum", meldung: "..." }] }
+ * Form fields are matched through their data-feld attribute, which holds the
+ * field name used in the request.
+ */
+
+/**
+ * Removes all error markers of a form
+ * @param {HTMLFormElement} form - Form element
+ */
+function entferneFeldFehler(form) {
+    if (!form) return;
+    form.querySelectorAll('.is-invalid').forEach(element => element.classList.remove('is-invalid'));
+    form.querySelectorAll('.invalid-feedback[data-feld-fehler]').forEach(element => element.remove());
+}
+
+/**
+ * Marks the fields of a form named in an API error response
+ * Errors for fields that are not part of the form are ignored.
+ * @param {HTMLFormElement} form - Form element
+ * @param {Array<{feld: string, meldung: string}>} fehler - Field errors from the response
+ * @returns {boolean} true if at least one field was marked
+ */
+function zeigeFeldFehler(form, fehler) {
+    entferneFeldFehler(form);
+    if (!form || !Array.isArray(fehler)) return false;
+    let angezeigt = false;
+    fehler.forEach(({ feld, meldung }) => {
+        const input = form.querySelector(`[data-feld="${CSS.escape(feld)}"]`);
+        if (!input) return;
+        input.classList.add('is-invalid');
+        // Only the first message per field is shown
+        if (input.parentElement.querySelector('.invalid-feedback[data-feld-fehler]')) return;
+        const feedback = document.createElement('div');
+        feedback.className = 'invalid-feedback';
+        feedback.dataset.feldFehler = feld;
+        feedback.textContent = meldung;
+        input.insertAdjacentElement('afterend', feedback);
+        if (!angezeigt) input.focus();
+        angezeigt = true;
+    });
+    return angezeigt;
+}
+
+// Errors disappear as soon as the field is edited again
+document.addEventListener('input', event => {
+    const input = event.target;
+    if (!input.classList || !input.classList.contains('is-invalid')) return;
+    input.classList.remove('is-invalid');
+    const feedback = input.parentElement.querySelector('.invalid-feedback[data-feld-fehler]');
+    if (feedback) feedback.remove();
+});
@@ -0,0 +1,98 @@
+/**
+ * Projects and tasks in the dashboards
+ *
+ * Projects, their tasks and cost centers are maintained by super-admins and
+ * loaded once per page from /api/projekte. Deactivated ones are still known so
+ * that booked segments keep their names, but they are not offered for new ones.
+ */
+
+let projekte = [];
+let projekteAnfrage = null;
+
+/**
+ * Loads the projects once; later calls wait for the same request
+ * On errors the list stays empty and the next call tries again.
+ * @param {boolean} [neuLaden] - Reload after projects or tasks were changed
+ * @returns {Promise<Array<Object>>} - Projects sorted by name, each with its tasks
+ */
+function ladeProjekte(neuLaden = false) {
+    if (!projekteAnfrage || neuLaden) {
+        projekteAnfrage = fetch('/api/projekte', { credentials: 'include' })
+            .then(async response => {
+                const result = await response.json();
+                if (!response.ok || !result.success) throw new Error(result.message || `Fehler ${response.status}`);
+                projekte = result.projekte;
+                return projekte;
+            })
+            .catch(error => {
+                console.error('Projekte konnten nicht geladen werden:', error);
+                projekteAnfrage = null;
+                return projekte;
+            });
+    }
+    return projekteAnfrage;
+}
+
+/**
+ * Project name with its cost center, e.g. 'Website (4711)'
+ * @param {{name: string, kostenstelle?: string|null}} projekt
+ * @returns {string}
+ */
+function formatProjektName(projekt) {
+    return projekt.kostenstelle ? `${projekt.name} (${projekt.kostenstelle})` : projekt.name;
+}
+
+/**
+ * Fills a select with 'Kein Projekt' and the active projects
+ * @param {HTMLSelectElement} select - Project select of a form
+ * @param {number|null} [projektId] - Selected project, offered even if deactivated
+ */
+function fuelleProjektAuswahl(select, projektId = null) {
+    select.innerHTML = '';
+    select.add(new Option('Kein Projekt', ''));
+    projekte
+        .filter(projekt => projekt.aktiv || projekt.id === projektId)
+        .forEach(projekt => select.add(new Option(projekt.aktiv ? formatProjektName(projekt) : `${formatProjektName(projekt)} (deaktiviert)`, projekt.id)));
+    select.value = projektId ? String(projektId) : '';
+}
+
+/**
+ * Fills a select with the active tasks of a project; disabled if the project has none
+ * @param {HTMLSelectElement} select - Task select of a form
+ * @param {number|string|null} projektId - Project chosen in the project select
+ * @param {number|null} [aufgabeId] - Selected task, offered even if deactivated
+ */
+function fuelleAufgabeAuswahl(select, projektId, aufgabeId = null) {
+    const projekt = projekte.find(p => p.id === Number(projektId));
+    const aufgaben = projekt ? projekt.aufgaben.filter(aufgabe => aufgabe.aktiv || aufgabe.id === aufgabeId) : [];
+    select.innerHTML = '';
+    select.add(new Option(aufgaben.length > 0 ? 'Keine Aufgabe' : 'Keine Aufgaben', ''));
+    aufgaben.forEach(aufgabe => select.add(new Option(aufgabe.aktiv ? aufgabe.name : `${aufgabe.name} (deaktiviert)`, aufgabe.id)));
+    select.disabled = aufgaben.length === 0;
+    select.value = aufgabeId && aufgaben.some(aufgabe => aufgabe.id === aufgabeId) ? String(aufgabeId) : '';
+}
+
+/**
+ * Badge with the project label of a segment, e.g. 'Website / Design'
+ * @param {string} label - segment.projekt from the report endpoints
+ * @returns {HTMLSpanElement}
+ */
+function erstelleProjektBadge(label) {
+    const badge = document.createElement('span');
+    badge.className = 'badge text-bg-light border me-1';
+    badge.innerHTML = '<i class="bi bi-kanban"></i> ';
+    badge.append(label);
+    return badge;
+}
+
+/**
+ * Badges of all projects booked on a day, for the collapsed report row
+ * @param {Array<{projekt?: string|null}>} [segments] - Segments of the day
+ * @returns {HTMLDivElement} - Empty if no segment has a project
+ */
+function erstelleProjektBadges(segments = []) {
+    const container = document.createElement('div');
+    [...new Set(segments.map(segment => segment.projekt).filter(Boolean))]
+        .forEach(label => container.appendChild(erstelleProjektBadge(label)));
+    return container;
+}
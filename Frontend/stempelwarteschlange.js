@@ -0,0 +1,132 @@
+/**
+ * Offline queue of timer punches
+ *
+ * Start, pause and end punches that cannot reach the server are stored in
+ * IndexedDB with the time they were made on the device (clientZeit) and a
+ * random ereignisId. The dashboard and the service worker (sw.js) send them in
+ * the order they were made once the network is back. The server accepts the
+ * device time within a plausibility window and records every ereignisId only
+ * once, so a punch that is sent twice does no harm.
+ *
+ * The queue belongs to the browser, not to a user: every punch keeps the
+ * benutzerId of the intern who made it and is only sent while that intern is
+ * logged in. The server rejects a punch whose benutzerId is not the one of the
+ * session.
+ */
+
+const STEMPEL_DB_NAME = 'zeiterfassung-offline';
+const STEMPEL_STORE = 'stempelungen';
+/** Tag of the background sync registered by the dashboard and handled in sw.js */
+const STEMPEL_SYNC_TAG = 'stempelungen-senden';
+const STEMPEL_ENDPOINTS = {
+    start: '/api/zeiterfassung/start_segment',
+    pause: '/api/zeiterfassung/pause_segment',
+    ende: '/api/zeiterfassung/end_workday'
+};
+
+function oeffneStempelDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(STEMPEL_DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STEMPEL_STORE, { keyPath: 'ereignisId' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function stempelTransaktion(modus, aktion) {
+    const db = await oeffneStempelDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STEMPEL_STORE, modus);
+        const request = aktion(transaction.objectStore(STEMPEL_STORE));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * Queues a punch with the current device time
+ * @param {'start'|'pause'|'ende'} typ - Kind of punch
+ * @param {Object} daten - Request body (bericht, projektId, aufgabeId)
+ * @param {number} benutzerId - Intern who made the punch
+ * @returns {Promise<Object>} - The queued punch
+ */
+async function stempelungVormerken(typ, daten, benutzerId) {
+    const stempelung = { ereignisId: crypto.randomUUID(), typ, benutzerId, daten: { ...daten, clientZeit: new Date().toISOString() } };
+    await stempelTransaktion('readwrite', store => store.add(stempelung));
+    return stempelung;
+}
+
+/**
+ * Queued punches of a user, oldest first
+ * @param {number} benutzerId
+ * @returns {Promise<Array<{ereignisId: string, typ: string, benutzerId: number, daten: Object}>>}
+ */
+async function offeneStempelungen(benutzerId) {
+    const stempelungen = await stempelTransaktion('readonly', store => store.getAll());
+    return stempelungen.filter(stempelung => stempelung.benutzerId === benutzerId).sort((a, b) => a.daten.clientZeit.localeCompare(b.daten.clientZeit));
+}
+
+/**
+ * Id of the user logged in on the server, asked only when punches are queued
+ * @returns {Promise<number|null>} - null without network or session
+ */
+async function angemeldeterBenutzer() {
+    try {
+        const response = await fetch('/api/users/me/profile', { credentials: 'include' });
+        if (!response.ok) return null;
+        const data = await response.json();
+        return data.success ? data.profile.id : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Sends the queued punches of the logged-in user in the order they were made
+ * Stops at the first punch that does not reach the server (network error,
+ * expired session, other user logged in meanwhile, server error) and keeps it
+ * with the ones after it. Punches the server answered are removed, also if
+ * they were rejected; their messages are returned so the dashboard can show
+ * them. Punches of other users stay queued until they log in again.
+ * @returns {Promise<{gesendet: number, meldungen: Array<string>, offen: number}>} - offen counts the punches of the logged-in user
+ */
+async function sendeStempelungen() {
+    const ergebnis = { gesendet: 0, meldungen: [], offen: 0 };
+    const alle = await stempelTransaktion('readonly', store => store.count());
+    if (alle === 0) return ergebnis;
+    const benutzerId = await angemeldeterBenutzer();
+    if (benutzerId === null) {
+        ergebnis.offen = alle;
+        return ergebnis;
+    }
+    const stempelungen = await offeneStempelungen(benutzerId);
+    for (let i = 0; i < stempelungen.length; i++) {
+        const stempelung = stempelungen[i];
+        let response;
+        try {
+            response = await fetch(STEMPEL_ENDPOINTS[stempelung.typ], {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...stempelung.daten, ereignisId: stempelung.ereignisId, benutzerId }),
+                credentials: 'include'
+            });
+        } catch (error) {
+            response = null;
+        }
+        if (!response || response.status === 401 || response.status === 409 || response.status >= 500) {
+            ergebnis.offen = stempelungen.length - i;
+            return ergebnis;
+        }
+        const data = await response.json().catch(() => ({}));
+        await stempelTransaktion('readwrite', store => store.delete(stempelung.ereignisId));
+        ergebnis.gesendet++;
+        if (!response.ok || !data.success) ergebnis.meldungen.push(data.message || `Fehler ${response.status}`);
+    }
+    return ergebnis;
+}
@@ -0,0 +1,67 @@
+/**
+ * Service worker of the installable dashboard
+ *
+ * Keeps the own pages, scripts and images in a cache so the timer opens
+ * without network, and sends the offline queue (stempelwarteschlange.js) in the
+ * background when the browser reports the connection is back. API requests are
+ * never cached. Bootstrap from the CDN cannot be cached here because the
+ * Content-Security-Policy only allows requests to the own origin.
+ */
+
+importScripts('/stempelwarteschlange.js');
+
+const CACHE_NAME = 'zeiterfassung-v1';
+const APP_SHELL = [
+    '/dashboard.html',
+    '/styles.css',
+    '/logger.js',
+    '/formErrors.js',
+    '/abwesenheitstypen.js',
+    '/projekte.js',
+    '/stempelwarteschlange.js',
+    '/zeiterfassung.js',
+    '/manifest.webmanifest',
+    '/images/app-icon.svg'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Network first, so updates are picked up right away; the cache only answers while offline
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+    event.respondWith(
+        fetch(event.request)
+            .then(response => {
+                if (response.ok) {
+                    const kopie = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(event.request, kopie));
+                }
+                return response;
+            })
+            .catch(() => caches.match(event.request, { ignoreSearch: true }))
+    );
+});
+
+self.addEventListener('sync', event => {
+    if (event.tag !== STEMPEL_SYNC_TAG) return;
+    event.waitUntil(
+        sendeStempelungen().then(async ergebnis => {
+            const clients = await self.clients.matchAll({ type: 'window' });
+            clients.forEach(client => client.postMessage({ typ: 'stempelungen-gesendet', ...ergebnis }));
+            // Rejecting lets the browser retry the sync later
+            if (ergebnis.offen > 0) throw new Error(`${ergebnis.offen} Stempelung(en) noch nicht übertragen`);
+        })
+    );
+});
@@ -7,12 +7,17 @@
  * - Auto cut-off at 23:59 (midnight) with recovery
  * - Work session start/stop/pause/resume functionality
  * - Persistent timer state across browser sessions
+ * - Offline punches, queued with the device time and synced later
+ * - Heartbeats while the timer runs; a segment closed after they stopped
+ *   is shown for confirmation on the next visit
  * 
  * Architecture:
  * - Client-side timer for smooth UX (no server requests every second)
  * - Periodic server sync (every 10 seconds) for data integrity
  * - Auto-recovery from network issues and browser refreshes
  * - Midnight auto-cutoff protection with silent handling
+ * - Without network the last known status is used and punches go to the
+ *   queue of stempelwarteschlange.js, sent by this page or the service worker
  * 
  * @author Dan
  * @version 2.0.0
@@ -25,6 +30,12 @@
 /** @const {string} localStorage key for persisting work report text */
 const LS_BERICHT_TEXT = 'workdayBerichtText';
 
+/** @const {string} localStorage key for the last known timer status, used while offline */
+const LS_TIMER_STATUS = 'timerStatus';
+
+/** @const {string} localStorage key for the id of the logged-in user; punches queued offline are marked with it */
+const LS_BENUTZER_ID = 'benutzerId';
+
 /** @type {number|null} Interval ID for the visual timer update */
 let visualTimerInterval = null;
 
@@ -40,6 +51,18 @@ let serverTotalDurationMs = 0;
 /** @const {number} Default expected work hours per day */
 const DEFAULT_WORKDAY_HOURS = 8;
 
+/** @type {number} Today's target work duration from the user's weekly schedule (server-provided) */
+let targetWorkdayMs = DEFAULT_WORKDAY_HOURS * 3600 * 1000;
+
+/** @type {boolean} True once the project selects are filled; until then pausing keeps the segment's project */
+let projektAuswahlBereit = false;
+
+/** @const {number} Interval of the heartbeats while the timer runs; the server closes the segment when they stop */
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
+/** @type {number|null} Segment whose end confirmation was postponed; asked again on the next visit */
+let endeBestaetigungVerschoben = null;
+
 // ================================
 // UTILITY FUNCTIONS
 // ================================
@@ -71,6 +94,286 @@ function formatRemainingTime(milliseconds) {
     return `${String(stunden).padStart(2, "0")}:${String(minuten).padStart(2, "0")}:${String(sekunden).padStart(2, "0")}`;
 }
 
+// ================================
+// PROJECT SELECTION
+// ================================
+
+/**
+ * Fills the project and task selects of the timer card
+ * 
+ * The current choice survives status reloads; a running segment preselects
+ * the project it was started with. The selects are hidden while there are
+ * no active projects.
+ * 
+ * @async
+ * @param {{projektId: number|null, aufgabeId: number|null}|null} [laufendesSegment] - Project of the running segment
+ */
+async function aktualisiereProjektAuswahl(laufendesSegment = null) {
+    const projektSelect = document.getElementById("projektAuswahl");
+    const aufgabeSelect = document.getElementById("aufgabeAuswahl");
+    if (!projektSelect || !aufgabeSelect || typeof ladeProjekte !== "function") return;
+
+    await ladeProjekte();
+    const projektId = laufendesSegment ? laufendesSegment.projektId : (Number(projektSelect.value) || null);
+    const aufgabeId = laufendesSegment ? laufendesSegment.aufgabeId : (Number(aufgabeSelect.value) || null);
+    fuelleProjektAuswahl(projektSelect, projektId);
+    fuelleAufgabeAuswahl(aufgabeSelect, projektSelect.value, aufgabeId);
+    document.getElementById("projektAuswahlGruppe").style.display = projektSelect.options.length > 1 ? "" : "none";
+    projektAuswahlBereit = true;
+}
+
+function aktualisiereAufgabeAuswahl() {
+    fuelleAufgabeAuswahl(document.getElementById("aufgabeAuswahl"), document.getElementById("projektAuswahl").value);
+}
+
+/**
+ * Project and task to send with start, pause and end of a segment
+ * @returns {{projektId?: string|null, aufgabeId?: string|null}} - Empty until the selects are filled
+ */
+function getProjektAuswahl() {
+    if (!projektAuswahlBereit) return {};
+    return {
+        projektId: document.getElementById("projektAuswahl").value || null,
+        aufgabeId: document.getElementById("aufgabeAuswahl").value || null
+    };
+}
+
+// ================================
+// OFFLINE PUNCHES
+// ================================
+
+/**
+ * Remembers the timer status of today for use while offline
+ * @param {{totalDurationMs: number, activeSegmentStartTime: string|null, targetDurationMs?: number}} status
+ */
+function speichereTimerStatus(status) {
+    localStorage.setItem(LS_TIMER_STATUS, JSON.stringify({
+        datum: new Date().toLocaleDateString('en-CA'),
+        totalDurationMs: status.totalDurationMs || 0,
+        activeSegmentStartTime: status.activeSegmentStartTime || null,
+        targetDurationMs: typeof status.targetDurationMs === 'number' ? status.targetDurationMs : targetWorkdayMs
+    }));
+}
+
+/**
+ * Last known timer status of today; a new day starts empty
+ * @returns {{totalDurationMs: number, activeSegmentStartTime: string|null, targetDurationMs: number}}
+ */
+function leseTimerStatus() {
+    const status = JSON.parse(localStorage.getItem(LS_TIMER_STATUS) || 'null');
+    if (!status || status.datum !== new Date().toLocaleDateString('en-CA')) {
+        return { totalDurationMs: 0, activeSegmentStartTime: null, targetDurationMs: targetWorkdayMs };
+    }
+    return status;
+}
+
+/**
+ * Applies a queued punch to the stored status so the timer keeps running or pausing offline
+ * @param {'start'|'pause'|'ende'} typ
+ */
+function merkeOfflineStempelung(typ) {
+    const status = leseTimerStatus();
+    if (typ === 'start') {
+        status.activeSegmentStartTime = new Date().toISOString();
+    } else if (status.activeSegmentStartTime) {
+        status.totalDurationMs += Date.now() - new Date(status.activeSegmentStartTime).getTime();
+        status.activeSegmentStartTime = null;
+    }
+    speichereTimerStatus(status);
+}
+
+/**
+ * Shows or hides the offline notice of the timer card
+ * @param {number} offen - Number of queued punches
+ * @param {boolean} [offline] - Server not reachable, even if the browser reports a connection
+ */
+function aktualisiereOfflineHinweis(offen, offline = !navigator.onLine) {
+    const hinweis = document.getElementById("offlineHinweis");
+    if (!hinweis) return;
+    if (offen > 0) {
+        hinweis.textContent = `Offline: ${offen === 1 ? "1 Stempelung wird" : `${offen} Stempelungen werden`} übertragen, sobald wieder eine Verbindung besteht.`;
+    } else {
+        hinweis.textContent = "Offline: Es wird der zuletzt bekannte Stand angezeigt.";
+    }
+    hinweis.style.display = offen > 0 || offline ? "" : "none";
+}
+
+/** Asks the service worker to send the queue once the browser is back online */
+async function registriereStempelSync() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.sync) await registration.sync.register(STEMPEL_SYNC_TAG);
+    } catch (error) {
+        logger.warn('Hintergrund-Synchronisation nicht verfügbar:', error);
+    }
+}
+
+/**
+ * Sends the queued punches and shows the messages of rejected ones
+ * @async
+ * @returns {Promise<number>} Number of punches still queued
+ */
+async function sendeOffeneStempelungen() {
+    if (typeof sendeStempelungen !== "function") return 0;
+    const ergebnis = await sendeStempelungen();
+    if (ergebnis.meldungen.length > 0) {
+        alert(`Beim Übertragen der offline erfassten Stempelungen:\n${ergebnis.meldungen.join("\n")}`);
+    }
+    if (ergebnis.gesendet > 0 && typeof ladeBerichte === "function") ladeBerichte();
+    aktualisiereOfflineHinweis(ergebnis.offen);
+    return ergebnis.offen;
+}
+
+/**
+ * Timer status from the server, or the last known one while the server cannot be reached
+ * 
+ * Queued punches are sent first so that the server status includes them.
+ * 
+ * @async
+ * @returns {Promise<Object>} Response of /api/zeiterfassung/status, offline: true for the stored status
+ */
+async function ladeTimerStatus() {
+    if (await sendeOffeneStempelungen() === 0) {
+        try {
+            const response = await fetch('/api/zeiterfassung/status', { credentials: 'include' });
+            const result = await response.json();
+            if (result.success) {
+                speichereTimerStatus(result);
+                localStorage.setItem(LS_BENUTZER_ID, result.benutzerId);
+            }
+            return result;
+        } catch (error) {
+            logger.warn('Server nicht erreichbar, verwende den zuletzt bekannten Status:', error);
+            aktualisiereOfflineHinweis(0, true);
+        }
+    }
+    return { ...leseTimerStatus(), success: true, offline: true };
+}
+
+/**
+ * Sends a punch, or queues it with the device time if the server cannot be reached
+ * 
+ * While older punches are still queued new ones are queued as well, so they
+ * reach the server in the order they were made.
+ * 
+ * @async
+ * @param {'start'|'pause'|'ende'} typ - Kind of punch
+ * @param {Object} daten - Request body
+ * @returns {Promise<{ok: boolean, offline: boolean, data: Object}>}
+ */
+async function sendeStempelung(typ, daten) {
+    const benutzerId = Number(localStorage.getItem(LS_BENUTZER_ID)) || null;
+    const offen = typeof offeneStempelungen === "function" ? (await offeneStempelungen(benutzerId)).length : 0;
+    if (offen === 0) {
+        try {
+            const response = await fetch(STEMPEL_ENDPOINTS[typ], {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(daten),
+                credentials: "include"
+            });
+            const data = await response.json();
+            return { ok: response.ok && data.success, offline: false, data };
+        } catch (error) {
+            // Without a known user the punch cannot be assigned to anyone later
+            if (typeof stempelungVormerken !== "function" || !benutzerId) throw error;
+            logger.warn(`Stempelung (${typ}) nicht übertragen, wird offline vorgemerkt:`, error);
+        }
+    }
+    await stempelungVormerken(typ, daten, benutzerId);
+    merkeOfflineStempelung(typ);
+    aktualisiereOfflineHinweis(offen + 1);
+    registriereStempelSync();
+    return {
+        ok: true,
+        offline: true,
+        data: { success: true, message: "Du bist offline. Die Stempelung wurde gespeichert und wird übertragen, sobald wieder eine Verbindung besteht." }
+    };
+}
+
+/**
+ * Tells the server the running timer is still watched
+ * 
+ * If the server already closed the segment (e.g. the laptop was asleep),
+ * the status is reloaded so the end can be confirmed.
+ * 
+ * @async
+ */
+async function sendeHeartbeat() {
+    if (!istVisuellAktiv || !navigator.onLine) return;
+    try {
+        const response = await fetch('/api/zeiterfassung/heartbeat', { method: 'POST', credentials: 'include' });
+        const result = await response.json();
+        if (result.success && !result.aktiv) {
+            logger.timer('Segment was closed by the server, reloading status');
+            window.lastServerSync = 0;
+            await initZeiterfassung();
+        }
+    } catch (error) {
+        logger.warn('Heartbeat nicht gesendet:', error);
+    }
+}
+
+/**
+ * Asks to confirm or correct the end of a segment closed after the heartbeats stopped
+ * @param {{id: number, startZeit: string, endZeit: string}|null} segment - From the status response
+ */
+function zeigeEndeBestaetigung(segment) {
+    const modalElement = document.getElementById('endeBestaetigenModal');
+    if (!modalElement || !segment || segment.id === endeBestaetigungVerschoben) return;
+    const start = new Date(segment.startZeit);
+    const ende = new Date(segment.endZeit);
+    const uhrzeit = zeit => zeit.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+    document.getElementById('endeBestaetigenText').textContent =
+        `Dein Timer vom ${start.toLocaleDateString('de-DE')} ab ${uhrzeit(start)} Uhr wurde um ${uhrzeit(ende)} Uhr beendet, ` +
+        `weil das Dashboard keine Aktivität mehr gemeldet hat. Stimmt dieses Ende?`;
+    const input = document.getElementById('endeBestaetigenZeit');
+    input.value = uhrzeit(ende);
+    input.dataset.segmentId = segment.id;
+    input.dataset.startZeit = segment.startZeit;
+    input.dataset.endZeit = segment.endZeit;
+    entferneFeldFehler(document.getElementById('endeBestaetigenForm'));
+    bootstrap.Modal.getOrCreateInstance(modalElement).show();
+}
+
+/**
+ * Sends the confirmed or corrected end; the entered time is taken on the start day of the segment,
+ * a time before the start on the next day (end of a night shift)
+ * @async
+ */
+async function speichereSegmentEnde() {
+    const form = document.getElementById('endeBestaetigenForm');
+    const input = document.getElementById('endeBestaetigenZeit');
+    const bisherigesEnde = new Date(input.dataset.endZeit);
+    const [stunden, minuten] = input.value.split(':').map(Number);
+    const neuesEnde = new Date(input.dataset.startZeit);
+    neuesEnde.setHours(stunden, minuten, 0, 0);
+    if (neuesEnde <= new Date(input.dataset.startZeit)) neuesEnde.setDate(neuesEnde.getDate() + 1);
+    // Unchanged minutes keep the recorded end with its seconds
+    const unveraendert = input.value === bisherigesEnde.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+    try {
+        const response = await fetch(`/api/zeiterfassung/segment/${input.dataset.segmentId}/ende`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ endZeit: unveraendert ? null : neuesEnde.toISOString() })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            if (!zeigeFeldFehler(form, result.fehler)) alert('Fehler beim Speichern: ' + (result.message || 'Unbekannter Fehler.'));
+            return;
+        }
+        bootstrap.Modal.getInstance(document.getElementById('endeBestaetigenModal')).hide();
+        window.lastServerSync = 0;
+        await initZeiterfassung();
+        if (typeof ladeBerichte === "function") ladeBerichte();
+    } catch (error) {
+        logger.error('Fehler beim Speichern des Segmentendes:', error);
+        alert('Netzwerkfehler oder Server nicht erreichbar beim Speichern des Segmentendes.');
+    }
+}
+
 // ================================
 // CORE TIMER FUNCTIONS
 // ================================
@@ -92,8 +395,8 @@ function formatRemainingTime(milliseconds) {
  * @function aktualisiereTimerDisplay
  */
 async function aktualisiereTimerDisplay() {
-    // Calculate target work duration (8 hours in milliseconds)
-    const nominalDurationMs = DEFAULT_WORKDAY_HOURS * 3600 * 1000;
+    // Target work duration for today (from the weekly schedule, 8 hours by default)
+    let nominalDurationMs = targetWorkdayMs;
     
     // Get timer display element
     const timeDisplay = document.getElementById("current-time");
@@ -110,9 +413,7 @@ async function aktualisiereTimerDisplay() {
     if (!window.lastServerSync || (Date.now() - window.lastServerSync) > 10000) {
         try {
             logger.timer('Fetching server status for sync...');
-            const response = await fetch('/api/zeiterfassung/status', { credentials: 'include' });
-            logger.timer('Fetch response status:', response.status);
-            const result = await response.json();
+            const result = await ladeTimerStatus();
             logger.timer('Server result:', result);
             if (!result.success) {
                 logger.error("Server status fetch failed:", result.message);
@@ -129,6 +430,10 @@ async function aktualisiereTimerDisplay() {
             
             // Store server's completed work for consistent local calculations
             serverTotalDurationMs = result.totalDurationMs || 0;
+            if (typeof result.targetDurationMs === 'number') {
+                targetWorkdayMs = result.targetDurationMs;
+                nominalDurationMs = targetWorkdayMs;
+            }
             let totalWorkedMs = serverTotalDurationMs;
             if (result.activeSegmentStartTime) {
                 const segmentStartMs = new Date(result.activeSegmentStartTime).getTime();
@@ -168,15 +473,9 @@ async function startArbeit() {
 
     try {
         logger.api('/api/zeiterfassung/start_segment', 'POST', 'Sending start_segment request...');
-        const response = await fetch("/api/zeiterfassung/start_segment", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            credentials: "include"
-        });
-        logger.api('/api/zeiterfassung/start_segment', 'POST', 'Response status:', response.status);
-        const data = await response.json();
+        const { ok, data } = await sendeStempelung('start', getProjektAuswahl());
         logger.api('/api/zeiterfassung/start_segment', 'POST', 'Server data:', data);
-        if (!response.ok || !data.success) {
+        if (!ok) {
             alert(`Fehler vom Server beim Starten des Segments: ${data.message || 'Unbekannter Fehler'}`);
             return;
         }
@@ -227,14 +526,8 @@ async function pauseArbeit() {
     localStorage.setItem(LS_BERICHT_TEXT, bericht);
 
     try {
-        const response = await fetch("/api/zeiterfassung/pause_segment", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ bericht }),
-            credentials: "include"
-        });
-        const data = await response.json();
-        if (!response.ok || !data.success) {
+        const { ok, data } = await sendeStempelung('pause', { bericht, ...getProjektAuswahl() });
+        if (!ok) {
             alert(`Fehler vom Server beim Pausieren: ${data.message || 'Unbekannter Fehler'}`);
         } else if (data.message && data.message.includes('zu kurz')) {
             alert(data.message);
@@ -257,13 +550,7 @@ async function beendeArbeitstag() {
     const bericht = document.getElementById("arbeitsBericht").value.trim();
     
     try {
-        const response = await fetch("/api/zeiterfassung/end_workday", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ bericht }),
-            credentials: "include"
-        });
-        const data = await response.json();
+        const { data } = await sendeStempelung('ende', { bericht, ...getProjektAuswahl() });
         
         alert(data.message || (data.success ? "Arbeitstag erfolgreich beendet." : "Fehler beim Beenden des Arbeitstages."));
         
@@ -300,7 +587,7 @@ function resetTimerStateAndUI() {
     
     localStorage.removeItem(LS_BERICHT_TEXT);
 
-    const nominalDuration = (DEFAULT_WORKDAY_HOURS * 3600 * 1000);
+    const nominalDuration = targetWorkdayMs;
     const timeDisplay = document.getElementById("current-time");
     const berichtTextarea = document.getElementById("arbeitsBericht");
     const startButton = document.getElementById("startButton");
@@ -352,17 +639,20 @@ async function initZeiterfassung() {
         startButton.addEventListener("click", startArbeit);
         stopButton.addEventListener("click", pauseArbeit);
         endDayButton.addEventListener("click", beendeArbeitstag);
+        const projektSelect = document.getElementById("projektAuswahl");
+        if (projektSelect) projektSelect.addEventListener("change", aktualisiereAufgabeAuswahl);
 
         logger.debug('Initializing - fetching status...');
-        const response = await fetch('/api/zeiterfassung/status');
-        logger.debug('Init fetch response status:', response.status);
-        const result = await response.json();
+        const result = await ladeTimerStatus();
         logger.debug('Init server result:', result);
         if (!result.success) {
             throw new Error(result.message || "Konnte den Zeitstatus nicht vom Server laden.");
         }
 
-        const { totalDurationMs, activeSegmentStartTime, autoCutoffDetected, cutoffMessage } = result;
+        const { totalDurationMs, activeSegmentStartTime, autoCutoffDetected, cutoffMessage, targetDurationMs } = result;
+        if (typeof targetDurationMs === 'number') targetWorkdayMs = targetDurationMs;
+        await aktualisiereProjektAuswahl(activeSegmentStartTime ? { projektId: result.activeProjektId, aufgabeId: result.activeAufgabeId } : null);
+        if (!result.offline) zeigeEndeBestaetigung(result.unbestaetigtesSegment);
 
         if (autoCutoffDetected && cutoffMessage) {
             // Auto-cutoff detected during initialization - reset without popup
@@ -381,6 +671,7 @@ async function initZeiterfassung() {
             endDayButton.disabled = false;
             if (visualTimerInterval) clearInterval(visualTimerInterval);
             visualTimerInterval = setInterval(aktualisiereTimerDisplay, 1000);
+            if (!result.offline) sendeHeartbeat();
         } else if (totalDurationMs > 0) {
             logger.state('PAUSED', 'Setting UI to PAUSED state (resume available)');
             istVisuellAktiv = false;
@@ -434,15 +725,15 @@ async function ladeBerichte() {
     }
 }
 
-function getWeekNumber(d) {
-    d = new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
-    d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay()||7));
-    var yearStart = new Date(Date.UTC(d.getUTCFullYear(),0,1));
-    var weekNo = Math.ceil(( ( (d - yearStart) / 86400000) + 1)/7);
-    return [d.getUTCFullYear(), weekNo];
-}
-
-function druckeBerichte() {
+/**
+ * Downloads the monthly Tätigkeitsbericht of the selected month as PDF
+ * 
+ * The PDF is rendered on the server so it can be archived and signed.
+ * 
+ * @async
+ * @function druckeBerichte
+ */
+async function druckeBerichte() {
     const monthInput = document.getElementById('monatAuswahlBerichtePraktikant');
     const selectedMonth = monthInput ? monthInput.value : new Date().toISOString().slice(0, 7);
 
@@ -451,146 +742,67 @@ function druckeBerichte() {
         return;
     }
 
-    fetch(`/api/berichte/monat/${selectedMonth}`)
-        .then(response => {
-            if (!response.ok) {
-                throw new Error('Netzwerkantwort war nicht ok.');
-            }
-            return response.json();
-        })
-        .then(data => {
-            if (data.reportEntries && data.reportEntries.length > 0) {
-                const printWindow = window.open('', '_blank');
-                const reportTitle = `Tätigkeitsbericht ${new Date(selectedMonth + '-02').toLocaleString('de-DE', { month: 'long', year: 'numeric' })}`;
-                printWindow.document.write(`<html><head><title>${reportTitle}</title>`);
-                printWindow.document.write('<link rel="stylesheet" href="https://stackpath.bootstrapcdn.com/bootstrap/4.5.2/css/bootstrap.min.css">');
-                printWindow.document.write(`
-                    <style>
-                        body { font-family: Arial, sans-serif; margin: 20px; }
-                        .header, .footer { text-align: center; margin-bottom: 20px; }
-                        .signature-section { margin-top: 80px; display: flex; justify-content: space-between; }
-                        .signature-box { width: 45%; }
-                        .signature-area {
-                            border-bottom: 1px solid #000;
-                            height: 120px; /* Taller for bigger signature */
-                            position: relative;
-                        }
-                        .signature-date {
-                            position: absolute;
-                            bottom: 5px;
-                            left: 0;
-                        }
-                        .signature-image {
-                            position: absolute;
-                            bottom: 5px;
-                            left: 50%;
-                            transform: translateX(-50%);
-                            height: 120px; /* 100% larger than original 60px */
-                        }
-                        .signature-text { text-align: center; margin-top: 5px; }
-                        .week-table { margin-bottom: 30px; }
-                        h4 { margin-top: 20px; }
-                    </style>
-                `);
-                printWindow.document.write('</head><body>');
-                printWindow.document.write(`<div class="header"><h3>Tätigkeitsbericht für ${new Date(selectedMonth + '-02').toLocaleString('de-DE', { month: 'long', year: 'numeric' })}</h3></div>`);
-                printWindow.document.write(`<p><strong>Praktikant:</strong> ${escapeHTML(data.vorname)} ${escapeHTML(data.nachname)}</p>`);
-                
-                const entriesByWeek = {};
-                const absenceEntries = [];
-                data.reportEntries.forEach(entry => {
-                    if (entry.type === 'Arbeit') {
-                        const [day, month, year] = entry.datum.split('.');
-                        const date = new Date(`${year}-${month}-${day}`);
-                        const weekArray = getWeekNumber(date);
-                        const weekKey = `${weekArray[0]}-W${String(weekArray[1]).padStart(2, '0')}`;
-
-                        if (!entriesByWeek[weekKey]) {
-                            entriesByWeek[weekKey] = [];
-                        }
-                        entriesByWeek[weekKey].push(entry);
-                    } else if (entry.type === 'Urlaub' || entry.type === 'Krankheit') {
-                        absenceEntries.push(entry);
-                    }
-                });
-
-                const sortedWeeks = Object.keys(entriesByWeek).sort();
-
-                if (sortedWeeks.length > 0) {
-                    sortedWeeks.forEach(week => {
-                        printWindow.document.write(`<h4>Kalenderwoche: ${week.split('-W')[1]}</h4>`);
-                        let table = '<table class="table table-bordered table-sm week-table"><thead><tr><th>Datum</th><th>Start</th><th>Ende</th><th>Dauer</th><th>Tätigkeitsbericht</th></tr></thead><tbody>';
-                        entriesByWeek[week].forEach(entry => {
-                            table += `<tr>
-                                <td>${escapeHTML(entry.datum)}</td>
-                                <td>${escapeHTML(entry.startzeit)}</td>
-                                <td>${escapeHTML(entry.endzeit)}</td>
-                                <td>${escapeHTML(entry.dauer)}</td>
-                                <td>${escapeHTML(entry.beschreibung || '')}</td>
-                            </tr>`;
-                        });
-                        table += '</tbody></table>';
-                        printWindow.document.write(table);
-                    });
-                } else {
-                    printWindow.document.write('<p>Keine Arbeitseinträge für diesen Monat gefunden.</p>');
-                }
-
-                if (absenceEntries.length > 0) {
-                    printWindow.document.write(`<h4>Abwesenheiten</h4>`);
-                    let absenceTable = '<table class="table table-bordered table-sm week-table"><thead><tr><th>Datum</th><th>Typ</th><th>Beschreibung</th></tr></thead><tbody>';
-                    absenceEntries.forEach(entry => {
-                        absenceTable += `<tr>
-                            <td>${escapeHTML(entry.datum)}</td>
-                            <td>${escapeHTML(entry.type)}</td>
-                            <td>${escapeHTML(entry.beschreibung || '')}</td>
-                        </tr>`;
-                    });
-                    absenceTable += '</tbody></table>';
-                    printWindow.document.write(absenceTable);
-                }
-
-                if(data.calculatedTotalMonthlyHours) {
-                    const totalHours = data.calculatedTotalMonthlyHours;
-                    const hours = Math.floor(totalHours);
-                    const minutes = Math.round((totalHours - hours) * 60);
-                    const formattedTotalTime = `${hours} Std. ${String(minutes).padStart(2, '0')} Min.`;
-                    printWindow.document.write(`<h5>Gesamte Arbeitszeit in diesem Monat: ${formattedTotalTime}</h5>`);
-                }
+    try {
+        const response = await fetch(`/api/berichte/monat/${selectedMonth}/pdf`, { credentials: 'include' });
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.message || 'Fehler beim Abrufen des PDF-Berichts.');
+        }
 
-                const today = new Date().toLocaleDateString('de-DE');
-                printWindow.document.write(`<div class="signature-section">
-                    <div class="signature-box">
-                        <div class="signature-area">
-                            <span class="signature-date">${today}</span>
-                        </div>
-                        <p class="signature-text">Datum, Unterschrift Praktikant/in</p>
-                    </div>
-                    <div class="signature-box">
-                        <div class="signature-area">
-                            <img src="images/admin-signature-placeholder.svg" class="signature-image">
-                        </div>
-                        <p class="signature-text">${today}, Unterschrift Betreuer/in</p>
-                    </div>
-                </div>`);
-
-                printWindow.document.write('</body></html>');
-                printWindow.document.close();
-                setTimeout(() => {
-                    printWindow.print();
-                }, 500);
-            } else {
-                alert('Keine Daten für den ausgewählten Monat gefunden.');
-            }
-        })
-        .catch(error => {
-            logger.error('Fehler beim Drucken der Berichte:', error);
-            alert('Fehler beim Abrufen der Berichtsdaten für den Druck.');
-        });
+        const blob = await response.blob();
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const fileNameMatch = disposition.match(/filename="([^"]+)"/);
+        const downloadLink = document.createElement('a');
+        downloadLink.href = URL.createObjectURL(blob);
+        downloadLink.download = fileNameMatch ? fileNameMatch[1] : `Taetigkeitsbericht_${selectedMonth}.pdf`;
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        downloadLink.remove();
+        setTimeout(() => URL.revokeObjectURL(downloadLink.href), 1000);
+    } catch (error) {
+        logger.error('Fehler beim Herunterladen des PDF-Berichts:', error);
+        alert(error.message);
+    }
 }
 
 document.addEventListener("DOMContentLoaded", () => {
     initZeiterfassung(); 
+
+    // Installable app: cached pages and the offline queue of punches
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch(error => logger.warn('Service Worker nicht registriert:', error));
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data && event.data.typ === 'stempelungen-gesendet') {
+                window.lastServerSync = 0;
+                initZeiterfassung();
+            }
+        });
+    }
+    window.addEventListener('online', () => {
+        window.lastServerSync = 0;
+        initZeiterfassung();
+    });
+    window.addEventListener('offline', () => aktualisiereOfflineHinweis(0));
+
+    setInterval(sendeHeartbeat, HEARTBEAT_INTERVAL_MS);
+    // Background tabs and sleeping laptops delay the interval, so report back as soon as the page is visible again
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') sendeHeartbeat();
+    });
+    const endeBestaetigenForm = document.getElementById('endeBestaetigenForm');
+    if (endeBestaetigenForm) {
+        endeBestaetigenForm.addEventListener('submit', event => {
+            event.preventDefault();
+            speichereSegmentEnde();
+        });
+    }
+    const endeBestaetigenModal = document.getElementById('endeBestaetigenModal');
+    if (endeBestaetigenModal) {
+        // Closed without saving: ask again on the next visit, not on every status reload
+        endeBestaetigenModal.addEventListener('hidden.bs.modal', () => {
+            endeBestaetigungVerschoben = Number(document.getElementById('endeBestaetigenZeit').dataset.segmentId);
+        });
+    }
     
     // Other initializations...
     
@@ -4,6 +4,23 @@ require("dotenv").config(); // Load environment variables
 
 const dbName = process.env.DB_NAME; // Use DB_NAME from env
 
+// Execute ALTER TABLE statements sequentially, tolerating columns that already exist
+async function runAlterStatements(connection, statements) {
+    for (const sql of statements) {
+        try {
+            await connection.query(sql);
+            console.log(`SQL successfully executed: ${sql.substring(0, 50)}...`);
+        } catch (err) {
+             // Ignore "Duplicate column name" errors if IF NOT EXISTS is not fully supported or table structure is complex
+            if (err.code !== 'ER_DUP_FIELDNAME') {
+                 console.warn(`Warning executing "${sql}": ${err.message}. This might be okay if the column already exists.`);
+            } else {
+                console.log(`Column already exists, skipping ALTER: ${sql.substring(0, 50)}...`);
+            }
+        }
+    }
+}
+
 async function setupProductionDatabase() {
     let connection;
     try {
@@ -42,6 +59,23 @@ async function setupProductionDatabase() {
                 praktikumszeit_2_von_bis TEXT,
                 allgemeine_notizen TEXT,
                 total_urlaubstage_annually INT DEFAULT 10,
+                arbeitszeit_mo DECIMAL(4,2) NOT NULL DEFAULT 8.00,
+                arbeitszeit_di DECIMAL(4,2) NOT NULL DEFAULT 8.00,
+                arbeitszeit_mi DECIMAL(4,2) NOT NULL DEFAULT 8.00,
+                arbeitszeit_do DECIMAL(4,2) NOT NULL DEFAULT 8.00,
+                arbeitszeit_fr DECIMAL(4,2) NOT NULL DEFAULT 8.00,
+                arbeitszeit_sa DECIMAL(4,2) NOT NULL DEFAULT 0.00,
+                arbeitszeit_so DECIMAL(4,2) NOT NULL DEFAULT 0.00,
+                nachtschicht BOOLEAN NOT NULL DEFAULT FALSE,
+                geburtsdatum DATE NULL,
+                superadmin BOOLEAN NOT NULL DEFAULT FALSE,
+                fehlversuche INT NOT NULL DEFAULT 0,
+                letzterFehlversuch DATETIME NULL,
+                gesperrtBis DATETIME NULL,
+                freigabeAusstehend BOOLEAN NOT NULL DEFAULT FALSE,
+                totpSecret VARCHAR(64) NULL,
+                totpAktiv BOOLEAN NOT NULL DEFAULT FALSE,
+                totpLetzterSchritt BIGINT NULL,
                 FOREIGN KEY (betreuerId) REFERENCES Praktikanten(id) ON DELETE SET NULL
             )
         `;
@@ -59,26 +93,67 @@ async function setupProductionDatabase() {
             "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS praktikumszeit_1_von_bis TEXT AFTER bildungstraeger",
             "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS praktikumszeit_2_von_bis TEXT AFTER praktikumszeit_1_von_bis",
             "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS allgemeine_notizen TEXT AFTER praktikumszeit_2_von_bis",
-            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS total_urlaubstage_annually INT DEFAULT 10 AFTER allgemeine_notizen"
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS total_urlaubstage_annually INT DEFAULT 10 AFTER allgemeine_notizen",
+            // Weekly work schedule (target hours per weekday)
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS arbeitszeit_mo DECIMAL(4,2) NOT NULL DEFAULT 8.00 AFTER total_urlaubstage_annually",
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS arbeitszeit_di DECIMAL(4,2) NOT NULL DEFAULT 8.00 AFTER arbeitszeit_mo",
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS arbeitszeit_mi DECIMAL(4,2) NOT NULL DEFAULT 8.00 AFTER arbeitszeit_di",
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS arbeitszeit_do DECIMAL(4,2) NOT NULL DEFAULT 8.00 AFTER arbeitszeit_mi",
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS arbeitszeit_fr DECIMAL(4,2) NOT NULL DEFAULT 8.00 AFTER arbeitszeit_do",
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS arbeitszeit_sa DECIMAL(4,2) NOT NULL DEFAULT 0.00 AFTER arbeitszeit_fr",
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS arbeitszeit_so DECIMAL(4,2) NOT NULL DEFAULT 0.00 AFTER arbeitszeit_sa",
+            // Night shifts: segments may cross midnight and run until NIGHT_SHIFT_END_HOUR of the next day
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS nachtschicht BOOLEAN NOT NULL DEFAULT FALSE AFTER arbeitszeit_so",
+            // Birth date, needed to apply the JArbSchG limits to interns under 18
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS geburtsdatum DATE NULL AFTER arbeitszeit_so",
+            // Super-admins manage all users and the Betreuer assignments; other Betreuer only see their assigned interns
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS superadmin BOOLEAN NOT NULL DEFAULT FALSE AFTER geburtsdatum",
+            // Failed logins since the last successful one, used for the login backoff and the temporary lockout
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS fehlversuche INT NOT NULL DEFAULT 0 AFTER superadmin",
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS letzterFehlversuch DATETIME NULL AFTER fehlversuche",
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS gesperrtBis DATETIME NULL AFTER letzterFehlversuch",
+            // Self-registered account waiting for activation (REGISTRATION_MODE=approval)
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS freigabeAusstehend BOOLEAN NOT NULL DEFAULT FALSE AFTER gesperrtBis",
+            // Two-factor authentication (TOTP); the last used time step prevents replaying a code
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS totpSecret VARCHAR(64) NULL AFTER freigabeAusstehend",
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS totpAktiv BOOLEAN NOT NULL DEFAULT FALSE AFTER totpSecret",
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS totpLetzterSchritt BIGINT NULL AFTER totpAktiv",
+            // Kiosk terminal: generated PIN and badge number, stored only as HMAC-SHA256 keyed with KIOSK_SECRET
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS kioskPinHash CHAR(64) NULL AFTER totpLetzterSchritt",
+            "ALTER TABLE Praktikanten ADD COLUMN IF NOT EXISTS kioskAusweisHash CHAR(64) NULL AFTER kioskPinHash",
+            "ALTER TABLE Praktikanten ADD UNIQUE INDEX IF NOT EXISTS uq_praktikanten_kiosk_pin (kioskPinHash)",
+            "ALTER TABLE Praktikanten ADD UNIQUE INDEX IF NOT EXISTS uq_praktikanten_kiosk_ausweis (kioskAusweisHash)"
         ];
 
-        // Execute ALTER TABLE statements sequentially
-        for (const sql of alterPraktikantenTable) {
-            try {
-                await connection.query(sql);
-                console.log(`SQL successfully executed: ${sql.substring(0, 50)}...`);
-            } catch (err) {
-                 // Ignore "Duplicate column name" errors if IF NOT EXISTS is not fully supported or table structure is complex
-                if (err.code !== 'ER_DUP_FIELDNAME') {
-                     console.warn(`Warning executing "${sql}": ${err.message}. This might be okay if the column already exists.`);
-                } else {
-                    console.log(`Column already exists, skipping ALTER: ${sql.substring(0, 50)}...`);
-                }
-            }
-        }
+        await runAlterStatements(connection, alterPraktikantenTable);
         console.log("All ALTER TABLE statements for Praktikanten attempted.");
 
 
+        // Create Projekte and Projektaufgaben tables (projects and tasks work segments are booked on)
+        const createProjekte = `
+            CREATE TABLE IF NOT EXISTS Projekte (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                name VARCHAR(100) NOT NULL UNIQUE,
+                kostenstelle VARCHAR(30) NULL,
+                aktiv BOOLEAN NOT NULL DEFAULT TRUE
+            )
+        `;
+        await connection.query(createProjekte);
+        console.log(`Table "Projekte" ensured/created.`);
+
+        const createProjektaufgaben = `
+            CREATE TABLE IF NOT EXISTS Projektaufgaben (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                projektId INT NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                aktiv BOOLEAN NOT NULL DEFAULT TRUE,
+                UNIQUE KEY uq_projektaufgaben_name (projektId, name),
+                FOREIGN KEY (projektId) REFERENCES Projekte(id) ON DELETE CASCADE
+            )
+        `;
+        await connection.query(createProjektaufgaben);
+        console.log(`Table "Projektaufgaben" ensured/created.`);
+
         // Create Arbeitszeiten table
         const createArbeitszeiten = `
             CREATE TABLE IF NOT EXISTS Arbeitszeiten (
@@ -87,12 +162,80 @@ async function setupProductionDatabase() {
                 startZeit DATETIME NOT NULL,
                 endZeit DATETIME,
                 bericht TEXT,
-                FOREIGN KEY (benutzerId) REFERENCES Praktikanten(id) ON DELETE CASCADE
+                manuell BOOLEAN NOT NULL DEFAULT FALSE,
+                projektId INT NULL,
+                aufgabeId INT NULL,
+                nachsynchronisiert BOOLEAN NOT NULL DEFAULT FALSE,
+                letzterHeartbeat DATETIME NULL,
+                endeUnbestaetigt BOOLEAN NOT NULL DEFAULT FALSE,
+                FOREIGN KEY (benutzerId) REFERENCES Praktikanten(id) ON DELETE CASCADE,
+                CONSTRAINT fk_arbeitszeiten_projekt FOREIGN KEY (projektId) REFERENCES Projekte(id),
+                CONSTRAINT fk_arbeitszeiten_aufgabe FOREIGN KEY (aufgabeId) REFERENCES Projektaufgaben(id)
             )
         `;
         await connection.query(createArbeitszeiten);
         console.log(`Table "Arbeitszeiten" ensured/created.`);
 
+        await runAlterStatements(connection, [
+            // Entries added afterwards (accepted correction requests, added by a Betreuer) instead of the timer
+            "ALTER TABLE Arbeitszeiten ADD COLUMN IF NOT EXISTS manuell BOOLEAN NOT NULL DEFAULT FALSE AFTER bericht",
+            // Project and task of the segment; projects in use can only be deactivated, not deleted
+            "ALTER TABLE Arbeitszeiten ADD COLUMN IF NOT EXISTS projektId INT NULL AFTER manuell",
+            "ALTER TABLE Arbeitszeiten ADD COLUMN IF NOT EXISTS aufgabeId INT NULL AFTER projektId",
+            "ALTER TABLE Arbeitszeiten ADD CONSTRAINT fk_arbeitszeiten_projekt FOREIGN KEY IF NOT EXISTS (projektId) REFERENCES Projekte(id)",
+            "ALTER TABLE Arbeitszeiten ADD CONSTRAINT fk_arbeitszeiten_aufgabe FOREIGN KEY IF NOT EXISTS (aufgabeId) REFERENCES Projektaufgaben(id)",
+            // Start or end was punched offline and reached the server late (shown to the Betreuer)
+            "ALTER TABLE Arbeitszeiten ADD COLUMN IF NOT EXISTS nachsynchronisiert BOOLEAN NOT NULL DEFAULT FALSE AFTER aufgabeId",
+            // Last heartbeat of the dashboard while the segment runs; NULL for segments started at the kiosk
+            "ALTER TABLE Arbeitszeiten ADD COLUMN IF NOT EXISTS letzterHeartbeat DATETIME NULL AFTER nachsynchronisiert",
+            // Closed because the heartbeats stopped; the intern still has to confirm or correct the end
+            "ALTER TABLE Arbeitszeiten ADD COLUMN IF NOT EXISTS endeUnbestaetigt BOOLEAN NOT NULL DEFAULT FALSE AFTER letzterHeartbeat"
+        ]);
+
+        // Punches queued offline by the dashboard, keyed by the id generated on the device
+        // A punch that is sent twice (page and service worker, lost response) is only recorded once
+        const createStempelereignisse = `
+            CREATE TABLE IF NOT EXISTS Stempelereignisse (
+                ereignisId CHAR(36) PRIMARY KEY,
+                benutzerId INT NOT NULL,
+                typ ENUM('start', 'pause', 'ende') NOT NULL,
+                clientZeit DATETIME NOT NULL,
+                empfangenAm TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (benutzerId) REFERENCES Praktikanten(id) ON DELETE CASCADE
+            )
+        `;
+        await connection.query(createStempelereignisse);
+        console.log(`Table "Stempelereignisse" ensured/created.`);
+
+        // Create Abwesenheitstypen table (absence types maintained by super-admins)
+        // gutschriftStunden: hours credited per full day; NULL = target hours of the day, 0 = no credit
+        const createAbwesenheitstypen = `
+            CREATE TABLE IF NOT EXISTS Abwesenheitstypen (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                name VARCHAR(50) NOT NULL UNIQUE,
+                urlaubAnrechnen BOOLEAN NOT NULL DEFAULT FALSE,
+                gutschriftStunden DECIMAL(4,2) NULL,
+                genehmigungErforderlich BOOLEAN NOT NULL DEFAULT FALSE,
+                farbe CHAR(7) NOT NULL DEFAULT '#6c757d',
+                aktiv BOOLEAN NOT NULL DEFAULT TRUE
+            )
+        `;
+        await connection.query(createAbwesenheitstypen);
+        console.log(`Table "Abwesenheitstypen" ensured/created.`);
+
+        // Default types; Urlaub and Krankheit keep the behaviour of the former fixed ENUM values
+        await connection.query(`
+            INSERT IGNORE INTO Abwesenheitstypen (name, urlaubAnrechnen, gutschriftStunden, genehmigungErforderlich, farbe) VALUES
+                ('Urlaub', TRUE, NULL, TRUE, '#198754'),
+                ('Krankheit', FALSE, NULL, FALSE, '#dc3545'),
+                ('Berufsschule', FALSE, NULL, FALSE, '#0d6efd'),
+                ('Feiertag', FALSE, NULL, FALSE, '#6f42c1'),
+                ('Sonderurlaub', FALSE, NULL, TRUE, '#20c997'),
+                ('Fortbildung', FALSE, NULL, TRUE, '#fd7e14'),
+                ('Homeoffice', FALSE, 0, TRUE, '#6c757d')
+        `);
+        console.log(`Default absence types ensured.`);
+
         // Create Abwesenheiten table
         const createAbwesenheiten = `
             CREATE TABLE IF NOT EXISTS Abwesenheiten (
@@ -100,14 +243,250 @@ async function setupProductionDatabase() {
                 benutzerId INT NOT NULL,
                 start_datum DATE NOT NULL,
                 end_datum DATE NOT NULL,
-                abwesenheit_typ ENUM('Krankheit', 'Urlaub') NOT NULL,
+                abwesenheit_typ VARCHAR(50) NOT NULL,
+                umfang ENUM('ganztags', 'vormittag', 'nachmittag', 'stunden') NOT NULL DEFAULT 'ganztags',
+                stunden DECIMAL(4,2) NULL,
                 beschreibung TEXT,
-                FOREIGN KEY (benutzerId) REFERENCES Praktikanten(id) ON DELETE CASCADE
+                status ENUM('beantragt', 'genehmigt', 'abgelehnt') NOT NULL DEFAULT 'genehmigt',
+                ablehnungsgrund TEXT,
+                bearbeitetVon INT NULL,
+                bearbeitetAm DATETIME NULL,
+                FOREIGN KEY (benutzerId) REFERENCES Praktikanten(id) ON DELETE CASCADE,
+                FOREIGN KEY (bearbeitetVon) REFERENCES Praktikanten(id) ON DELETE SET NULL,
+                CONSTRAINT fk_abwesenheiten_typ FOREIGN KEY (abwesenheit_typ) REFERENCES Abwesenheitstypen(name) ON UPDATE CASCADE
             )
         `;
         await connection.query(createAbwesenheiten);
         console.log(`Table "Abwesenheiten" ensured/created.`);
 
+        // Approval workflow columns; existing absences default to 'genehmigt' so historic totals stay unchanged
+        const alterAbwesenheitenTable = [
+            "ALTER TABLE Abwesenheiten ADD COLUMN IF NOT EXISTS status ENUM('beantragt', 'genehmigt', 'abgelehnt') NOT NULL DEFAULT 'genehmigt' AFTER beschreibung",
+            "ALTER TABLE Abwesenheiten ADD COLUMN IF NOT EXISTS ablehnungsgrund TEXT AFTER status",
+            "ALTER TABLE Abwesenheiten ADD COLUMN IF NOT EXISTS bearbeitetVon INT NULL AFTER ablehnungsgrund",
+            "ALTER TABLE Abwesenheiten ADD COLUMN IF NOT EXISTS bearbeitetAm DATETIME NULL AFTER bearbeitetVon",
+            // Half days and hour-based absences; only single-day absences use a scope other than 'ganztags'
+            "ALTER TABLE Abwesenheiten ADD COLUMN IF NOT EXISTS umfang ENUM('ganztags', 'vormittag', 'nachmittag', 'stunden') NOT NULL DEFAULT 'ganztags' AFTER abwesenheit_typ",
+            "ALTER TABLE Abwesenheiten ADD COLUMN IF NOT EXISTS stunden DECIMAL(4,2) NULL AFTER umfang",
+            // Types used to be a fixed ENUM; renaming a type in Abwesenheitstypen renames it on all absences
+            "ALTER TABLE Abwesenheiten MODIFY abwesenheit_typ VARCHAR(50) NOT NULL",
+            "ALTER TABLE Abwesenheiten ADD CONSTRAINT fk_abwesenheiten_typ FOREIGN KEY IF NOT EXISTS (abwesenheit_typ) REFERENCES Abwesenheitstypen(name) ON UPDATE CASCADE"
+        ];
+        await runAlterStatements(connection, alterAbwesenheitenTable);
+        console.log("All ALTER TABLE statements for Abwesenheiten attempted.");
+
+        // Create Betriebsschliessungen table (company closing days, treated like public holidays)
+        const createBetriebsschliessungen = `
+            CREATE TABLE IF NOT EXISTS Betriebsschliessungen (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                datum DATE NOT NULL UNIQUE,
+                bezeichnung VARCHAR(255) NOT NULL,
+                erstelltVon INT NULL,
+                FOREIGN KEY (erstelltVon) REFERENCES Praktikanten(id) ON DELETE SET NULL
+            )
+        `;
+        await connection.query(createBetriebsschliessungen);
+        console.log(`Table "Betriebsschliessungen" ensured/created.`);
+
+        // Create Gleitzeitkorrekturen table (manual flextime corrections, positive or negative hours)
+        const createGleitzeitkorrekturen = `
+            CREATE TABLE IF NOT EXISTS Gleitzeitkorrekturen (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                benutzerId INT NOT NULL,
+                datum DATE NOT NULL,
+                stunden DECIMAL(7,2) NOT NULL,
+                kommentar TEXT NOT NULL,
+                erstelltVon INT NULL,
+                erstelltAm TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (benutzerId) REFERENCES Praktikanten(id) ON DELETE CASCADE,
+                FOREIGN KEY (erstelltVon) REFERENCES Praktikanten(id) ON DELETE SET NULL,
+                INDEX idx_gleitzeit_benutzer_datum (benutzerId, datum)
+            )
+        `;
+        await connection.query(createGleitzeitkorrekturen);
+        console.log(`Table "Gleitzeitkorrekturen" ensured/created.`);
+
+        // Append-only change log; benutzerId is the acting user (NULL for system jobs)
+        const createAuditlog = `
+            CREATE TABLE IF NOT EXISTS Auditlog (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                zeitpunkt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                benutzerId INT NULL,
+                betroffenerBenutzerId INT NULL,
+                entitaet VARCHAR(50) NOT NULL,
+                entitaetId INT NULL,
+                aktion VARCHAR(50) NOT NULL,
+                alterWert JSON NULL,
+                neuerWert JSON NULL,
+                FOREIGN KEY (benutzerId) REFERENCES Praktikanten(id) ON DELETE SET NULL,
+                FOREIGN KEY (betroffenerBenutzerId) REFERENCES Praktikanten(id) ON DELETE SET NULL,
+                INDEX idx_audit_entitaet (entitaet, entitaetId),
+                INDEX idx_audit_betroffener (betroffenerBenutzerId, zeitpunkt)
+            )
+        `;
+        await connection.query(createAuditlog);
+        console.log(`Table "Auditlog" ensured/created.`);
+
+        // Reject UPDATE and DELETE on the audit log at database level (FK cascades do not fire triggers)
+        await runAlterStatements(connection, [
+            "DROP TRIGGER IF EXISTS auditlog_no_update",
+            "CREATE TRIGGER auditlog_no_update BEFORE UPDATE ON Auditlog FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Auditlog is append-only'",
+            "DROP TRIGGER IF EXISTS auditlog_no_delete",
+            "CREATE TRIGGER auditlog_no_delete BEFORE DELETE ON Auditlog FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Auditlog is append-only'"
+        ]);
+
+        // In-app notifications shown on the dashboards
+        const createBenachrichtigungen = `
+            CREATE TABLE IF NOT EXISTS Benachrichtigungen (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                benutzerId INT NOT NULL,
+                typ VARCHAR(50) NOT NULL,
+                nachricht TEXT NOT NULL,
+                gelesen BOOLEAN NOT NULL DEFAULT FALSE,
+                erstelltAm TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (benutzerId) REFERENCES Praktikanten(id) ON DELETE CASCADE,
+                INDEX idx_benachrichtigungen_benutzer (benutzerId, gelesen)
+            )
+        `;
+        await connection.query(createBenachrichtigungen);
+        console.log(`Table "Benachrichtigungen" ensured/created.`);
+
+        // Missed-punch correction requests from interns, accepted or declined by a Betreuer
+        const createKorrekturantraege = `
+            CREATE TABLE IF NOT EXISTS Korrekturantraege (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                benutzerId INT NOT NULL,
+                datum DATE NOT NULL,
+                startzeit TIME NOT NULL,
+                endzeit TIME NOT NULL,
+                bericht TEXT,
+                begruendung TEXT NOT NULL,
+                status ENUM('beantragt', 'genehmigt', 'abgelehnt') NOT NULL DEFAULT 'beantragt',
+                ablehnungsgrund TEXT,
+                arbeitszeitId INT NULL,
+                bearbeitetVon INT NULL,
+                bearbeitetAm DATETIME NULL,
+                erstelltAm TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (benutzerId) REFERENCES Praktikanten(id) ON DELETE CASCADE,
+                FOREIGN KEY (arbeitszeitId) REFERENCES Arbeitszeiten(id) ON DELETE SET NULL,
+                FOREIGN KEY (bearbeitetVon) REFERENCES Praktikanten(id) ON DELETE SET NULL,
+                INDEX idx_korrekturantraege_status (status, datum)
+            )
+        `;
+        await connection.query(createKorrekturantraege);
+        console.log(`Table "Korrekturantraege" ensured/created.`);
+
+        // Every login attempt with the client IP, for the per-IP backoff and for review by super-admins
+        const createAnmeldeversuche = `
+            CREATE TABLE IF NOT EXISTS Anmeldeversuche (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                zeitpunkt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                email VARCHAR(255) NOT NULL,
+                benutzerId INT NULL,
+                ip VARCHAR(45) NOT NULL,
+                erfolgreich BOOLEAN NOT NULL DEFAULT FALSE,
+                grund VARCHAR(50) NOT NULL,
+                FOREIGN KEY (benutzerId) REFERENCES Praktikanten(id) ON DELETE SET NULL,
+                INDEX idx_anmeldeversuche_ip (ip, zeitpunkt),
+                INDEX idx_anmeldeversuche_email (email, zeitpunkt),
+                INDEX idx_anmeldeversuche_zeitpunkt (zeitpunkt)
+            )
+        `;
+        await connection.query(createAnmeldeversuche);
+        // Failed logins with unknown emails are counted per email
+        await runAlterStatements(connection, [
+            "ALTER TABLE Anmeldeversuche ADD INDEX IF NOT EXISTS idx_anmeldeversuche_email (email, zeitpunkt)"
+        ]);
+        console.log(`Table "Anmeldeversuche" ensured/created.`);
+
+        // Password reset tokens; only the SHA-256 hash of the mailed token is stored
+        const createPasswortResets = `
+            CREATE TABLE IF NOT EXISTS PasswortResets (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                benutzerId INT NOT NULL,
+                tokenHash CHAR(64) NOT NULL UNIQUE,
+                ablaufAm DATETIME NOT NULL,
+                verwendetAm DATETIME NULL,
+                erstelltAm TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (benutzerId) REFERENCES Praktikanten(id) ON DELETE CASCADE,
+                INDEX idx_passwortresets_benutzer (benutzerId, erstelltAm)
+            )
+        `;
+        await connection.query(createPasswortResets);
+        console.log(`Table "PasswortResets" ensured/created.`);
+
+        // Invitation links created by a Betreuer; the data pre-fills the registration form
+        const createEinladungen = `
+            CREATE TABLE IF NOT EXISTS Einladungen (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                tokenHash CHAR(64) NOT NULL UNIQUE,
+                email VARCHAR(255) NOT NULL,
+                vorname VARCHAR(50),
+                nachname VARCHAR(50),
+                bildungstraeger TEXT,
+                betreuerId INT NULL,
+                erstelltVon INT NULL,
+                erstelltAm TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                ablaufAm DATETIME NOT NULL,
+                verwendetAm DATETIME NULL,
+                benutzerId INT NULL,
+                FOREIGN KEY (betreuerId) REFERENCES Praktikanten(id) ON DELETE SET NULL,
+                FOREIGN KEY (erstelltVon) REFERENCES Praktikanten(id) ON DELETE SET NULL,
+                FOREIGN KEY (benutzerId) REFERENCES Praktikanten(id) ON DELETE SET NULL
+            )
+        `;
+        await connection.query(createEinladungen);
+        console.log(`Table "Einladungen" ensured/created.`);
+
+        // Shared workstations used as kiosk terminal; the device token is stored as SHA-256 hash
+        const createKioskGeraete = `
+            CREATE TABLE IF NOT EXISTS KioskGeraete (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                name VARCHAR(100) NOT NULL,
+                tokenHash CHAR(64) NOT NULL UNIQUE,
+                erstelltVon INT NULL,
+                erstelltAm TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                zuletztGenutztAm DATETIME NULL,
+                fehlversuche INT NOT NULL DEFAULT 0,
+                letzterFehlversuch DATETIME NULL,
+                FOREIGN KEY (erstelltVon) REFERENCES Praktikanten(id) ON DELETE SET NULL
+            )
+        `;
+        await connection.query(createKioskGeraete);
+        // Wrong PINs and badge numbers are counted per device
+        await runAlterStatements(connection, [
+            "ALTER TABLE KioskGeraete ADD COLUMN IF NOT EXISTS fehlversuche INT NOT NULL DEFAULT 0 AFTER zuletztGenutztAm",
+            "ALTER TABLE KioskGeraete ADD COLUMN IF NOT EXISTS letzterFehlversuch DATETIME NULL AFTER fehlversuche"
+        ]);
+        console.log(`Table "KioskGeraete" ensured/created.`);
+
+        // One-time recovery codes for the two-factor login, stored as SHA-256 hash
+        const createWiederherstellungscodes = `
+            CREATE TABLE IF NOT EXISTS Wiederherstellungscodes (
+                id INT PRIMARY KEY AUTO_INCREMENT,
+                benutzerId INT NOT NULL,
+                codeHash CHAR(64) NOT NULL,
+                verwendetAm DATETIME NULL,
+                FOREIGN KEY (benutzerId) REFERENCES Praktikanten(id) ON DELETE CASCADE,
+                UNIQUE KEY uq_wiederherstellungscodes (benutzerId, codeHash)
+            )
+        `;
+        await connection.query(createWiederherstellungscodes);
+        console.log(`Table "Wiederherstellungscodes" ensured/created.`);
+
+        // Application settings changed at runtime by super-admins
+        const createEinstellungen = `
+            CREATE TABLE IF NOT EXISTS Einstellungen (
+                schluessel VARCHAR(100) PRIMARY KEY,
+                wert VARCHAR(255) NOT NULL,
+                geaendertVon INT NULL,
+                geaendertAm TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (geaendertVon) REFERENCES Praktikanten(id) ON DELETE SET NULL
+            )
+        `;
+        await connection.query(createEinstellungen);
+        console.log(`Table "Einstellungen" ensured/created.`);
+
         // Check if admin user already exists
         const adminEmail = process.env.ADMIN_EMAIL || "admin@example.com";
         const [existingUsers] = await connection.execute("SELECT id FROM Praktikanten WHERE email = ?", [adminEmail]);
@@ -128,7 +507,7 @@ async function setupProductionDatabase() {
             const adminUrlaubstage = 10; // Default from testdaten3.js
 
             await connection.execute(
-                `INSERT INTO Praktikanten (email, password, vorname, nachname, rolle, status, total_urlaubstage_annually) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                `INSERT INTO Praktikanten (email, password, vorname, nachname, rolle, status, total_urlaubstage_annually, superadmin) VALUES (?, ?, ?, ?, ?, ?, ?, TRUE)`,
                 [adminEmail, adminPasswordHash, adminVorname, adminNachname, adminRolle, adminStatus, adminUrlaubstage]
             );
 
@@ -137,6 +516,8 @@ async function setupProductionDatabase() {
             console.log(`Standard Password: ${adminPasswordPlain}`); // Note: This is the plain text password used for hashing
         } else {
             console.log(`Admin user with email "${adminEmail}" already exists. Skipping creation.`);
+            // The initial admin is always a super-admin, also for databases created before the role existed
+            await connection.execute("UPDATE Praktikanten SET superadmin = TRUE WHERE id = ? AND rolle = 'Betreuer'", [existingUsers[0].id]);
         }
 
         console.log("Database setup and admin user creation script finished.");
@@ -36,10 +36,32 @@ const session = require("express-session");
 const path = require("path");
 const mysql = require("mysql2/promise");
 const bcrypt = require("bcrypt");
+const crypto = require("crypto");
 require("dotenv").config();
+const { BUNDESLAENDER, getPublicHolidaysForPeriod } = require("./utils/holidays");
+const { createMonthlyReportPdf, getMonthlyReportPdfFilename } = require("./utils/reportPdf");
+const { createTimeExportCsv, createTimeExportXlsx } = require("./utils/timeExport");
+const { evaluateDayBreaks, evaluateBreaksByDay } = require("./utils/arbzg");
+const { getAgeOnDate, checkWorkingTimeCompliance } = require("./utils/compliance");
+const { isPartialDayAbsence, getAbsenceTypeDayCredit, absencesCollide, formatAbsenceScope } = require("./utils/absences");
+const { formatProjectLabel, summarizeProjectHours } = require("./utils/projects");
+const { DEFAULT_OFFLINE_PUNCH_MAX_HOURS, resolvePunchTime } = require("./utils/punches");
+const { generateKioskPin, hashKioskIdentifier } = require("./utils/kiosk");
+const { DEFAULT_HEARTBEAT_TIMEOUT_MINUTES, DEFAULT_HEARTBEAT_GRACE_MINUTES, isHeartbeatExpired, getIdleEndTime, checkIdleEndCorrection } = require("./utils/idleTimer");
+const { DEFAULT_NIGHT_SHIFT_END_HOUR, getLatestSegmentEnd, splitRowsAtMidnight } = require("./utils/nightShift");
+const { ACCOUNT_BACKOFF, IP_BACKOFF, KIOSK_BACKOFF, getRetryAfterMs, parseTrustProxySetting } = require("./utils/loginThrottle");
+const { validatePassword } = require("./utils/passwordPolicy");
+const { sendMail } = require("./utils/mailer");
+const { validate } = require("./utils/validation");
+const schemas = require("./utils/requestSchemas");
+const { generateTotpSecret, verifyTotp, buildOtpauthUrl, generateRecoveryCodes, normalizeRecoveryCode } = require("./utils/totp");
+const QRCode = require("qrcode");
 
 const app = express();
 
+// Behind a reverse proxy req.ip is only the real client address if the proxy is trusted
+app.set('trust proxy', parseTrustProxySetting(process.env.TRUST_PROXY));
+
 // Security Headers Middleware
 app.use((req, res, next) => {
     // Prevent clickjacking
@@ -79,7 +101,10 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+// Kept in a variable so the sessions of a user can be ended after a password reset
+const sessionStore = new session.MemoryStore();
 app.use(session({
+    store: sessionStore,
     secret: process.env.SESSION_SECRET || 'dev-secret-change-in-production',
     resave: false,
     saveUninitialized: false,
@@ -110,45 +135,68 @@ const pool = mysql.createPool({
     // No timezone config - let MySQL handle datetime values as-is without conversion
 });
 
+// Interns whose schedule allows night shifts may keep a timer running until this hour of the next day
+const NIGHT_SHIFT_END_HOUR = parseInt(process.env.NIGHT_SHIFT_END_HOUR, 10) || DEFAULT_NIGHT_SHIFT_END_HOUR;
+
+// Night shift settings as expected by getLatestSegmentEnd()
+function getShiftSettings(nachtschicht) {
+    return { nachtschicht: !!nachtschicht, schichtendeStunde: NIGHT_SHIFT_END_HOUR };
+}
+
+async function getShiftSettingsHelper(connection, benutzerId) {
+    const [rows] = await connection.execute("SELECT nachtschicht FROM Praktikanten WHERE id = ?", [benutzerId]);
+    return getShiftSettings(rows.length > 0 && rows[0].nachtschicht);
+}
+
 // Midnight cutoff helper functions for 23:59 timer auto-end system
-function getMidnightCutoffTime(date) {
+// For night shifts the cutoff is the end of the shift on the next morning
+function getMidnightCutoffTime(date, schicht = {}) {
     // Return datetime string in MySQL format to avoid timezone conversion issues
     // This ensures MySQL gets exactly 23:59:00 local time, not UTC-converted time
-    const inputDate = new Date(date);
+    const inputDate = getLatestSegmentEnd(date, schicht);
     const year = inputDate.getFullYear();
     const month = String(inputDate.getMonth() + 1).padStart(2, '0');
     const day = String(inputDate.getDate()).padStart(2, '0');
+    const hours = String(inputDate.getHours()).padStart(2, '0');
+    const minutes = String(inputDate.getMinutes()).padStart(2, '0');
     
-    const cutoffString = `${year}-${month}-${day} 23:59:00`;
+    const cutoffString = `${year}-${month}-${day} ${hours}:${minutes}:00`;
     
     console.log(`[CUTOFF] Creating cutoff time string: ${cutoffString} (avoids timezone conversion)`);
     
     return cutoffString;
 }
 
-function isTimerFromPreviousDay(startTime) {
+// referenceTime is the time of the punch; punches synced later from the offline queue pass their device time
+function isTimerFromPreviousDay(startTime, referenceTime = new Date(), schicht = {}) {
+    if (schicht.nachtschicht) {
+        // Night shifts may legitimately cross midnight and are only stale after the end of the shift
+        return new Date(referenceTime) > getLatestSegmentEnd(startTime, schicht);
+    }
     // Use local date comparison instead of UTC to fix timezone issues
     // This ensures auto-cutoff triggers at midnight local time, not midnight UTC
     const timerDate = new Date(startTime).toLocaleDateString('en-CA'); // YYYY-MM-DD local format
-    const todayDate = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD local format
+    const todayDate = new Date(referenceTime).toLocaleDateString('en-CA'); // YYYY-MM-DD local format
     console.log(`[DATE CHECK] Timer date (local): ${timerDate}, Today date (local): ${todayDate}`);
     return timerDate !== todayDate;
 }
 
 function isAutoCutoffEntry(entry) {
-    // Check if entry was auto-cutoff by examining end time (23:59:00) and bericht content
+    // Check if entry was auto-cutoff by examining end time (23:59:00, or the end of a night shift) and bericht content
     if (!entry.endZeit || !entry.bericht) return false;
     
     const endTime = new Date(entry.endZeit);
     const is2359 = endTime.getHours() === 23 && endTime.getMinutes() === 59 && endTime.getSeconds() === 0;
+    const isNightShiftEnd = endTime.getHours() === NIGHT_SHIFT_END_HOUR && endTime.getMinutes() === 0 && endTime.getSeconds() === 0;
     const hasAutoCutoffMessage = entry.bericht.includes("Timer wurde automatisch um 23:59") || entry.bericht.includes("Auto cut-off Notification") || entry.bericht.includes("automatisch um 23:59 beendet");
     
-    return is2359 && hasAutoCutoffMessage;
+    return (is2359 || isNightShiftEnd) && hasAutoCutoffMessage;
 }
 
-async function handleStaleTimer(connection, timerId, benutzerId, startTime, originalBericht) {
+async function handleStaleTimer(connection, timerId, benutzerId, startTime, originalBericht, schicht = {}) {
     const startDate = new Date(startTime);
-    const cutoffTime = getMidnightCutoffTime(startDate);
+    const cutoffTime = getMidnightCutoffTime(startDate, schicht);
+    const uhrzeit = cutoffTime.substring(11, 16);
     
     console.log(`[STALE TIMER] Auto-ending stale timer from previous day: ${startDate.toLocaleDateString('de-DE')}`);
     console.log(`[STALE TIMER] Original start: ${startDate.toString()}`);
@@ -174,20 +222,296 @@ async function handleStaleTimer(connection, timerId, benutzerId, startTime, orig
             benutzerId,
             cutoffTime,
             cutoffTime, // Same start and end time - represents a "notification" entry
-            "Auto cut-off Notification: Timer wurde automatisch um 23:59 des vorherigen Tages beendet. Original-Arbeitszeit wurde bis zur Abschaltzeit verlängert."
+            schicht.nachtschicht
+                ? `Auto cut-off Notification: Timer wurde automatisch um ${uhrzeit} am Ende der Nachtschicht beendet. Original-Arbeitszeit wurde bis zur Abschaltzeit verlängert.`
+                : "Auto cut-off Notification: Timer wurde automatisch um 23:59 des vorherigen Tages beendet. Original-Arbeitszeit wurde bis zur Abschaltzeit verlängert."
         ]
     );
     
     console.log(`[STALE TIMER] Auto-cutoff notification entry created`);
+
+    await writeAuditLogHelper(connection, {
+        benutzerId: null,
+        betroffenerBenutzerId: benutzerId,
+        entitaet: 'Arbeitszeiten',
+        entitaetId: timerId,
+        aktion: 'auto_cutoff',
+        alterWert: { startZeit: startDate, endZeit: null },
+        neuerWert: { startZeit: startDate, endZeit: cutoffTime }
+    });
     
     return {
         cutoffTime,
+        uhrzeit,
         originalStart: startDate,
         originalBericht: originalBericht,
-        message: `Timer automatisch um 23:59 am ${startDate.toLocaleDateString('de-DE')} beendet, Original-Daten erhalten`
+        message: `Timer automatisch um ${uhrzeit} am ${new Date(cutoffTime).toLocaleDateString('de-DE')} beendet, Original-Daten erhalten`
+    };
+}
+
+// Timers whose dashboard stopped sending heartbeats are closed at the last heartbeat plus a grace period
+const HEARTBEAT_TIMEOUT_MINUTES = parseInt(process.env.HEARTBEAT_TIMEOUT_MINUTES, 10) || DEFAULT_HEARTBEAT_TIMEOUT_MINUTES;
+const HEARTBEAT_GRACE_MINUTES = parseInt(process.env.HEARTBEAT_GRACE_MINUTES, 10) || DEFAULT_HEARTBEAT_GRACE_MINUTES;
+
+// Closes a running segment without recent heartbeat and leaves the end for the intern to confirm
+// Runs inside the caller's transaction; returns the recorded end, or null if the segment is still alive
+async function closeIdleTimerHelper(connection, timerId) {
+    const [rows] = await connection.execute(
+        "SELECT id, benutzerId, startZeit, letzterHeartbeat FROM Arbeitszeiten WHERE id = ? AND endZeit IS NULL FOR UPDATE",
+        [timerId]
+    );
+    const jetzt = new Date();
+    // The segment may have been paused or received a heartbeat in the meantime
+    if (rows.length === 0 || !isHeartbeatExpired(rows[0].letzterHeartbeat, jetzt, HEARTBEAT_TIMEOUT_MINUTES)) return null;
+
+    const timer = rows[0];
+    const schicht = await getShiftSettingsHelper(connection, timer.benutzerId);
+    const endZeit = getIdleEndTime(timer.startZeit, timer.letzterHeartbeat, jetzt, HEARTBEAT_GRACE_MINUTES, schicht);
+    await connection.execute("UPDATE Arbeitszeiten SET endZeit = ?, endeUnbestaetigt = TRUE WHERE id = ?", [endZeit, timer.id]);
+    await writeAuditLogHelper(connection, {
+        benutzerId: null,
+        betroffenerBenutzerId: timer.benutzerId,
+        entitaet: 'Arbeitszeiten',
+        entitaetId: timer.id,
+        aktion: 'leerlauf_beendet',
+        alterWert: { startZeit: timer.startZeit, endZeit: null },
+        neuerWert: { startZeit: timer.startZeit, endZeit }
+    });
+    console.log(`[IDLE TIMER] Segment ${timer.id} of user ${timer.benutzerId} closed at ${endZeit.toISOString()}, last heartbeat ${new Date(timer.letzterHeartbeat).toISOString()}`);
+    return endZeit;
+}
+
+// Appends an entry to the audit log; benutzerId is the acting user (null for system jobs)
+async function writeAuditLogHelper(connection, { benutzerId, betroffenerBenutzerId, entitaet, entitaetId, aktion, alterWert, neuerWert }) {
+    await connection.execute(
+        "INSERT INTO Auditlog (benutzerId, betroffenerBenutzerId, entitaet, entitaetId, aktion, alterWert, neuerWert) VALUES (?, ?, ?, ?, ?, ?, ?)",
+        [
+            benutzerId || null,
+            betroffenerBenutzerId || null,
+            entitaet,
+            entitaetId || null,
+            aktion,
+            alterWert === undefined || alterWert === null ? null : JSON.stringify(alterWert),
+            neuerWert === undefined || neuerWert === null ? null : JSON.stringify(neuerWert)
+        ]
+    );
+}
+
+// Columns kept as old/new value in the audit log; times as local wall-clock strings
+const AUDIT_SNAPSHOT_QUERIES = {
+    Arbeitszeiten: "SELECT id, benutzerId, DATE_FORMAT(startZeit, '%Y-%m-%d %H:%i:%s') AS startZeit, DATE_FORMAT(endZeit, '%Y-%m-%d %H:%i:%s') AS endZeit, bericht, manuell FROM Arbeitszeiten WHERE id = ?",
+    Abwesenheiten: "SELECT id, benutzerId, DATE_FORMAT(start_datum, '%Y-%m-%d') AS start_datum, DATE_FORMAT(end_datum, '%Y-%m-%d') AS end_datum, abwesenheit_typ, umfang, stunden, beschreibung, status, ablehnungsgrund FROM Abwesenheiten WHERE id = ?"
+};
+
+// Current state of a row for the audit log, null if it does not exist; locks the row until the transaction ends
+async function getAuditSnapshotHelper(connection, entitaet, entitaetId) {
+    const [rows] = await connection.execute(`${AUDIT_SNAPSHOT_QUERIES[entitaet]} FOR UPDATE`, [entitaetId]);
+    return rows.length > 0 ? rows[0] : null;
+}
+
+// Logs a change made by the logged-in user; the new value is read back from the database (none for deletions)
+async function writeRowAuditHelper(connection, sessionUser, entitaet, entitaetId, aktion, alterWert) {
+    const neuerWert = aktion === 'geloescht' ? null : await getAuditSnapshotHelper(connection, entitaet, entitaetId);
+    await writeAuditLogHelper(connection, {
+        benutzerId: sessionUser.id,
+        betroffenerBenutzerId: (neuerWert || alterWert).benutzerId,
+        entitaet,
+        entitaetId,
+        aktion,
+        alterWert,
+        neuerWert
+    });
+}
+
+// Audit log entries, newest first; actor and affected user are resolved to names (actor null = system job)
+// filters.scope is a condition on the affected user (alias b) from getInternScopeSql()
+async function getAuditLogHelper(filters, limit) {
+    const conditions = [];
+    const params = [];
+    if (filters.betroffenerBenutzerId) { conditions.push("l.betroffenerBenutzerId = ?"); params.push(filters.betroffenerBenutzerId); }
+    if (filters.scope) { conditions.push(filters.scope.sql); params.push(...filters.scope.params); }
+    if (filters.entitaet) { conditions.push("l.entitaet = ?"); params.push(filters.entitaet); }
+    if (filters.entitaetId) { conditions.push("l.entitaetId = ?"); params.push(filters.entitaetId); }
+    if (filters.von) { conditions.push("l.zeitpunkt >= ?"); params.push(`${filters.von} 00:00:00`); }
+    if (filters.bis) { conditions.push("l.zeitpunkt <= ?"); params.push(`${filters.bis} 23:59:59`); }
+    const maxRows = Math.min(Math.max(parseInt(limit) || 200, 1), 1000);
+    const [rows] = await pool.query(
+        `SELECT l.id, DATE_FORMAT(l.zeitpunkt, '%Y-%m-%d %H:%i:%s') AS zeitpunkt, l.benutzerId, a.vorname AS akteurVorname, a.nachname AS akteurNachname,
+                l.betroffenerBenutzerId, b.vorname AS betroffenerVorname, b.nachname AS betroffenerNachname,
+                l.entitaet, l.entitaetId, l.aktion, l.alterWert, l.neuerWert
+         FROM Auditlog l
+         LEFT JOIN Praktikanten a ON a.id = l.benutzerId
+         LEFT JOIN Praktikanten b ON b.id = l.betroffenerBenutzerId
+         ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+         ORDER BY l.zeitpunkt DESC, l.id DESC
+         LIMIT ${maxRows}`,
+        params
+    );
+    return rows;
+}
+
+// Stores an in-app notification that is shown on the user's dashboard
+async function createNotificationHelper(connection, benutzerId, typ, nachricht) {
+    await connection.execute(
+        "INSERT INTO Benachrichtigungen (benutzerId, typ, nachricht) VALUES (?, ?, ?)",
+        [benutzerId, typ, nachricht]
+    );
+}
+
+// Assigned Betreuer of an intern; without an assignment the super-admins are responsible
+async function getResponsibleBetreuerIdsHelper(connection, betreuerId) {
+    if (betreuerId) return [betreuerId];
+    const [rows] = await connection.execute("SELECT id FROM Praktikanten WHERE rolle = 'Betreuer' AND superadmin = TRUE AND status = 'aktiv'");
+    return rows.map(row => row.id);
+}
+
+// Betreuer only see the interns assigned to them (Praktikanten.betreuerId); super-admins see all users
+function isSuperAdmin(user) {
+    return !!user && user.rolle === "Betreuer" && user.istSuperAdmin === true;
+}
+
+// SQL condition that limits a Praktikanten table alias to the users visible to the given Betreuer
+function getInternScopeSql(user, alias) {
+    if (isSuperAdmin(user)) return { sql: "1 = 1", params: [] };
+    return { sql: `${alias}.betreuerId = ?`, params: [user.id] };
+}
+
+// Whether the Betreuer may see and edit the given user; the own account is always allowed
+async function canAccessUserHelper(user, benutzerId, connection = pool) {
+    if (isSuperAdmin(user) || parseInt(benutzerId) === user.id) return true;
+    const [rows] = await connection.execute("SELECT id FROM Praktikanten WHERE id = ? AND betreuerId = ?", [benutzerId, user.id]);
+    return rows.length > 0;
+}
+
+// Same check for a row owned via benutzerId; unknown ids pass so that the route answers with its own 404
+const SCOPED_TABLES = ['Arbeitszeiten', 'Abwesenheiten', 'Korrekturantraege'];
+async function canAccessRecordHelper(user, table, id, connection = pool) {
+    if (!SCOPED_TABLES.includes(table)) throw new Error(`Unbekannte Tabelle: ${table}`);
+    if (isSuperAdmin(user)) return true;
+    const [rows] = await connection.execute(`SELECT benutzerId FROM ${table} WHERE id = ?`, [id]);
+    return rows.length === 0 || canAccessUserHelper(user, rows[0].benutzerId, connection);
+}
+
+// Checks that a correction request lies in the past; format and order are checked by its request schema
+function validateCorrectionTimes(datum, endzeit) {
+    const now = new Date();
+    const today = now.toLocaleDateString('en-CA');
+    const currentTime = now.toTimeString().substring(0, 5);
+    if (datum > today || (datum === today && endzeit > currentTime)) return "Korrekturen sind nur für vergangene Zeiten möglich.";
+    return null;
+}
+
+// Work entries of a user overlapping the period [start, end); running timers count up to now
+async function getOverlappingWorkEntriesHelper(connection, benutzerId, start, end, excludeId = null) {
+    const [rows] = await connection.execute(
+        "SELECT id, startZeit, endZeit FROM Arbeitszeiten WHERE benutzerId = ? AND startZeit < ? AND COALESCE(endZeit, NOW()) > ? AND id <> ?",
+        [benutzerId, end, start, excludeId || 0]
+    );
+    return rows;
+}
+
+// Absences of a user touching the days [startDatum, endDatum]; rejected requests do not count
+async function getOverlappingAbsencesHelper(connection, benutzerId, startDatum, endDatum, excludeId = null) {
+    const [rows] = await connection.execute(
+        "SELECT a.id, DATE_FORMAT(a.start_datum, '%Y-%m-%d') AS start_datum, DATE_FORMAT(a.end_datum, '%Y-%m-%d') AS end_datum, a.abwesenheit_typ, a.umfang, a.stunden, a.status, t.gutschriftStunden FROM Abwesenheiten a LEFT JOIN Abwesenheitstypen t ON t.name = a.abwesenheit_typ WHERE a.benutzerId = ? AND a.status <> 'abgelehnt' AND a.start_datum <= ? AND a.end_datum >= ? AND a.id <> ? ORDER BY a.start_datum",
+        [benutzerId, endDatum, startDatum, excludeId || 0]
+    );
+    return rows;
+}
+
+// Partial days and types without credited hours (e.g. Homeoffice) leave the day free for work
+function absenceLeavesRoomForWork(absence, gutschriftStunden) {
+    return isPartialDayAbsence(absence) || (gutschriftStunden !== null && gutschriftStunden !== undefined && parseFloat(gutschriftStunden) === 0);
+}
+
+// Days within [startDatum, endDatum] on which the user recorded work, with the recorded minutes
+// Night shifts across midnight count on each day with their portion
+async function getWorkDaysInRangeHelper(connection, benutzerId, startDatum, endDatum) {
+    const [rows] = await connection.execute(
+        "SELECT DATE_FORMAT(startZeit, '%Y-%m-%d') AS tag, startZeit, endZeit FROM Arbeitszeiten WHERE benutzerId = ? AND startZeit < DATE_ADD(?, INTERVAL 1 DAY) AND COALESCE(endZeit, NOW()) > ? ORDER BY startZeit",
+        [benutzerId, endDatum, startDatum]
+    );
+    const now = new Date();
+    const minutenProTag = new Map();
+    splitRowsAtMidnight(rows, { von: startDatum, bis: endDatum }).forEach(row => {
+        const minuten = Math.floor(((row.endZeit === null ? now : new Date(row.endZeit)) - new Date(row.startZeit)) / 60000);
+        minutenProTag.set(row.tag, (minutenProTag.get(row.tag) || 0) + minuten);
+    });
+    return [...minutenProTag].map(([datum, minuten]) => ({ datum, minuten }));
+}
+
+function formatDateDe(isoDate) {
+    return isoDate.split('-').reverse().join('.');
+}
+
+function formatAbsencePeriod(absence) {
+    if (absence.start_datum !== absence.end_datum) return `vom ${formatDateDe(absence.start_datum)} bis ${formatDateDe(absence.end_datum)}`;
+    return `am ${formatDateDe(absence.start_datum)}${isPartialDayAbsence(absence) ? ` (${formatAbsenceScope(absence)})` : ''}`;
+}
+
+/*
+ * Conflict checks for new or changed entries. Both return
+ *   konflikte: overlaps that are never allowed (two absences, two work segments)
+ *   warnungen: work on an absence day; allowed once the client confirms it
+ * Partial-day absences leave room for work and for a second partial absence,
+ * absence types without credited hours leave room for work.
+ */
+async function getAbsenceConflictsHelper(connection, benutzerId, absence, excludeId = null) {
+    const { start_datum: startDatum, end_datum: endDatum } = absence;
+    const absences = (await getOverlappingAbsencesHelper(connection, benutzerId, startDatum, endDatum, excludeId))
+        .filter(existing => absencesCollide(absence, existing));
+    const absenceType = (await getAbsenceTypesHelper(connection)).get(absence.abwesenheit_typ);
+    const workDays = absenceLeavesRoomForWork(absence, absenceType && absenceType.gutschriftStunden) ? [] : await getWorkDaysInRangeHelper(connection, benutzerId, startDatum, endDatum);
+    return {
+        konflikte: absences.map(existing => ({
+            typ: 'abwesenheit',
+            id: existing.id,
+            meldung: `${existing.abwesenheit_typ} ${formatAbsencePeriod(existing)} (${existing.status})`
+        })),
+        warnungen: workDays.map(day => ({
+            typ: 'arbeitszeit',
+            datum: day.datum,
+            meldung: `Am ${formatDateDe(day.datum)} sind bereits ${formatHoursAsHHMM(Number(day.minuten) / 60)} Std. Arbeitszeit erfasst.`
+        }))
+    };
+}
+
+async function getWorkEntryConflictsHelper(connection, benutzerId, start, end, excludeId = null) {
+    const formatTime = value => new Date(value).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+    const entries = await getOverlappingWorkEntriesHelper(connection, benutzerId, start, end, excludeId);
+    const absences = (await getOverlappingAbsencesHelper(connection, benutzerId, new Date(start).toLocaleDateString('en-CA'), new Date(end).toLocaleDateString('en-CA')))
+        .filter(absence => !absenceLeavesRoomForWork(absence, absence.gutschriftStunden));
+    return {
+        konflikte: entries.map(entry => ({
+            typ: 'arbeitszeit',
+            id: entry.id,
+            meldung: `Arbeitszeit am ${new Date(entry.startZeit).toLocaleDateString('de-DE')} von ${formatTime(entry.startZeit)} bis ${entry.endZeit ? formatTime(entry.endZeit) : 'jetzt (läuft noch)'}`
+        })),
+        warnungen: absences.map(absence => ({
+            typ: 'abwesenheit',
+            id: absence.id,
+            meldung: `${absence.abwesenheit_typ} ist ${formatAbsencePeriod(absence)} eingetragen (${absence.status}).`
+        }))
     };
 }
 
+// Body of the 409 answer for a conflict check, or null if the entry may be saved
+const KONFLIKT_MELDUNGEN_MAX = 5;
+function getConflictResponseHelper({ konflikte, warnungen }, konfliktBestaetigt) {
+    const summarize = items => {
+        const texts = items.slice(0, KONFLIKT_MELDUNGEN_MAX).map(item => item.meldung);
+        if (items.length > KONFLIKT_MELDUNGEN_MAX) texts.push(`... und ${items.length - KONFLIKT_MELDUNGEN_MAX} weitere`);
+        return texts;
+    };
+    if (konflikte.length > 0) {
+        return { success: false, message: `Überschneidung mit bestehenden Einträgen: ${summarize(konflikte).join('; ')}`, konflikte };
+    }
+    if (warnungen.length > 0 && !konfliktBestaetigt) {
+        return { success: false, message: summarize(warnungen).join(' '), bestaetigungErforderlich: true, warnungen };
+    }
+    return null;
+}
+
 app.get("/", (req, res) => {
     res.redirect("/login.html");
 });
@@ -204,52 +528,405 @@ app.use('/api/', (req, res, next) => {
     next();
 });
 
+// Login brute-force protection: the account is locked after LOGIN_MAX_ATTEMPTS failures in a row
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+// Reasons in Anmeldeversuche that count as failed password or code guess; wrong kiosk entries are throttled per device
+const LOGIN_FEHLER_GRUENDE = ['falsches_passwort', 'unbekannte_email', 'falscher_2fa_code'];
+
+// Records a login attempt; logging problems must never block the login itself
+async function logLoginAttemptHelper(email, benutzerId, ip, erfolgreich, grund) {
+    try {
+        await pool.execute(
+            "INSERT INTO Anmeldeversuche (email, benutzerId, ip, erfolgreich, grund) VALUES (?, ?, ?, ?, ?)",
+            [String(email).substring(0, 255), benutzerId, ip || 'unbekannt', erfolgreich, grund]
+        );
+    } catch (error) {
+        console.error("[LOGIN] Anmeldeversuch konnte nicht protokolliert werden:", error);
+    }
+}
+
+// Remaining backoff for a client IP, based on its failed attempts within IP_BACKOFF.windowMs
+// gruende: reasons in Anmeldeversuche that are counted, by default the failed logins
+async function getIpRetryAfterMsHelper(ip, gruende = LOGIN_FEHLER_GRUENDE) {
+    const [rows] = await pool.query(
+        "SELECT COUNT(*) AS anzahl, MAX(zeitpunkt) AS letzterFehlversuch FROM Anmeldeversuche WHERE ip = ? AND grund IN (?) AND zeitpunkt >= ?",
+        [ip || 'unbekannt', gruende, new Date(Date.now() - IP_BACKOFF.windowMs)]
+    );
+    return getRetryAfterMs(rows[0].anzahl, rows[0].letzterFehlversuch, new Date(), IP_BACKOFF);
+}
+
+function sendLoginThrottledResponse(res, waitMs, message) {
+    const retryAfter = Math.ceil(waitMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ success: false, message: `${message} Bitte in ${retryAfter} Sekunden erneut versuchen.`, retryAfter });
+}
+
+// Remaining lock or backoff of an account, with the message for sendLoginThrottledResponse()
+function getAccountThrottleHelper(user, now) {
+    if (user.gesperrtBis && new Date(user.gesperrtBis) > now) {
+        return { waitMs: new Date(user.gesperrtBis) - now, grund: 'konto_gesperrt', message: "Das Konto ist nach zu vielen Fehlversuchen vorübergehend gesperrt." };
+    }
+    const waitMs = getRetryAfterMs(user.fehlversuche, user.letzterFehlversuch, now, ACCOUNT_BACKOFF);
+    return waitMs > 0 ? { waitMs, grund: 'gedrosselt', message: "Zu viele fehlgeschlagene Anmeldeversuche." } : null;
+}
+
+// Unknown emails get the same backoff and lock as accounts, counted from the log of failed attempts,
+// so that a 429 does not reveal which accounts exist
+async function getUnknownEmailThrottleHelper(email, now) {
+    const [rows] = await pool.execute(
+        "SELECT COUNT(*) AS anzahl, MAX(zeitpunkt) AS letzterFehlversuch FROM Anmeldeversuche WHERE email = ? AND grund = 'unbekannte_email'",
+        [String(email).substring(0, 255)]
+    );
+    const { anzahl, letzterFehlversuch } = rows[0];
+    const gesperrtBis = anzahl >= LOGIN_MAX_ATTEMPTS ? new Date(new Date(letzterFehlversuch).getTime() + LOGIN_LOCKOUT_MINUTES * 60 * 1000) : null;
+    return { throttle: getAccountThrottleHelper({ fehlversuche: anzahl, letzterFehlversuch, gesperrtBis }, now), fehlversuche: anzahl };
+}
+
+// Counts a wrong password or 2FA code; returns the end of the lock if this failure locked the account
+async function registerFailedLoginHelper(user, email, ip, grund, now) {
+    // Counted in SQL so parallel attempts cannot overwrite each other; the lock
+    // is renewed with every further failure until a successful login or an unlock
+    const lockUntil = new Date(now.getTime() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+    await pool.execute(
+        "UPDATE Praktikanten SET fehlversuche = fehlversuche + 1, letzterFehlversuch = ?, gesperrtBis = IF(fehlversuche >= ?, ?, gesperrtBis) WHERE id = ?",
+        [now, LOGIN_MAX_ATTEMPTS, lockUntil, user.id]
+    );
+    await logLoginAttemptHelper(email, user.id, ip, false, grund);
+    if (user.fehlversuche + 1 < LOGIN_MAX_ATTEMPTS) return null;
+    console.warn(`[LOGIN] Account ${user.id} locked until ${lockUntil.toISOString()} after ${user.fehlversuche + 1} failed attempts (IP ${ip})`);
+    return lockUntil;
+}
+
+// Stores the user in the session once all login steps are passed
+async function completeLoginHelper(req, user, email) {
+    if (user.fehlversuche > 0 || user.gesperrtBis) {
+        await pool.execute("UPDATE Praktikanten SET fehlversuche = 0, letzterFehlversuch = NULL, gesperrtBis = NULL WHERE id = ?", [user.id]);
+    }
+    await logLoginAttemptHelper(email, user.id, req.ip, true, 'erfolgreich');
+    delete req.session.zweiFaktorAnmeldung;
+    req.session.user = {
+        id: user.id, email: user.email, vorname: user.vorname, nachname: user.nachname, rolle: user.rolle,
+        istSuperAdmin: user.rolle === 'Betreuer' && !!user.superadmin,
+        zweiFaktorAktiv: !!user.totpAktiv
+    };
+
+    // Clean up old autocut session flags on login
+    Object.keys(req.session).forEach(key => {
+        if (key.startsWith('autocut_handled_')) {
+            delete req.session[key];
+        }
+    });
+}
+
+// Runtime settings (Einstellungen table)
+async function getSettingHelper(schluessel, defaultValue) {
+    const [rows] = await pool.execute("SELECT wert FROM Einstellungen WHERE schluessel = ?", [schluessel]);
+    return rows.length > 0 ? rows[0].wert : defaultValue;
+}
+
+async function setSettingHelper(schluessel, wert, benutzerId) {
+    await pool.execute(
+        "INSERT INTO Einstellungen (schluessel, wert, geaendertVon) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE wert = VALUES(wert), geaendertVon = VALUES(geaendertVon)",
+        [schluessel, wert, benutzerId]
+    );
+}
+
+// Whether super-admins made two-factor authentication mandatory for all Betreuer
+async function isTwoFactorRequiredHelper() {
+    return (await getSettingHelper('zweiFaktorPflichtBetreuer', 'false')) === 'true';
+}
+
+// Betreuer without 2FA only reach the login and 2FA setup routes while 2FA is mandatory
+const TWO_FACTOR_SETUP_PATHS = ['/api/auth/', '/api/2fa/'];
+app.use('/api/', async (req, res, next) => {
+    const user = req.session.user;
+    if (!user || user.rolle !== 'Betreuer' || user.zweiFaktorAktiv) return next();
+    if (TWO_FACTOR_SETUP_PATHS.some(prefix => req.originalUrl.startsWith(prefix))) return next();
+    try {
+        if (!(await isTwoFactorRequiredHelper())) return next();
+        res.status(403).json({ success: false, message: "Für Betreuer-Konten ist die Zwei-Faktor-Authentifizierung vorgeschrieben. Bitte zuerst einrichten.", zweiFaktorEinrichtungErforderlich: true });
+    } catch (error) {
+        console.error("[2FA] Pflicht-Einstellung konnte nicht gelesen werden:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+// Links in mails are built from configuration, never from the Host header of the request
+const APP_BASE_URL = (process.env.APP_BASE_URL || process.env.FRONTEND_ORIGIN || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+// Single-use tokens (password reset, invitations) are only stored as SHA-256 hash
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isValidTokenFormat(token) {
+    return typeof token === 'string' && /^[0-9a-f]{64}$/.test(token);
+}
+
 // API Routes - Authentication
-app.post("/api/auth/login", async (req, res) => {
+
+// Compared against for unknown emails, so the login takes as long as for an existing account
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+app.post("/api/auth/login", validate(schemas.login), async (req, res) => {
     try {
         const { email, passwort } = req.body;
+        const ip = req.ip;
+
+        const ipWaitMs = await getIpRetryAfterMsHelper(ip);
+        if (ipWaitMs > 0) {
+            await logLoginAttemptHelper(email, null, ip, false, 'ip_gedrosselt');
+            return sendLoginThrottledResponse(res, ipWaitMs, "Zu viele fehlgeschlagene Anmeldeversuche von dieser Adresse.");
+        }
+
         const [users] = await pool.execute("SELECT * FROM Praktikanten WHERE email = ?", [email]);
-        if (users.length > 0) {
-            const isValid = await bcrypt.compare(passwort, users[0].password);
-            if (isValid) {
-                req.session.user = { id: users[0].id, email: users[0].email, vorname: users[0].vorname, nachname: users[0].nachname, rolle: users[0].rolle };
-                
-                // Clean up old autocut session flags on login
-                Object.keys(req.session).forEach(key => {
-                    if (key.startsWith('autocut_handled_')) {
-                        delete req.session[key];
-                    }
-                });
-                
-                return res.json({ success: true, user: req.session.user, rolle: users[0].rolle });
+        const now = new Date();
+        if (users.length === 0) {
+            const unbekannt = await getUnknownEmailThrottleHelper(email, now);
+            if (unbekannt.throttle) {
+                await logLoginAttemptHelper(email, null, ip, false, unbekannt.throttle.grund);
+                return sendLoginThrottledResponse(res, unbekannt.throttle.waitMs, unbekannt.throttle.message);
+            }
+            await bcrypt.compare(passwort, DUMMY_PASSWORD_HASH);
+            await logLoginAttemptHelper(email, null, ip, false, 'unbekannte_email');
+            if (unbekannt.fehlversuche + 1 >= LOGIN_MAX_ATTEMPTS) {
+                return sendLoginThrottledResponse(res, LOGIN_LOCKOUT_MINUTES * 60 * 1000, "Das Konto ist nach zu vielen Fehlversuchen vorübergehend gesperrt.");
             }
+            return res.status(401).json({ success: false, message: "Ungültige Anmeldedaten" });
+        }
+        const user = users[0];
+
+        const throttle = getAccountThrottleHelper(user, now);
+        if (throttle) {
+            await logLoginAttemptHelper(email, user.id, ip, false, throttle.grund);
+            return sendLoginThrottledResponse(res, throttle.waitMs, throttle.message);
+        }
+
+        const isValid = await bcrypt.compare(passwort, user.password);
+        if (!isValid) {
+            const lockUntil = await registerFailedLoginHelper(user, email, ip, 'falsches_passwort', now);
+            if (lockUntil) return sendLoginThrottledResponse(res, lockUntil - now, "Das Konto ist nach zu vielen Fehlversuchen vorübergehend gesperrt.");
+            return res.status(401).json({ success: false, message: "Ungültige Anmeldedaten" });
         }
-        res.status(401).json({ success: false, message: "Ungültige Anmeldedaten" });
+
+        // Checked after the password so that the answer does not reveal the account state
+        if (user.status !== 'aktiv') {
+            await logLoginAttemptHelper(email, user.id, ip, false, 'konto_inaktiv');
+            return res.status(403).json({
+                success: false,
+                message: user.freigabeAusstehend
+                    ? "Ihr Konto wartet noch auf die Freigabe durch einen Betreuer."
+                    : "Ihr Konto ist deaktiviert. Bitte wenden Sie sich an Ihren Betreuer."
+            });
+        }
+
+        // Second step: the session only remembers the pending login until the code is confirmed
+        if (user.totpAktiv) {
+            delete req.session.user;
+            req.session.zweiFaktorAnmeldung = { benutzerId: user.id, email, seit: now.getTime() };
+            return res.json({ success: true, zweiFaktorErforderlich: true });
+        }
+
+        await completeLoginHelper(req, user, email);
+        const zweiFaktorEinrichtungErforderlich = user.rolle === 'Betreuer' && await isTwoFactorRequiredHelper();
+        res.json({ success: true, user: req.session.user, rolle: user.rolle, zweiFaktorEinrichtungErforderlich });
     } catch (error) {
         console.error("Login-Fehler:", error);
         res.status(500).json({ success: false, message: "Interner Fehler" });
     }
 });
 
-app.post("/api/auth/register", async (req, res) => {
+const TWO_FACTOR_LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Checks a TOTP code and stores its time step, so that every code works only once
+async function consumeTotpCodeHelper(connection, benutzerId, secret, code) {
+    const step = verifyTotp(secret, code);
+    if (step === null) return false;
+    const [result] = await connection.execute(
+        "UPDATE Praktikanten SET totpLetzterSchritt = ? WHERE id = ? AND (totpLetzterSchritt IS NULL OR totpLetzterSchritt < ?)",
+        [step, benutzerId, step]
+    );
+    return result.affectedRows === 1;
+}
+
+async function consumeRecoveryCodeHelper(connection, benutzerId, code) {
+    const normalized = normalizeRecoveryCode(code);
+    if (!normalized) return false;
+    const [result] = await connection.execute(
+        "UPDATE Wiederherstellungscodes SET verwendetAm = NOW() WHERE benutzerId = ? AND codeHash = ? AND verwendetAm IS NULL",
+        [benutzerId, hashToken(normalized)]
+    );
+    return result.affectedRows === 1;
+}
+
+// Replaces all recovery codes of a user; returns the new codes in plain text (shown once)
+async function replaceRecoveryCodesHelper(connection, benutzerId) {
+    const codes = generateRecoveryCodes();
+    await connection.execute("DELETE FROM Wiederherstellungscodes WHERE benutzerId = ?", [benutzerId]);
+    for (const code of codes) {
+        await connection.execute("INSERT INTO Wiederherstellungscodes (benutzerId, codeHash) VALUES (?, ?)", [benutzerId, hashToken(code)]);
+    }
+    return codes;
+}
+
+async function countRecoveryCodesHelper(benutzerId) {
+    const [rows] = await pool.execute("SELECT COUNT(*) AS anzahl FROM Wiederherstellungscodes WHERE benutzerId = ? AND verwendetAm IS NULL", [benutzerId]);
+    return rows[0].anzahl;
+}
+
+app.post("/api/auth/2fa", validate(schemas.zweiFaktorAnmeldung), async (req, res) => {
+    const pending = req.session.zweiFaktorAnmeldung;
+    if (!pending || Date.now() - pending.seit > TWO_FACTOR_LOGIN_TIMEOUT_MS) {
+        delete req.session.zweiFaktorAnmeldung;
+        return res.status(401).json({ success: false, message: "Die Anmeldung ist abgelaufen. Bitte erneut mit Email und Passwort anmelden.", anmeldungAbgelaufen: true });
+    }
+    const { code } = req.body;
+    try {
+        const ip = req.ip;
+        const ipWaitMs = await getIpRetryAfterMsHelper(ip);
+        if (ipWaitMs > 0) {
+            await logLoginAttemptHelper(pending.email, pending.benutzerId, ip, false, 'ip_gedrosselt');
+            return sendLoginThrottledResponse(res, ipWaitMs, "Zu viele fehlgeschlagene Anmeldeversuche von dieser Adresse.");
+        }
+        const [users] = await pool.execute("SELECT * FROM Praktikanten WHERE id = ? AND status = 'aktiv' AND totpAktiv = TRUE", [pending.benutzerId]);
+        if (users.length === 0) {
+            delete req.session.zweiFaktorAnmeldung;
+            return res.status(401).json({ success: false, message: "Die Anmeldung ist abgelaufen. Bitte erneut mit Email und Passwort anmelden.", anmeldungAbgelaufen: true });
+        }
+        const user = users[0];
+        const now = new Date();
+        const throttle = getAccountThrottleHelper(user, now);
+        if (throttle) {
+            await logLoginAttemptHelper(pending.email, user.id, ip, false, throttle.grund);
+            return sendLoginThrottledResponse(res, throttle.waitMs, throttle.message);
+        }
+
+        const totpOk = await consumeTotpCodeHelper(pool, user.id, user.totpSecret, code);
+        const recoveryCodeUsed = !totpOk && await consumeRecoveryCodeHelper(pool, user.id, code);
+        if (!totpOk && !recoveryCodeUsed) {
+            const lockUntil = await registerFailedLoginHelper(user, pending.email, ip, 'falscher_2fa_code', now);
+            if (lockUntil) {
+                delete req.session.zweiFaktorAnmeldung;
+                return sendLoginThrottledResponse(res, lockUntil - now, "Das Konto ist nach zu vielen Fehlversuchen vorübergehend gesperrt.");
+            }
+            return res.status(401).json({ success: false, message: "Ungültiger Code." });
+        }
+
+        await completeLoginHelper(req, user, pending.email);
+        const response = { success: true, user: req.session.user, rolle: user.rolle };
+        if (recoveryCodeUsed) {
+            response.verbleibendeWiederherstellungscodes = await countRecoveryCodesHelper(user.id);
+            console.log(`[2FA] User ${user.id} logged in with a recovery code, ${response.verbleibendeWiederherstellungscodes} left`);
+        }
+        res.json(response);
+    } catch (error) {
+        console.error("2FA-Anmeldefehler:", error);
+        res.status(500).json({ success: false, message: "Interner Fehler" });
+    }
+});
+
+// Self-registration: open, domain (only REGISTRATION_ALLOWED_DOMAINS), approval (accounts start inaktiv)
+// or invite (only with an invitation link); invitation links are accepted in every mode
+const REGISTRATION_MODES = ['open', 'domain', 'approval', 'invite'];
+const REGISTRATION_MODE = (() => {
+    const configured = (process.env.REGISTRATION_MODE || 'open').toLowerCase();
+    if (REGISTRATION_MODES.includes(configured)) return configured;
+    console.warn(`[REGISTRATION] Unbekannter REGISTRATION_MODE "${configured}" - Registrierung nur mit Einladung.`);
+    return 'invite';
+})();
+const REGISTRATION_ALLOWED_DOMAINS = (process.env.REGISTRATION_ALLOWED_DOMAINS || '')
+    .split(',').map(domain => domain.trim().toLowerCase().replace(/^@/, '')).filter(Boolean);
+const INVITE_VALID_DAYS = parseInt(process.env.INVITE_VALID_DAYS, 10) || 14;
+
+function isAllowedRegistrationDomain(email) {
+    return REGISTRATION_ALLOWED_DOMAINS.includes(email.split('@').pop().trim().toLowerCase());
+}
+
+// Unused, unexpired invitation for a token, or null
+async function getOpenInvitationHelper(connection, token, forUpdate = false) {
+    if (!isValidTokenFormat(token)) return null;
+    const [rows] = await connection.execute(
+        `SELECT id, email, vorname, nachname, bildungstraeger, betreuerId FROM Einladungen WHERE tokenHash = ? AND verwendetAm IS NULL AND ablaufAm > ?${forUpdate ? ' FOR UPDATE' : ''}`,
+        [hashToken(token), new Date()]
+    );
+    return rows[0] || null;
+}
+
+app.get("/api/auth/registrierung", (req, res) => {
+    res.json({ success: true, modus: REGISTRATION_MODE, erlaubteDomains: REGISTRATION_MODE === 'domain' ? REGISTRATION_ALLOWED_DOMAINS : [] });
+});
+
+app.get("/api/auth/einladung/:token", validate(schemas.einladungAbrufen), async (req, res) => {
+    try {
+        const einladung = await getOpenInvitationHelper(pool, req.params.token);
+        if (!einladung) return res.status(404).json({ success: false, message: "Die Einladung ist ungültig oder abgelaufen." });
+        const { email, vorname, nachname, bildungstraeger } = einladung;
+        res.json({ success: true, einladung: { email, vorname, nachname, bildungstraeger } });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+app.post("/api/auth/register", validate(schemas.registrieren), async (req, res) => {
+    const { vorname, nachname, email, passwort, adresse, telefonnummer, bildungstraeger, einladungToken } = req.body;
+    const connection = await pool.getConnection();
     try {
-        const { vorname, nachname, email, passwort, adresse, telefonnummer, bildungstraeger } = req.body;
-        if (!email || !passwort || !vorname || !nachname) {
-            return res.status(400).json({ success: false, message: "Vorname, Nachname, Email und Passwort sind erforderlich." });
+        await connection.beginTransaction();
+        let einladung = null;
+        if (einladungToken) {
+            einladung = await getOpenInvitationHelper(connection, einladungToken, true);
+            if (!einladung) {
+                await connection.rollback();
+                return res.status(400).json({ success: false, message: "Die Einladung ist ungültig oder abgelaufen." });
+            }
+            if (einladung.email.toLowerCase() !== String(email).trim().toLowerCase()) {
+                await connection.rollback();
+                return res.status(400).json({ success: false, message: "Die Email muss der Email aus der Einladung entsprechen." });
+            }
+        } else if (REGISTRATION_MODE === 'invite') {
+            await connection.rollback();
+            return res.status(403).json({ success: false, message: "Die Registrierung ist nur mit einer Einladung möglich." });
+        } else if (REGISTRATION_MODE === 'domain' && !isAllowedRegistrationDomain(String(email))) {
+            await connection.rollback();
+            return res.status(403).json({ success: false, message: "Die Registrierung ist nur mit einer Email der zugelassenen Domains möglich." });
         }
-        const [existingUsersByEmail] = await pool.execute("SELECT id FROM Praktikanten WHERE email = ?", [email]);
+
+        const [existingUsersByEmail] = await connection.execute("SELECT id FROM Praktikanten WHERE email = ?", [email]);
         if (existingUsersByEmail.length > 0) {
+            await connection.rollback();
             return res.status(409).json({ success: false, message: "Email existiert bereits." });
         }
+        const wartetAufFreigabe = !einladung && REGISTRATION_MODE === 'approval';
         const hashedPassword = await bcrypt.hash(passwort, 10);
-        const [result] = await pool.execute(
-            `INSERT INTO Praktikanten (vorname, nachname, email, password, rolle, status, adresse, telefonnummer, bildungstraeger) VALUES (?, ?, ?, ?, 'Praktikant', 'aktiv', ?, ?, ?)`,
-            [vorname, nachname, email, hashedPassword, adresse || null, telefonnummer || null, bildungstraeger || null]
+        const [result] = await connection.execute(
+            `INSERT INTO Praktikanten (vorname, nachname, email, password, rolle, status, freigabeAusstehend, betreuerId, adresse, telefonnummer, bildungstraeger) VALUES (?, ?, ?, ?, 'Praktikant', ?, ?, ?, ?, ?, ?)`,
+            [vorname, nachname, email, hashedPassword, wartetAufFreigabe ? 'inaktiv' : 'aktiv', wartetAufFreigabe, einladung ? einladung.betreuerId : null, adresse || null, telefonnummer || null, bildungstraeger || null]
         );
-        res.status(201).json({ success: true, message: `Registrierung erfolgreich.`, userId: result.insertId });
+
+        if (einladung) {
+            await connection.execute("UPDATE Einladungen SET verwendetAm = NOW(), benutzerId = ? WHERE id = ?", [result.insertId, einladung.id]);
+        }
+        if (wartetAufFreigabe) {
+            // Unassigned accounts are visible to super-admins only, so they decide about the activation
+            for (const betreuerId of await getResponsibleBetreuerIdsHelper(connection, null)) {
+                await createNotificationHelper(connection, betreuerId, 'registrierung',
+                    `${vorname} ${nachname} (${email}) hat sich registriert und wartet auf die Freigabe.`);
+            }
+        }
+        await connection.commit();
+        console.log(`[REGISTRATION] User ${result.insertId} registered (${einladung ? `invitation ${einladung.id}` : REGISTRATION_MODE})`);
+        res.status(201).json({
+            success: true,
+            message: wartetAufFreigabe
+                ? "Registrierung eingegangen. Sie können sich anmelden, sobald ein Betreuer Ihr Konto freigegeben hat."
+                : "Registrierung erfolgreich. Sie können sich jetzt einloggen.",
+            userId: result.insertId,
+            freigabeAusstehend: wartetAufFreigabe
+        });
     } catch (error) {
+        await connection.rollback();
         console.error("Registrierungsfehler:", error);
         res.status(500).json({ success: false, message: "Interner Serverfehler bei der Registrierung." });
+    } finally {
+        connection.release();
     }
 });
 
@@ -260,11 +937,115 @@ app.post("/api/auth/logout", (req, res) => {
     });
 });
 
+// Password reset: single-use token, mailed as link to the reset page
+const PASSWORD_RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES, 10) || 60;
+// No new mail while a token younger than this is still open, against mail flooding
+const PASSWORD_RESET_RESEND_MINUTES = 2;
+
+// Ends all sessions of a user, also logins still waiting for the second factor
+function destroyUserSessionsHelper(benutzerId) {
+    return new Promise((resolve, reject) => {
+        sessionStore.all((error, sessions) => {
+            if (error) return reject(error);
+            const sessionIds = Object.keys(sessions || {}).filter(sid => {
+                const sitzung = sessions[sid];
+                return (sitzung.user && sitzung.user.id === benutzerId)
+                    || (sitzung.zweiFaktorAnmeldung && sitzung.zweiFaktorAnmeldung.benutzerId === benutzerId);
+            });
+            Promise.all(sessionIds.map(sid => new Promise((done, fail) => sessionStore.destroy(sid, err => err ? fail(err) : done()))))
+                .then(() => resolve(sessionIds.length), reject);
+        });
+    });
+}
+
+// Mails a reset link if an active account with this email exists; runs after the answer was sent
+async function sendPasswordResetLinkHelper(email) {
+    const [users] = await pool.execute("SELECT id, email, vorname FROM Praktikanten WHERE email = ? AND status = 'aktiv'", [email]);
+    if (users.length === 0) return;
+    const user = users[0];
+
+    const [recentTokens] = await pool.execute(
+        "SELECT id FROM PasswortResets WHERE benutzerId = ? AND verwendetAm IS NULL AND erstelltAm > ?",
+        [user.id, new Date(Date.now() - PASSWORD_RESET_RESEND_MINUTES * 60 * 1000)]
+    );
+    if (recentTokens.length > 0) return;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const ablaufAm = new Date(Date.now() + PASSWORD_RESET_TOKEN_MINUTES * 60 * 1000);
+    // Only the newest link is valid
+    await pool.execute("DELETE FROM PasswortResets WHERE benutzerId = ? AND verwendetAm IS NULL", [user.id]);
+    await pool.execute("INSERT INTO PasswortResets (benutzerId, tokenHash, ablaufAm) VALUES (?, ?, ?)", [user.id, hashToken(token), ablaufAm]);
+
+    const link = `${APP_BASE_URL}/passwort-zuruecksetzen.html?token=${token}`;
+    await sendMail({
+        to: user.email,
+        subject: "Passwort zurücksetzen - Zeiterfassung",
+        text: `Hallo ${user.vorname || ''},\n\n`
+            + `für Ihr Konto wurde das Zurücksetzen des Passworts angefordert. Über folgenden Link können Sie ein neues Passwort festlegen:\n\n`
+            + `${link}\n\n`
+            + `Der Link ist ${PASSWORD_RESET_TOKEN_MINUTES} Minuten gültig und kann nur einmal verwendet werden. `
+            + `Falls Sie das nicht angefordert haben, können Sie diese Email ignorieren.\n`
+    });
+    console.log(`[PASSWORD RESET] Reset link sent to user ${user.id}`);
+}
+
+app.post("/api/auth/passwort-vergessen", validate(schemas.passwortVergessen), async (req, res) => {
+    const { email } = req.body;
+    try {
+        // Requests are throttled per IP like failed logins, in a counter of their own
+        const waitMs = await getIpRetryAfterMsHelper(req.ip, ['passwort_vergessen']);
+        if (waitMs > 0) return sendLoginThrottledResponse(res, waitMs, "Zu viele Anfragen von dieser Adresse.");
+        await logLoginAttemptHelper(email, null, req.ip, false, 'passwort_vergessen');
+    } catch (error) {
+        console.error("Fehler beim Anfordern des Passwort-Resets:", error);
+        return res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+    // Answered before the account is looked up, so neither the answer nor its timing reveals whether it exists
+    res.json({ success: true, message: "Falls ein aktives Konto mit dieser Email existiert, wurde ein Link zum Zurücksetzen des Passworts gesendet." });
+    sendPasswordResetLinkHelper(email.trim()).catch(error => {
+        console.error("[PASSWORD RESET] Reset link could not be sent:", error);
+    });
+});
+
+app.post("/api/auth/passwort-zuruecksetzen", validate(schemas.passwortZuruecksetzen), async (req, res) => {
+    const { token, passwort } = req.body;
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [tokens] = await connection.execute(
+            "SELECT id, benutzerId FROM PasswortResets WHERE tokenHash = ? AND verwendetAm IS NULL AND ablaufAm > ? FOR UPDATE",
+            [hashToken(token), new Date()]
+        );
+        if (tokens.length === 0) {
+            await connection.rollback();
+            return res.status(400).json({ success: false, message: "Der Link ist ungültig oder abgelaufen." });
+        }
+        const { id, benutzerId } = tokens[0];
+        // A successful reset also lifts a login lockout
+        await connection.execute(
+            "UPDATE Praktikanten SET password = ?, fehlversuche = 0, letzterFehlversuch = NULL, gesperrtBis = NULL WHERE id = ?",
+            [await bcrypt.hash(passwort, 10), benutzerId]
+        );
+        await connection.execute("UPDATE PasswortResets SET verwendetAm = NOW() WHERE id = ?", [id]);
+        await connection.commit();
+        // Whoever knew the old password must not stay logged in
+        const beendet = await destroyUserSessionsHelper(benutzerId);
+        console.log(`[PASSWORD RESET] Password of user ${benutzerId} reset via token, ${beendet} session(s) ended`);
+        res.json({ success: true, message: "Passwort wurde geändert. Sie können sich jetzt anmelden." });
+    } catch (error) {
+        await connection.rollback();
+        console.error("Fehler beim Zurücksetzen des Passworts:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    } finally {
+        connection.release();
+    }
+});
+
 // User Profile
 app.get("/api/users/me/profile", async (req, res) => {
     if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
     try {
-        const [rows] = await pool.execute("SELECT id, email, rolle, status, vorname, nachname, adresse, telefonnummer, bildungstraeger, praktikumszeit_1_von_bis, praktikumszeit_2_von_bis, allgemeine_notizen, total_urlaubstage_annually FROM Praktikanten WHERE id = ?", [req.session.user.id]);
+        const [rows] = await pool.execute(`SELECT id, email, rolle, superadmin, status, vorname, nachname, adresse, telefonnummer, bildungstraeger, praktikumszeit_1_von_bis, praktikumszeit_2_von_bis, allgemeine_notizen, total_urlaubstage_annually, ${ARBEITSZEIT_SPALTEN.join(', ')}, kioskPinHash IS NOT NULL AS kioskPinGesetzt FROM Praktikanten WHERE id = ?`, [req.session.user.id]);
         if (rows.length > 0) {
             const profile = rows[0];
             
@@ -273,8 +1054,7 @@ app.get("/api/users/me/profile", async (req, res) => {
             const yearStartDate = `${currentYear}-01-01`;
             const yearEndDate = `${currentYear}-12-31`;
             
-            const vacationHoursUsed = await getVacationHoursForPeriodHelper(req.session.user.id, yearStartDate, yearEndDate, pool);
-            const usedUrlaubstageThisYear = vacationHoursUsed / HOURS_PER_URLAUBSTAG_GLOBAL;
+            const { vacationDays: usedUrlaubstageThisYear } = await getVacationForPeriodHelper(req.session.user.id, yearStartDate, yearEndDate, pool);
             const totalUrlaubstage = profile.total_urlaubstage_annually || 0;
             
             profile.usedUrlaubstageThisYear = usedUrlaubstageThisYear;
@@ -287,11 +1067,10 @@ app.get("/api/users/me/profile", async (req, res) => {
     } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler" }); }
 });
 
-app.put("/api/users/me/profile", async (req, res) => {
+app.put("/api/users/me/profile", validate(schemas.profilAktualisieren), async (req, res) => {
     if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
     try {
         const { vorname, nachname, adresse, telefonnummer, bildungstraeger, praktikumszeit_1_von_bis, praktikumszeit_2_von_bis, allgemeine_notizen } = req.body;
-        if (!vorname || !nachname) return res.status(400).json({ success: false, message: "Vorname und Nachname sind erforderlich." });
         await pool.execute(`UPDATE Praktikanten SET vorname = ?, nachname = ?, adresse = ?, telefonnummer = ?, bildungstraeger = ?, praktikumszeit_1_von_bis = ?, praktikumszeit_2_von_bis = ?, allgemeine_notizen = ? WHERE id = ?`,
             [vorname.trim(), nachname.trim(), adresse ? adresse.trim() : null, telefonnummer ? telefonnummer.trim() : null, bildungstraeger ? bildungstraeger.trim() : null, praktikumszeit_1_von_bis ? praktikumszeit_1_von_bis.trim() : null, praktikumszeit_2_von_bis ? praktikumszeit_2_von_bis.trim() : null, allgemeine_notizen ? allgemeine_notizen.trim() : null, req.session.user.id]
         );
@@ -301,11 +1080,10 @@ app.put("/api/users/me/profile", async (req, res) => {
     } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler" }); }
 });
 
-app.put("/api/users/me/password", async (req, res) => {
+app.put("/api/users/me/password", validate(schemas.passwortAendern), async (req, res) => {
     if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
     try {
         const { currentPassword, newPassword } = req.body;
-        if (!currentPassword || !newPassword) return res.status(400).json({ success: false, message: "Aktuelles und neues Passwort sind erforderlich." });
         const [users] = await pool.execute("SELECT password FROM Praktikanten WHERE id = ?", [req.session.user.id]);
         if (users.length === 0) return res.status(404).json({ success: false, message: "Benutzer nicht gefunden." });
         if (!await bcrypt.compare(currentPassword, users[0].password)) return res.status(400).json({ success: false, message: "Aktuelles Passwort ist nicht korrekt." });
@@ -314,163 +1092,301 @@ app.put("/api/users/me/password", async (req, res) => {
     } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
 });
 
-// Absences (User)
-app.post("/api/absences", async (req, res) => {
-    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
-    try {
-        const { start_datum, end_datum, abwesenheit_typ, beschreibung } = req.body;
-        if (!start_datum || !end_datum || !abwesenheit_typ) return res.status(400).json({ success: false, message: "Startdatum, Enddatum und Typ sind erforderlich." });
-        const [result] = await pool.execute("INSERT INTO Abwesenheiten (benutzerId, start_datum, end_datum, abwesenheit_typ, beschreibung) VALUES (?, ?, ?, ?, ?)", [req.session.user.id, start_datum, end_datum, abwesenheit_typ, beschreibung || null]);
-        res.status(201).json({ success: true, message: "Abwesenheit erfolgreich erstellt", id: result.insertId });
-    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler" }); }
-});
-app.get("/api/absences", async (req, res) => {
+// Kiosk PIN (User): generated by the server and shown only once, since only its HMAC is stored
+const KIOSK_PIN_MAX_VERSUCHE = 20;
+
+app.post("/api/users/me/kiosk-pin", async (req, res) => {
     if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
     try {
-        const [absences] = await pool.execute("SELECT id, DATE_FORMAT(start_datum, '%Y-%m-%d') as start_datum, DATE_FORMAT(end_datum, '%Y-%m-%d') as end_datum, abwesenheit_typ, beschreibung FROM Abwesenheiten WHERE benutzerId = ? ORDER BY start_datum DESC", [req.session.user.id]);
-        res.json({ success: true, absences });
-    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler" }); }
+        for (let versuch = 0; versuch < KIOSK_PIN_MAX_VERSUCHE; versuch++) {
+            const pin = generateKioskPin();
+            const pinHash = hashKioskIdentifier(pin, KIOSK_SECRET);
+            if (await isKioskIdentifierTakenHelper(pinHash, req.session.user.id)) continue;
+            try {
+                await pool.execute("UPDATE Praktikanten SET kioskPinHash = ? WHERE id = ?", [pinHash, req.session.user.id]);
+            } catch (error) {
+                // Another user got the same PIN in the meantime
+                if (error.code === 'ER_DUP_ENTRY') continue;
+                throw error;
+            }
+            console.log(`[KIOSK] User ${req.session.user.id} created a new kiosk PIN`);
+            return res.json({ success: true, message: "Neue Kiosk-PIN erstellt. Sie wird nur dieses eine Mal angezeigt.", pin });
+        }
+        res.status(503).json({ success: false, message: "Es konnte keine freie PIN gefunden werden. Bitte versuche es erneut." });
+    } catch (error) {
+        console.error("[KIOSK] PIN konnte nicht erstellt werden:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
 });
-app.put("/api/absences/:id", async (req, res) => {
+
+app.delete("/api/users/me/kiosk-pin", async (req, res) => {
     if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
     try {
-        const { start_datum, end_datum, abwesenheit_typ, beschreibung } = req.body;
-        if (!start_datum || !end_datum || !abwesenheit_typ) return res.status(400).json({ success: false, message: "Startdatum, Enddatum und Typ sind erforderlich." });
-        const [result] = await pool.execute("UPDATE Abwesenheiten SET start_datum = ?, end_datum = ?, abwesenheit_typ = ?, beschreibung = ? WHERE id = ? AND benutzerId = ?", [start_datum, end_datum, abwesenheit_typ, beschreibung || null, req.params.id, req.session.user.id]);
-        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Abwesenheit nicht gefunden oder Zugriff verweigert" });
-        res.json({ success: true, message: "Abwesenheit erfolgreich aktualisiert" });
-    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler" }); }
+        await pool.execute("UPDATE Praktikanten SET kioskPinHash = NULL WHERE id = ?", [req.session.user.id]);
+        console.log(`[KIOSK] User ${req.session.user.id} removed their kiosk PIN`);
+        res.json({ success: true, message: "Kiosk-PIN gelöscht." });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
 });
-app.delete("/api/absences/:id", async (req, res) => {
+
+// Absences (User)
+app.post("/api/absences", validate(schemas.abwesenheitErstellen), async (req, res) => {
     if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    const connection = await pool.getConnection();
     try {
-        const [result] = await pool.execute("DELETE FROM Abwesenheiten WHERE id = ? AND benutzerId = ?", [req.params.id, req.session.user.id]);
-        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Abwesenheit nicht gefunden oder Zugriff verweigert" });
-        res.json({ success: true, message: "Abwesenheit erfolgreich gelöscht" });
-    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler" }); }
+        const { start_datum, end_datum, abwesenheit_typ, umfang, stunden, beschreibung, konfliktBestaetigt } = req.body;
+        const absenceType = await getSelectableAbsenceTypeHelper(connection, abwesenheit_typ);
+        if (!absenceType) return res.status(400).json(UNKNOWN_ABSENCE_TYPE_RESPONSE);
+        const status = getInitialAbsenceStatus(absenceType);
+        await connection.beginTransaction();
+        const konflikt = getConflictResponseHelper(await getAbsenceConflictsHelper(connection, req.session.user.id, req.body), konfliktBestaetigt);
+        if (konflikt) {
+            await connection.rollback();
+            return res.status(409).json(konflikt);
+        }
+        const [result] = await connection.execute("INSERT INTO Abwesenheiten (benutzerId, start_datum, end_datum, abwesenheit_typ, umfang, stunden, beschreibung, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)", [req.session.user.id, start_datum, end_datum, abwesenheit_typ, umfang, stunden, beschreibung || null, status]);
+        await writeRowAuditHelper(connection, req.session.user, 'Abwesenheiten', result.insertId, 'erstellt', null);
+        await connection.commit();
+        const message = status === 'beantragt' ? "Antrag eingereicht. Die Abwesenheit wird nach Genehmigung durch den Betreuer angerechnet." : "Abwesenheit erfolgreich erstellt";
+        res.status(201).json({ success: true, message, id: result.insertId, status });
+    } catch (error) {
+        await connection.rollback();
+        res.status(500).json({ success: false, message: "Interner Serverfehler" });
+    } finally {
+        connection.release();
+    }
 });
-
-// Server-Authoritative Time Tracking Endpoints
-app.post("/api/zeiterfassung/start_segment", async (req, res) => {
-    if (!req.session.user) {
-        return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+app.get("/api/absences", async (req, res) => {
+    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    try {
+        const [absences] = await pool.execute("SELECT id, DATE_FORMAT(start_datum, '%Y-%m-%d') as start_datum, DATE_FORMAT(end_datum, '%Y-%m-%d') as end_datum, abwesenheit_typ, umfang, stunden, beschreibung, status, ablehnungsgrund FROM Abwesenheiten WHERE benutzerId = ? ORDER BY start_datum DESC", [req.session.user.id]);
+        res.json({ success: true, absences });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler" }); }
+});
+app.put("/api/absences/:id", validate(schemas.abwesenheitAendern), async (req, res) => {
+    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    const connection = await pool.getConnection();
+    try {
+        const { start_datum, end_datum, abwesenheit_typ, umfang, stunden, beschreibung, konfliktBestaetigt } = req.body;
+        await connection.beginTransaction();
+        const alterWert = await getAuditSnapshotHelper(connection, 'Abwesenheiten', req.params.id);
+        if (!alterWert || alterWert.benutzerId !== req.session.user.id) {
+            await connection.rollback();
+            return res.status(404).json({ success: false, message: "Abwesenheit nicht gefunden oder Zugriff verweigert" });
+        }
+        const absenceType = await getSelectableAbsenceTypeHelper(connection, abwesenheit_typ, alterWert.abwesenheit_typ);
+        if (!absenceType) {
+            await connection.rollback();
+            return res.status(400).json(UNKNOWN_ABSENCE_TYPE_RESPONSE);
+        }
+        // Any change by the intern sends the request back into the approval queue
+        const status = getInitialAbsenceStatus(absenceType);
+        const konflikt = getConflictResponseHelper(await getAbsenceConflictsHelper(connection, alterWert.benutzerId, req.body, alterWert.id), konfliktBestaetigt);
+        if (konflikt) {
+            await connection.rollback();
+            return res.status(409).json(konflikt);
+        }
+        await connection.execute("UPDATE Abwesenheiten SET start_datum = ?, end_datum = ?, abwesenheit_typ = ?, umfang = ?, stunden = ?, beschreibung = ?, status = ?, ablehnungsgrund = NULL, bearbeitetVon = NULL, bearbeitetAm = NULL WHERE id = ?", [start_datum, end_datum, abwesenheit_typ, umfang, stunden, beschreibung || null, status, alterWert.id]);
+        await writeRowAuditHelper(connection, req.session.user, 'Abwesenheiten', alterWert.id, 'geaendert', alterWert);
+        await connection.commit();
+        res.json({ success: true, message: status === 'beantragt' ? "Antrag aktualisiert und erneut zur Genehmigung eingereicht" : "Abwesenheit erfolgreich aktualisiert", status });
+    } catch (error) {
+        await connection.rollback();
+        res.status(500).json({ success: false, message: "Interner Serverfehler" });
+    } finally {
+        connection.release();
     }
+});
+app.delete("/api/absences/:id", validate(schemas.abwesenheitLoeschen), async (req, res) => {
+    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
     const connection = await pool.getConnection();
     try {
         await connection.beginTransaction();
-        
-        const benutzerId = req.session.user.id;
-        const startTime = new Date();
-        
-        // Check if there's already an active timer (with row lock) - removed date restriction for cross-midnight support
-        const [existingActive] = await connection.execute(
-            "SELECT id FROM Arbeitszeiten WHERE benutzerId = ? AND endZeit IS NULL FOR UPDATE",
-            [benutzerId]
-        );
-        
-        if (existingActive.length > 0) {
+        const alterWert = await getAuditSnapshotHelper(connection, 'Abwesenheiten', req.params.id);
+        if (!alterWert || alterWert.benutzerId !== req.session.user.id) {
             await connection.rollback();
-            return res.status(400).json({ success: false, message: "Es läuft bereits ein aktiver Timer." });
+            return res.status(404).json({ success: false, message: "Abwesenheit nicht gefunden oder Zugriff verweigert" });
         }
-        
-        // Store active timer in database with NULL endZeit
-        await connection.execute(
-            "INSERT INTO Arbeitszeiten (benutzerId, startZeit, endZeit, bericht) VALUES (?, ?, NULL, '')",
-            [benutzerId, startTime]
-        );
-        
+        await connection.execute("DELETE FROM Abwesenheiten WHERE id = ?", [alterWert.id]);
+        await writeRowAuditHelper(connection, req.session.user, 'Abwesenheiten', alterWert.id, 'geloescht', alterWert);
         await connection.commit();
-        
-        // Keep session for performance (optional backup)
-        req.session.activeSegmentStartTime = startTime.toISOString();
-        console.log(`User ${benutzerId} started segment at ${startTime.toISOString()}`);
-        res.json({ success: true, message: "Arbeitssegment gestartet." });
+        res.json({ success: true, message: "Abwesenheit erfolgreich gelöscht" });
     } catch (error) {
         await connection.rollback();
-        console.error("Fehler beim Starten des Arbeitssegments:", error);
-        res.status(500).json({ success: false, message: "Interner Serverfehler beim Starten des Segments." });
+        res.status(500).json({ success: false, message: "Interner Serverfehler" });
     } finally {
         connection.release();
     }
 });
 
-app.post("/api/zeiterfassung/pause_segment", async (req, res) => {
-    if (!req.session.user) {
-        return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+// Server-Authoritative Time Tracking Endpoints
+// Starts a work segment; shared by the dashboard timer and the kiosk terminal
+// Runs its own transaction on the connection and returns the HTTP status and body of the answer
+async function startSegmentHelper(connection, benutzerId, body) {
+    await connection.beginTransaction();
+
+    if (await isPunchRecordedHelper(connection, benutzerId, body.ereignisId)) {
+        await connection.rollback();
+        return { status: 200, body: PUNCH_ALREADY_RECORDED };
     }
     
-    const connection = await pool.getConnection();
+    // Check if there's already an active timer (with row lock) - removed date restriction for cross-midnight support
+    const [existingActive] = await connection.execute(
+        "SELECT id FROM Arbeitszeiten WHERE benutzerId = ? AND endZeit IS NULL FOR UPDATE",
+        [benutzerId]
+    );
     
-    try {
-        await connection.beginTransaction();
-        
-        const benutzerId = req.session.user.id;
-        const segmentEndTime = new Date();
-        const bericht = req.body.bericht || "";
+    if (existingActive.length > 0) {
+        await connection.rollback();
+        return { status: 400, body: { success: false, message: "Es läuft bereits ein aktiver Timer." } };
+    }
 
-        // Find the active timer record in database WITH ROW LOCK to prevent race conditions
-        const [activeRows] = await connection.execute(
-            "SELECT id, startZeit, bericht FROM Arbeitszeiten WHERE benutzerId = ? AND endZeit IS NULL FOR UPDATE",
-            [benutzerId]
-        );
-        
-        // Check for stale timers from previous day and auto-end them
-        if (activeRows.length > 0) {
-            const activeRecord = activeRows[0];
-            if (isTimerFromPreviousDay(activeRecord.startZeit)) {
-                await handleStaleTimer(connection, activeRecord.id, benutzerId, activeRecord.startZeit, activeRecord.bericht);
-                // After handling stale timer, look for any new active timer
-                const [newActiveRows] = await connection.execute(
-                    "SELECT id, startZeit FROM Arbeitszeiten WHERE benutzerId = ? AND endZeit IS NULL FOR UPDATE",
-                    [benutzerId]
-                );
-                if (newActiveRows.length === 0) {
-                    await connection.rollback();
-                    return res.status(400).json({ success: false, message: "Timer wurde automatisch um 23:59 beendet da er über Nacht lief. Bitte starte einen neuen Timer." });
-                }
+    const punch = resolvePunchTimeHelper(body, body.clientZeit ? await getLastPunchTimeHelper(connection, benutzerId) : null);
+    if (punch.fehler) {
+        await connection.rollback();
+        return { status: 400, body: { success: false, message: punch.fehler } };
+    }
+    const startTime = punch.zeit;
+
+    const projektId = body.projektId || null;
+    const aufgabeId = body.aufgabeId || null;
+    const projektFehler = await checkProjectSelectionHelper(connection, projektId, aufgabeId);
+    if (projektFehler) {
+        await connection.rollback();
+        return { status: 400, body: projectSelectionErrorResponse(projektFehler) };
+    }
+    
+    // Store active timer in database with NULL endZeit
+    await connection.execute(
+        "INSERT INTO Arbeitszeiten (benutzerId, startZeit, endZeit, bericht, projektId, aufgabeId, nachsynchronisiert) VALUES (?, ?, NULL, '', ?, ?, ?)",
+        [benutzerId, startTime, projektId, aufgabeId, punch.nachsynchronisiert]
+    );
+    await recordQueuedPunchHelper(connection, benutzerId, 'start', body, punch);
+    
+    await connection.commit();
+    console.log(`User ${benutzerId} started segment at ${startTime.toISOString()}`);
+    return { status: 200, body: { success: true, message: "Arbeitssegment gestartet." }, startTime };
+}
+
+// Ends the running segment (pause); shared by the dashboard timer and the kiosk terminal
+// Runs its own transaction on the connection and returns the HTTP status and body of the answer
+async function pauseSegmentHelper(connection, benutzerId, body) {
+    await connection.beginTransaction();
+    const bericht = body.bericht || "";
+
+    if (await isPunchRecordedHelper(connection, benutzerId, body.ereignisId)) {
+        await connection.rollback();
+        return { status: 200, body: PUNCH_ALREADY_RECORDED };
+    }
+
+    // Find the active timer record in database WITH ROW LOCK to prevent race conditions
+    const [activeRows] = await connection.execute(
+        "SELECT id, startZeit, bericht, projektId, aufgabeId FROM Arbeitszeiten WHERE benutzerId = ? AND endZeit IS NULL FOR UPDATE",
+        [benutzerId]
+    );
+
+    // A pause synced from the offline queue must lie after the start of the running segment
+    const punch = resolvePunchTimeHelper(body, activeRows.length > 0 ? activeRows[0].startZeit : null);
+    if (punch.fehler) {
+        await connection.rollback();
+        return { status: 400, body: { success: false, message: punch.fehler } };
+    }
+    const segmentEndTime = punch.zeit;
+    
+    // Check for stale timers from previous day and auto-end them
+    if (activeRows.length > 0) {
+        const activeRecord = activeRows[0];
+        const schicht = await getShiftSettingsHelper(connection, benutzerId);
+        if (isTimerFromPreviousDay(activeRecord.startZeit, segmentEndTime, schicht)) {
+            const cutoff = await handleStaleTimer(connection, activeRecord.id, benutzerId, activeRecord.startZeit, activeRecord.bericht, schicht);
+            // After handling stale timer, look for any new active timer
+            const [newActiveRows] = await connection.execute(
+                "SELECT id, startZeit FROM Arbeitszeiten WHERE benutzerId = ? AND endZeit IS NULL FOR UPDATE",
+                [benutzerId]
+            );
+            if (newActiveRows.length === 0) {
+                await connection.rollback();
+                return { status: 400, body: { success: false, message: `Timer wurde automatisch um ${cutoff.uhrzeit} beendet da er über Nacht lief. Bitte starte einen neuen Timer.` } };
             }
         }
+    }
 
-        if (activeRows.length === 0) {
-            await connection.rollback();
-            return res.status(400).json({ success: false, message: "Kein aktives Arbeitssegment zum Pausieren gefunden." });
-        }
+    if (activeRows.length === 0) {
+        await connection.rollback();
+        return { status: 400, body: { success: false, message: "Kein aktives Arbeitssegment zum Pausieren gefunden." } };
+    }
 
-        const activeRecord = activeRows[0];
-        const segmentStartTime = new Date(activeRecord.startZeit);
+    const activeRecord = activeRows[0];
+    const segmentStartTime = new Date(activeRecord.startZeit);
 
-        // Check minimum duration (30 seconds) to prevent database pollution
-        const durationMs = segmentEndTime.getTime() - segmentStartTime.getTime();
-        const MINIMUM_DURATION_MS = 30000; // 30 seconds
-        
-        console.log(`[DURATION CHECK] Segment duration: ${durationMs}ms (${Math.round(durationMs/1000)}s), minimum: ${MINIMUM_DURATION_MS}ms`);
-        
-        if (durationMs < MINIMUM_DURATION_MS) {
-            // Delete the short segment instead of saving it
-            await connection.execute("DELETE FROM Arbeitszeiten WHERE id = ?", [activeRecord.id]);
-            await connection.commit();
-            
-            // Clear session
-            delete req.session.activeSegmentStartTime;
-            
-            const durationSeconds = Math.round(durationMs / 1000);
-            return res.json({ 
-                success: true, 
-                message: `Segment zu kurz (${durationSeconds}s). Mindestens 30 Sekunden erforderlich. Timer zurückgesetzt.` 
-            });
-        }
+    const segmentProject = await getSegmentProjectHelper(connection, body, activeRecord);
+    if (segmentProject.fehler) {
+        await connection.rollback();
+        return { status: 400, body: projectSelectionErrorResponse(segmentProject.fehler) };
+    }
 
-        // Normal timer operation (no cross-midnight split)
-        await connection.execute(
-            "UPDATE Arbeitszeiten SET endZeit = ?, bericht = ? WHERE id = ?",
-            [segmentEndTime, bericht, activeRecord.id]
-        );
-        
+    // Check minimum duration (30 seconds) to prevent database pollution
+    const durationMs = segmentEndTime.getTime() - segmentStartTime.getTime();
+    const MINIMUM_DURATION_MS = 30000; // 30 seconds
+    
+    console.log(`[DURATION CHECK] Segment duration: ${durationMs}ms (${Math.round(durationMs/1000)}s), minimum: ${MINIMUM_DURATION_MS}ms`);
+    
+    if (durationMs < MINIMUM_DURATION_MS) {
+        // Delete the short segment instead of saving it
+        await connection.execute("DELETE FROM Arbeitszeiten WHERE id = ?", [activeRecord.id]);
+        await recordQueuedPunchHelper(connection, benutzerId, 'pause', body, punch);
         await connection.commit();
         
+        const durationSeconds = Math.round(durationMs / 1000);
+        return {
+            status: 200,
+            body: { success: true, message: `Segment zu kurz (${durationSeconds}s). Mindestens 30 Sekunden erforderlich. Timer zurückgesetzt.` }
+        };
+    }
+
+    // Normal timer operation (no cross-midnight split)
+    await connection.execute(
+        "UPDATE Arbeitszeiten SET endZeit = ?, bericht = ?, projektId = ?, aufgabeId = ?, nachsynchronisiert = nachsynchronisiert OR ? WHERE id = ?",
+        [segmentEndTime, bericht, segmentProject.projektId, segmentProject.aufgabeId, punch.nachsynchronisiert, activeRecord.id]
+    );
+    await recordQueuedPunchHelper(connection, benutzerId, 'pause', body, punch);
+    
+    await connection.commit();
+    return { status: 200, body: { success: true, message: "Arbeitssegment pausiert und gespeichert." } };
+}
+
+app.post("/api/zeiterfassung/start_segment", validate(schemas.zeiterfassungStart), async (req, res) => {
+    if (!req.session.user) {
+        return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    }
+    if (isPunchOfOtherUser(req.body, req.session.user.id)) return res.status(409).json(PUNCH_OF_OTHER_USER);
+    const connection = await pool.getConnection();
+    try {
+        const result = await startSegmentHelper(connection, req.session.user.id, req.body);
+        // Keep session for performance (optional backup)
+        if (result.startTime) req.session.activeSegmentStartTime = result.startTime.toISOString();
+        res.status(result.status).json(result.body);
+    } catch (error) {
+        await connection.rollback();
+        console.error("Fehler beim Starten des Arbeitssegments:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler beim Starten des Segments." });
+    } finally {
+        connection.release();
+    }
+});
+
+app.post("/api/zeiterfassung/pause_segment", validate(schemas.zeiterfassungBericht), async (req, res) => {
+    if (!req.session.user) {
+        return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    }
+    if (isPunchOfOtherUser(req.body, req.session.user.id)) return res.status(409).json(PUNCH_OF_OTHER_USER);
+    
+    const connection = await pool.getConnection();
+    
+    try {
+        const result = await pauseSegmentHelper(connection, req.session.user.id, req.body);
         // Clear session
-        delete req.session.activeSegmentStartTime;
-        res.json({ success: true, message: "Arbeitssegment pausiert und gespeichert." });
+        if (result.body.success) delete req.session.activeSegmentStartTime;
+        res.status(result.status).json(result.body);
     } catch (error) {
         await connection.rollback();
         console.error("Fehler beim Pausieren des Arbeitssegments:", error);
@@ -481,10 +1397,11 @@ app.post("/api/zeiterfassung/pause_segment", async (req, res) => {
     }
 });
 
-app.post("/api/zeiterfassung/end_workday", async (req, res) => {
+app.post("/api/zeiterfassung/end_workday", validate(schemas.zeiterfassungBericht), async (req, res) => {
     if (!req.session.user) {
         return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
     }
+    if (isPunchOfOtherUser(req.body, req.session.user.id)) return res.status(409).json(PUNCH_OF_OTHER_USER);
     
     const connection = await pool.getConnection();
     
@@ -492,20 +1409,38 @@ app.post("/api/zeiterfassung/end_workday", async (req, res) => {
         await connection.beginTransaction();
         
         const benutzerId = req.session.user.id;
-        const segmentEndTime = new Date();
         const bericht = req.body.bericht || "";
 
+        if (await isPunchRecordedHelper(connection, benutzerId, req.body.ereignisId)) {
+            await connection.rollback();
+            return res.json(PUNCH_ALREADY_RECORDED);
+        }
+
         // Check for active timer in database WITH ROW LOCK to prevent race conditions
         const [activeRows] = await connection.execute(
-            "SELECT id, startZeit, bericht FROM Arbeitszeiten WHERE benutzerId = ? AND endZeit IS NULL FOR UPDATE",
+            "SELECT id, startZeit, bericht, projektId, aufgabeId FROM Arbeitszeiten WHERE benutzerId = ? AND endZeit IS NULL FOR UPDATE",
             [benutzerId]
         );
+
+        // An end synced from the offline queue must lie after the start of the running segment
+        const punch = resolvePunchTimeHelper(req.body, activeRows.length > 0 ? activeRows[0].startZeit : null);
+        if (punch.fehler) {
+            await connection.rollback();
+            return res.status(400).json({ success: false, message: punch.fehler });
+        }
+        const segmentEndTime = punch.zeit;
+
+        // Working day of the end punch; a night shift counts for the day it started.
+        // Its target comes from the user's weekly schedule (0 on days off and holidays)
+        const arbeitstag = await getWorkdayOfEndPunchHelper(connection, benutzerId, segmentEndTime, activeRows[0]);
+        const workdayDurationMs = (await getTargetHoursForPeriodHelper(benutzerId, arbeitstag, arbeitstag, connection)) * 60 * 60 * 1000;
         
         // Check for stale timers from previous day and auto-end them
         if (activeRows.length > 0) {
             const activeRecord = activeRows[0];
-            if (isTimerFromPreviousDay(activeRecord.startZeit)) {
-                await handleStaleTimer(connection, activeRecord.id, benutzerId, activeRecord.startZeit, activeRecord.bericht);
+            const schicht = await getShiftSettingsHelper(connection, benutzerId);
+            if (isTimerFromPreviousDay(activeRecord.startZeit, segmentEndTime, schicht)) {
+                const cutoff = await handleStaleTimer(connection, activeRecord.id, benutzerId, activeRecord.startZeit, activeRecord.bericht, schicht);
                 // After handling stale timer, look for any new active timer
                 const [newActiveRows] = await connection.execute(
                     "SELECT id, startZeit FROM Arbeitszeiten WHERE benutzerId = ? AND endZeit IS NULL FOR UPDATE",
@@ -513,7 +1448,7 @@ app.post("/api/zeiterfassung/end_workday", async (req, res) => {
                 );
                 if (newActiveRows.length === 0) {
                     await connection.commit();
-                    return res.json({ success: true, message: "Timer wurde automatisch um 23:59 beendet da er über Nacht lief. Arbeitstag ist abgeschlossen." });
+                    return res.json({ success: true, message: `Timer wurde automatisch um ${cutoff.uhrzeit} beendet da er über Nacht lief. Arbeitstag ist abgeschlossen.` });
                 }
             }
         }
@@ -523,6 +1458,12 @@ app.post("/api/zeiterfassung/end_workday", async (req, res) => {
             const activeRecord = activeRows[0];
             const segmentStartTime = new Date(activeRecord.startZeit);
 
+            const segmentProject = await getSegmentProjectHelper(connection, req.body, activeRecord);
+            if (segmentProject.fehler) {
+                await connection.rollback();
+                return res.status(400).json(projectSelectionErrorResponse(segmentProject.fehler));
+            }
+
             // Check minimum duration (30 seconds) to prevent database pollution
             const durationMs = segmentEndTime.getTime() - segmentStartTime.getTime();
             const MINIMUM_DURATION_MS = 30000; // 30 seconds
@@ -530,13 +1471,13 @@ app.post("/api/zeiterfassung/end_workday", async (req, res) => {
             if (durationMs < MINIMUM_DURATION_MS) {
                 // Delete the short segment instead of saving it
                 await connection.execute("DELETE FROM Arbeitszeiten WHERE id = ?", [activeRecord.id]);
+                await recordQueuedPunchHelper(connection, benutzerId, 'ende', req.body, punch);
                 
                 // Clear session
                 delete req.session.activeSegmentStartTime;
                 
                 // After deleting short segment, check total work time for the day
-                const todayWorkTimeMs = await getTodayWorkTimeHelper(benutzerId, connection);
-                const workdayDurationMs = 8 * 60 * 60 * 1000; // 8 hours in milliseconds
+                const todayWorkTimeMs = await getTodayWorkTimeHelper(benutzerId, connection, arbeitstag, segmentEndTime);
                 const remainingTimeMs = workdayDurationMs - todayWorkTimeMs;
                 
                 await connection.commit();
@@ -565,16 +1506,16 @@ app.post("/api/zeiterfassung/end_workday", async (req, res) => {
 
             // Normal timer completion - save the segment first
             await connection.execute(
-                "UPDATE Arbeitszeiten SET endZeit = ?, bericht = ? WHERE id = ?",
-                [segmentEndTime, bericht, activeRecord.id]
+                "UPDATE Arbeitszeiten SET endZeit = ?, bericht = ?, projektId = ?, aufgabeId = ?, nachsynchronisiert = nachsynchronisiert OR ? WHERE id = ?",
+                [segmentEndTime, bericht, segmentProject.projektId, segmentProject.aufgabeId, punch.nachsynchronisiert, activeRecord.id]
             );
+            await recordQueuedPunchHelper(connection, benutzerId, 'ende', req.body, punch);
             
             // Clear session
             delete req.session.activeSegmentStartTime;
             
             // Check total work time after saving the segment
-            const todayWorkTimeMs = await getTodayWorkTimeHelper(benutzerId, connection);
-            const workdayDurationMs = 8 * 60 * 60 * 1000; // 8 hours in milliseconds
+            const todayWorkTimeMs = await getTodayWorkTimeHelper(benutzerId, connection, arbeitstag, segmentEndTime);
             const remainingTimeMs = workdayDurationMs - todayWorkTimeMs;
             
             await connection.commit();
@@ -601,7 +1542,7 @@ app.post("/api/zeiterfassung/end_workday", async (req, res) => {
             }
         } else {
             // No active timer found - provide contextual error messages
-            const todayWorkTimeMs = await getTodayWorkTimeHelper(benutzerId, connection);
+            const todayWorkTimeMs = await getTodayWorkTimeHelper(benutzerId, connection, arbeitstag, segmentEndTime);
             await connection.rollback();
             
             if (todayWorkTimeMs === 0) {
@@ -612,7 +1553,6 @@ app.post("/api/zeiterfassung/end_workday", async (req, res) => {
                 });
             } else {
                 // User has worked but is currently paused
-                const workdayDurationMs = 8 * 60 * 60 * 1000; // 8 hours in milliseconds
                 const remainingTimeMs = workdayDurationMs - todayWorkTimeMs;
                 
                 if (remainingTimeMs <= 0) {
@@ -653,10 +1593,25 @@ app.get("/api/zeiterfassung/status", async (req, res) => {
         const today = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD format in local timezone
 
         // Find any active timer (cross-midnight support) 
-        const [activeRows] = await pool.execute(
-            "SELECT id, startZeit, bericht FROM Arbeitszeiten WHERE benutzerId = ? AND endZeit IS NULL",
+        let [activeRows] = await pool.execute(
+            "SELECT id, startZeit, bericht, letzterHeartbeat FROM Arbeitszeiten WHERE benutzerId = ? AND endZeit IS NULL",
             [benutzerId]
         );
+
+        // The dashboard was closed without pausing: end the segment at the last heartbeat, not at 23:59
+        if (activeRows.length > 0 && isHeartbeatExpired(activeRows[0].letzterHeartbeat, new Date(), HEARTBEAT_TIMEOUT_MINUTES)) {
+            const connection = await pool.getConnection();
+            try {
+                await connection.beginTransaction();
+                if (await closeIdleTimerHelper(connection, activeRows[0].id)) activeRows = [];
+                await connection.commit();
+            } catch (error) {
+                await connection.rollback();
+                throw error;
+            } finally {
+                connection.release();
+            }
+        }
         
         let autoCutoffDetected = false;
         let cutoffMessage = null;
@@ -667,8 +1622,9 @@ app.get("/api/zeiterfassung/status", async (req, res) => {
         // Check for stale timers from previous day and auto-end them
         if (activeRows.length > 0) {
             const activeRecord = activeRows[0];
+            const schicht = await getShiftSettingsHelper(pool, benutzerId);
             
-            if (isTimerFromPreviousDay(activeRecord.startZeit)) {
+            if (isTimerFromPreviousDay(activeRecord.startZeit, new Date(), schicht)) {
                 // Prevent repeated autocut notifications for same timer
                 const timerId = activeRecord.id;
                 const sessionKey = `autocut_handled_${timerId}`;
@@ -677,9 +1633,9 @@ app.get("/api/zeiterfassung/status", async (req, res) => {
                     console.log(`[STATUS API] Detected stale timer ${timerId}, triggering auto-cutoff`);
                     const connection = await pool.getConnection();
                     try {
-                        await handleStaleTimer(connection, activeRecord.id, benutzerId, activeRecord.startZeit, activeRecord.bericht);
+                        const cutoff = await handleStaleTimer(connection, activeRecord.id, benutzerId, activeRecord.startZeit, activeRecord.bericht, schicht);
                         autoCutoffDetected = true;
-                        cutoffMessage = `Auto-Cutoff: Timer wurde automatisch um 23:59 beendet. Du warst nicht ordnungsgemäß ausgeloggt.`;
+                        cutoffMessage = `Auto-Cutoff: Timer wurde automatisch um ${cutoff.uhrzeit} beendet. Du warst nicht ordnungsgemäß ausgeloggt.`;
                         
                         // Mark this timer as handled to prevent repeated notifications
                         req.session[sessionKey] = Date.now();
@@ -695,14 +1651,17 @@ app.get("/api/zeiterfassung/status", async (req, res) => {
             }
         }
         
-        // Fetch completed segments for today only (after potential auto-cutoff)
-        const [todayRows] = await pool.execute(
-            "SELECT startZeit, endZeit FROM Arbeitszeiten WHERE benutzerId = ? AND DATE(startZeit) = ? AND endZeit IS NOT NULL",
-            [benutzerId, today]
+        // Fetch completed segments for today only (after potential auto-cutoff); a night shift from yesterday counts from midnight
+        const [segmentRows] = await pool.execute(
+            "SELECT startZeit, endZeit FROM Arbeitszeiten WHERE benutzerId = ? AND startZeit < DATE_ADD(?, INTERVAL 1 DAY) AND endZeit > ?",
+            [benutzerId, today, today]
         );
+        const todayRows = splitRowsAtMidnight(segmentRows, { von: today, bis: today });
 
         let totalDurationMs = 0;
         let activeSegmentStartTime = null;
+        // Project and task of the running segment, preselected in the dashboard
+        let activeSegmentProject = { projektId: null, aufgabeId: null };
 
         // Calculate today's completed work
         todayRows.forEach(row => {
@@ -717,11 +1676,14 @@ app.get("/api/zeiterfassung/status", async (req, res) => {
         // Check for active timer (after potential cutoff handling)
         if (!autoCutoffDetected) {
             const [newActiveRows] = await pool.execute(
-                "SELECT startZeit FROM Arbeitszeiten WHERE benutzerId = ? AND endZeit IS NULL",
+                "SELECT startZeit, projektId, aufgabeId FROM Arbeitszeiten WHERE benutzerId = ? AND endZeit IS NULL",
                 [benutzerId]
             );
             if (newActiveRows.length > 0) {
-                activeSegmentStartTime = newActiveRows[0].startZeit;
+                // The dashboard adds the running segment to today's total, so a night shift started yesterday counts from midnight
+                const todayStart = new Date(`${today}T00:00:00`);
+                activeSegmentStartTime = new Date(newActiveRows[0].startZeit) < todayStart ? todayStart : newActiveRows[0].startZeit;
+                activeSegmentProject = { projektId: newActiveRows[0].projektId, aufgabeId: newActiveRows[0].aufgabeId };
             }
         }
 
@@ -732,12 +1694,39 @@ app.get("/api/zeiterfassung/status", async (req, res) => {
             delete req.session.activeSegmentStartTime;
         }
 
+        // Missing statutory breaks (ArbZG) are deducted from the completed work; the client
+        // adds the running segment on top, so the deduction already accounts for it up to now
+        const todaySegments = todayRows.map(row => ({ start: row.startZeit, end: row.endZeit }));
+        if (activeSegmentStartTime) todaySegments.push({ start: activeSegmentStartTime, end: new Date() });
+        const breaksToday = evaluateDayBreaks(todaySegments);
+        totalDurationMs -= breaksToday.deductedBreakMs;
+
+        const targetHoursToday = await getTargetHoursForPeriodHelper(benutzerId, today, today, pool);
+
+        // Oldest segment closed for missing heartbeats whose end the intern has not confirmed yet
+        const [unbestaetigtRows] = await pool.execute(
+            "SELECT id, startZeit, endZeit FROM Arbeitszeiten WHERE benutzerId = ? AND endeUnbestaetigt = TRUE ORDER BY startZeit LIMIT 1",
+            [benutzerId]
+        );
+
         const response = { 
             success: true, 
             totalDurationMs,
+            targetDurationMs: targetHoursToday * 60 * 60 * 1000,
+            breakTakenMs: breaksToday.takenBreakMs,
+            breakRequiredMs: breaksToday.requiredBreakMs,
+            breakDeductedMs: breaksToday.deductedBreakMs,
+            benutzerId,
             activeSegmentStartTime: activeSegmentStartTime ? new Date(activeSegmentStartTime).toISOString() : null,
+            activeProjektId: activeSegmentProject.projektId,
+            activeAufgabeId: activeSegmentProject.aufgabeId,
             autoCutoffDetected,
-            cutoffMessage
+            cutoffMessage,
+            unbestaetigtesSegment: unbestaetigtRows.length > 0 ? {
+                id: unbestaetigtRows[0].id,
+                startZeit: new Date(unbestaetigtRows[0].startZeit).toISOString(),
+                endZeit: new Date(unbestaetigtRows[0].endZeit).toISOString()
+            } : null
         };
         
         res.json(response);
@@ -748,11 +1737,220 @@ app.get("/api/zeiterfassung/status", async (req, res) => {
     }
 });
 
+// Sent by the dashboard every minute while the timer runs; aktiv: false if the segment was closed meanwhile
+app.post("/api/zeiterfassung/heartbeat", async (req, res) => {
+    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    try {
+        const [result] = await pool.execute(
+            "UPDATE Arbeitszeiten SET letzterHeartbeat = ? WHERE benutzerId = ? AND endZeit IS NULL",
+            [new Date(), req.session.user.id]
+        );
+        res.json({ success: true, aktiv: result.affectedRows > 0 });
+    } catch (error) {
+        console.error("[IDLE TIMER] Heartbeat konnte nicht gespeichert werden:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+// The intern accepts the end recorded after the heartbeats stopped, or enters the real one
+app.put("/api/zeiterfassung/segment/:id/ende", validate(schemas.leerlaufEndeBestaetigen), async (req, res) => {
+    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    const benutzerId = req.session.user.id;
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [rows] = await connection.execute(
+            "SELECT id, startZeit, endZeit FROM Arbeitszeiten WHERE id = ? AND benutzerId = ? AND endeUnbestaetigt = TRUE FOR UPDATE",
+            [req.params.id, benutzerId]
+        );
+        if (rows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ success: false, message: "Kein Segment mit unbestätigtem Ende gefunden." });
+        }
+        const segment = rows[0];
+        const bisherigesEnde = new Date(segment.endZeit);
+        const neuesEnde = req.body.endZeit || bisherigesEnde;
+
+        if (req.body.endZeit) {
+            const [nextRows] = await connection.execute(
+                "SELECT MIN(startZeit) AS naechsterStart FROM Arbeitszeiten WHERE benutzerId = ? AND startZeit > ? AND id <> ?",
+                [benutzerId, segment.startZeit, segment.id]
+            );
+            const schicht = await getShiftSettingsHelper(connection, benutzerId);
+            const fehler = checkIdleEndCorrection(segment.startZeit, neuesEnde, { jetzt: new Date(), naechsterStart: nextRows[0].naechsterStart, schicht });
+            if (fehler) {
+                await connection.rollback();
+                return res.status(400).json({ success: false, message: fehler, fehler: [{ feld: 'endZeit', meldung: fehler }] });
+            }
+        }
+
+        await connection.execute("UPDATE Arbeitszeiten SET endZeit = ?, endeUnbestaetigt = FALSE WHERE id = ?", [neuesEnde, segment.id]);
+        const korrigiert = neuesEnde.getTime() !== bisherigesEnde.getTime();
+        await writeAuditLogHelper(connection, {
+            benutzerId,
+            betroffenerBenutzerId: benutzerId,
+            entitaet: 'Arbeitszeiten',
+            entitaetId: segment.id,
+            aktion: korrigiert ? 'ende_korrigiert' : 'ende_bestaetigt',
+            alterWert: { startZeit: segment.startZeit, endZeit: bisherigesEnde },
+            neuerWert: { startZeit: segment.startZeit, endZeit: neuesEnde }
+        });
+
+        // A later end adds working time nobody saw, so the Betreuer is told like for late offline punches
+        if (neuesEnde > bisherigesEnde) {
+            const [userRows] = await connection.execute("SELECT vorname, nachname, email, betreuerId FROM Praktikanten WHERE id = ?", [benutzerId]);
+            const user = userRows[0];
+            const praktikantName = `${user.vorname || ''} ${user.nachname || ''}`.trim() || user.email;
+            const uhrzeit = zeit => zeit.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+            const betreuerIds = await getResponsibleBetreuerIdsHelper(connection, user.betreuerId);
+            for (const betreuerId of betreuerIds) {
+                await createNotificationHelper(connection, betreuerId, 'ende_korrigiert',
+                    `${praktikantName} hat das Ende des Segments vom ${bisherigesEnde.toLocaleDateString('de-DE')} von ${uhrzeit(bisherigesEnde)} auf ${uhrzeit(neuesEnde)} Uhr verschoben. Der Timer war ohne Aktivität im Dashboard beendet worden, bitte prüfe den Eintrag.`);
+            }
+        }
+
+        await connection.commit();
+        console.log(`[IDLE TIMER] User ${benutzerId} ${korrigiert ? 'corrected' : 'confirmed'} the end of segment ${segment.id}`);
+        res.json({ success: true, message: korrigiert ? "Ende des Segments korrigiert." : "Ende des Segments bestätigt." });
+    } catch (error) {
+        await connection.rollback();
+        console.error("[IDLE TIMER] Segmentende konnte nicht gespeichert werden:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    } finally {
+        connection.release();
+    }
+});
+
+// Kiosk terminal: shared workstations punch in and out for the user identified by PIN or badge number.
+// The device authenticates with its own token in the X-Kiosk-Token header; no user session is created.
+const KIOSK_TOKEN_HEADER = 'X-Kiosk-Token';
+// Key of the HMAC over PINs and badge numbers; changing it invalidates all of them
+const KIOSK_SECRET = process.env.KIOSK_SECRET || 'dev-kiosk-secret-change-in-production';
+if (!process.env.KIOSK_SECRET && process.env.NODE_ENV === 'production') {
+    console.warn('[KIOSK] KIOSK_SECRET ist nicht gesetzt - PINs und Ausweisnummern sind nur mit dem Entwicklungs-Schlüssel geschützt.');
+}
+
+// Kiosk device of the request, null if the token is missing or unknown
+async function getKioskDeviceHelper(req) {
+    const token = req.get(KIOSK_TOKEN_HEADER);
+    if (!token) return null;
+    const [rows] = await pool.execute("SELECT id, name, fehlversuche, letzterFehlversuch FROM KioskGeraete WHERE tokenHash = ?", [hashToken(token)]);
+    return rows[0] || null;
+}
+
+// PINs and badge numbers share one lookup, so neither may equal any other user's PIN or badge number
+async function isKioskIdentifierTakenHelper(kennungHash, benutzerId) {
+    const [rows] = await pool.execute(
+        "SELECT id FROM Praktikanten WHERE (kioskPinHash = ? OR kioskAusweisHash = ?) AND id <> ?",
+        [kennungHash, kennungHash, benutzerId]
+    );
+    return rows.length > 0;
+}
+
+app.get("/api/kiosk/geraet", async (req, res) => {
+    try {
+        const geraet = await getKioskDeviceHelper(req);
+        if (!geraet) return res.status(401).json({ success: false, message: "Dieses Gerät ist nicht als Kiosk freigeschaltet.", kioskGeraetUngueltig: true });
+        res.json({ success: true, geraet });
+    } catch (error) {
+        console.error("[KIOSK] Gerät konnte nicht geprüft werden:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+// Starts a segment if none is running, otherwise pauses the running one
+app.post("/api/kiosk/stempeln", validate(schemas.kioskStempeln), async (req, res) => {
+    try {
+        const geraet = await getKioskDeviceHelper(req);
+        if (!geraet) return res.status(401).json({ success: false, message: "Dieses Gerät ist nicht als Kiosk freigeschaltet.", kioskGeraetUngueltig: true });
+
+        // Wrong PINs are counted per device, so guessing is slowed down like passwords without
+        // blocking the logins of everyone else behind the same IP
+        const waitMs = getRetryAfterMs(geraet.fehlversuche, geraet.letzterFehlversuch, new Date(), KIOSK_BACKOFF);
+        if (waitMs > 0) return sendLoginThrottledResponse(res, waitMs, "Zu viele ungültige Eingaben.");
+
+        const kennungHash = hashKioskIdentifier(req.body.kennung, KIOSK_SECRET);
+        const [userRows] = await pool.execute(
+            "SELECT id, vorname FROM Praktikanten WHERE (kioskPinHash = ? OR kioskAusweisHash = ?) AND status = 'aktiv'",
+            [kennungHash, kennungHash]
+        );
+        if (userRows.length !== 1) {
+            await pool.execute("UPDATE KioskGeraete SET fehlversuche = fehlversuche + 1, letzterFehlversuch = ? WHERE id = ?", [new Date(), geraet.id]);
+            await logLoginAttemptHelper(`Kiosk: ${geraet.name}`, null, req.ip, false, 'falsche_kiosk_kennung');
+            return res.status(401).json({ success: false, message: "PIN oder Ausweisnummer unbekannt." });
+        }
+        const user = userRows[0];
+        await pool.execute("UPDATE KioskGeraete SET zuletztGenutztAm = ?, fehlversuche = 0, letzterFehlversuch = NULL WHERE id = ?", [new Date(), geraet.id]);
+
+        const connection = await pool.getConnection();
+        try {
+            const [activeRows] = await connection.execute("SELECT id FROM Arbeitszeiten WHERE benutzerId = ? AND endZeit IS NULL", [user.id]);
+            const aktion = activeRows.length > 0 ? 'pause' : 'start';
+            const result = aktion === 'start'
+                ? await startSegmentHelper(connection, user.id, {})
+                : await pauseSegmentHelper(connection, user.id, {});
+            console.log(`[KIOSK] ${aktion} for user ${user.id} on device ${geraet.id}: ${result.body.message}`);
+            res.status(result.status).json({ ...result.body, aktion, vorname: user.vorname });
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    } catch (error) {
+        console.error("[KIOSK] Stempelung fehlgeschlagen:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+// Kiosk devices are managed by super-admins; the token is only returned when the device is created
+app.get("/api/admin/kiosk-geraete", async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Kiosk-Geräte verwalten." });
+    try {
+        const [geraete] = await pool.execute(
+            `SELECT k.id, k.name, k.erstelltAm, k.zuletztGenutztAm, p.vorname AS erstelltVonVorname, p.nachname AS erstelltVonNachname
+             FROM KioskGeraete k LEFT JOIN Praktikanten p ON p.id = k.erstelltVon ORDER BY k.name`
+        );
+        res.json({ success: true, geraete });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+app.post("/api/admin/kiosk-geraete", validate(schemas.kioskGeraetErstellen), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Kiosk-Geräte verwalten." });
+    try {
+        const token = crypto.randomBytes(32).toString('hex');
+        const [result] = await pool.execute(
+            "INSERT INTO KioskGeraete (name, tokenHash, erstelltVon) VALUES (?, ?, ?)",
+            [req.body.name, hashToken(token), req.session.user.id]
+        );
+        console.log(`[KIOSK] Device ${result.insertId} created by user ${req.session.user.id}`);
+        res.status(201).json({ success: true, message: "Kiosk-Gerät angelegt. Der Geräteschlüssel wird nur dieses eine Mal angezeigt.", id: result.insertId, token });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+app.delete("/api/admin/kiosk-geraete/:id", validate(schemas.kioskGeraetLoeschen), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Kiosk-Geräte verwalten." });
+    try {
+        const [result] = await pool.execute("DELETE FROM KioskGeraete WHERE id = ?", [req.params.id]);
+        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Kiosk-Gerät nicht gefunden." });
+        console.log(`[KIOSK] Device ${req.params.id} removed by user ${req.session.user.id}`);
+        res.json({ success: true, message: "Kiosk-Gerät entfernt. Sein Schlüssel ist nicht mehr gültig." });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
 // Admin Routes
 app.get("/api/praktikanten", async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ message: "Zugriff verweigert" });
     try {
-        const [praktikanten] = await pool.execute("SELECT id, email, vorname, nachname, rolle, status, total_urlaubstage_annually FROM Praktikanten ORDER BY rolle DESC, status, vorname, nachname");
+        // Betreuer see their assigned interns and their own account
+        const scope = getInternScopeSql(req.session.user, 'p');
+        const [praktikanten] = await pool.execute(
+            `SELECT p.id, p.email, p.vorname, p.nachname, p.rolle, p.superadmin, p.status, p.total_urlaubstage_annually, p.betreuerId, b.vorname AS betreuerVorname, b.nachname AS betreuerNachname,
+                    p.fehlversuche, p.freigabeAusstehend, p.totpAktiv AS zweiFaktorAktiv, CASE WHEN p.gesperrtBis > NOW() THEN p.gesperrtBis ELSE NULL END AS gesperrtBis
+             FROM Praktikanten p LEFT JOIN Praktikanten b ON b.id = p.betreuerId
+             WHERE (${scope.sql} OR p.id = ?) ORDER BY p.rolle DESC, p.status, p.vorname, p.nachname`,
+            [...scope.params, req.session.user.id]
+        );
         
         // Calculate remaining vacation days for each practitioner
         const currentYear = new Date().getFullYear();
@@ -760,8 +1958,7 @@ app.get("/api/praktikanten", async (req, res) => {
         const yearEndDate = `${currentYear}-12-31`;
         
         for (let praktikant of praktikanten) {
-            const vacationHoursUsed = await getVacationHoursForPeriodHelper(praktikant.id, yearStartDate, yearEndDate, pool);
-            const usedUrlaubstageThisYear = vacationHoursUsed / HOURS_PER_URLAUBSTAG_GLOBAL;
+            const { vacationDays: usedUrlaubstageThisYear } = await getVacationForPeriodHelper(praktikant.id, yearStartDate, yearEndDate, pool);
             const totalUrlaubstage = praktikant.total_urlaubstage_annually || 0;
             praktikant.remainingUrlaubstage = Math.max(0, totalUrlaubstage - usedUrlaubstageThisYear);
             praktikant.usedUrlaubstageThisYear = usedUrlaubstageThisYear;
@@ -771,11 +1968,12 @@ app.get("/api/praktikanten", async (req, res) => {
     } catch (error) { res.status(500).json({ message: "Fehler beim Abrufen der Praktikanten" }); }
 });
 
-app.put("/api/praktikanten/:id", async (req, res) => {
+app.put("/api/praktikanten/:id", validate(schemas.praktikantAktualisieren), async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ message: "Zugriff verweigert" });
     try {
         const praktikantId = req.params.id;
         const { email, rolle, passwort, vorname, nachname, adresse, telefonnummer, bildungstraeger, praktikumszeit_1_von_bis, praktikumszeit_2_von_bis, allgemeine_notizen } = req.body;
+        if (!(await canAccessUserHelper(req.session.user, praktikantId))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
 
         // Fetch the user to check their current email and role
         const [userRows] = await pool.execute("SELECT email, rolle FROM Praktikanten WHERE id = ?", [praktikantId]);
@@ -783,6 +1981,10 @@ app.put("/api/praktikanten/:id", async (req, res) => {
             return res.status(404).json({ success: false, message: "Benutzer nicht gefunden." });
         }
         const userToEdit = userRows[0];
+        // Roles and other Betreuer accounts are managed by super-admins only
+        if (!isSuperAdmin(req.session.user) && ((rolle && rolle !== userToEdit.rolle) || (userToEdit.rolle === 'Betreuer' && parseInt(praktikantId) !== req.session.user.id))) {
+            return res.status(403).json({ success: false, message: "Nur Super-Admins können Rollen und Betreuer-Konten verwalten." });
+        }
         const mainAdminEmailFromEnv = process.env.MAIN_ADMIN_EMAIL || process.env.ADMIN_EMAIL;
         const mainAdminEmail = mainAdminEmailFromEnv || "admin@example.com"; // Generic fallback
 
@@ -833,6 +2035,8 @@ app.put("/api/praktikanten/:id", async (req, res) => {
         const finalRolle = rolle || userToEdit.rolle;
         updateFields.push("rolle = ?");
         queryParams.push(finalRolle);
+        // Betreuer are not assigned to anyone, interns cannot be super-admins
+        updateFields.push(finalRolle === 'Betreuer' ? "betreuerId = NULL" : "superadmin = FALSE");
 
         if (email && email !== userToEdit.email) {
             // Only add email to update if it's different and passed validation
@@ -861,6 +2065,10 @@ app.put("/api/praktikanten/:id", async (req, res) => {
         queryParams.push(praktikantId);
 
         await pool.execute(query, queryParams);
+        if (userToEdit.rolle === 'Betreuer' && finalRolle === 'Praktikant') {
+            // Interns of a former Betreuer fall back to the super-admins until they are reassigned
+            await pool.execute("UPDATE Praktikanten SET betreuerId = NULL WHERE betreuerId = ?", [praktikantId]);
+        }
         res.json({ success: true, message: "Praktikant aktualisiert" });
     } catch (error) {
         console.error("Fehler beim Aktualisieren des Praktikanten:", error);
@@ -868,36 +2076,95 @@ app.put("/api/praktikanten/:id", async (req, res) => {
     }
 });
 
-app.put("/api/praktikanten/:id/status", async (req, res) => {
+app.put("/api/praktikanten/:id/status", validate(schemas.praktikantStatus), async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert" });
     try {
         const { status } = req.body;
-        if (!status || !['aktiv', 'inaktiv'].includes(status)) return res.status(400).json({ success: false, message: "Ungültiger Statuswert." });
-        const [userRows] = await pool.execute("SELECT rolle FROM Praktikanten WHERE id = ?", [req.params.id]);
+        if (!(await canAccessUserHelper(req.session.user, req.params.id))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        const [userRows] = await pool.execute("SELECT rolle, email, vorname, freigabeAusstehend FROM Praktikanten WHERE id = ?", [req.params.id]);
         if (userRows.length === 0) return res.status(404).json({ success: false, message: "Benutzer nicht gefunden."});
+        if (userRows[0].rolle === 'Betreuer' && !isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Betreuer-Konten verwalten." });
         if (userRows[0].rolle === 'Betreuer' && status === 'inaktiv' && parseInt(req.params.id) === req.session.user.id) return res.status(400).json({ success: false, message: "Ein Betreuer kann sich nicht selbst auf inaktiv setzen." });
-        await pool.execute("UPDATE Praktikanten SET status = ? WHERE id = ?", [status, req.params.id]);
+        // Activating a self-registered account is its approval
+        await pool.execute("UPDATE Praktikanten SET status = ?, freigabeAusstehend = IF(? = 'aktiv', FALSE, freigabeAusstehend) WHERE id = ?", [status, status, req.params.id]);
+        if (status === 'aktiv' && userRows[0].freigabeAusstehend) {
+            console.log(`[REGISTRATION] User ${req.params.id} approved by user ${req.session.user.id}`);
+            sendMail({
+                to: userRows[0].email,
+                subject: "Konto freigegeben - Zeiterfassung",
+                text: `Hallo ${userRows[0].vorname || ''},\n\nIhr Konto wurde freigegeben. Sie können sich jetzt unter ${APP_BASE_URL}/login.html anmelden.\n`
+            }).catch(error => console.error("[MAIL] Freigabe-Mail konnte nicht gesendet werden:", error));
+        }
         res.json({ success: true, message: `Praktikant-Status erfolgreich auf '${status}' aktualisiert.` });
     } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
 });
 
-app.put("/api/admin/praktikanten/:userId/urlaubstage", async (req, res) => {
+app.put("/api/admin/praktikanten/:userId/urlaubstage", validate(schemas.urlaubstage), async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
     const { userId } = req.params;
     const { total_urlaubstage_annually } = req.body;
-    if (isNaN(parseInt(userId)) || total_urlaubstage_annually === undefined || isNaN(parseInt(total_urlaubstage_annually)) || parseInt(total_urlaubstage_annually) < 0) {
-        return res.status(400).json({ success: false, message: "Ungültige Eingabe." });
-    }
     try {
-        const [result] = await pool.execute("UPDATE Praktikanten SET total_urlaubstage_annually = ? WHERE id = ?", [parseInt(total_urlaubstage_annually), parseInt(userId)]);
+        if (!(await canAccessUserHelper(req.session.user, userId))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        const [result] = await pool.execute("UPDATE Praktikanten SET total_urlaubstage_annually = ? WHERE id = ?", [total_urlaubstage_annually, userId]);
         if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Praktikant nicht gefunden." });
         res.json({ success: true, message: `Urlaubstage aktualisiert.` });
     } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
 });
 
-app.delete("/api/praktikanten/:id", async (req, res) => {
-    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ message: "Zugriff verweigert" });
+app.put("/api/admin/praktikanten/:userId/arbeitszeiten", validate(schemas.arbeitszeiten), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { userId } = req.params;
+    const hoursPerDay = ARBEITSZEIT_SPALTEN.map(spalte => req.body[spalte]);
+    try {
+        if (!(await canAccessUserHelper(req.session.user, userId))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        const [result] = await pool.execute(
+            `UPDATE Praktikanten SET ${ARBEITSZEIT_SPALTEN.map(spalte => `${spalte} = ?`).join(', ')}, nachtschicht = ? WHERE id = ?`,
+            [...hoursPerDay, req.body.nachtschicht, userId]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Praktikant nicht gefunden." });
+        const wochenstunden = hoursPerDay.reduce((sum, hours) => sum + hours, 0);
+        res.json({ success: true, message: `Arbeitszeiten aktualisiert (${wochenstunden} Std./Woche${req.body.nachtschicht ? `, Nachtschichten bis ${NIGHT_SHIFT_END_HOUR} Uhr` : ''}).` });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+app.put("/api/admin/praktikanten/:userId/geburtsdatum", validate(schemas.geburtsdatum), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { userId } = req.params;
+    // An empty value removes the birth date
+    const geburtsdatum = req.body.geburtsdatum || null;
+    try {
+        if (!(await canAccessUserHelper(req.session.user, userId))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        const [result] = await pool.execute("UPDATE Praktikanten SET geburtsdatum = ? WHERE id = ?", [geburtsdatum, userId]);
+        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Praktikant nicht gefunden." });
+        res.json({ success: true, message: "Geburtsdatum aktualisiert." });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+// Badge number for the kiosk terminal; only its HMAC is stored, so it cannot be shown again
+app.put("/api/admin/praktikanten/:userId/ausweis", validate(schemas.kioskAusweis), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { userId } = req.params;
+    // An empty value removes the badge number
+    const ausweisHash = req.body.ausweisnummer ? hashKioskIdentifier(req.body.ausweisnummer, KIOSK_SECRET) : null;
+    try {
+        if (!(await canAccessUserHelper(req.session.user, userId))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        if (ausweisHash && await isKioskIdentifierTakenHelper(ausweisHash, userId)) {
+            return res.status(409).json({ success: false, message: "Diese Ausweisnummer ist bereits vergeben." });
+        }
+        const [result] = await pool.execute("UPDATE Praktikanten SET kioskAusweisHash = ? WHERE id = ?", [ausweisHash, userId]);
+        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Praktikant nicht gefunden." });
+        console.log(`[KIOSK] Badge of user ${userId} ${ausweisHash ? 'set' : 'removed'} by user ${req.session.user.id}`);
+        res.json({ success: true, message: ausweisHash ? "Ausweisnummer gespeichert." : "Ausweisnummer entfernt." });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ success: false, message: "Diese Ausweisnummer ist bereits vergeben." });
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+app.delete("/api/praktikanten/:id", validate(schemas.praktikantLoeschen), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ message: "Zugriff verweigert" });
     try {
+        if (!(await canAccessUserHelper(req.session.user, req.params.id))) return res.status(403).json({ message: "Kein Zugriff auf diesen Praktikanten." });
         const [userRows] = await pool.execute("SELECT rolle, status FROM Praktikanten WHERE id = ?", [req.params.id]);
         if (userRows.length === 0) return res.status(404).json({ message: "Benutzer nicht gefunden." });
         if (userRows[0].rolle === "Betreuer") return res.status(403).json({ message: "Betreuer-Konten können nicht gelöscht werden." });
@@ -910,159 +2177,1647 @@ app.delete("/api/praktikanten/:id", async (req, res) => {
     } catch (error) { res.status(500).json({ message: "Fehler beim Löschen." }); }
 });
 
-const HOURS_PER_URLAUBSTAG_GLOBAL = 8;
+// Betreuer assignments and super-admin role (super-admins only)
+app.get("/api/admin/betreuer", async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    try {
+        const [betreuer] = await pool.execute(
+            "SELECT b.id, b.vorname, b.nachname, b.email, b.superadmin, COUNT(p.id) AS anzahlPraktikanten FROM Praktikanten b LEFT JOIN Praktikanten p ON p.betreuerId = b.id AND p.status = 'aktiv' WHERE b.rolle = 'Betreuer' AND b.status = 'aktiv' GROUP BY b.id ORDER BY b.vorname, b.nachname"
+        );
+        res.json({ success: true, betreuer });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+app.put("/api/admin/praktikanten/:userId/betreuer", validate(schemas.betreuerZuweisen), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { userId } = req.params;
+    // An empty value removes the assignment
+    const betreuerId = req.body.betreuerId || null;
+    try {
+        if (betreuerId !== null) {
+            const [betreuerRows] = await pool.execute("SELECT id FROM Praktikanten WHERE id = ? AND rolle = 'Betreuer' AND status = 'aktiv'", [betreuerId]);
+            if (betreuerRows.length === 0) return res.status(400).json({ success: false, message: "Der gewählte Betreuer existiert nicht oder ist inaktiv." });
+        }
+        const [result] = await pool.execute("UPDATE Praktikanten SET betreuerId = ? WHERE id = ? AND rolle = 'Praktikant'", [betreuerId, userId]);
+        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Praktikant nicht gefunden." });
+        console.log(`[BETREUER] Intern ${userId} assigned to Betreuer ${betreuerId} by user ${req.session.user.id}`);
+        res.json({ success: true, message: betreuerId ? "Betreuer zugewiesen." : "Betreuer-Zuweisung entfernt." });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+app.put("/api/admin/betreuer/:userId/superadmin", validate(schemas.superAdmin), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { userId } = req.params;
+    if (userId === req.session.user.id) return res.status(400).json({ success: false, message: "Die eigene Super-Admin-Rolle kann nicht geändert werden." });
+    try {
+        const [result] = await pool.execute("UPDATE Praktikanten SET superadmin = ? WHERE id = ? AND rolle = 'Betreuer'", [req.body.superadmin, userId]);
+        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Betreuer nicht gefunden." });
+        console.log(`[BETREUER] Super-admin role of user ${userId} set to ${req.body.superadmin} by user ${req.session.user.id}`);
+        res.json({ success: true, message: req.body.superadmin ? "Super-Admin-Rolle vergeben. Sie gilt ab der nächsten Anmeldung." : "Super-Admin-Rolle entzogen. Die Änderung gilt ab der nächsten Anmeldung." });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+// Login lockouts
+app.put("/api/admin/praktikanten/:userId/entsperren", validate(schemas.benutzerAktion), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { userId } = req.params;
+    try {
+        if (!(await canAccessUserHelper(req.session.user, userId))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        const [userRows] = await pool.execute("SELECT rolle FROM Praktikanten WHERE id = ?", [userId]);
+        if (userRows.length === 0) return res.status(404).json({ success: false, message: "Benutzer nicht gefunden." });
+        if (userRows[0].rolle === 'Betreuer' && !isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Betreuer-Konten verwalten." });
+        await pool.execute("UPDATE Praktikanten SET fehlversuche = 0, letzterFehlversuch = NULL, gesperrtBis = NULL WHERE id = ?", [userId]);
+        console.log(`[LOGIN] Account ${userId} unlocked by user ${req.session.user.id}`);
+        res.json({ success: true, message: "Konto entsperrt." });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+// --- Two-factor authentication (TOTP) for Betreuer accounts ---
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Zeiterfassung';
+
+app.get("/api/2fa/status", async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    try {
+        const [rows] = await pool.execute("SELECT totpAktiv FROM Praktikanten WHERE id = ?", [req.session.user.id]);
+        if (rows.length === 0) return res.status(404).json({ success: false, message: "Benutzer nicht gefunden." });
+        const aktiv = !!rows[0].totpAktiv;
+        res.json({
+            success: true,
+            aktiv,
+            pflicht: await isTwoFactorRequiredHelper(),
+            verbleibendeWiederherstellungscodes: aktiv ? await countRecoveryCodesHelper(req.session.user.id) : 0
+        });
+    } catch (error) {
+        console.error("[2FA] Status konnte nicht geladen werden:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+// Creates a new secret; it is only stored in the session until the first code confirms it
+app.post("/api/2fa/einrichten", async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    try {
+        const [rows] = await pool.execute("SELECT email, totpAktiv FROM Praktikanten WHERE id = ?", [req.session.user.id]);
+        if (rows.length === 0) return res.status(404).json({ success: false, message: "Benutzer nicht gefunden." });
+        if (rows[0].totpAktiv) return res.status(409).json({ success: false, message: "Die Zwei-Faktor-Authentifizierung ist bereits aktiv." });
+        const secret = generateTotpSecret();
+        const otpauthUrl = buildOtpauthUrl(secret, rows[0].email, TOTP_ISSUER);
+        req.session.totpEinrichtungSecret = secret;
+        res.json({ success: true, secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) });
+    } catch (error) {
+        console.error("[2FA] Einrichtung fehlgeschlagen:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+app.post("/api/2fa/aktivieren", validate(schemas.zweiFaktorCode), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const secret = req.session.totpEinrichtungSecret;
+    if (!secret) return res.status(400).json({ success: false, message: "Bitte die Einrichtung zuerst starten." });
+    const step = verifyTotp(secret, req.body.code);
+    if (step === null) return res.status(400).json({ success: false, message: "Ungültiger Code. Bitte die Uhrzeit des Geräts prüfen und den aktuellen Code eingeben." });
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [result] = await connection.execute(
+            "UPDATE Praktikanten SET totpSecret = ?, totpAktiv = TRUE, totpLetzterSchritt = ? WHERE id = ? AND totpAktiv = FALSE",
+            [secret, step, req.session.user.id]
+        );
+        if (result.affectedRows === 0) {
+            await connection.rollback();
+            return res.status(409).json({ success: false, message: "Die Zwei-Faktor-Authentifizierung ist bereits aktiv." });
+        }
+        const wiederherstellungscodes = await replaceRecoveryCodesHelper(connection, req.session.user.id);
+        await connection.commit();
+        delete req.session.totpEinrichtungSecret;
+        req.session.user.zweiFaktorAktiv = true;
+        console.log(`[2FA] Enabled for user ${req.session.user.id}`);
+        res.json({ success: true, message: "Zwei-Faktor-Authentifizierung aktiviert.", wiederherstellungscodes });
+    } catch (error) {
+        await connection.rollback();
+        console.error("[2FA] Aktivierung fehlgeschlagen:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    } finally {
+        connection.release();
+    }
+});
+
+app.post("/api/2fa/deaktivieren", validate(schemas.zweiFaktorDeaktivieren), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { passwort } = req.body;
+    try {
+        if (await isTwoFactorRequiredHelper()) return res.status(403).json({ success: false, message: "Die Zwei-Faktor-Authentifizierung ist für Betreuer vorgeschrieben und kann nicht deaktiviert werden." });
+        const [rows] = await pool.execute("SELECT password FROM Praktikanten WHERE id = ?", [req.session.user.id]);
+        if (rows.length === 0) return res.status(404).json({ success: false, message: "Benutzer nicht gefunden." });
+        if (!(await bcrypt.compare(passwort, rows[0].password))) return res.status(401).json({ success: false, message: "Das Passwort ist falsch." });
+        await pool.execute("UPDATE Praktikanten SET totpSecret = NULL, totpAktiv = FALSE, totpLetzterSchritt = NULL WHERE id = ?", [req.session.user.id]);
+        await pool.execute("DELETE FROM Wiederherstellungscodes WHERE benutzerId = ?", [req.session.user.id]);
+        req.session.user.zweiFaktorAktiv = false;
+        console.log(`[2FA] Disabled by user ${req.session.user.id}`);
+        res.json({ success: true, message: "Zwei-Faktor-Authentifizierung deaktiviert." });
+    } catch (error) {
+        console.error("[2FA] Deaktivierung fehlgeschlagen:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+// New recovery codes invalidate all previous ones; confirmed with a current code from the app
+app.post("/api/2fa/wiederherstellungscodes", validate(schemas.zweiFaktorCode), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [rows] = await connection.execute("SELECT totpSecret, totpAktiv FROM Praktikanten WHERE id = ? FOR UPDATE", [req.session.user.id]);
+        if (rows.length === 0 || !rows[0].totpAktiv) {
+            await connection.rollback();
+            return res.status(400).json({ success: false, message: "Die Zwei-Faktor-Authentifizierung ist nicht aktiv." });
+        }
+        if (!(await consumeTotpCodeHelper(connection, req.session.user.id, rows[0].totpSecret, req.body.code))) {
+            await connection.rollback();
+            return res.status(400).json({ success: false, message: "Ungültiger Code." });
+        }
+        const wiederherstellungscodes = await replaceRecoveryCodesHelper(connection, req.session.user.id);
+        await connection.commit();
+        console.log(`[2FA] Recovery codes regenerated by user ${req.session.user.id}`);
+        res.json({ success: true, message: "Neue Wiederherstellungscodes erstellt.", wiederherstellungscodes });
+    } catch (error) {
+        await connection.rollback();
+        console.error("[2FA] Wiederherstellungscodes konnten nicht erstellt werden:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    } finally {
+        connection.release();
+    }
+});
+
+app.put("/api/admin/einstellungen/2fa-pflicht", validate(schemas.zweiFaktorPflicht), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können diese Einstellung ändern." });
+    const { pflicht } = req.body;
+    try {
+        await setSettingHelper('zweiFaktorPflichtBetreuer', pflicht ? 'true' : 'false', req.session.user.id);
+        console.log(`[2FA] Mandatory 2FA for Betreuer ${pflicht ? 'enabled' : 'disabled'} by user ${req.session.user.id}`);
+        res.json({ success: true, message: pflicht ? "Zwei-Faktor-Authentifizierung ist jetzt für alle Betreuer Pflicht." : "Zwei-Faktor-Authentifizierung ist für Betreuer wieder freiwillig." });
+    } catch (error) {
+        console.error("[2FA] Pflicht-Einstellung konnte nicht gespeichert werden:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+// For Betreuer who lost their device and their recovery codes
+app.put("/api/admin/betreuer/:userId/2fa-zuruecksetzen", validate(schemas.benutzerAktion), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Betreuer-Konten verwalten." });
+    const { userId } = req.params;
+    if (userId === req.session.user.id) return res.status(400).json({ success: false, message: "Die eigene Zwei-Faktor-Authentifizierung kann nur im eigenen Konto geändert werden." });
+    try {
+        const [result] = await pool.execute("UPDATE Praktikanten SET totpSecret = NULL, totpAktiv = FALSE, totpLetzterSchritt = NULL WHERE id = ? AND rolle = 'Betreuer'", [userId]);
+        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Betreuer nicht gefunden." });
+        await pool.execute("DELETE FROM Wiederherstellungscodes WHERE benutzerId = ?", [userId]);
+        console.log(`[2FA] Reset for user ${userId} by super-admin ${req.session.user.id}`);
+        res.json({ success: true, message: "Zwei-Faktor-Authentifizierung zurückgesetzt. Der Betreuer muss sie bei der nächsten Anmeldung neu einrichten, falls sie vorgeschrieben ist." });
+    } catch (error) {
+        console.error("[2FA] Zurücksetzen fehlgeschlagen:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+// Login attempts for review; includes unknown e-mail addresses and IPs, therefore super-admins only
+app.get("/api/admin/anmeldeversuche", validate(schemas.anmeldeversuche), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { email, ip } = req.query;
+    const limit = req.query.limit || 200;
+    const conditions = [];
+    const params = [];
+    if (email) { conditions.push("a.email = ?"); params.push(email); }
+    if (ip) { conditions.push("a.ip = ?"); params.push(ip); }
+    if (req.query.nurFehlgeschlagen) conditions.push("a.erfolgreich = FALSE");
+    try {
+        const [versuche] = await pool.query(
+            `SELECT a.id, a.zeitpunkt, a.email, a.benutzerId, a.ip, a.erfolgreich, a.grund, p.vorname, p.nachname
+             FROM Anmeldeversuche a LEFT JOIN Praktikanten p ON p.id = a.benutzerId
+             ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY a.zeitpunkt DESC, a.id DESC LIMIT ?`,
+            [...params, limit]
+        );
+        res.json({ success: true, versuche });
+    } catch (error) {
+        console.error("Fehler beim Laden der Anmeldeversuche:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+// Invitation links; Betreuer invite for themselves, super-admins may choose the Betreuer
+function getInvitationScopeSql(user) {
+    if (isSuperAdmin(user)) return { sql: "1 = 1", params: [] };
+    return { sql: "(e.betreuerId = ? OR e.erstelltVon = ?)", params: [user.id, user.id] };
+}
+
+app.get("/api/admin/einladungen", async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    try {
+        const scope = getInvitationScopeSql(req.session.user);
+        const [einladungen] = await pool.execute(
+            `SELECT e.id, e.email, e.vorname, e.nachname, e.bildungstraeger, e.betreuerId, e.erstelltAm, e.ablaufAm, b.vorname AS betreuerVorname, b.nachname AS betreuerNachname
+             FROM Einladungen e LEFT JOIN Praktikanten b ON b.id = e.betreuerId
+             WHERE e.verwendetAm IS NULL AND e.ablaufAm > ? AND ${scope.sql} ORDER BY e.erstelltAm DESC`,
+            [new Date(), ...scope.params]
+        );
+        res.json({ success: true, einladungen });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+app.post("/api/admin/einladungen", validate(schemas.einladungErstellen), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { email, vorname, nachname, bildungstraeger } = req.body;
+    // Only super-admins may invite interns for another Betreuer (or without one)
+    let betreuerId = req.session.user.id;
+    if (isSuperAdmin(req.session.user) && req.body.betreuerId !== undefined) {
+        betreuerId = req.body.betreuerId || null;
+    }
+    try {
+        if (betreuerId !== null && betreuerId !== req.session.user.id) {
+            const [betreuerRows] = await pool.execute("SELECT id FROM Praktikanten WHERE id = ? AND rolle = 'Betreuer' AND status = 'aktiv'", [betreuerId]);
+            if (betreuerRows.length === 0) return res.status(400).json({ success: false, message: "Der gewählte Betreuer existiert nicht oder ist inaktiv." });
+        }
+        const [existingUsers] = await pool.execute("SELECT id FROM Praktikanten WHERE email = ?", [email]);
+        if (existingUsers.length > 0) return res.status(409).json({ success: false, message: "Für diese Email existiert bereits ein Konto." });
+
+        // Open invitations of another Betreuer must not be replaced by inviting the same email
+        const scope = getInvitationScopeSql(req.session.user);
+        const [fremdeEinladungen] = await pool.execute(
+            `SELECT e.id FROM Einladungen e WHERE e.email = ? AND e.verwendetAm IS NULL AND e.ablaufAm > ? AND NOT ${scope.sql}`,
+            [email, new Date(), ...scope.params]
+        );
+        if (fremdeEinladungen.length > 0) return res.status(409).json({ success: false, message: "Für diese Email gibt es bereits eine offene Einladung eines anderen Betreuers." });
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const ablaufAm = new Date(Date.now() + INVITE_VALID_DAYS * 24 * 60 * 60 * 1000);
+        // Only the newest invitation per email is valid
+        await pool.execute("DELETE FROM Einladungen WHERE email = ? AND verwendetAm IS NULL", [email]);
+        const [result] = await pool.execute(
+            "INSERT INTO Einladungen (tokenHash, email, vorname, nachname, bildungstraeger, betreuerId, erstelltVon, ablaufAm) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+            [hashToken(token), email, vorname || null, nachname || null, bildungstraeger || null, betreuerId, req.session.user.id, ablaufAm]
+        );
+        const link = `${APP_BASE_URL}/login.html?einladung=${token}`;
+        console.log(`[REGISTRATION] Invitation ${result.insertId} created by user ${req.session.user.id}`);
+
+        // The link is returned in any case, so a failed mail does not fail the request
+        let mailGesendet = true;
+        try {
+            await sendMail({
+                to: email,
+                subject: "Einladung zur Zeiterfassung",
+                text: `Hallo ${vorname || ''},\n\n`
+                    + `Sie wurden eingeladen, ein Konto in der Zeiterfassung anzulegen. Über folgenden Link können Sie sich registrieren:\n\n`
+                    + `${link}\n\n`
+                    + `Der Link ist ${INVITE_VALID_DAYS} Tage gültig und kann nur einmal verwendet werden.\n`
+            });
+        } catch (error) {
+            mailGesendet = false;
+            console.error("[MAIL] Einladung konnte nicht gesendet werden:", error);
+        }
+        res.status(201).json({
+            success: true,
+            message: mailGesendet ? "Einladung erstellt und per Email versendet." : "Einladung erstellt. Die Email konnte nicht gesendet werden, bitte den Link weitergeben.",
+            id: result.insertId,
+            link,
+            mailGesendet
+        });
+    } catch (error) {
+        console.error("Fehler beim Erstellen der Einladung:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+app.delete("/api/admin/einladungen/:id", validate(schemas.einladungZurueckziehen), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    try {
+        const scope = getInvitationScopeSql(req.session.user);
+        const [result] = await pool.execute(
+            `DELETE e FROM Einladungen e WHERE e.id = ? AND e.verwendetAm IS NULL AND ${scope.sql}`,
+            [req.params.id, ...scope.params]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Einladung nicht gefunden." });
+        res.json({ success: true, message: "Einladung zurückgezogen." });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+// Weekly work schedule columns on Praktikanten, indexed like Date.getUTCDay() (0 = Sonntag)
+const ARBEITSZEIT_SPALTEN = ['arbeitszeit_so', 'arbeitszeit_mo', 'arbeitszeit_di', 'arbeitszeit_mi', 'arbeitszeit_do', 'arbeitszeit_fr', 'arbeitszeit_sa'];
+const DEFAULT_ARBEITSZEITEN = [0, 8, 8, 8, 8, 8, 0];
+
+// Returns the scheduled hours per weekday for a user (index 0 = Sonntag)
+async function getWorkScheduleHelper(benutzerId, poolConnection) {
+    const [rows] = await poolConnection.execute(`SELECT ${ARBEITSZEIT_SPALTEN.join(', ')} FROM Praktikanten WHERE id = ?`, [benutzerId]);
+    if (rows.length === 0) return [...DEFAULT_ARBEITSZEITEN];
+    return ARBEITSZEIT_SPALTEN.map((spalte, index) => {
+        const value = rows[0][spalte];
+        return value === null || value === undefined ? DEFAULT_ARBEITSZEITEN[index] : parseFloat(value);
+    });
+}
+
+// Target hours for a period: scheduled hours of each day, public holidays and closing days excluded
+async function getTargetHoursForPeriodHelper(benutzerId, periodStartDate, periodEndDate, poolConnection) {
+    const schedule = await getWorkScheduleHelper(benutzerId, poolConnection);
+    const freeDays = await getFreeDaysForPeriodHelper(periodStartDate, periodEndDate, poolConnection);
+    const [startYear, startMonth, startDay] = periodStartDate.split('-').map(Number);
+    const [endYear, endMonth, endDay] = periodEndDate.split('-').map(Number);
+    const currentDay = new Date(Date.UTC(startYear, startMonth - 1, startDay));
+    const lastDay = new Date(Date.UTC(endYear, endMonth - 1, endDay));
+    let targetHours = 0;
+    while (currentDay <= lastDay) {
+        if (!freeDays.has(currentDay.toISOString().split('T')[0])) targetHours += schedule[currentDay.getUTCDay()];
+        currentDay.setUTCDate(currentDay.getUTCDate() + 1);
+    }
+    return targetHours;
+}
+
+function formatHoursAsHHMM(decimalHours) {
+    const totalMinutes = Math.round(decimalHours * 60);
+    return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+}
+
+// Federal state whose public holidays apply (nationwide holidays only if unset)
+const FEIERTAGE_BUNDESLAND = (process.env.BUNDESLAND || '').toUpperCase() || null;
+if (FEIERTAGE_BUNDESLAND && !BUNDESLAENDER[FEIERTAGE_BUNDESLAND]) {
+    console.warn(`[HOLIDAYS] Unbekanntes Bundesland "${FEIERTAGE_BUNDESLAND}" - es werden nur bundesweite Feiertage berücksichtigt.`);
+}
+
+// Returns a Map of 'YYYY-MM-DD' -> name for public holidays and company closing days within the period
+async function getFreeDaysForPeriodHelper(periodStartDate, periodEndDate, poolConnection) {
+    const freeDays = getPublicHolidaysForPeriod(periodStartDate, periodEndDate, FEIERTAGE_BUNDESLAND);
+    const [closingDays] = await poolConnection.execute("SELECT DATE_FORMAT(datum, '%Y-%m-%d') as datum, bezeichnung FROM Betriebsschliessungen WHERE datum >= ? AND datum <= ?", [periodStartDate, periodEndDate]);
+    closingDays.forEach(day => { if (!freeDays.has(day.datum)) freeDays.set(day.datum, day.bezeichnung || 'Betriebsschließung'); });
+    return freeDays;
+}
+
+// --- Absence types (Abwesenheitstypen) ---
+const ABSENCE_TYPE_COLUMNS = "id, name, urlaubAnrechnen, gutschriftStunden, genehmigungErforderlich, farbe, aktiv";
+const UNKNOWN_ABSENCE_TYPE_MESSAGE = "Unbekannte oder deaktivierte Art der Abwesenheit.";
+const UNKNOWN_ABSENCE_TYPE_RESPONSE = { success: false, message: UNKNOWN_ABSENCE_TYPE_MESSAGE, fehler: [{ feld: 'abwesenheit_typ', meldung: UNKNOWN_ABSENCE_TYPE_MESSAGE }] };
+
+function toAbsenceType(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        urlaubAnrechnen: Boolean(row.urlaubAnrechnen),
+        // null: credited with the target hours of the day
+        gutschriftStunden: row.gutschriftStunden === null ? null : parseFloat(row.gutschriftStunden),
+        genehmigungErforderlich: Boolean(row.genehmigungErforderlich),
+        farbe: row.farbe,
+        aktiv: Boolean(row.aktiv)
+    };
+}
+
+// Returns a Map of type name -> settings for all absence types
+async function getAbsenceTypesHelper(poolConnection) {
+    const [rows] = await poolConnection.execute(`SELECT ${ABSENCE_TYPE_COLUMNS} FROM Abwesenheitstypen`);
+    return new Map(rows.map(row => [row.name, toAbsenceType(row)]));
+}
+
+// Settings of the type chosen for a new or changed absence, or null if it cannot be chosen;
+// deactivated types can only be kept by absences that already have them
+async function getSelectableAbsenceTypeHelper(poolConnection, name, currentName = null) {
+    const [rows] = await poolConnection.execute(`SELECT ${ABSENCE_TYPE_COLUMNS} FROM Abwesenheitstypen WHERE name = ?`, [name]);
+    if (rows.length === 0 || (!rows[0].aktiv && rows[0].name !== currentName)) return null;
+    return toAbsenceType(rows[0]);
+}
+
+// Status a newly submitted (or edited) intern absence starts with
+function getInitialAbsenceStatus(absenceType) {
+    return absenceType.genehmigungErforderlich ? 'beantragt' : 'genehmigt';
+}
+
+// --- Projects and tasks (Projekte, Projektaufgaben) ---
+// Adds pr.name (project) and pa.name (task) to queries on Arbeitszeiten a
+const SEGMENT_PROJECT_JOINS = "LEFT JOIN Projekte pr ON pr.id = a.projektId LEFT JOIN Projektaufgaben pa ON pa.id = a.aufgabeId";
+
+// Checks the project and task chosen for a work segment and returns a field error, or null if they can be used;
+// deactivated projects and tasks can only be kept by segments that already have them
+async function checkProjectSelectionHelper(poolConnection, projektId, aufgabeId, current = {}) {
+    if (!projektId) {
+        return aufgabeId ? { feld: 'aufgabeId', meldung: "Bitte wählen Sie zur Aufgabe auch das Projekt." } : null;
+    }
+    const [projects] = await poolConnection.execute("SELECT aktiv FROM Projekte WHERE id = ?", [projektId]);
+    if (projects.length === 0 || (!projects[0].aktiv && projektId !== current.projektId)) {
+        return { feld: 'projektId', meldung: "Unbekanntes oder deaktiviertes Projekt." };
+    }
+    if (!aufgabeId) return null;
+    const [tasks] = await poolConnection.execute("SELECT aktiv FROM Projektaufgaben WHERE id = ? AND projektId = ?", [aufgabeId, projektId]);
+    if (tasks.length === 0 || (!tasks[0].aktiv && aufgabeId !== current.aufgabeId)) {
+        return { feld: 'aufgabeId', meldung: "Unbekannte oder deaktivierte Aufgabe dieses Projekts." };
+    }
+    return null;
+}
+
+// Project and task a finished segment is saved with: the ones sent when pausing, otherwise those chosen at its start
+async function getSegmentProjectHelper(connection, body, activeRecord) {
+    if (body.projektId === undefined) {
+        return { projektId: activeRecord.projektId, aufgabeId: activeRecord.aufgabeId, fehler: null };
+    }
+    const projektId = body.projektId || null;
+    const aufgabeId = body.aufgabeId || null;
+    return { projektId, aufgabeId, fehler: await checkProjectSelectionHelper(connection, projektId, aufgabeId, activeRecord) };
+}
+
+function projectSelectionErrorResponse(fehler) {
+    return { success: false, message: fehler.meldung, fehler: [fehler] };
+}
+
+// Offline punches older than this are rejected; the intern files a correction request instead
+const OFFLINE_PUNCH_MAX_HOURS = parseInt(process.env.OFFLINE_PUNCH_MAX_HOURS, 10) || DEFAULT_OFFLINE_PUNCH_MAX_HOURS;
+const PUNCH_TYPE_LABELS = { start: 'Start', pause: 'Pause', ende: 'Feierabend' };
+// Answer to a queued punch that was already recorded, so the device removes it from its queue
+const PUNCH_ALREADY_RECORDED = { success: true, message: "Diese Stempelung wurde bereits übertragen.", bereitsVerarbeitet: true };
+// Answer to a queued punch made by another user of the same browser; the device keeps it for that user
+const PUNCH_OF_OTHER_USER = { success: false, message: "Diese Stempelung wurde von einem anderen Benutzer erfasst.", fremdeStempelung: true };
+
+// Queued punches carry the id of the user who made them; the session must belong to that user
+function isPunchOfOtherUser(body, benutzerId) {
+    return body.benutzerId !== undefined && body.benutzerId !== benutzerId;
+}
+
+// Time of a punch: the server clock, or the device time of a punch synced from the offline queue
+function resolvePunchTimeHelper(body, fruehestens) {
+    return resolvePunchTime(body.clientZeit, new Date(), { maxOfflineHours: OFFLINE_PUNCH_MAX_HOURS, fruehestens });
+}
+
+// End of the user's last segment; a start synced later must not lie before it
+async function getLastPunchTimeHelper(connection, benutzerId) {
+    const [rows] = await connection.execute("SELECT MAX(endZeit) AS letzteStempelung FROM Arbeitszeiten WHERE benutzerId = ?", [benutzerId]);
+    return rows[0].letzteStempelung;
+}
+
+async function isPunchRecordedHelper(connection, benutzerId, ereignisId) {
+    if (!ereignisId) return false;
+    const [rows] = await connection.execute("SELECT ereignisId FROM Stempelereignisse WHERE ereignisId = ? AND benutzerId = ?", [ereignisId, benutzerId]);
+    return rows.length > 0;
+}
+
+// Remembers the id of a queued punch and notifies the responsible Betreuer if it was synced late
+async function recordQueuedPunchHelper(connection, benutzerId, typ, body, punch) {
+    if (body.ereignisId) {
+        await connection.execute(
+            "INSERT INTO Stempelereignisse (ereignisId, benutzerId, typ, clientZeit) VALUES (?, ?, ?, ?)",
+            [body.ereignisId, benutzerId, typ, body.clientZeit]
+        );
+    }
+    if (!punch.nachsynchronisiert) return;
+
+    const [userRows] = await connection.execute("SELECT vorname, nachname, email, betreuerId FROM Praktikanten WHERE id = ?", [benutzerId]);
+    const user = userRows[0];
+    const praktikantName = `${user.vorname || ''} ${user.nachname || ''}`.trim() || user.email;
+    const zeitpunkt = `${punch.zeit.toLocaleDateString('de-DE')} um ${punch.zeit.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })}`;
+    console.log(`[OFFLINE PUNCH] User ${benutzerId}: ${typ} from ${punch.zeit.toISOString()} synced late`);
+    const betreuerIds = await getResponsibleBetreuerIdsHelper(connection, user.betreuerId);
+    for (const betreuerId of betreuerIds) {
+        await createNotificationHelper(connection, betreuerId, 'offline_stempelung',
+            `${praktikantName} hat am ${zeitpunkt} offline gestempelt (${PUNCH_TYPE_LABELS[typ]}). Die Stempelung wurde erst später übertragen, bitte prüfe den Eintrag.`);
+    }
+}
+
+// Working day (YYYY-MM-DD in local timezone) an end punch belongs to: the day the running segment started,
+// or the day of the punch without one. A night shift that crossed midnight before counts for the day it started
+async function getWorkdayOfEndPunchHelper(connection, benutzerId, endZeit, activeRecord) {
+    const tag = new Date(activeRecord ? activeRecord.startZeit : endZeit).toLocaleDateString('en-CA');
+    const [rows] = await connection.execute(
+        "SELECT MIN(startZeit) AS schichtbeginn FROM Arbeitszeiten WHERE benutzerId = ? AND startZeit < ? AND endZeit > ?",
+        [benutzerId, tag, tag]
+    );
+    return rows[0].schichtbeginn ? new Date(rows[0].schichtbeginn).toLocaleDateString('en-CA') : tag;
+}
+
+// Helper to calculate total work time of a working day (YYYY-MM-DD in local timezone), by default today
+// Segments count for the day they started. For a night shift, bis (the end punch) extends the day
+// past midnight so that the segments after midnight count as well
+async function getTodayWorkTimeHelper(benutzerId, poolConnection, today = new Date().toLocaleDateString('en-CA'), bis = null) {
+    console.log(`[WORK TIME] Calculating work time for user ${benutzerId} on ${today}`);
+    
+    const tagesende = new Date(`${today}T00:00:00`);
+    tagesende.setDate(tagesende.getDate() + 1);
+    const [todayRows] = await poolConnection.execute(
+        "SELECT startZeit, endZeit, bericht FROM Arbeitszeiten WHERE benutzerId = ? AND startZeit >= ? AND startZeit < ? AND endZeit IS NOT NULL",
+        [benutzerId, today, bis && bis > tagesende ? bis : tagesende]
+    );
+
+    console.log(`[WORK TIME] Found ${todayRows.length} completed segments for today`);
+    
+    let totalDurationMs = 0;
+    todayRows.forEach((row, index) => {
+        const start = new Date(row.startZeit);
+        const end = new Date(row.endZeit);
+        const durationMs = end.getTime() - start.getTime();
+        const durationHours = durationMs / (1000 * 60 * 60);
+        
+        console.log(`[WORK TIME] Segment ${index + 1}: ${start.toLocaleString('de-DE')} → ${end.toLocaleString('de-DE')} = ${durationHours.toFixed(2)}h`);
+        console.log(`[WORK TIME] Segment message: ${row.bericht}`);
+        
+        if (durationMs > 0) {
+            totalDurationMs += durationMs;
+        }
+    });
+
+    // Missing statutory breaks (ArbZG) are not counted as working time
+    const { deductedBreakMs } = evaluateDayBreaks(todayRows.map(row => ({ start: row.startZeit, end: row.endZeit })));
+    if (deductedBreakMs > 0) {
+        console.log(`[WORK TIME] Deducting ${Math.round(deductedBreakMs / 60000)} min of missing statutory break`);
+        totalDurationMs -= deductedBreakMs;
+    }
+
+    const totalHours = totalDurationMs / (1000 * 60 * 60);
+    console.log(`[WORK TIME] Total work time: ${totalHours.toFixed(2)} hours (${totalDurationMs}ms)`);
+    
+    return totalDurationMs;
+}
+
+// Sums Arbeitszeiten rows (active timers up to now) with missing statutory breaks deducted per day
+// Night shifts are split at midnight; zeitraum {von, bis} keeps only the portions on those days
+function sumNetWorkTime(rows, zeitraum = {}) {
+    const now = new Date();
+    const segments = splitRowsAtMidnight(rows, zeitraum).map(row => ({ start: row.startZeit, end: row.endZeit === null ? now : row.endZeit }));
+    let netWorkedMs = 0;
+    let deductedBreakMs = 0;
+    evaluateBreaksByDay(segments).forEach(day => {
+        netWorkedMs += day.netWorkedMs;
+        deductedBreakMs += day.deductedBreakMs;
+    });
+    return { netWorkedMs, deductedBreakMs };
+}
+
+// Applies the statutory break rules to consolidated report entries (keyed by 'dd.mm.yyyy')
+// and returns the deducted hours of the month
+function applyBreakRulesToReportEntries(consolidated, arbeitszeitRows) {
+    const now = new Date();
+    const breaksByDay = evaluateBreaksByDay(arbeitszeitRows.map(row => ({ start: row.startZeit, end: row.endZeit === null ? now : row.endZeit })));
+    let deductedMs = 0;
+    Object.values(consolidated).forEach(entry => {
+        const dayIso = `${entry.datum.substring(6, 10)}-${entry.datum.substring(3, 5)}-${entry.datum.substring(0, 2)}`;
+        const breaks = breaksByDay.get(dayIso);
+        if (!breaks) return;
+        entry.pause = formatHoursAsHHMM(breaks.takenBreakMs / 3600000);
+        entry.pausenabzug = breaks.deductedBreakMs > 0 ? formatHoursAsHHMM(breaks.deductedBreakMs / 3600000) : null;
+        entry.pausenVerstoss = breaks.breakViolation;
+        entry.durationMs = Math.max(0, entry.durationMs - breaks.deductedBreakMs);
+        deductedMs += breaks.deductedBreakMs;
+    });
+    return deductedMs / 3600000;
+}
+
+// Hours credited for approved absences of all types within a period
+async function getAbsenceCreditHoursForPeriodHelper(benutzerId, periodStartDate, periodEndDate, poolConnection) {
+    const { creditedHours } = await getVacationForPeriodHelper(benutzerId, periodStartDate, periodEndDate, poolConnection);
+    return creditedHours;
+}
+
+// Absences within a period, credited per the user's schedule and the settings of their type:
+// hours credited for all types and the days of the types counting against vacation
+// (half days and hour-based absences count as fractions of a day)
+async function getVacationForPeriodHelper(benutzerId, periodStartDate, periodEndDate, poolConnection) {
+    console.log(`[Helper] Calculating vacation for User: ${benutzerId}, Period: ${periodStartDate} to ${periodEndDate}`);
+    const [vacationAbsences] = await poolConnection.execute( `SELECT start_datum, end_datum, abwesenheit_typ, umfang, stunden, beschreibung FROM Abwesenheiten WHERE benutzerId = ? AND status = 'genehmigt' AND start_datum <= ? AND end_datum >= ?`, [benutzerId, periodEndDate, periodStartDate]);
+    console.log(`[Helper] User: ${benutzerId}, Fetched ${vacationAbsences.length} approved absences for period.`);
+    const freeDays = await getFreeDaysForPeriodHelper(periodStartDate, periodEndDate, poolConnection);
+    const schedule = await getWorkScheduleHelper(benutzerId, poolConnection);
+    const absenceTypes = await getAbsenceTypesHelper(poolConnection);
+    let creditedHours = 0;
+    let vacationDays = 0;
+    const [pStartYear, pStartMonth, pStartDay] = periodStartDate.split('-').map(Number);
+    const [pEndYear, pEndMonth, pEndDay] = periodEndDate.split('-').map(Number);
+    const reportPeriodStartObj = new Date(Date.UTC(pStartYear, pStartMonth - 1, pStartDay, 0, 0, 0, 0));
+    const reportPeriodEndObj = new Date(Date.UTC(pEndYear, pEndMonth - 1, pEndDay, 23, 59, 59, 999));
+    vacationAbsences.forEach(abw => {
+        const absenceType = absenceTypes.get(abw.abwesenheit_typ);
+        const countsAsVacation = Boolean(absenceType && absenceType.urlaubAnrechnen);
+        const absenceStartObj = new Date(abw.start_datum); const absenceEndObj = new Date(abw.end_datum);
+        let currentDateIter = new Date(Date.UTC(absenceStartObj.getFullYear(), absenceStartObj.getMonth(), absenceStartObj.getDate()));
+        const loopUntilDate = new Date(Date.UTC(absenceEndObj.getFullYear(), absenceEndObj.getMonth(), absenceEndObj.getDate()));
+        loopUntilDate.setUTCDate(loopUntilDate.getUTCDate() + 1);
+        let daysCountedThisAbsence = 0;
+        console.log(`[Helper] User: ${benutzerId}, DB Absence: ${abw.start_datum.toISOString().split('T')[0]} to ${abw.end_datum.toISOString().split('T')[0]}. Iterating UTC from ${currentDateIter.toISOString().split('T')[0]} until ${loopUntilDate.toISOString().split('T')[0]}`);
+        while (currentDateIter < loopUntilDate) {
+            const checkingDateLog = currentDateIter.toISOString().split('T')[0]; let countedThisIter = false;
+            if (currentDateIter >= reportPeriodStartObj && currentDateIter <= reportPeriodEndObj) {
+                const dayOfWeek = currentDateIter.getUTCDay();
+                if (schedule[dayOfWeek] > 0 && !freeDays.has(checkingDateLog)) {
+                    const credit = getAbsenceTypeDayCredit(abw, absenceType, schedule[dayOfWeek]);
+                    creditedHours += credit.stunden; daysCountedThisAbsence += credit.tage; countedThisIter = true;
+                    if (countsAsVacation) vacationDays += credit.tage;
+                }
+                console.log(`[Helper] User: ${benutzerId}, Checking UTC: ${checkingDateLog}, DayOfWeek: ${dayOfWeek}, InReportPeriod: Yes, Counted: ${countedThisIter}`);
+            } else { console.log(`[Helper] User: ${benutzerId}, Checking UTC: ${checkingDateLog}, InReportPeriod: No`); }
+            currentDateIter.setUTCDate(currentDateIter.getUTCDate() + 1);
+        }
+        console.log(`[Helper] User: ${benutzerId}, Absence (DB: ${abw.start_datum.toISOString().split('T')[0]}-${abw.end_datum.toISOString().split('T')[0]}): FINISHED LOOP. Counted ${daysCountedThisAbsence} scheduled workdays.`);
+    });
+    vacationDays = roundHours(vacationDays);
+    console.log(`[Helper] User: ${benutzerId}, Period: ${periodStartDate}-${periodEndDate}, Total calculated creditedHours: ${creditedHours}, vacationDays: ${vacationDays}`);
+    return { creditedHours, vacationDays };
+}
+
+// --- Gleitzeitkonto (flextime account) ---
+function shiftIsoDate(isoDate, days) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return date.toISOString().split('T')[0];
+}
+
+function roundHours(hours) {
+    return Math.round(hours * 100) / 100;
+}
+
+// Rounds the days per absence type of a report
+function roundAbsenceCounts(counts) {
+    return Object.fromEntries(Object.entries(counts).map(([typ, tage]) => [typ, roundHours(tage)]));
+}
+
+// The ledger starts on the first recorded workday of the user
+async function getFlextimeStartDateHelper(benutzerId, poolConnection) {
+    const [rows] = await poolConnection.execute("SELECT DATE_FORMAT(MIN(startZeit), '%Y-%m-%d') AS ersterTag FROM Arbeitszeiten WHERE benutzerId = ?", [benutzerId]);
+    return rows[0].ersterTag || null;
+}
+
+// Daily ledger rows: worked hours plus absence credit minus target hours
+async function getFlextimeDaysHelper(benutzerId, periodStartDate, periodEndDate, poolConnection) {
+    const schedule = await getWorkScheduleHelper(benutzerId, poolConnection);
+    const freeDays = await getFreeDaysForPeriodHelper(periodStartDate, periodEndDate, poolConnection);
+    const [workRows] = await poolConnection.execute(
+        "SELECT startZeit, endZeit FROM Arbeitszeiten WHERE benutzerId = ? AND startZeit < DATE_ADD(?, INTERVAL 1 DAY) AND endZeit > ?",
+        [benutzerId, periodEndDate, periodStartDate]
+    );
+    // Worked time per day with missing statutory breaks deducted; night shifts count on each day with their portion
+    const dayRows = splitRowsAtMidnight(workRows, { von: periodStartDate, bis: periodEndDate });
+    const breaksByDay = evaluateBreaksByDay(dayRows.map(row => ({ start: row.startZeit, end: row.endZeit })));
+    const [absenceRows] = await poolConnection.execute(
+        "SELECT DATE_FORMAT(start_datum, '%Y-%m-%d') AS start_datum_iso, DATE_FORMAT(end_datum, '%Y-%m-%d') AS end_datum_iso, abwesenheit_typ, umfang, stunden FROM Abwesenheiten WHERE benutzerId = ? AND status = 'genehmigt' AND start_datum <= ? AND end_datum >= ?",
+        [benutzerId, periodEndDate, periodStartDate]
+    );
+    // Absences are credited according to the settings of their type
+    const absenceTypes = await getAbsenceTypesHelper(poolConnection);
+
+    const tage = [];
+    for (let datum = periodStartDate; datum <= periodEndDate; datum = shiftIsoDate(datum, 1)) {
+        const [year, month, day] = datum.split('-').map(Number);
+        const dayOfWeek = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+        const sollStunden = freeDays.has(datum) ? 0 : schedule[dayOfWeek];
+        // Two partial absences (e.g. vacation in the morning, sick in the afternoon) may share a day
+        const abwesenheiten = absenceRows
+            .filter(abw => abw.start_datum_iso <= datum && abw.end_datum_iso >= datum)
+            .map(abw => ({ ...abw, gutschrift: getAbsenceTypeDayCredit(abw, absenceTypes.get(abw.abwesenheit_typ), sollStunden).stunden }))
+            .filter(abw => abw.gutschrift > 0);
+        const abwesenheit = abwesenheiten[0];
+        const gutschriftStunden = Math.min(sollStunden, abwesenheiten.reduce((sum, abw) => sum + abw.gutschrift, 0));
+        const istStunden = breaksByDay.has(datum) ? breaksByDay.get(datum).netWorkedMs / 3600000 : 0;
+        tage.push({
+            datum,
+            istStunden: roundHours(istStunden),
+            gutschriftStunden: roundHours(gutschriftStunden),
+            gutschriftTyp: abwesenheit && gutschriftStunden > 0 ? abwesenheit.abwesenheit_typ : null,
+            sollStunden: roundHours(sollStunden),
+            deltaStunden: roundHours(istStunden + gutschriftStunden - sollStunden),
+            feiertag: freeDays.get(datum) || null
+        });
+    }
+    return tage;
+}
+
+// Balance up to and including untilDate; the running day (today) is never booked
+async function getFlextimeBalanceHelper(benutzerId, untilDate, poolConnection) {
+    const startDate = await getFlextimeStartDateHelper(benutzerId, poolConnection);
+    const yesterday = shiftIsoDate(new Date().toLocaleDateString('en-CA'), -1);
+    const bookedUntil = untilDate < yesterday ? untilDate : yesterday;
+    let saldo = 0;
+    if (startDate && startDate <= bookedUntil) {
+        const tage = await getFlextimeDaysHelper(benutzerId, startDate, bookedUntil, poolConnection);
+        saldo = tage.reduce((sum, tag) => sum + tag.deltaStunden, 0);
+    }
+    const [korrekturRows] = await poolConnection.execute("SELECT COALESCE(SUM(stunden), 0) AS summe FROM Gleitzeitkorrekturen WHERE benutzerId = ? AND datum <= ?", [benutzerId, untilDate]);
+    return roundHours(saldo + parseFloat(korrekturRows[0].summe));
+}
+
+// Monthly view of the account: carry-over from previous months, daily deltas, corrections and balances
+async function getFlextimeOverviewHelper(benutzerId, monat, poolConnection) {
+    const [year, month] = monat.split('-').map(Number);
+    const monthStartDate = `${monat}-01`;
+    const monthEndDate = `${monat}-${String(new Date(year, month, 0).getDate()).padStart(2, '0')}`;
+    const today = new Date().toLocaleDateString('en-CA');
+    const yesterday = shiftIsoDate(today, -1);
+    const startDate = await getFlextimeStartDateHelper(benutzerId, poolConnection);
+
+    const uebertrag = await getFlextimeBalanceHelper(benutzerId, shiftIsoDate(monthStartDate, -1), poolConnection);
+    const bookedFrom = startDate && startDate > monthStartDate ? startDate : monthStartDate;
+    const bookedUntil = monthEndDate < yesterday ? monthEndDate : yesterday;
+    const tage = startDate && bookedFrom <= bookedUntil ? await getFlextimeDaysHelper(benutzerId, bookedFrom, bookedUntil, poolConnection) : [];
+
+    const [korrekturen] = await poolConnection.execute(
+        `SELECT k.id, DATE_FORMAT(k.datum, '%Y-%m-%d') AS datum, k.stunden, k.kommentar, k.erstelltAm, p.vorname AS erstelltVonVorname, p.nachname AS erstelltVonNachname
+         FROM Gleitzeitkorrekturen k LEFT JOIN Praktikanten p ON k.erstelltVon = p.id
+         WHERE k.benutzerId = ? AND k.datum BETWEEN ? AND ? ORDER BY k.datum, k.id`,
+        [benutzerId, monthStartDate, monthEndDate]
+    );
+    korrekturen.forEach(k => { k.stunden = parseFloat(k.stunden); });
+
+    const monatsDelta = tage.reduce((sum, tag) => sum + tag.deltaStunden, 0) + korrekturen.reduce((sum, k) => sum + k.stunden, 0);
+    const saldo = await getFlextimeBalanceHelper(benutzerId, today, poolConnection);
+    return {
+        monat,
+        startDatum: startDate,
+        uebertrag,
+        monatsDelta: roundHours(monatsDelta),
+        saldoMonatsende: roundHours(uebertrag + monatsDelta),
+        saldo,
+        tage,
+        korrekturen
+    };
+}
+
+// Working time law warnings (ArbZG, JArbSchG for interns under 18) for one month; null if the user does not exist
+async function getComplianceReportHelper(benutzerId, monat, poolConnection) {
+    const [year, month] = monat.split('-').map(Number);
+    const monthStartDate = `${monat}-01`;
+    const monthEndDate = `${monat}-${String(new Date(year, month, 0).getDate()).padStart(2, '0')}`;
+    const [userRows] = await poolConnection.execute("SELECT DATE_FORMAT(geburtsdatum, '%Y-%m-%d') AS geburtsdatum FROM Praktikanten WHERE id = ?", [benutzerId]);
+    if (userRows.length === 0) return null;
+    const geburtsdatum = userRows[0].geburtsdatum || null;
+
+    // The week before the month is needed for the rest period and weekly limits of the first days
+    // Night shifts are not split here: the limits apply per shift, counted on the day it started
+    const [segmentRows] = await poolConnection.execute(
+        "SELECT startZeit, endZeit FROM Arbeitszeiten WHERE benutzerId = ? AND startZeit >= ? AND startZeit < DATE_ADD(?, INTERVAL 1 DAY) ORDER BY startZeit ASC",
+        [benutzerId, shiftIsoDate(monthStartDate, -7), monthEndDate]
+    );
+    const now = new Date();
+    const warnungen = checkWorkingTimeCompliance(
+        segmentRows.map(row => ({ start: row.startZeit, end: row.endZeit === null ? now : row.endZeit })),
+        { geburtsdatum }
+    ).filter(warnung => warnung.datum >= monthStartDate && warnung.datum <= monthEndDate);
+
+    return {
+        monat,
+        geburtsdatum,
+        jugendlich: geburtsdatum !== null && getAgeOnDate(geburtsdatum, monthStartDate) < 18,
+        anzahlTage: new Set(warnungen.map(warnung => warnung.datum)).size,
+        warnungen
+    };
+}
+
+app.get("/api/admin/users/:id/profile", validate(schemas.benutzerProfil), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    try {
+        const userId = req.params.id;
+        if (!(await canAccessUserHelper(req.session.user, userId))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        const [rows] = await pool.execute(`SELECT id, email, rolle, status, vorname, nachname, adresse, telefonnummer, bildungstraeger, praktikumszeit_1_von_bis, praktikumszeit_2_von_bis, allgemeine_notizen, total_urlaubstage_annually, ${ARBEITSZEIT_SPALTEN.join(', ')}, nachtschicht, DATE_FORMAT(geburtsdatum, '%Y-%m-%d') AS geburtsdatum, kioskAusweisHash IS NOT NULL AS kioskAusweisHinterlegt FROM Praktikanten WHERE id = ?`, [userId]);
+        if (rows.length > 0) {
+            const profile = rows[0]; const currentYear = new Date().getFullYear();
+            const { vacationDays: usedUrlaubstageThisYear } = await getVacationForPeriodHelper(userId, `${currentYear}-01-01`, `${currentYear}-12-31`, pool);
+            const remainingUrlaubstage = (profile.total_urlaubstage_annually || 0) - usedUrlaubstageThisYear;
+            res.json({ success: true, profile: { ...profile, usedUrlaubstageThisYear, remainingUrlaubstage } });
+        } else res.status(404).json({ success: false, message: "Benutzerprofil nicht gefunden." });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+app.get("/api/admin/users/:userId/absences", validate(schemas.adminAbwesenheitenAbrufen), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { userId } = req.params;
+    try {
+        if (!(await canAccessUserHelper(req.session.user, userId))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        const [absences] = await pool.execute("SELECT id, DATE_FORMAT(start_datum, '%Y-%m-%d') as start_datum, DATE_FORMAT(end_datum, '%Y-%m-%d') as end_datum, abwesenheit_typ, umfang, stunden, beschreibung, status, ablehnungsgrund FROM Abwesenheiten WHERE benutzerId = ? ORDER BY start_datum DESC", [userId]);
+        res.json({ success: true, absences });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+// Admin endpoint to create new absences for users (frontend expects this path)
+app.post("/api/admin/users/:userId/absences", validate(schemas.adminAbwesenheitErstellen), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { userId } = req.params;
+    const { start_datum, end_datum, abwesenheit_typ, umfang, stunden, beschreibung, konfliktBestaetigt } = req.body;
+    const connection = await pool.getConnection();
+    try {
+        if (!(await canAccessUserHelper(req.session.user, userId, connection))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        if (!(await getSelectableAbsenceTypeHelper(connection, abwesenheit_typ))) return res.status(400).json(UNKNOWN_ABSENCE_TYPE_RESPONSE);
+        await connection.beginTransaction();
+        const konflikt = getConflictResponseHelper(await getAbsenceConflictsHelper(connection, userId, req.body), konfliktBestaetigt);
+        if (konflikt) {
+            await connection.rollback();
+            return res.status(409).json(konflikt);
+        }
+        const [result] = await connection.execute("INSERT INTO Abwesenheiten (benutzerId, start_datum, end_datum, abwesenheit_typ, umfang, stunden, beschreibung) VALUES (?, ?, ?, ?, ?, ?, ?)", [userId, start_datum, end_datum, abwesenheit_typ, umfang, stunden, beschreibung || null]);
+        await writeRowAuditHelper(connection, req.session.user, 'Abwesenheiten', result.insertId, 'erstellt', null);
+        await connection.commit();
+        res.status(201).json({ success: true, message: "Abwesenheit erstellt.", id: result.insertId });
+    } catch (error) {
+        await connection.rollback();
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    } finally {
+        connection.release();
+    }
+});
+
+app.post("/api/admin/absences/:userId", validate(schemas.adminAbwesenheitErstellen), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { userId } = req.params;
+    const connection = await pool.getConnection();
+    try {
+        const { start_datum, end_datum, abwesenheit_typ, umfang, stunden, beschreibung, konfliktBestaetigt } = req.body;
+        if (!(await canAccessUserHelper(req.session.user, userId, connection))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        if (!(await getSelectableAbsenceTypeHelper(connection, abwesenheit_typ))) return res.status(400).json(UNKNOWN_ABSENCE_TYPE_RESPONSE);
+        await connection.beginTransaction();
+        const konflikt = getConflictResponseHelper(await getAbsenceConflictsHelper(connection, userId, req.body), konfliktBestaetigt);
+        if (konflikt) {
+            await connection.rollback();
+            return res.status(409).json(konflikt);
+        }
+        const [result] = await connection.execute("INSERT INTO Abwesenheiten (benutzerId, start_datum, end_datum, abwesenheit_typ, umfang, stunden, beschreibung) VALUES (?, ?, ?, ?, ?, ?, ?)", [userId, start_datum, end_datum, abwesenheit_typ, umfang, stunden, beschreibung || null]);
+        await writeRowAuditHelper(connection, req.session.user, 'Abwesenheiten', result.insertId, 'erstellt', null);
+        await connection.commit();
+        res.status(201).json({ success: true, message: "Abwesenheit erfolgreich erstellt", id: result.insertId });
+    } catch (error) {
+        await connection.rollback();
+        res.status(500).json({ success: false, message: "Interner Serverfehler" });
+    } finally {
+        connection.release();
+    }
+});
+
+app.put("/api/admin/absences/:absenceId", validate(schemas.adminAbwesenheitAendern), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { absenceId } = req.params;
+    const connection = await pool.getConnection();
+    try {
+        if (!(await canAccessRecordHelper(req.session.user, 'Abwesenheiten', absenceId, connection))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        const { start_datum, end_datum, abwesenheit_typ, umfang, stunden, beschreibung, konfliktBestaetigt } = req.body;
+        await connection.beginTransaction();
+        const alterWert = await getAuditSnapshotHelper(connection, 'Abwesenheiten', absenceId);
+        if (!alterWert) {
+            await connection.rollback();
+            return res.status(404).json({ success: false, message: "Abwesenheit nicht gefunden." });
+        }
+        if (!(await getSelectableAbsenceTypeHelper(connection, abwesenheit_typ, alterWert.abwesenheit_typ))) {
+            await connection.rollback();
+            return res.status(400).json(UNKNOWN_ABSENCE_TYPE_RESPONSE);
+        }
+        const konflikt = getConflictResponseHelper(await getAbsenceConflictsHelper(connection, alterWert.benutzerId, req.body, alterWert.id), konfliktBestaetigt);
+        if (konflikt) {
+            await connection.rollback();
+            return res.status(409).json(konflikt);
+        }
+        await connection.execute("UPDATE Abwesenheiten SET start_datum = ?, end_datum = ?, abwesenheit_typ = ?, umfang = ?, stunden = ?, beschreibung = ? WHERE id = ?", [start_datum, end_datum, abwesenheit_typ, umfang, stunden, beschreibung || null, absenceId]);
+        await writeRowAuditHelper(connection, req.session.user, 'Abwesenheiten', absenceId, 'geaendert', alterWert);
+        await connection.commit();
+        res.json({ success: true, message: "Abwesenheit erfolgreich aktualisiert." });
+    } catch (error) {
+        await connection.rollback();
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    } finally {
+        connection.release();
+    }
+});
+
+app.delete("/api/admin/absences/:absenceId", validate(schemas.adminAbwesenheitBearbeiten), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { absenceId } = req.params;
+    const connection = await pool.getConnection();
+    try {
+        if (!(await canAccessRecordHelper(req.session.user, 'Abwesenheiten', absenceId, connection))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        await connection.beginTransaction();
+        const alterWert = await getAuditSnapshotHelper(connection, 'Abwesenheiten', absenceId);
+        if (!alterWert) {
+            await connection.rollback();
+            return res.status(404).json({ success: false, message: "Abwesenheit nicht gefunden." });
+        }
+        await connection.execute("DELETE FROM Abwesenheiten WHERE id = ?", [absenceId]);
+        await writeRowAuditHelper(connection, req.session.user, 'Abwesenheiten', absenceId, 'geloescht', alterWert);
+        await connection.commit();
+        res.json({ success: true, message: "Abwesenheit erfolgreich gelöscht." });
+    } catch (error) {
+        await connection.rollback();
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    } finally {
+        connection.release();
+    }
+});
+
+// Absence approval workflow (Betreuer)
+// Only requests still 'beantragt' can be decided; approved or rejected absences are changed by editing them
+function formatAbsenceRequest(absence) {
+    const von = absence.start_datum.split('-').reverse().join('.');
+    const bis = absence.end_datum.split('-').reverse().join('.');
+    return `Dein Antrag (${absence.abwesenheit_typ}, ${von === bis ? von : `${von} – ${bis}`})`;
+}
+
+app.get("/api/admin/absences/pending", async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    try {
+        const scope = getInternScopeSql(req.session.user, 'p');
+        const [absences] = await pool.execute(
+            `SELECT a.id, a.benutzerId, p.vorname, p.nachname, DATE_FORMAT(a.start_datum, '%Y-%m-%d') as start_datum, DATE_FORMAT(a.end_datum, '%Y-%m-%d') as end_datum, a.abwesenheit_typ, a.umfang, a.stunden, a.beschreibung, a.status FROM Abwesenheiten a JOIN Praktikanten p ON p.id = a.benutzerId WHERE a.status = 'beantragt' AND ${scope.sql} ORDER BY a.start_datum ASC`,
+            scope.params
+        );
+        res.json({ success: true, absences });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+app.put("/api/admin/absences/:absenceId/approve", validate(schemas.adminAbwesenheitBearbeiten), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { absenceId } = req.params;
+    const connection = await pool.getConnection();
+    try {
+        if (!(await canAccessRecordHelper(req.session.user, 'Abwesenheiten', absenceId, connection))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        await connection.beginTransaction();
+        const alterWert = await getAuditSnapshotHelper(connection, 'Abwesenheiten', absenceId);
+        if (!alterWert) {
+            await connection.rollback();
+            return res.status(404).json({ success: false, message: "Abwesenheit nicht gefunden." });
+        }
+        if (alterWert.status !== 'beantragt') {
+            await connection.rollback();
+            return res.status(409).json({ success: false, message: "Der Antrag wurde bereits bearbeitet." });
+        }
+        await connection.execute(
+            "UPDATE Abwesenheiten SET status = 'genehmigt', ablehnungsgrund = NULL, bearbeitetVon = ?, bearbeitetAm = NOW() WHERE id = ?",
+            [req.session.user.id, absenceId]
+        );
+        await writeRowAuditHelper(connection, req.session.user, 'Abwesenheiten', absenceId, 'genehmigt', alterWert);
+        await createNotificationHelper(connection, alterWert.benutzerId, 'abwesenheit', `${formatAbsenceRequest(alterWert)} wurde genehmigt.`);
+        await connection.commit();
+        console.log(`[ABSENCE] Absence ${absenceId} approved by user ${req.session.user.id}`);
+        res.json({ success: true, message: "Abwesenheit genehmigt." });
+    } catch (error) {
+        await connection.rollback();
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    } finally {
+        connection.release();
+    }
+});
+
+app.put("/api/admin/absences/:absenceId/reject", validate(schemas.adminAbwesenheitAblehnen), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { absenceId } = req.params;
+    const { ablehnungsgrund } = req.body;
+    const connection = await pool.getConnection();
+    try {
+        if (!(await canAccessRecordHelper(req.session.user, 'Abwesenheiten', absenceId, connection))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        await connection.beginTransaction();
+        const alterWert = await getAuditSnapshotHelper(connection, 'Abwesenheiten', absenceId);
+        if (!alterWert) {
+            await connection.rollback();
+            return res.status(404).json({ success: false, message: "Abwesenheit nicht gefunden." });
+        }
+        if (alterWert.status !== 'beantragt') {
+            await connection.rollback();
+            return res.status(409).json({ success: false, message: "Der Antrag wurde bereits bearbeitet." });
+        }
+        await connection.execute(
+            "UPDATE Abwesenheiten SET status = 'abgelehnt', ablehnungsgrund = ?, bearbeitetVon = ?, bearbeitetAm = NOW() WHERE id = ?",
+            [ablehnungsgrund, req.session.user.id, absenceId]
+        );
+        await writeRowAuditHelper(connection, req.session.user, 'Abwesenheiten', absenceId, 'abgelehnt', alterWert);
+        await createNotificationHelper(connection, alterWert.benutzerId, 'abwesenheit', `${formatAbsenceRequest(alterWert)} wurde abgelehnt: ${ablehnungsgrund}`);
+        await connection.commit();
+        console.log(`[ABSENCE] Absence ${absenceId} rejected by user ${req.session.user.id}`);
+        res.json({ success: true, message: "Abwesenheit abgelehnt." });
+    } catch (error) {
+        await connection.rollback();
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    } finally {
+        connection.release();
+    }
+});
+
+// Missed-punch correction requests (Praktikant)
+app.post("/api/korrekturantraege", validate(schemas.korrekturantragErstellen), async (req, res) => {
+    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    const { datum, startzeit, endzeit, bericht, begruendung } = req.body;
+    const validationError = validateCorrectionTimes(datum, endzeit);
+    if (validationError) return res.status(400).json({ success: false, message: validationError });
+    const benutzerId = req.session.user.id;
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const overlapping = await getOverlappingWorkEntriesHelper(connection, benutzerId, `${datum} ${startzeit}:00`, `${datum} ${endzeit}:00`);
+        if (overlapping.length > 0) {
+            await connection.rollback();
+            return res.status(409).json({ success: false, message: "Für diesen Zeitraum ist bereits eine Arbeitszeit erfasst." });
+        }
+        const [result] = await connection.execute(
+            "INSERT INTO Korrekturantraege (benutzerId, datum, startzeit, endzeit, bericht, begruendung) VALUES (?, ?, ?, ?, ?, ?)",
+            [benutzerId, datum, startzeit, endzeit, bericht || null, begruendung]
+        );
+        const [userRows] = await connection.execute("SELECT vorname, nachname, email, betreuerId FROM Praktikanten WHERE id = ?", [benutzerId]);
+        const praktikantName = `${userRows[0].vorname || ''} ${userRows[0].nachname || ''}`.trim() || userRows[0].email;
+        const datumFormatted = datum.split('-').reverse().join('.');
+        for (const betreuerId of await getResponsibleBetreuerIdsHelper(connection, userRows[0].betreuerId)) {
+            await createNotificationHelper(connection, betreuerId, 'korrekturantrag',
+                `${praktikantName} hat einen Korrekturantrag für den ${datumFormatted} (${startzeit}–${endzeit}) gestellt.`);
+        }
+        await connection.commit();
+        console.log(`[KORREKTUR] Correction request ${result.insertId} submitted by user ${benutzerId}`);
+        res.status(201).json({ success: true, message: "Korrekturantrag eingereicht. Die Zeit wird nach Genehmigung durch den Betreuer eingetragen.", id: result.insertId });
+    } catch (error) {
+        await connection.rollback();
+        console.error("[KORREKTUR] Fehler beim Einreichen des Korrekturantrags:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    } finally {
+        connection.release();
+    }
+});
+
+app.get("/api/korrekturantraege", async (req, res) => {
+    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    try {
+        const [antraege] = await pool.execute(
+            "SELECT id, DATE_FORMAT(datum, '%Y-%m-%d') AS datum, TIME_FORMAT(startzeit, '%H:%i') AS startzeit, TIME_FORMAT(endzeit, '%H:%i') AS endzeit, bericht, begruendung, status, ablehnungsgrund, erstelltAm FROM Korrekturantraege WHERE benutzerId = ? ORDER BY datum DESC, startzeit DESC",
+            [req.session.user.id]
+        );
+        res.json({ success: true, antraege });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+app.delete("/api/korrekturantraege/:id", validate(schemas.korrekturantragLoeschen), async (req, res) => {
+    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    try {
+        // Only open requests can be withdrawn
+        const [result] = await pool.execute("DELETE FROM Korrekturantraege WHERE id = ? AND benutzerId = ? AND status = 'beantragt'", [req.params.id, req.session.user.id]);
+        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Offener Korrekturantrag nicht gefunden." });
+        res.json({ success: true, message: "Korrekturantrag zurückgezogen." });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+// Missed-punch correction requests (Betreuer)
+app.get("/api/admin/korrekturantraege/pending", async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    try {
+        const scope = getInternScopeSql(req.session.user, 'p');
+        const [antraege] = await pool.execute(
+            `SELECT k.id, k.benutzerId, p.vorname, p.nachname, DATE_FORMAT(k.datum, '%Y-%m-%d') AS datum, TIME_FORMAT(k.startzeit, '%H:%i') AS startzeit, TIME_FORMAT(k.endzeit, '%H:%i') AS endzeit, k.bericht, k.begruendung, k.erstelltAm FROM Korrekturantraege k JOIN Praktikanten p ON p.id = k.benutzerId WHERE k.status = 'beantragt' AND ${scope.sql} ORDER BY k.datum ASC, k.startzeit ASC`,
+            scope.params
+        );
+        res.json({ success: true, antraege });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+app.put("/api/admin/korrekturantraege/:antragId/approve", validate(schemas.korrekturantragGenehmigen), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { antragId } = req.params;
+    const connection = await pool.getConnection();
+    try {
+        if (!(await canAccessRecordHelper(req.session.user, 'Korrekturantraege', antragId, connection))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        await connection.beginTransaction();
+        const [antragRows] = await connection.execute(
+            "SELECT id, benutzerId, DATE_FORMAT(datum, '%Y-%m-%d') AS datum, TIME_FORMAT(startzeit, '%H:%i') AS startzeit, TIME_FORMAT(endzeit, '%H:%i') AS endzeit, bericht, begruendung FROM Korrekturantraege WHERE id = ? AND status = 'beantragt' FOR UPDATE",
+            [antragId]
+        );
+        if (antragRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ success: false, message: "Korrekturantrag nicht gefunden oder bereits bearbeitet." });
+        }
+        const antrag = antragRows[0];
+        const startZeit = `${antrag.datum} ${antrag.startzeit}:00`;
+        const endZeit = `${antrag.datum} ${antrag.endzeit}:00`;
+        // Time may have been recorded for the same period since the request was submitted
+        const overlapping = await getOverlappingWorkEntriesHelper(connection, antrag.benutzerId, startZeit, endZeit);
+        if (overlapping.length > 0) {
+            await connection.rollback();
+            return res.status(409).json({ success: false, message: "Für diesen Zeitraum ist inzwischen eine Arbeitszeit erfasst. Bitte lehnen Sie den Antrag ab." });
+        }
+        const bericht = antrag.bericht || `Nachgetragen: ${antrag.begruendung}`;
+        const [insertResult] = await connection.execute(
+            "INSERT INTO Arbeitszeiten (benutzerId, startZeit, endZeit, bericht, manuell) VALUES (?, ?, ?, ?, TRUE)",
+            [antrag.benutzerId, startZeit, endZeit, bericht]
+        );
+        await connection.execute(
+            "UPDATE Korrekturantraege SET status = 'genehmigt', arbeitszeitId = ?, bearbeitetVon = ?, bearbeitetAm = NOW() WHERE id = ?",
+            [insertResult.insertId, req.session.user.id, antragId]
+        );
+        await writeAuditLogHelper(connection, {
+            benutzerId: req.session.user.id,
+            betroffenerBenutzerId: antrag.benutzerId,
+            entitaet: 'Arbeitszeiten',
+            entitaetId: insertResult.insertId,
+            aktion: 'korrektur_genehmigt',
+            alterWert: null,
+            neuerWert: { startZeit, endZeit, bericht, manuell: true, korrekturantragId: antragId }
+        });
+        await createNotificationHelper(connection, antrag.benutzerId, 'korrekturantrag',
+            `Dein Korrekturantrag für den ${antrag.datum.split('-').reverse().join('.')} (${antrag.startzeit}–${antrag.endzeit}) wurde genehmigt.`);
+        await connection.commit();
+        console.log(`[KORREKTUR] Correction request ${antragId} approved by user ${req.session.user.id}`);
+        res.json({ success: true, message: "Korrekturantrag genehmigt, Arbeitszeit eingetragen." });
+    } catch (error) {
+        await connection.rollback();
+        console.error("[KORREKTUR] Fehler beim Genehmigen des Korrekturantrags:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    } finally {
+        connection.release();
+    }
+});
+
+app.put("/api/admin/korrekturantraege/:antragId/reject", validate(schemas.korrekturantragAblehnen), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { antragId } = req.params;
+    const { ablehnungsgrund } = req.body;
+    const connection = await pool.getConnection();
+    try {
+        if (!(await canAccessRecordHelper(req.session.user, 'Korrekturantraege', antragId, connection))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        await connection.beginTransaction();
+        const [antragRows] = await connection.execute(
+            "SELECT benutzerId, DATE_FORMAT(datum, '%Y-%m-%d') AS datum FROM Korrekturantraege WHERE id = ? AND status = 'beantragt' FOR UPDATE",
+            [antragId]
+        );
+        if (antragRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ success: false, message: "Korrekturantrag nicht gefunden oder bereits bearbeitet." });
+        }
+        await connection.execute(
+            "UPDATE Korrekturantraege SET status = 'abgelehnt', ablehnungsgrund = ?, bearbeitetVon = ?, bearbeitetAm = NOW() WHERE id = ?",
+            [ablehnungsgrund, req.session.user.id, antragId]
+        );
+        await createNotificationHelper(connection, antragRows[0].benutzerId, 'korrekturantrag',
+            `Dein Korrekturantrag für den ${antragRows[0].datum.split('-').reverse().join('.')} wurde abgelehnt: ${ablehnungsgrund}`);
+        await connection.commit();
+        console.log(`[KORREKTUR] Correction request ${antragId} rejected by user ${req.session.user.id}`);
+        res.json({ success: true, message: "Korrekturantrag abgelehnt." });
+    } catch (error) {
+        await connection.rollback();
+        console.error("[KORREKTUR] Fehler beim Ablehnen des Korrekturantrags:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    } finally {
+        connection.release();
+    }
+});
+
+// Holidays and company closing days
+app.get("/api/feiertage", validate(schemas.jahr), async (req, res) => {
+    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    const jahr = req.query.jahr || new Date().getFullYear();
+    try {
+        const freeDays = await getFreeDaysForPeriodHelper(`${jahr}-01-01`, `${jahr}-12-31`, pool);
+        const feiertage = [...freeDays.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([datum, name]) => ({ datum, name }));
+        res.json({ success: true, jahr, bundesland: FEIERTAGE_BUNDESLAND, bundeslandName: FEIERTAGE_BUNDESLAND ? BUNDESLAENDER[FEIERTAGE_BUNDESLAND] || null : null, feiertage });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler" }); }
+});
+
+app.get("/api/admin/betriebsschliessungen", validate(schemas.jahr), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const jahr = req.query.jahr || new Date().getFullYear();
+    try {
+        const [closingDays] = await pool.execute("SELECT id, DATE_FORMAT(datum, '%Y-%m-%d') as datum, bezeichnung FROM Betriebsschliessungen WHERE YEAR(datum) = ? ORDER BY datum ASC", [jahr]);
+        res.json({ success: true, betriebsschliessungen: closingDays });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+// Closing days change the target hours of all interns, so only super-admins maintain them
+app.post("/api/admin/betriebsschliessungen", validate(schemas.betriebsschliessungErstellen), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Betriebsschließungen verwalten." });
+    const { start_datum, bezeichnung } = req.body;
+    const end_datum = req.body.end_datum || start_datum;
+    try {
+        // Each closing day is stored as its own row so single days can be removed again
+        const [startYear, startMonth, startDay] = start_datum.split('-').map(Number);
+        const [endYear, endMonth, endDay] = end_datum.split('-').map(Number);
+        const currentDay = new Date(Date.UTC(startYear, startMonth - 1, startDay));
+        const lastDay = new Date(Date.UTC(endYear, endMonth - 1, endDay));
+        if ((lastDay - currentDay) / (1000 * 60 * 60 * 24) > 366) return res.status(400).json({ success: false, message: "Zeitraum darf höchstens ein Jahr umfassen." });
+        let createdCount = 0;
+        while (currentDay <= lastDay) {
+            const [result] = await pool.execute("INSERT IGNORE INTO Betriebsschliessungen (datum, bezeichnung, erstelltVon) VALUES (?, ?, ?)", [currentDay.toISOString().split('T')[0], bezeichnung, req.session.user.id]);
+            createdCount += result.affectedRows;
+            currentDay.setUTCDate(currentDay.getUTCDate() + 1);
+        }
+        res.status(201).json({ success: true, message: `${createdCount} Schließtag(e) gespeichert.`, createdCount });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+app.delete("/api/admin/betriebsschliessungen/:id", validate(schemas.betriebsschliessungLoeschen), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Betriebsschließungen verwalten." });
+    const closingDayId = req.params.id;
+    try {
+        const [result] = await pool.execute("DELETE FROM Betriebsschliessungen WHERE id = ?", [closingDayId]);
+        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Schließtag nicht gefunden." });
+        res.json({ success: true, message: "Schließtag gelöscht." });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+// Absence types; inactive types are listed too, so that existing absences can still be shown with their color
+app.get("/api/abwesenheitstypen", async (req, res) => {
+    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    try {
+        const [rows] = await pool.execute(`SELECT ${ABSENCE_TYPE_COLUMNS} FROM Abwesenheitstypen ORDER BY name ASC`);
+        res.json({ success: true, abwesenheitstypen: rows.map(toAbsenceType) });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+// Type settings apply to all interns and to past absences, so only super-admins maintain them
+app.post("/api/admin/abwesenheitstypen", validate(schemas.abwesenheitstypErstellen), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Abwesenheitsarten verwalten." });
+    const { name, urlaubAnrechnen, gutschriftStunden, genehmigungErforderlich, farbe, aktiv } = req.body;
+    try {
+        const [result] = await pool.execute(
+            "INSERT INTO Abwesenheitstypen (name, urlaubAnrechnen, gutschriftStunden, genehmigungErforderlich, farbe, aktiv) VALUES (?, ?, ?, ?, ?, ?)",
+            [name, urlaubAnrechnen, gutschriftStunden, genehmigungErforderlich, farbe, aktiv]
+        );
+        console.log(`[ABWESENHEITSTYPEN] Type "${name}" created by user ${req.session.user.id}`);
+        res.status(201).json({ success: true, message: "Abwesenheitsart erstellt.", id: result.insertId });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ success: false, message: "Es gibt bereits eine Abwesenheitsart mit diesem Namen." });
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+// Renaming a type renames it on all absences (ON UPDATE CASCADE)
+app.put("/api/admin/abwesenheitstypen/:id", validate(schemas.abwesenheitstypAendern), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Abwesenheitsarten verwalten." });
+    const { name, urlaubAnrechnen, gutschriftStunden, genehmigungErforderlich, farbe, aktiv } = req.body;
+    try {
+        const [result] = await pool.execute(
+            "UPDATE Abwesenheitstypen SET name = ?, urlaubAnrechnen = ?, gutschriftStunden = ?, genehmigungErforderlich = ?, farbe = ?, aktiv = ? WHERE id = ?",
+            [name, urlaubAnrechnen, gutschriftStunden, genehmigungErforderlich, farbe, aktiv, req.params.id]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Abwesenheitsart nicht gefunden." });
+        console.log(`[ABWESENHEITSTYPEN] Type ${req.params.id} ("${name}") updated by user ${req.session.user.id}`);
+        res.json({ success: true, message: "Abwesenheitsart gespeichert." });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ success: false, message: "Es gibt bereits eine Abwesenheitsart mit diesem Namen." });
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+// Types in use cannot be deleted, only deactivated
+app.delete("/api/admin/abwesenheitstypen/:id", validate(schemas.abwesenheitstypLoeschen), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Abwesenheitsarten verwalten." });
+    try {
+        const [typeRows] = await pool.execute("SELECT name FROM Abwesenheitstypen WHERE id = ?", [req.params.id]);
+        if (typeRows.length === 0) return res.status(404).json({ success: false, message: "Abwesenheitsart nicht gefunden." });
+        const [usageRows] = await pool.execute("SELECT COUNT(*) AS anzahl FROM Abwesenheiten WHERE abwesenheit_typ = ?", [typeRows[0].name]);
+        if (usageRows[0].anzahl > 0) {
+            return res.status(409).json({ success: false, message: `Die Abwesenheitsart wird von ${usageRows[0].anzahl} Abwesenheit(en) verwendet. Bitte deaktivieren Sie sie stattdessen.` });
+        }
+        await pool.execute("DELETE FROM Abwesenheitstypen WHERE id = ?", [req.params.id]);
+        console.log(`[ABWESENHEITSTYPEN] Type ${req.params.id} ("${typeRows[0].name}") deleted by user ${req.session.user.id}`);
+        res.json({ success: true, message: "Abwesenheitsart gelöscht." });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+// Projects with their tasks; deactivated ones are listed too, so that existing segments keep their names
+app.get("/api/projekte", async (req, res) => {
+    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    try {
+        const [projects] = await pool.execute("SELECT id, name, kostenstelle, aktiv FROM Projekte ORDER BY name ASC");
+        const [tasks] = await pool.execute("SELECT id, projektId, name, aktiv FROM Projektaufgaben ORDER BY name ASC");
+        res.json({
+            success: true,
+            projekte: projects.map(project => ({
+                id: project.id,
+                name: project.name,
+                kostenstelle: project.kostenstelle,
+                aktiv: Boolean(project.aktiv),
+                aufgaben: tasks.filter(task => task.projektId === project.id).map(task => ({ id: task.id, name: task.name, aktiv: Boolean(task.aktiv) }))
+            }))
+        });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+// Projects are shared by all interns and Betreuer, so only super-admins maintain them
+app.post("/api/admin/projekte", validate(schemas.projektErstellen), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Projekte verwalten." });
+    const { name, kostenstelle, aktiv } = req.body;
+    try {
+        const [result] = await pool.execute("INSERT INTO Projekte (name, kostenstelle, aktiv) VALUES (?, ?, ?)", [name, kostenstelle || null, aktiv]);
+        console.log(`[PROJEKTE] Project "${name}" created by user ${req.session.user.id}`);
+        res.status(201).json({ success: true, message: "Projekt erstellt.", id: result.insertId });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ success: false, message: "Es gibt bereits ein Projekt mit diesem Namen." });
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+app.put("/api/admin/projekte/:id", validate(schemas.projektAendern), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Projekte verwalten." });
+    const { name, kostenstelle, aktiv } = req.body;
+    try {
+        const [result] = await pool.execute("UPDATE Projekte SET name = ?, kostenstelle = ?, aktiv = ? WHERE id = ?", [name, kostenstelle || null, aktiv, req.params.id]);
+        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Projekt nicht gefunden." });
+        console.log(`[PROJEKTE] Project ${req.params.id} ("${name}") updated by user ${req.session.user.id}`);
+        res.json({ success: true, message: "Projekt gespeichert." });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ success: false, message: "Es gibt bereits ein Projekt mit diesem Namen." });
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+// Projects with booked segments cannot be deleted, only deactivated; their tasks are deleted with them
+app.delete("/api/admin/projekte/:id", validate(schemas.projektLoeschen), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Projekte verwalten." });
+    try {
+        const [projectRows] = await pool.execute("SELECT name FROM Projekte WHERE id = ?", [req.params.id]);
+        if (projectRows.length === 0) return res.status(404).json({ success: false, message: "Projekt nicht gefunden." });
+        const [usageRows] = await pool.execute("SELECT COUNT(*) AS anzahl FROM Arbeitszeiten WHERE projektId = ?", [req.params.id]);
+        if (usageRows[0].anzahl > 0) {
+            return res.status(409).json({ success: false, message: `Auf das Projekt wurden ${usageRows[0].anzahl} Arbeitssegment(e) gebucht. Bitte deaktivieren Sie es stattdessen.` });
+        }
+        await pool.execute("DELETE FROM Projekte WHERE id = ?", [req.params.id]);
+        console.log(`[PROJEKTE] Project ${req.params.id} ("${projectRows[0].name}") deleted by user ${req.session.user.id}`);
+        res.json({ success: true, message: "Projekt gelöscht." });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
+
+app.post("/api/admin/projekte/:id/aufgaben", validate(schemas.projektaufgabeErstellen), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Projekte verwalten." });
+    const { name, aktiv } = req.body;
+    try {
+        const [projectRows] = await pool.execute("SELECT id FROM Projekte WHERE id = ?", [req.params.id]);
+        if (projectRows.length === 0) return res.status(404).json({ success: false, message: "Projekt nicht gefunden." });
+        const [result] = await pool.execute("INSERT INTO Projektaufgaben (projektId, name, aktiv) VALUES (?, ?, ?)", [req.params.id, name, aktiv]);
+        console.log(`[PROJEKTE] Task "${name}" of project ${req.params.id} created by user ${req.session.user.id}`);
+        res.status(201).json({ success: true, message: "Aufgabe erstellt.", id: result.insertId });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ success: false, message: "Das Projekt hat bereits eine Aufgabe mit diesem Namen." });
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+app.put("/api/admin/projektaufgaben/:id", validate(schemas.projektaufgabeAendern), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Projekte verwalten." });
+    const { name, aktiv } = req.body;
+    try {
+        const [result] = await pool.execute("UPDATE Projektaufgaben SET name = ?, aktiv = ? WHERE id = ?", [name, aktiv, req.params.id]);
+        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Aufgabe nicht gefunden." });
+        console.log(`[PROJEKTE] Task ${req.params.id} ("${name}") updated by user ${req.session.user.id}`);
+        res.json({ success: true, message: "Aufgabe gespeichert." });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return res.status(409).json({ success: false, message: "Das Projekt hat bereits eine Aufgabe mit diesem Namen." });
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
 
-// Helper to calculate total work time for today
-async function getTodayWorkTimeHelper(benutzerId, poolConnection) {
-    const today = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD format in local timezone
-    
-    console.log(`[WORK TIME] Calculating work time for user ${benutzerId} on ${today}`);
-    
-    const [todayRows] = await poolConnection.execute(
-        "SELECT startZeit, endZeit, bericht FROM Arbeitszeiten WHERE benutzerId = ? AND DATE(startZeit) = ? AND endZeit IS NOT NULL",
-        [benutzerId, today]
-    );
+app.delete("/api/admin/projektaufgaben/:id", validate(schemas.projektaufgabeLoeschen), async (req, res) => {
+    if (!isSuperAdmin(req.session.user)) return res.status(403).json({ success: false, message: "Nur Super-Admins können Projekte verwalten." });
+    try {
+        const [taskRows] = await pool.execute("SELECT name FROM Projektaufgaben WHERE id = ?", [req.params.id]);
+        if (taskRows.length === 0) return res.status(404).json({ success: false, message: "Aufgabe nicht gefunden." });
+        const [usageRows] = await pool.execute("SELECT COUNT(*) AS anzahl FROM Arbeitszeiten WHERE aufgabeId = ?", [req.params.id]);
+        if (usageRows[0].anzahl > 0) {
+            return res.status(409).json({ success: false, message: `Auf die Aufgabe wurden ${usageRows[0].anzahl} Arbeitssegment(e) gebucht. Bitte deaktivieren Sie sie stattdessen.` });
+        }
+        await pool.execute("DELETE FROM Projektaufgaben WHERE id = ?", [req.params.id]);
+        console.log(`[PROJEKTE] Task ${req.params.id} ("${taskRows[0].name}") deleted by user ${req.session.user.id}`);
+        res.json({ success: true, message: "Aufgabe gelöscht." });
+    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+});
 
-    console.log(`[WORK TIME] Found ${todayRows.length} completed segments for today`);
-    
-    let totalDurationMs = 0;
-    todayRows.forEach((row, index) => {
-        const start = new Date(row.startZeit);
-        const end = new Date(row.endZeit);
-        const durationMs = end.getTime() - start.getTime();
-        const durationHours = durationMs / (1000 * 60 * 60);
-        
-        console.log(`[WORK TIME] Segment ${index + 1}: ${start.toLocaleString('de-DE')} → ${end.toLocaleString('de-DE')} = ${durationHours.toFixed(2)}h`);
-        console.log(`[WORK TIME] Segment message: ${row.bericht}`);
-        
-        if (durationMs > 0) {
-            totalDurationMs += durationMs;
+// Hours per project in a month, split by task and intern; only completed segments, before break deductions
+app.get("/api/admin/projekte/auswertung", validate(schemas.projektauswertung), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert" });
+    const monat = req.query.monat || new Date().toLocaleDateString('en-CA').substring(0, 7);
+    try {
+        const scope = getInternScopeSql(req.session.user, 'p');
+        const conditions = [scope.sql, "a.endZeit IS NOT NULL", "a.startZeit >= ?", "a.startZeit < DATE_ADD(?, INTERVAL 1 MONTH)"];
+        const params = [...scope.params, `${monat}-01`, `${monat}-01`];
+        if (req.query.praktikantId) {
+            conditions.push("a.benutzerId = ?");
+            params.push(req.query.praktikantId);
         }
-    });
+        const [rows] = await pool.execute(
+            "SELECT a.projektId, pr.name AS projekt, pr.kostenstelle, a.aufgabeId, pa.name AS aufgabe, a.benutzerId, p.vorname, p.nachname, " +
+            "SUM(TIMESTAMPDIFF(SECOND, a.startZeit, a.endZeit)) AS sekunden " +
+            `FROM Arbeitszeiten a JOIN Praktikanten p ON p.id = a.benutzerId ${SEGMENT_PROJECT_JOINS} ` +
+            `WHERE ${conditions.join(' AND ')} GROUP BY a.projektId, a.aufgabeId, a.benutzerId`,
+            params
+        );
+        const projekte = summarizeProjectHours(rows);
+        res.json({ success: true, monat, gesamtStunden: roundHours(projekte.reduce((sum, project) => sum + project.stunden, 0)), projekte });
+    } catch (error) {
+        console.error("[PROJEKTE] Fehler bei der Projektauswertung:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
 
-    const totalHours = totalDurationMs / (1000 * 60 * 60);
-    console.log(`[WORK TIME] Total work time: ${totalHours.toFixed(2)} hours (${totalDurationMs}ms)`);
-    
-    return totalDurationMs;
-}
+// Benachrichtigungen
+app.get("/api/benachrichtigungen", async (req, res) => {
+    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    try {
+        const [benachrichtigungen] = await pool.execute(
+            "SELECT id, typ, nachricht, gelesen, erstelltAm FROM Benachrichtigungen WHERE benutzerId = ? AND gelesen = FALSE ORDER BY erstelltAm DESC, id DESC LIMIT 50",
+            [req.session.user.id]
+        );
+        res.json({ success: true, benachrichtigungen });
+    } catch (error) {
+        console.error("Fehler beim Laden der Benachrichtigungen:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
 
-async function getVacationHoursForPeriodHelper(benutzerId, periodStartDate, periodEndDate, poolConnection) {
-    console.log(`[Helper] Calculating vacation for User: ${benutzerId}, Period: ${periodStartDate} to ${periodEndDate}`);
-    const [vacationAbsences] = await poolConnection.execute( `SELECT start_datum, end_datum, beschreibung FROM Abwesenheiten WHERE benutzerId = ? AND abwesenheit_typ = 'Urlaub' AND start_datum <= ? AND end_datum >= ?`, [benutzerId, periodEndDate, periodStartDate]);
-    console.log(`[Helper] User: ${benutzerId}, Fetched ${vacationAbsences.length} vacation absences for period.`);
-    let vacationHours = 0;
-    const [pStartYear, pStartMonth, pStartDay] = periodStartDate.split('-').map(Number);
-    const [pEndYear, pEndMonth, pEndDay] = periodEndDate.split('-').map(Number);
-    const reportPeriodStartObj = new Date(Date.UTC(pStartYear, pStartMonth - 1, pStartDay, 0, 0, 0, 0));
-    const reportPeriodEndObj = new Date(Date.UTC(pEndYear, pEndMonth - 1, pEndDay, 23, 59, 59, 999));
-    vacationAbsences.forEach(abw => {
-        const absenceStartObj = new Date(abw.start_datum); const absenceEndObj = new Date(abw.end_datum);
-        let currentDateIter = new Date(Date.UTC(absenceStartObj.getFullYear(), absenceStartObj.getMonth(), absenceStartObj.getDate()));
-        const loopUntilDate = new Date(Date.UTC(absenceEndObj.getFullYear(), absenceEndObj.getMonth(), absenceEndObj.getDate()));
-        loopUntilDate.setUTCDate(loopUntilDate.getUTCDate() + 1);
-        let daysCountedThisAbsence = 0;
-        console.log(`[Helper] User: ${benutzerId}, DB Absence: ${abw.start_datum.toISOString().split('T')[0]} to ${abw.end_datum.toISOString().split('T')[0]}. Iterating UTC from ${currentDateIter.toISOString().split('T')[0]} until ${loopUntilDate.toISOString().split('T')[0]}`);
-        while (currentDateIter < loopUntilDate) {
-            const checkingDateLog = currentDateIter.toISOString().split('T')[0]; let countedThisIter = false;
-            if (currentDateIter >= reportPeriodStartObj && currentDateIter <= reportPeriodEndObj) {
-                const dayOfWeek = currentDateIter.getUTCDay();
-                if (dayOfWeek !== 0 && dayOfWeek !== 6) { vacationHours += HOURS_PER_URLAUBSTAG_GLOBAL; daysCountedThisAbsence++; countedThisIter = true; }
-                console.log(`[Helper] User: ${benutzerId}, Checking UTC: ${checkingDateLog}, DayOfWeek: ${dayOfWeek}, InReportPeriod: Yes, Counted: ${countedThisIter}`);
-            } else { console.log(`[Helper] User: ${benutzerId}, Checking UTC: ${checkingDateLog}, InReportPeriod: No`); }
-            currentDateIter.setUTCDate(currentDateIter.getUTCDate() + 1);
-        }
-        console.log(`[Helper] User: ${benutzerId}, Absence (DB: ${abw.start_datum.toISOString().split('T')[0]}-${abw.end_datum.toISOString().split('T')[0]}): FINISHED LOOP. Counted ${daysCountedThisAbsence} weekdays.`);
-    });
-    console.log(`[Helper] User: ${benutzerId}, Period: ${periodStartDate}-${periodEndDate}, Total calculated vacationHours: ${vacationHours}`);
-    return vacationHours;
-}
+app.put("/api/benachrichtigungen/gelesen", async (req, res) => {
+    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    try {
+        await pool.execute("UPDATE Benachrichtigungen SET gelesen = TRUE WHERE benutzerId = ? AND gelesen = FALSE", [req.session.user.id]);
+        res.json({ success: true, message: "Benachrichtigungen als gelesen markiert." });
+    } catch (error) {
+        console.error("Fehler beim Aktualisieren der Benachrichtigungen:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
 
-app.get("/api/admin/users/:id/profile", async (req, res) => {
+// Audit log (append-only change history of time entries and absences)
+app.get("/api/admin/auditlog", validate(schemas.adminAuditlog), async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { benutzerId, entitaet, entitaetId, von, bis } = req.query;
+    if (entitaet && !AUDIT_SNAPSHOT_QUERIES[entitaet]) return res.status(400).json({ success: false, message: "Unbekannte Entität." });
     try {
-        const userId = parseInt(req.params.id);
-        if (isNaN(userId)) return res.status(400).json({ success: false, message: "Ungültige Benutzer-ID." });
-        const [rows] = await pool.execute("SELECT id, email, rolle, status, vorname, nachname, adresse, telefonnummer, bildungstraeger, praktikumszeit_1_von_bis, praktikumszeit_2_von_bis, allgemeine_notizen, total_urlaubstage_annually FROM Praktikanten WHERE id = ?", [userId]);
-        if (rows.length > 0) {
-            const profile = rows[0]; const currentYear = new Date().getFullYear();
-            const vacationHoursForYear = await getVacationHoursForPeriodHelper(userId, `${currentYear}-01-01`, `${currentYear}-12-31`, pool);
-            const usedUrlaubstageThisYear = vacationHoursForYear / HOURS_PER_URLAUBSTAG_GLOBAL;
-            const remainingUrlaubstage = (profile.total_urlaubstage_annually || 0) - usedUrlaubstageThisYear;
-            res.json({ success: true, profile: { ...profile, usedUrlaubstageThisYear, remainingUrlaubstage } });
-        } else res.status(404).json({ success: false, message: "Benutzerprofil nicht gefunden." });
-    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+        const eintraege = await getAuditLogHelper({
+            betroffenerBenutzerId: benutzerId || null,
+            entitaet: entitaet || null,
+            entitaetId: entitaetId || null,
+            von: von || null,
+            bis: bis || null,
+            scope: getInternScopeSql(req.session.user, 'b')
+        }, req.query.limit);
+        res.json({ success: true, eintraege });
+    } catch (error) {
+        console.error("Fehler beim Laden des Änderungsprotokolls:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
 });
 
-app.get("/api/admin/users/:userId/absences", async (req, res) => {
+// Data quality report: overlaps that already exist in the data of the interns in scope
+const DATA_QUALITY_DEFAULT_DAYS = 90;
+app.get("/api/admin/datenqualitaet", validate(schemas.adminDatenqualitaet), async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
-    const userId = parseInt(req.params.userId);
-    if (isNaN(userId)) return res.status(400).json({ success: false, message: "Ungültige Benutzer-ID." });
+    const bis = req.query.bis || new Date().toLocaleDateString('en-CA');
+    let von = req.query.von;
+    if (!von) {
+        const start = new Date(`${bis}T00:00:00`);
+        start.setDate(start.getDate() - DATA_QUALITY_DEFAULT_DAYS);
+        von = start.toLocaleDateString('en-CA');
+    }
     try {
-        const [absences] = await pool.execute("SELECT id, DATE_FORMAT(start_datum, '%Y-%m-%d') as start_datum, DATE_FORMAT(end_datum, '%Y-%m-%d') as end_datum, abwesenheit_typ, beschreibung FROM Abwesenheiten WHERE benutzerId = ? ORDER BY start_datum DESC", [userId]);
-        res.json({ success: true, absences });
-    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+        const scope = getInternScopeSql(req.session.user, 'p');
+        // Pairs of absences; every pair is listed once. Two partial absences only collide on the same half day
+        const [abwesenheiten] = await pool.execute(
+            `SELECT p.id AS benutzerId, p.vorname, p.nachname,
+                    a1.id AS id1, a1.abwesenheit_typ AS typ1, a1.status AS status1, DATE_FORMAT(a1.start_datum, '%Y-%m-%d') AS start1, DATE_FORMAT(a1.end_datum, '%Y-%m-%d') AS ende1,
+                    a2.id AS id2, a2.abwesenheit_typ AS typ2, a2.status AS status2, DATE_FORMAT(a2.start_datum, '%Y-%m-%d') AS start2, DATE_FORMAT(a2.end_datum, '%Y-%m-%d') AS ende2
+             FROM Abwesenheiten a1
+             JOIN Abwesenheiten a2 ON a2.benutzerId = a1.benutzerId AND a2.id > a1.id AND a2.status <> 'abgelehnt'
+                                  AND a2.start_datum <= a1.end_datum AND a2.end_datum >= a1.start_datum
+                                  AND (a1.umfang = 'ganztags' OR a2.umfang = 'ganztags' OR (a1.umfang = a2.umfang AND a1.umfang <> 'stunden'))
+             JOIN Praktikanten p ON p.id = a1.benutzerId
+             WHERE a1.status <> 'abgelehnt' AND a1.start_datum <= ? AND a1.end_datum >= ? AND ${scope.sql}
+             ORDER BY a1.start_datum, p.nachname`,
+            [bis, von, ...scope.params]
+        );
+        // Pairs of work segments, listed under the one that starts first; running timers count up to now
+        const [arbeitszeiten] = await pool.execute(
+            `SELECT p.id AS benutzerId, p.vorname, p.nachname,
+                    w1.id AS id1, DATE_FORMAT(w1.startZeit, '%Y-%m-%d %H:%i') AS start1, DATE_FORMAT(w1.endZeit, '%Y-%m-%d %H:%i') AS ende1,
+                    w2.id AS id2, DATE_FORMAT(w2.startZeit, '%Y-%m-%d %H:%i') AS start2, DATE_FORMAT(w2.endZeit, '%Y-%m-%d %H:%i') AS ende2
+             FROM Arbeitszeiten w1
+             JOIN Arbeitszeiten w2 ON w2.benutzerId = w1.benutzerId AND (w2.startZeit > w1.startZeit OR (w2.startZeit = w1.startZeit AND w2.id > w1.id))
+                                  AND w2.startZeit < COALESCE(w1.endZeit, NOW())
+             JOIN Praktikanten p ON p.id = w1.benutzerId
+             WHERE w1.startZeit >= ? AND w1.startZeit < DATE_ADD(?, INTERVAL 1 DAY) AND ${scope.sql}
+             ORDER BY w1.startZeit, p.nachname`,
+            [von, bis, ...scope.params]
+        );
+        // Days with recorded work that are covered by a full-day absence of a type with credited hours
+        const [arbeitAnAbwesenheitstagen] = await pool.execute(
+            `SELECT p.id AS benutzerId, p.vorname, p.nachname, a.id AS abwesenheitId, a.abwesenheit_typ, a.status,
+                    DATE_FORMAT(w.startZeit, '%Y-%m-%d') AS datum, COUNT(*) AS eintraege,
+                    SUM(TIMESTAMPDIFF(MINUTE, w.startZeit, COALESCE(w.endZeit, NOW()))) AS minuten
+             FROM Abwesenheiten a
+             JOIN Arbeitszeiten w ON w.benutzerId = a.benutzerId AND w.startZeit >= a.start_datum AND w.startZeit < DATE_ADD(a.end_datum, INTERVAL 1 DAY)
+             JOIN Praktikanten p ON p.id = a.benutzerId
+             JOIN Abwesenheitstypen t ON t.name = a.abwesenheit_typ
+             WHERE a.status <> 'abgelehnt' AND a.umfang = 'ganztags' AND (t.gutschriftStunden IS NULL OR t.gutschriftStunden > 0) AND w.startZeit >= ? AND w.startZeit < DATE_ADD(?, INTERVAL 1 DAY) AND ${scope.sql}
+             GROUP BY p.id, p.vorname, p.nachname, a.id, a.abwesenheit_typ, a.status, datum
+             ORDER BY datum, p.nachname`,
+            [von, bis, ...scope.params]
+        );
+        res.json({
+            success: true,
+            von,
+            bis,
+            ueberschneidendeAbwesenheiten: abwesenheiten,
+            ueberschneidendeArbeitszeiten: arbeitszeiten,
+            arbeitAnAbwesenheitstagen: arbeitAnAbwesenheitstagen.map(row => ({ ...row, minuten: Number(row.minuten) }))
+        });
+    } catch (error) {
+        console.error("Fehler beim Erstellen des Datenqualitätsberichts:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
 });
 
-// Admin endpoint to create new absences for users (frontend expects this path)
-app.post("/api/admin/users/:userId/absences", async (req, res) => {
-    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
-    const userId = parseInt(req.params.userId);
-    const { start_datum, end_datum, abwesenheit_typ, beschreibung } = req.body;
-    if (isNaN(userId) || !start_datum || !end_datum || !abwesenheit_typ || !/^\d{4}-\d{2}-\d{2}$/.test(start_datum) || !/^\d{4}-\d{2}-\d{2}$/.test(end_datum) || !['Krankheit', 'Urlaub'].includes(abwesenheit_typ))
-        return res.status(400).json({ success: false, message: "Ungültige Eingabedaten." });
+app.get("/api/auditlog", validate(schemas.auditlog), async (req, res) => {
+    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    const { entitaet, entitaetId } = req.query;
+    if (entitaet && !AUDIT_SNAPSHOT_QUERIES[entitaet]) return res.status(400).json({ success: false, message: "Unbekannte Entität." });
     try {
-        const [result] = await pool.execute("INSERT INTO Abwesenheiten (benutzerId, start_datum, end_datum, abwesenheit_typ, beschreibung) VALUES (?, ?, ?, ?, ?)", [userId, start_datum, end_datum, abwesenheit_typ, beschreibung || null]);
-        res.status(201).json({ success: true, message: "Abwesenheit erstellt.", id: result.insertId });
-    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+        const eintraege = await getAuditLogHelper({
+            betroffenerBenutzerId: req.session.user.id,
+            entitaet: entitaet || null,
+            entitaetId: entitaetId || null
+        }, req.query.limit);
+        res.json({ success: true, eintraege });
+    } catch (error) {
+        console.error("Fehler beim Laden des Änderungsverlaufs:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
+});
+
+// Gleitzeitkonto
+app.get("/api/users/me/gleitzeit", validate(schemas.gleitzeitEigene), async (req, res) => {
+    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    const monat = req.query.monat || new Date().toLocaleDateString('en-CA').substring(0, 7);
+    try {
+        const gleitzeit = await getFlextimeOverviewHelper(req.session.user.id, monat, pool);
+        res.json({ success: true, gleitzeit });
+    } catch (error) {
+        console.error("[GLEITZEIT] Fehler beim Laden des Gleitzeitkontos:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
 });
 
-app.post("/api/admin/absences/:userId", async (req, res) => {
+app.get("/api/admin/praktikanten/:userId/gleitzeit", validate(schemas.adminMonatsauswertung), async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
-    const userId = parseInt(req.params.userId);
-    if (isNaN(userId)) return res.status(400).json({ success: false, message: "Ungültige Benutzer-ID." });
+    const { userId } = req.params;
+    const monat = req.query.monat || new Date().toLocaleDateString('en-CA').substring(0, 7);
     try {
-        const { start_datum, end_datum, abwesenheit_typ, beschreibung } = req.body;
-        if (!start_datum || !end_datum || !abwesenheit_typ) return res.status(400).json({ success: false, message: "Startdatum, Enddatum und Typ sind erforderlich." });
-        const [result] = await pool.execute("INSERT INTO Abwesenheiten (benutzerId, start_datum, end_datum, abwesenheit_typ, beschreibung) VALUES (?, ?, ?, ?, ?)", [userId, start_datum, end_datum, abwesenheit_typ, beschreibung || null]);
-        res.status(201).json({ success: true, message: "Abwesenheit erfolgreich erstellt", id: result.insertId });
-    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler" }); }
+        if (!(await canAccessUserHelper(req.session.user, userId))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        const gleitzeit = await getFlextimeOverviewHelper(userId, monat, pool);
+        res.json({ success: true, gleitzeit });
+    } catch (error) {
+        console.error("[GLEITZEIT] Fehler beim Laden des Gleitzeitkontos:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
 });
 
-app.put("/api/admin/absences/:absenceId", async (req, res) => {
+app.post("/api/admin/praktikanten/:userId/gleitzeit/korrekturen", validate(schemas.gleitzeitKorrektur), async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
-    const absenceId = parseInt(req.params.absenceId);
-    if (isNaN(absenceId)) return res.status(400).json({ success: false, message: "Ungültige Abwesenheits-ID." });
+    const { userId } = req.params;
+    const today = new Date().toLocaleDateString('en-CA');
+    const datum = req.body.datum || today;
+    const { stunden, kommentar } = req.body;
     try {
-        const { start_datum, end_datum, abwesenheit_typ, beschreibung } = req.body;
-        if (!start_datum || !end_datum || !abwesenheit_typ) return res.status(400).json({ success: false, message: "Startdatum, Enddatum und Typ sind erforderlich." });
-        const [result] = await pool.execute("UPDATE Abwesenheiten SET start_datum = ?, end_datum = ?, abwesenheit_typ = ?, beschreibung = ? WHERE id = ?", [start_datum, end_datum, abwesenheit_typ, beschreibung || null, absenceId]);
-        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Abwesenheit nicht gefunden." });
-        res.json({ success: true, message: "Abwesenheit erfolgreich aktualisiert." });
-    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+        if (!(await canAccessUserHelper(req.session.user, userId))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        const [userRows] = await pool.execute("SELECT id FROM Praktikanten WHERE id = ?", [userId]);
+        if (userRows.length === 0) return res.status(404).json({ success: false, message: "Praktikant nicht gefunden." });
+        await pool.execute(
+            "INSERT INTO Gleitzeitkorrekturen (benutzerId, datum, stunden, kommentar, erstelltVon) VALUES (?, ?, ?, ?, ?)",
+            [userId, datum, stunden, kommentar, req.session.user.id]
+        );
+        console.log(`[GLEITZEIT] Correction of ${stunden}h for user ${userId} booked by user ${req.session.user.id}`);
+        const saldo = await getFlextimeBalanceHelper(userId, today, pool);
+        res.status(201).json({ success: true, message: "Korrektur gebucht.", saldo });
+    } catch (error) {
+        console.error("[GLEITZEIT] Fehler beim Buchen der Korrektur:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
 });
 
-app.delete("/api/admin/absences/:absenceId", async (req, res) => {
+// Arbeitszeitgesetz / Jugendarbeitsschutzgesetz
+app.get("/api/admin/praktikanten/:userId/compliance", validate(schemas.adminMonatsauswertung), async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
-    const absenceId = parseInt(req.params.absenceId);
-    if (isNaN(absenceId)) return res.status(400).json({ success: false, message: "Ungültige Abwesenheits-ID." });
+    const { userId } = req.params;
+    const monat = req.query.monat || new Date().toLocaleDateString('en-CA').substring(0, 7);
     try {
-        const [result] = await pool.execute("DELETE FROM Abwesenheiten WHERE id = ?", [absenceId]);
-        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Abwesenheit nicht gefunden." });
-        res.json({ success: true, message: "Abwesenheit erfolgreich gelöscht." });
-    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+        if (!(await canAccessUserHelper(req.session.user, userId))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        const compliance = await getComplianceReportHelper(userId, monat, pool);
+        if (!compliance) return res.status(404).json({ success: false, message: "Praktikant nicht gefunden." });
+        res.json({ success: true, compliance });
+    } catch (error) {
+        console.error("[COMPLIANCE] Fehler beim Prüfen der Arbeitszeiten:", error);
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    }
 });
 
+// Days with entries added afterwards (correction request or Betreuer) are marked as manual,
+// days with punches that were made offline and synced late as late sync
+function markManualDays(entry) {
+    entry.isManualEntry = entry.segments.some(seg => seg.isManual);
+    entry.isLateSync = entry.segments.some(seg => seg.isLateSync);
+}
+
+// Times of the whole segment for portions of a night shift, so it is edited as one segment
+function getNightShiftSegmentTimes(entry) {
+    if (!entry.segmentStartZeit) return {};
+    const formatTime = value => new Date(value).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+    return {
+        ueberMitternacht: true,
+        segmentStart: formatTime(entry.segmentStartZeit),
+        segmentEnde: entry.segmentEndZeit === null ? "Läuft noch" : formatTime(entry.segmentEndZeit)
+    };
+}
+
 app.get("/api/admin/berichte", async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ message: "Zugriff verweigert" });
     try {
+        const scope = getInternScopeSql(req.session.user, 'p');
         const [berichte] = await pool.execute(
-            "SELECT a.id, a.benutzerId, p.vorname, p.nachname, a.startZeit, a.endZeit, a.bericht, DATE_FORMAT(a.startZeit, '%d.%m.%Y') as datum " +
-            "FROM Arbeitszeiten a JOIN Praktikanten p ON a.benutzerId = p.id ORDER BY a.startZeit ASC"
+            "SELECT a.id, a.benutzerId, p.vorname, p.nachname, a.startZeit, a.endZeit, a.bericht, a.manuell, a.nachsynchronisiert, pr.name AS projekt, pa.name AS aufgabe, DATE_FORMAT(a.startZeit, '%d.%m.%Y') as datum " +
+            `FROM Arbeitszeiten a JOIN Praktikanten p ON a.benutzerId = p.id ${SEGMENT_PROJECT_JOINS} WHERE ${scope.sql} ORDER BY a.startZeit ASC`,
+            scope.params
         );
 
         const consolidated = {};
-
-        berichte.forEach(entry => {
+        // Night shifts across midnight are listed with their portion on each day
+        splitRowsAtMidnight(berichte).forEach(entry => {
             const entryDate = `${entry.datum}-${entry.benutzerId}`; // Group by day AND user
             const start = new Date(entry.startZeit);
             
@@ -1096,10 +3851,14 @@ app.get("/api/admin/berichte", async (req, res) => {
                     isAutoCutoff: isAutoCutoffEntry(entry),
                     segments: [{
                         id: entry.id, // Individual Arbeitszeiten record ID
+                        isManual: !!entry.manuell,
+                        isLateSync: !!entry.nachsynchronisiert,
                         start: start.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }),
                         end: endTimeString,
                         duration: durationMs > 0 ? durationMs : 0,
-                        bericht: entry.bericht || ""
+                        bericht: entry.bericht || "",
+                        projekt: formatProjectLabel(entry.projekt, entry.aufgabe),
+                        ...getNightShiftSegmentTimes(entry)
                     }]
                 };
             } else {
@@ -1120,311 +3879,336 @@ app.get("/api/admin/berichte", async (req, res) => {
                 // Add segment for this additional work period
                 consolidated[entryDate].segments.push({
                     id: entry.id, // Individual Arbeitszeiten record ID
+                    isManual: !!entry.manuell,
+                    isLateSync: !!entry.nachsynchronisiert,
                     start: start.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }),
                     end: endTimeString,
                     duration: durationMs > 0 ? durationMs : 0,
                     bericht: entry.bericht || "",
-                    isAutoCutoff: isAutoCutoffEntry(entry)
-                });
-            }
-        });
-
-        const result = Object.values(consolidated).map(entry => {
-            const totalMinutes = Math.round(entry.durationMs / (1000 * 60));
-            const hours = Math.floor(totalMinutes / 60);
-            const minutes = totalMinutes % 60;
-            entry.dauer = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
-            
-            // Format segment durations
-            entry.segments.forEach(seg => {
-                const segTotalMinutes = Math.round(seg.duration / (1000 * 60));
-                const segHours = Math.floor(segTotalMinutes / 60);
-                const segMinutes = segTotalMinutes % 60;
-                seg.dauer = `${String(segHours).padStart(2, '0')}:${String(segMinutes).padStart(2, '0')}`;
-                delete seg.duration;
-            });
-            
-            delete entry.durationMs;
-            return entry;
-        }).sort((a, b) => {
-            const [dayA, monthA, yearA] = a.datum.split('.');
-            const [dayB, monthB, yearB] = b.datum.split('.');
-            return new Date(`${yearB}-${monthB}-${dayB}`) - new Date(`${yearA}-${monthA}-${dayA}`);
-        });
-
-        res.json(result);
-    } catch (error) {
-        console.error("Fehler beim Laden der Admin-Berichte:", error);
-        res.status(500).json({ message: "Fehler beim Laden der Berichte" });
-    }
-});
-// Admin endpoint for specific user's monthly reports
-app.get("/api/admin/berichte/:praktikantId/monat/:monat", async (req, res) => {
-    if (!req.session.user || req.session.user.rolle !== "Betreuer") {
-        return res.status(403).json({ success: false, message: "Zugriff verweigert." });
-    }
-    
-    try {
-        const praktikantId = parseInt(req.params.praktikantId);
-        const { monat } = req.params;
-        
-        if (isNaN(praktikantId) || !/^\d{4}-\d{2}$/.test(monat)) {
-            return res.status(400).json({ success: false, message: "Ungültige Parameter." });
-        }
-        
-        const [jahr, monatNummer] = monat.split('-');
-        const currentYear = parseInt(jahr);
-        const currentMonth = parseInt(monatNummer);
-        const monthStartDate = `${monat}-01 00:00:00`;
-        const lastDayOfMonth = new Date(currentYear, currentMonth, 0).getDate();
-        const monthEndDate = `${monat}-${String(lastDayOfMonth).padStart(2, '0')} 23:59:59`;
-
-        // Get work time entries for the month
-        const [berichteArbeitszeiten] = await pool.execute(
-            "SELECT a.id, DATE_FORMAT(a.startZeit, '%d.%m.%Y') as datum, a.startZeit, a.endZeit, a.bericht FROM Arbeitszeiten a WHERE a.benutzerId = ? AND a.startZeit >= ? AND a.startZeit <= ? ORDER BY a.startZeit ASC",
-            [praktikantId, monthStartDate, monthEndDate]
-        );
-
-        // Get absence entries for the month
-        const [abwesenheitenDesMonats] = await pool.execute(
-            "SELECT id, DATE_FORMAT(start_datum, '%Y-%m-%d') as start_datum_iso, DATE_FORMAT(end_datum, '%Y-%m-%d') as end_datum_iso, abwesenheit_typ, beschreibung FROM Abwesenheiten WHERE benutzerId = ? AND end_datum >= ? AND start_datum <= ? ORDER BY start_datum ASC",
-            [praktikantId, `${monat}-01`, monthEndDate.substring(0,10)]
-        );
-
-        // Get user details
-        const [praktikantDetailsRows] = await pool.execute(
-            "SELECT email, vorname, nachname, bildungstraeger, praktikumszeit_1_von_bis, praktikumszeit_2_von_bis, allgemeine_notizen, total_urlaubstage_annually FROM Praktikanten WHERE id = ?",
-            [praktikantId]
-        );
-
-        if (praktikantDetailsRows.length === 0) {
-            return res.status(404).json({ success: false, message: "Praktikant nicht gefunden." });
-        }
-
-        const praktikantDetails = praktikantDetailsRows[0];
-        const total_urlaubstage_annually = praktikantDetails.total_urlaubstage_annually || 0;
-        let calculatedTotalMonthlyHours = 0;
-        const reportEntries = [];
-        let monthlyUrlaubTage = 0;
-        let monthlyKrankheitTage = 0;
-        
-        // Create consolidated entries with segments (similar to user /api/berichte/monat/:monat)
-        const consolidated = {};
-        berichteArbeitszeiten.forEach(entry => {
-            const start = new Date(entry.startZeit);
-            const entryDate = entry.datum;
-
-            let durationMs, endTimeString;
-            if (entry.endZeit === null) {
-                const now = new Date();
-                durationMs = now.getTime() - start.getTime();
-                endTimeString = "Läuft noch";
-            } else {
-                const end = new Date(entry.endZeit);
-                durationMs = end.getTime() - start.getTime();
-                endTimeString = end.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
-            }
-
-            const dauer = durationMs > 0 ? durationMs / (1000 * 60 * 60) : 0;
-            calculatedTotalMonthlyHours += dauer;
-
-            if (!consolidated[entryDate]) {
-                consolidated[entryDate] = {
-                    id: `arbeit-${entry.id}`,
-                    datum: entryDate,
-                    type: 'Arbeit',
-                    startzeit: start.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }),
-                    endzeit: endTimeString,
-                    durationMs: durationMs > 0 ? durationMs : 0,
-                    beschreibung: entry.bericht || "",
-                    sortDate: new Date(parseInt(entryDate.substring(6, 10)), parseInt(entryDate.substring(3, 5)) - 1, parseInt(entryDate.substring(0, 2))),
-                    segments: [{
-                        id: entry.id, // Individual Arbeitszeiten record ID
-                        start: start.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }),
-                        end: endTimeString,
-                        duration: durationMs > 0 ? durationMs : 0,
-                        bericht: entry.bericht || ""
-                    }]
-                };
-            } else {
-                consolidated[entryDate].endzeit = endTimeString;
-                consolidated[entryDate].durationMs += (durationMs > 0 ? durationMs : 0);
-                if (entry.bericht && entry.bericht.trim() && entry.bericht.trim() !== "Kein Bericht angegeben.") {
-                    if (consolidated[entryDate].beschreibung) {
-                        consolidated[entryDate].beschreibung += `\n${entry.bericht}`;
-                    } else {
-                        consolidated[entryDate].beschreibung = entry.bericht;
-                    }
-                }
-                consolidated[entryDate].segments.push({
-                    id: entry.id, // Individual Arbeitszeiten record ID
-                    start: start.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }),
-                    end: endTimeString,
-                    duration: durationMs > 0 ? durationMs : 0,
-                    bericht: entry.bericht || "",
-                    isAutoCutoff: isAutoCutoffEntry(entry)
+                    projekt: formatProjectLabel(entry.projekt, entry.aufgabe),
+                    isAutoCutoff: isAutoCutoffEntry(entry),
+                    ...getNightShiftSegmentTimes(entry)
                 });
             }
         });
-
-        // Convert consolidated entries to final format
-        Object.values(consolidated).forEach(entry => {
-            const totalHours = entry.durationMs / (1000 * 60 * 60);
-            const hours = Math.floor(totalHours);
-            const minutes = Math.round((totalHours - hours) * 60);
+
+        const result = Object.values(consolidated).map(entry => {
+            const totalMinutes = Math.round(entry.durationMs / (1000 * 60));
+            const hours = Math.floor(totalMinutes / 60);
+            const minutes = totalMinutes % 60;
             entry.dauer = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
             
             // Format segment durations
             entry.segments.forEach(seg => {
-                const segTotalHours = seg.duration / (1000 * 60 * 60);
-                const segHours = Math.floor(segTotalHours);
-                const segMinutes = Math.round((segTotalHours - segHours) * 60);
+                const segTotalMinutes = Math.round(seg.duration / (1000 * 60));
+                const segHours = Math.floor(segTotalMinutes / 60);
+                const segMinutes = segTotalMinutes % 60;
                 seg.dauer = `${String(segHours).padStart(2, '0')}:${String(segMinutes).padStart(2, '0')}`;
                 delete seg.duration;
             });
             
+            markManualDays(entry);
             delete entry.durationMs;
-            reportEntries.push(entry);
+            return entry;
+        }).sort((a, b) => {
+            const [dayA, monthA, yearA] = a.datum.split('.');
+            const [dayB, monthB, yearB] = b.datum.split('.');
+            return new Date(`${yearB}-${monthB}-${dayB}`) - new Date(`${yearA}-${monthA}-${dayA}`);
         });
 
-        // Process absence entries
-        const firstDayOfMonthUTC = new Date(Date.UTC(currentYear, currentMonth - 1, 1));
-        const actualLastDayNumberInMonth = new Date(currentYear, currentMonth, 0).getUTCDate();
-        const lastDayOfMonthUTC = new Date(Date.UTC(currentYear, currentMonth - 1, actualLastDayNumberInMonth, 23, 59, 59, 999));
+        res.json(result);
+    } catch (error) {
+        console.error("Fehler beim Laden der Admin-Berichte:", error);
+        res.status(500).json({ message: "Fehler beim Laden der Berichte" });
+    }
+});
+// Collects all data of the monthly Tätigkeitsbericht for a user (null if the user does not exist)
+async function getMonthlyReportHelper(benutzerId, monat, poolConnection) {
+    const [jahr, monatNummer] = monat.split('-');
+    const currentYear = parseInt(jahr);
+    const currentMonth = parseInt(monatNummer);
+    const monthStartDate = `${monat}-01 00:00:00`;
+    const lastDayOfMonth = new Date(currentYear, currentMonth, 0).getDate();
+    const monthEndDate = `${monat}-${String(lastDayOfMonth).padStart(2, '0')} 23:59:59`;
+
+    // Get work time entries for the month; night shifts across midnight count on each day with their portion
+    const [monatsArbeitszeiten] = await poolConnection.execute(
+        `SELECT a.id, DATE_FORMAT(a.startZeit, '%d.%m.%Y') as datum, a.startZeit, a.endZeit, a.bericht, a.manuell, a.nachsynchronisiert, pr.name AS projekt, pa.name AS aufgabe FROM Arbeitszeiten a ${SEGMENT_PROJECT_JOINS} WHERE a.benutzerId = ? AND a.startZeit <= ? AND COALESCE(a.endZeit, NOW()) > ? ORDER BY a.startZeit ASC`,
+        [benutzerId, monthEndDate, monthStartDate]
+    );
+    const berichteArbeitszeiten = splitRowsAtMidnight(monatsArbeitszeiten, { von: monthStartDate.substring(0, 10), bis: monthEndDate.substring(0, 10) });
 
-        abwesenheitenDesMonats.forEach(abw => {
-            const absenceStartUTC = new Date(Date.UTC(parseInt(abw.start_datum_iso.substring(0,4)), parseInt(abw.start_datum_iso.substring(5,7)) - 1, parseInt(abw.start_datum_iso.substring(8,10))));
-            const absenceEndUTC = new Date(Date.UTC(parseInt(abw.end_datum_iso.substring(0,4)), parseInt(abw.end_datum_iso.substring(5,7)) - 1, parseInt(abw.end_datum_iso.substring(8,10))));
-            let currentDayOfAbsence = new Date(absenceStartUTC);
-            
-            while (currentDayOfAbsence <= absenceEndUTC) {
-                if (currentDayOfAbsence >= firstDayOfMonthUTC && currentDayOfAbsence <= lastDayOfMonthUTC) {
-                    const dayOfWeek = currentDayOfAbsence.getUTCDay();
-                    if (dayOfWeek !== 0 && dayOfWeek !== 6) { // Skip weekends
-                        const dayFormatted = `${String(currentDayOfAbsence.getUTCDate()).padStart(2, '0')}.${String(currentDayOfAbsence.getUTCMonth() + 1).padStart(2, '0')}.${currentDayOfAbsence.getUTCFullYear()}`;
-                        let entryDauer = "Ganztägig";
-                        
-                        if (abw.abwesenheit_typ === 'Urlaub') {
-                            calculatedTotalMonthlyHours += HOURS_PER_URLAUBSTAG_GLOBAL;
-                            monthlyUrlaubTage++;
-                            entryDauer = "08:00";
-                        } else if (abw.abwesenheit_typ === 'Krankheit') {
-                            monthlyKrankheitTage++;
-                        }
-                        
-                        reportEntries.push({
-                            id: `abwesenheit-${abw.id || 'print'}-${dayFormatted.replace(/\./g, '-')}`,
-                            datum: dayFormatted,
-                            type: abw.abwesenheit_typ,
-                            dauer: entryDauer,
-                            beschreibung: abw.beschreibung,
-                            startzeit: null,
-                            endzeit: null,
-                            sortDate: new Date(currentDayOfAbsence)
-                        });
-                    }
-                }
-                currentDayOfAbsence.setUTCDate(currentDayOfAbsence.getUTCDate() + 1);
-            }
-        });
+    // Get absence entries for the month
+    const [abwesenheitenDesMonats] = await poolConnection.execute(
+        "SELECT id, DATE_FORMAT(start_datum, '%Y-%m-%d') as start_datum_iso, DATE_FORMAT(end_datum, '%Y-%m-%d') as end_datum_iso, abwesenheit_typ, umfang, stunden, beschreibung FROM Abwesenheiten WHERE benutzerId = ? AND status = 'genehmigt' AND end_datum >= ? AND start_datum <= ? ORDER BY start_datum ASC",
+        [benutzerId, `${monat}-01`, monthEndDate.substring(0,10)]
+    );
 
-        // Sort entries by date and clean up
-        reportEntries.sort((a, b) => a.sortDate - b.sortDate);
-        reportEntries.forEach(entry => delete entry.sortDate);
+    // Get user details
+    const [praktikantDetailsRows] = await poolConnection.execute(
+        "SELECT email, vorname, nachname, bildungstraeger, praktikumszeit_1_von_bis, praktikumszeit_2_von_bis, allgemeine_notizen, total_urlaubstage_annually FROM Praktikanten WHERE id = ?",
+        [benutzerId]
+    );
 
-        // Calculate vacation day usage for the year
-        const [urlaubstageImJahrRows] = await pool.execute(
-            "SELECT start_datum, end_datum FROM Abwesenheiten WHERE benutzerId = ? AND abwesenheit_typ = 'Urlaub' AND start_datum <= ? AND end_datum >= ?",
-            [praktikantId, `${currentYear}-12-31`, `${currentYear}-01-01`]
-        );
+    if (praktikantDetailsRows.length === 0) {
+        return null;
+    }
 
-        const urlaubDaysSet = new Set();
-        urlaubstageImJahrRows.forEach(urlaub => {
-            const startDateObj = new Date(urlaub.start_datum);
-            const endDateObj = new Date(urlaub.end_datum);
-            let currentUrlaubDay = new Date(Date.UTC(startDateObj.getUTCFullYear(), startDateObj.getUTCMonth(), startDateObj.getUTCDate()));
-            const urlaubEndDay = new Date(Date.UTC(endDateObj.getUTCFullYear(), endDateObj.getUTCMonth(), endDateObj.getUTCDate()));
-            
-            while(currentUrlaubDay <= urlaubEndDay) {
-                if (currentUrlaubDay.getUTCFullYear() === currentYear) {
-                    const dayOfWeek = currentUrlaubDay.getUTCDay();
-                    if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-                        urlaubDaysSet.add(currentUrlaubDay.toISOString().split('T')[0]);
-                    }
+    const praktikantDetails = praktikantDetailsRows[0];
+    const total_urlaubstage_annually = praktikantDetails.total_urlaubstage_annually || 0;
+    let calculatedTotalMonthlyHours = 0;
+    const reportEntries = [];
+    // Days per absence type, e.g. { Urlaub: 1.5, Krankheit: 2 }
+    const monthlyAbsenceCounts = {};
+    
+    // Create consolidated entries with segments (similar to user /api/berichte/monat/:monat)
+    const consolidated = {};
+    berichteArbeitszeiten.forEach(entry => {
+        const start = new Date(entry.startZeit);
+        const entryDate = entry.datum;
+
+        let durationMs, endTimeString;
+        if (entry.endZeit === null) {
+            const now = new Date();
+            durationMs = now.getTime() - start.getTime();
+            endTimeString = "Läuft noch";
+        } else {
+            const end = new Date(entry.endZeit);
+            durationMs = end.getTime() - start.getTime();
+            endTimeString = end.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+        }
+
+        const dauer = durationMs > 0 ? durationMs / (1000 * 60 * 60) : 0;
+        calculatedTotalMonthlyHours += dauer;
+
+        if (!consolidated[entryDate]) {
+            consolidated[entryDate] = {
+                id: `arbeit-${entry.id}`,
+                datum: entryDate,
+                type: 'Arbeit',
+                startzeit: start.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }),
+                endzeit: endTimeString,
+                durationMs: durationMs > 0 ? durationMs : 0,
+                beschreibung: entry.bericht || "",
+                sortDate: new Date(parseInt(entryDate.substring(6, 10)), parseInt(entryDate.substring(3, 5)) - 1, parseInt(entryDate.substring(0, 2))),
+                segments: [{
+                    id: entry.id, // Individual Arbeitszeiten record ID
+                    isManual: !!entry.manuell,
+                    isLateSync: !!entry.nachsynchronisiert,
+                    start: start.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }),
+                    end: endTimeString,
+                    duration: durationMs > 0 ? durationMs : 0,
+                    bericht: entry.bericht || "",
+                    projekt: formatProjectLabel(entry.projekt, entry.aufgabe)
+                }]
+            };
+        } else {
+            consolidated[entryDate].endzeit = endTimeString;
+            consolidated[entryDate].durationMs += (durationMs > 0 ? durationMs : 0);
+            if (entry.bericht && entry.bericht.trim() && entry.bericht.trim() !== "Kein Bericht angegeben.") {
+                if (consolidated[entryDate].beschreibung) {
+                    consolidated[entryDate].beschreibung += `\n${entry.bericht}`;
+                } else {
+                    consolidated[entryDate].beschreibung = entry.bericht;
                 }
-                currentUrlaubDay.setUTCDate(currentUrlaubDay.getUTCDate() + 1);
             }
-        });
+            consolidated[entryDate].segments.push({
+                id: entry.id, // Individual Arbeitszeiten record ID
+                isManual: !!entry.manuell,
+                isLateSync: !!entry.nachsynchronisiert,
+                start: start.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }),
+                end: endTimeString,
+                duration: durationMs > 0 ? durationMs : 0,
+                bericht: entry.bericht || "",
+                projekt: formatProjectLabel(entry.projekt, entry.aufgabe),
+                isAutoCutoff: isAutoCutoffEntry(entry)
+            });
+        }
+    });
+
+    // Missing statutory breaks are deducted per day (ArbZG)
+    const pausenabzugStunden = applyBreakRulesToReportEntries(consolidated, berichteArbeitszeiten);
+    calculatedTotalMonthlyHours -= pausenabzugStunden;
+
+    // Working time law violations are attached to the affected days
+    const compliance = await getComplianceReportHelper(benutzerId, monat, poolConnection);
+    Object.values(consolidated).forEach(entry => {
+        const dayIso = `${entry.datum.substring(6, 10)}-${entry.datum.substring(3, 5)}-${entry.datum.substring(0, 2)}`;
+        entry.complianceWarnings = compliance.warnungen.filter(warnung => warnung.datum === dayIso);
+    });
 
-        const usedUrlaubstageThisYear = urlaubDaysSet.size;
-        const remainingUrlaubstageYearEnd = total_urlaubstage_annually - usedUrlaubstageThisYear;
+    // Convert consolidated entries to final format
+    Object.values(consolidated).forEach(entry => {
+        const totalHours = entry.durationMs / (1000 * 60 * 60);
+        const hours = Math.floor(totalHours);
+        const minutes = Math.round((totalHours - hours) * 60);
+        entry.dauer = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+        
+        // Format segment durations
+        entry.segments.forEach(seg => {
+            const segTotalHours = seg.duration / (1000 * 60 * 60);
+            const segHours = Math.floor(segTotalHours);
+            const segMinutes = Math.round((segTotalHours - segHours) * 60);
+            seg.dauer = `${String(segHours).padStart(2, '0')}:${String(segMinutes).padStart(2, '0')}`;
+            delete seg.duration;
+        });
+        
+        markManualDays(entry);
+        delete entry.durationMs;
+        reportEntries.push(entry);
+    });
 
-        // Calculate vacation days used up to this month end
-        const reportMonthEndDateForCalc = new Date(Date.UTC(currentYear, currentMonth - 1, lastDayOfMonth));
-        const urlaubDaysSetMonth = new Set();
+    // Public holidays and company closing days are neither absence nor vacation days
+    const freeDaysOfYear = await getFreeDaysForPeriodHelper(`${currentYear}-01-01`, `${currentYear}-12-31`, poolConnection);
+    const feiertageDesMonats = [...freeDaysOfYear.entries()]
+        .filter(([datum]) => datum.startsWith(monat))
+        .map(([datum, name]) => ({ datum: `${datum.substring(8, 10)}.${datum.substring(5, 7)}.${datum.substring(0, 4)}`, name }));
+
+    // Absences are credited per the settings of their type, based on the hours the intern would have worked on that weekday
+    const schedule = await getWorkScheduleHelper(benutzerId, poolConnection);
+    const absenceTypes = await getAbsenceTypesHelper(poolConnection);
+    const monthlyTargetHours = await getTargetHoursForPeriodHelper(benutzerId, `${monat}-01`, monthEndDate.substring(0, 10), poolConnection);
+
+    // Process absence entries
+    const firstDayOfMonthUTC = new Date(Date.UTC(currentYear, currentMonth - 1, 1));
+    const actualLastDayNumberInMonth = new Date(currentYear, currentMonth, 0).getUTCDate();
+    const lastDayOfMonthUTC = new Date(Date.UTC(currentYear, currentMonth - 1, actualLastDayNumberInMonth, 23, 59, 59, 999));
+
+    abwesenheitenDesMonats.forEach(abw => {
+        const absenceStartUTC = new Date(Date.UTC(parseInt(abw.start_datum_iso.substring(0,4)), parseInt(abw.start_datum_iso.substring(5,7)) - 1, parseInt(abw.start_datum_iso.substring(8,10))));
+        const absenceEndUTC = new Date(Date.UTC(parseInt(abw.end_datum_iso.substring(0,4)), parseInt(abw.end_datum_iso.substring(5,7)) - 1, parseInt(abw.end_datum_iso.substring(8,10))));
+        let currentDayOfAbsence = new Date(absenceStartUTC);
         
-        urlaubstageImJahrRows.forEach(urlaub => {
-            const startDateObj = new Date(urlaub.start_datum);
-            const endDateObj = new Date(urlaub.end_datum);
-            let currentUrlaubDay = new Date(Date.UTC(startDateObj.getUTCFullYear(), startDateObj.getUTCMonth(), startDateObj.getUTCDate()));
-            const urlaubEndDay = new Date(Date.UTC(endDateObj.getUTCFullYear(), endDateObj.getUTCMonth(), endDateObj.getUTCDate()));
-            
-            while(currentUrlaubDay <= urlaubEndDay) {
-                if (currentUrlaubDay.getUTCFullYear() === currentYear && currentUrlaubDay <= reportMonthEndDateForCalc) {
-                    const dayOfWeek = currentUrlaubDay.getUTCDay();
-                    if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-                        urlaubDaysSetMonth.add(currentUrlaubDay.toISOString().split('T')[0]);
+        while (currentDayOfAbsence <= absenceEndUTC) {
+            if (currentDayOfAbsence >= firstDayOfMonthUTC && currentDayOfAbsence <= lastDayOfMonthUTC) {
+                const dayOfWeek = currentDayOfAbsence.getUTCDay();
+                if (schedule[dayOfWeek] > 0 && !freeDaysOfYear.has(currentDayOfAbsence.toISOString().split('T')[0])) { // Skip days off and holidays
+                    const dayFormatted = `${String(currentDayOfAbsence.getUTCDate()).padStart(2, '0')}.${String(currentDayOfAbsence.getUTCMonth() + 1).padStart(2, '0')}.${currentDayOfAbsence.getUTCFullYear()}`;
+                    const absenceType = absenceTypes.get(abw.abwesenheit_typ);
+                    const credit = getAbsenceTypeDayCredit(abw, absenceType, schedule[dayOfWeek]);
+                    let entryDauer = formatAbsenceScope(abw);
+                    
+                    // Credited hours count towards the monthly total
+                    if (credit.stunden > 0) {
+                        calculatedTotalMonthlyHours += credit.stunden;
+                        entryDauer = isPartialDayAbsence(abw) ? `${formatHoursAsHHMM(credit.stunden)} (${entryDauer})` : formatHoursAsHHMM(credit.stunden);
                     }
+                    monthlyAbsenceCounts[abw.abwesenheit_typ] = (monthlyAbsenceCounts[abw.abwesenheit_typ] || 0) + credit.tage;
+                    
+                    reportEntries.push({
+                        id: `abwesenheit-${abw.id || 'print'}-${dayFormatted.replace(/\./g, '-')}`,
+                        datum: dayFormatted,
+                        type: abw.abwesenheit_typ,
+                        farbe: absenceType ? absenceType.farbe : null,
+                        umfang: abw.umfang,
+                        stunden: abw.stunden,
+                        gutschriftStunden: roundHours(credit.stunden),
+                        dauer: entryDauer,
+                        beschreibung: abw.beschreibung,
+                        startzeit: null,
+                        endzeit: null,
+                        sortDate: new Date(currentDayOfAbsence)
+                    });
                 }
-                currentUrlaubDay.setUTCDate(currentUrlaubDay.getUTCDate() + 1);
             }
-        });
+            currentDayOfAbsence.setUTCDate(currentDayOfAbsence.getUTCDate() + 1);
+        }
+    });
 
-        const usedUrlaubstageUpToMonthEnd = urlaubDaysSetMonth.size;
-        const remainingUrlaubstageAsOfMonatEnd = total_urlaubstage_annually - usedUrlaubstageUpToMonthEnd;
+    // Sort entries by date and clean up
+    reportEntries.sort((a, b) => a.sortDate - b.sortDate);
+    reportEntries.forEach(entry => delete entry.sortDate);
 
-        res.json({
-            success: true,
-            reportEntries: reportEntries,
-            email: praktikantDetails.email,
-            vorname: praktikantDetails.vorname,
-            nachname: praktikantDetails.nachname,
-            bildungstraeger: praktikantDetails.bildungstraeger,
-            praktikumszeit_1_von_bis: praktikantDetails.praktikumszeit_1_von_bis,
-            praktikumszeit_2_von_bis: praktikantDetails.praktikumszeit_2_von_bis,
-            allgemeine_notizen: praktikantDetails.allgemeine_notizen,
-            calculatedTotalMonthlyHours: parseFloat(calculatedTotalMonthlyHours.toFixed(2)),
-            monthlyAbsenceCounts: { Urlaub: monthlyUrlaubTage, Krankheit: monthlyKrankheitTage },
-            internDetails: {
-                total_urlaubstage_annually: total_urlaubstage_annually,
-                usedUrlaubstageThisYear: usedUrlaubstageThisYear,
-                remainingUrlaubstageYearEnd: remainingUrlaubstageYearEnd,
-                usedUrlaubstageUpToMonatEnd: usedUrlaubstageUpToMonthEnd,
-                remainingUrlaubstageAsOfMonatEnd: remainingUrlaubstageAsOfMonatEnd
-            }
-        });
+    // Vacation days used in the year and up to the end of this month; half days count as 0.5
+    const { vacationDays: usedUrlaubstageThisYear } = await getVacationForPeriodHelper(benutzerId, `${currentYear}-01-01`, `${currentYear}-12-31`, poolConnection);
+    const remainingUrlaubstageYearEnd = total_urlaubstage_annually - usedUrlaubstageThisYear;
+    const { vacationDays: usedUrlaubstageUpToMonthEnd } = await getVacationForPeriodHelper(benutzerId, `${currentYear}-01-01`, monthEndDate.substring(0, 10), poolConnection);
+    const remainingUrlaubstageAsOfMonatEnd = total_urlaubstage_annually - usedUrlaubstageUpToMonthEnd;
+
+    return {
+        reportEntries: reportEntries,
+        email: praktikantDetails.email,
+        vorname: praktikantDetails.vorname,
+        nachname: praktikantDetails.nachname,
+        bildungstraeger: praktikantDetails.bildungstraeger,
+        praktikumszeit_1_von_bis: praktikantDetails.praktikumszeit_1_von_bis,
+        praktikumszeit_2_von_bis: praktikantDetails.praktikumszeit_2_von_bis,
+        allgemeine_notizen: praktikantDetails.allgemeine_notizen,
+        calculatedTotalMonthlyHours: parseFloat(calculatedTotalMonthlyHours.toFixed(2)),
+        pausenabzugStunden: parseFloat(pausenabzugStunden.toFixed(2)),
+        complianceWarnings: compliance.warnungen,
+        monthlyTargetHours: parseFloat(monthlyTargetHours.toFixed(2)),
+        monthlyAbsenceCounts: roundAbsenceCounts(monthlyAbsenceCounts),
+        feiertage: feiertageDesMonats,
+        internDetails: {
+            total_urlaubstage_annually: total_urlaubstage_annually,
+            usedUrlaubstageThisYear: usedUrlaubstageThisYear,
+            remainingUrlaubstageYearEnd: remainingUrlaubstageYearEnd,
+            usedUrlaubstageUpToMonatEnd: usedUrlaubstageUpToMonthEnd,
+            remainingUrlaubstageAsOfMonatEnd: remainingUrlaubstageAsOfMonatEnd
+        }
+    };
+}
+
+// Admin endpoint for specific user's monthly reports
+app.get("/api/admin/berichte/:praktikantId/monat/:monat", validate(schemas.adminMonatsbericht), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") {
+        return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    }
+    
+    try {
+        const { praktikantId, monat } = req.params;
+        if (!(await canAccessUserHelper(req.session.user, praktikantId))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        
+        const report = await getMonthlyReportHelper(praktikantId, monat, pool);
+        if (!report) {
+            return res.status(404).json({ success: false, message: "Praktikant nicht gefunden." });
+        }
+
+        res.json({ success: true, ...report });
     } catch (error) {
         console.error("Fehler beim Abrufen der Monatsberichte für Admin:", error);
         res.status(500).json({ success: false, message: "Interner Serverfehler: " + error.message });
     }
 });
 
-// Admin endpoint to create new work/absence entries
-app.post("/api/admin/berichte", async (req, res) => {
+// Streams the monthly Tätigkeitsbericht of a user as PDF
+async function sendMonthlyReportPdf(res, benutzerId, monat) {
+    const report = await getMonthlyReportHelper(benutzerId, monat, pool);
+    if (!report) return res.status(404).json({ success: false, message: "Praktikant nicht gefunden." });
+    if (report.reportEntries.length === 0) return res.status(404).json({ success: false, message: "Keine Einträge für den ausgewählten Monat gefunden." });
+
+    const doc = createMonthlyReportPdf(report, monat);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${getMonthlyReportPdfFilename(report, monat)}"`);
+    doc.pipe(res);
+}
+
+app.get("/api/admin/berichte/:praktikantId/monat/:monat/pdf", validate(schemas.adminMonatsbericht), async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") {
         return res.status(403).json({ success: false, message: "Zugriff verweigert." });
     }
+    const { praktikantId, monat } = req.params;
     try {
-        const { benutzerId, datum, startzeit, endzeit, bericht, typ, beschreibung } = req.body;
+        if (!(await canAccessUserHelper(req.session.user, praktikantId))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        await sendMonthlyReportPdf(res, praktikantId, monat);
+    } catch (error) {
+        console.error("[PDF] Fehler beim Erstellen des Monatsberichts (Admin):", error);
+        if (!res.headersSent) res.status(500).json({ success: false, message: "Fehler beim Erstellen des PDF-Berichts." });
+    }
+});
 
-        if (!benutzerId || !datum || !typ || isNaN(parseInt(benutzerId)) || !/^\d{4}-\d{2}-\d{2}$/.test(datum)) {
-            return res.status(400).json({ success: false, message: "Ungültige Basis-Eingabedaten (BenutzerID, Datum, Typ)." });
-        }
+// Admin endpoint to create new work/absence entries
+app.post("/api/admin/berichte", validate(schemas.adminEintragErstellen), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") {
+        return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    }
+    const connection = await pool.getConnection();
+    try {
+        const { benutzerId, datum, startzeit, endzeit, bericht, typ, beschreibung, konfliktBestaetigt } = req.body;
+        if (!(await canAccessUserHelper(req.session.user, benutzerId, connection))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
 
         if (typ === 'Arbeit') {
-            if (!startzeit || !endzeit || !bericht || !/^\d{2}:\d{2}$/.test(startzeit) || !/^\d{2}:\d{2}$/.test(endzeit)) {
-                return res.status(400).json({ success: false, message: "Ungültige Eingabedaten für Typ 'Arbeit'." });
-            }
             const startZeitFull = new Date(`${datum}T${startzeit}:00`);
             const endZeitFull = new Date(`${datum}T${endzeit}:00`);
 
@@ -1445,39 +4229,59 @@ app.post("/api/admin/berichte", async (req, res) => {
             if (durationInMilliseconds < 0) {
                 return res.status(400).json({ success: false, message: "Endzeit kann nicht vor Startzeit liegen (Fehler in Dauerberechnung)." });
             }
-            await pool.execute(
-                "INSERT INTO Arbeitszeiten (benutzerId, startZeit, endZeit, bericht) VALUES (?, ?, ?, ?)",
-                [parseInt(benutzerId), startZeitFull, endZeitFull, bericht.trim()]
+            await connection.beginTransaction();
+            const konflikt = getConflictResponseHelper(await getWorkEntryConflictsHelper(connection, benutzerId, startZeitFull, endZeitFull), konfliktBestaetigt);
+            if (konflikt) {
+                await connection.rollback();
+                return res.status(409).json(konflikt);
+            }
+            const [result] = await connection.execute(
+                "INSERT INTO Arbeitszeiten (benutzerId, startZeit, endZeit, bericht, manuell) VALUES (?, ?, ?, ?, TRUE)",
+                [benutzerId, startZeitFull, endZeitFull, bericht]
             );
+            await writeRowAuditHelper(connection, req.session.user, 'Arbeitszeiten', result.insertId, 'erstellt', null);
+            await connection.commit();
             res.status(201).json({ success: true, message: "Arbeitseintrag erstellt." });
 
-        } else if (typ === 'Krankheit' || typ === 'Urlaub') {
+        } else {
+            // Every other type names an absence type
+            if (!(await getSelectableAbsenceTypeHelper(connection, typ))) {
+                return res.status(400).json({ success: false, message: "Unbekannter Eintragstyp.", fehler: [{ feld: 'typ', meldung: "Unbekannter Eintragstyp." }] });
+            }
             const start_datum_abwesenheit = datum;
             const end_datum_abwesenheit = datum; // For single day entry from this modal
             const abwesenheit_typ = typ;
             const beschreibung_abwesenheit = beschreibung || null;
 
-            await pool.execute(
+            await connection.beginTransaction();
+            const konflikt = getConflictResponseHelper(await getAbsenceConflictsHelper(connection, benutzerId, { start_datum: start_datum_abwesenheit, end_datum: end_datum_abwesenheit, abwesenheit_typ }), konfliktBestaetigt);
+            if (konflikt) {
+                await connection.rollback();
+                return res.status(409).json(konflikt);
+            }
+            const [result] = await connection.execute(
                 "INSERT INTO Abwesenheiten (benutzerId, start_datum, end_datum, abwesenheit_typ, beschreibung) VALUES (?, ?, ?, ?, ?)",
-                [parseInt(benutzerId), start_datum_abwesenheit, end_datum_abwesenheit, abwesenheit_typ, beschreibung_abwesenheit]
+                [benutzerId, start_datum_abwesenheit, end_datum_abwesenheit, abwesenheit_typ, beschreibung_abwesenheit]
             );
+            await writeRowAuditHelper(connection, req.session.user, 'Abwesenheiten', result.insertId, 'erstellt', null);
+            await connection.commit();
             res.status(201).json({ success: true, message: `${typ}-Eintrag erstellt.` });
-
-        } else {
-            return res.status(400).json({ success: false, message: "Unbekannter Eintragstyp." });
         }
     } catch (error) {
+        await connection.rollback();
         console.error("Fehler in POST /api/admin/berichte:", error);
         res.status(500).json({ success: false, message: "Interner Serverfehler: " + error.message });
+    } finally {
+        connection.release();
     }
 });
 
 // Admin endpoint to get details of a specific work entry for editing
-app.get("/api/admin/berichte/details/:berichtId", async (req, res) => {
+app.get("/api/admin/berichte/details/:berichtId", validate(schemas.adminBerichtDetails), async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
-    const berichtId = parseInt(req.params.berichtId);
-    if (isNaN(berichtId)) return res.status(400).json({ success: false, message: "Ungültige Berichts-ID." });
+    const { berichtId } = req.params;
     try {
+        if (!(await canAccessRecordHelper(req.session.user, 'Arbeitszeiten', berichtId))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
         const [rows] = await pool.execute("SELECT a.id, a.bericht, a.startZeit, a.endZeit FROM Arbeitszeiten a WHERE a.id = ?", [berichtId]);
         if (rows.length === 0) return res.status(404).json({ success: false, message: "Bericht nicht gefunden." });
         
@@ -1516,14 +4320,19 @@ app.get("/api/admin/berichte/details/:berichtId", async (req, res) => {
 });
 
 // Admin endpoint to update existing work entries
-app.put("/api/admin/berichte/:id", async (req, res) => {
+app.put("/api/admin/berichte/:id", validate(schemas.adminBerichtAendern), async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const connection = await pool.getConnection();
     try {
-        const { bericht: newBerichtText, startzeit, endzeit } = req.body;
-        if (!newBerichtText || newBerichtText.trim() === "" || !startzeit || !/^\d{2}:\d{2}$/.test(startzeit) || !endzeit || !/^\d{2}:\d{2}$/.test(endzeit))
-            return res.status(400).json({ success: false, message: "Ungültige Eingabedaten." });
-        const [berichtRows] = await pool.execute("SELECT startZeit FROM Arbeitszeiten WHERE id = ?", [req.params.id]);
-        if (berichtRows.length === 0) return res.status(404).json({ success: false, message: "Bericht nicht gefunden." });
+        if (!(await canAccessRecordHelper(req.session.user, 'Arbeitszeiten', req.params.id, connection))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        const { bericht: newBerichtText, startzeit, endzeit, konfliktBestaetigt } = req.body;
+        await connection.beginTransaction();
+        const alterWert = await getAuditSnapshotHelper(connection, 'Arbeitszeiten', req.params.id);
+        const [berichtRows] = await connection.execute("SELECT startZeit FROM Arbeitszeiten WHERE id = ?", [req.params.id]);
+        if (!alterWert || berichtRows.length === 0) {
+            await connection.rollback();
+            return res.status(404).json({ success: false, message: "Bericht nicht gefunden." });
+        }
         
         const originalDateObject = new Date(berichtRows[0].startZeit); // This will be a Date object in server's local time (UTC+2)
         const year = originalDateObject.getFullYear();
@@ -1553,25 +4362,51 @@ app.put("/api/admin/berichte/:id", async (req, res) => {
                 durationInMilliseconds = newEndSQLDateTime.getTime() - newStartSQLDateTime.getTime();
             } else {
                 // If still negative, it's an invalid range not crossing midnight correctly
+                await connection.rollback();
                 return res.status(400).json({ success: false, message: "Endzeit kann nicht vor Startzeit liegen." });
             }
         }
-        
-        await pool.execute("UPDATE Arbeitszeiten SET bericht = ?, startZeit = ?, endZeit = ? WHERE id = ?", [newBerichtText.trim(), newStartSQLDateTime, newEndSQLDateTime, req.params.id]);
+
+        const konflikt = getConflictResponseHelper(await getWorkEntryConflictsHelper(connection, alterWert.benutzerId, newStartSQLDateTime, newEndSQLDateTime, alterWert.id), konfliktBestaetigt);
+        if (konflikt) {
+            await connection.rollback();
+            return res.status(409).json(konflikt);
+        }
+        await connection.execute("UPDATE Arbeitszeiten SET bericht = ?, startZeit = ?, endZeit = ? WHERE id = ?", [newBerichtText.trim(), newStartSQLDateTime, newEndSQLDateTime, alterWert.id]);
+        await writeRowAuditHelper(connection, req.session.user, 'Arbeitszeiten', alterWert.id, 'geaendert', alterWert);
+        await connection.commit();
         res.json({ success: true, message: "Bericht aktualisiert." });
-    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+    } catch (error) {
+        await connection.rollback();
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    } finally {
+        connection.release();
+    }
 });
 
 // Admin endpoint to delete work entries
-app.delete("/api/admin/berichte/:berichtId", async (req, res) => {
+app.delete("/api/admin/berichte/:berichtId", validate(schemas.adminBerichtDetails), async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
-    const berichtId = parseInt(req.params.berichtId);
-    if (isNaN(berichtId)) return res.status(400).json({ success: false, message: "Ungültige Berichts-ID." });
+    const { berichtId } = req.params;
+    const connection = await pool.getConnection();
     try {
-        const [result] = await pool.execute("DELETE FROM Arbeitszeiten WHERE id = ?", [berichtId]);
-        if (result.affectedRows === 0) return res.status(404).json({ success: false, message: "Bericht nicht gefunden." });
+        if (!(await canAccessRecordHelper(req.session.user, 'Arbeitszeiten', berichtId, connection))) return res.status(403).json({ success: false, message: "Kein Zugriff auf diesen Praktikanten." });
+        await connection.beginTransaction();
+        const alterWert = await getAuditSnapshotHelper(connection, 'Arbeitszeiten', berichtId);
+        if (!alterWert) {
+            await connection.rollback();
+            return res.status(404).json({ success: false, message: "Bericht nicht gefunden." });
+        }
+        await connection.execute("DELETE FROM Arbeitszeiten WHERE id = ?", [berichtId]);
+        await writeRowAuditHelper(connection, req.session.user, 'Arbeitszeiten', berichtId, 'geloescht', alterWert);
+        await connection.commit();
         res.json({ success: true, message: "Bericht gelöscht." });
-    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+    } catch (error) {
+        await connection.rollback();
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    } finally {
+        connection.release();
+    }
 });
 
 app.get("/api/berichte", async (req, res) => {
@@ -1579,14 +4414,15 @@ app.get("/api/berichte", async (req, res) => {
     try {
         // Fetch raw data, ordered by time to ensure correct consolidation.
         const [berichte] = await pool.execute(
-            "SELECT id, startZeit, endZeit, bericht, DATE_FORMAT(startZeit, '%d.%m.%Y') as datum " +
-            "FROM Arbeitszeiten WHERE benutzerId = ? ORDER BY startZeit ASC",
+            "SELECT a.id, a.startZeit, a.endZeit, a.bericht, a.manuell, a.nachsynchronisiert, pr.name AS projekt, pa.name AS aufgabe, DATE_FORMAT(a.startZeit, '%d.%m.%Y') as datum " +
+            `FROM Arbeitszeiten a ${SEGMENT_PROJECT_JOINS} WHERE a.benutzerId = ? ORDER BY a.startZeit ASC`,
             [req.session.user.id]
         );
 
         const consolidated = {};
 
-        berichte.forEach(entry => {
+        // Night shifts across midnight are listed with their portion on each day
+        splitRowsAtMidnight(berichte).forEach(entry => {
             const entryDate = entry.datum;
             const start = new Date(entry.startZeit);
             
@@ -1617,10 +4453,13 @@ app.get("/api/berichte", async (req, res) => {
                     isAutoCutoff: isAutoCutoffEntry(entry),
                     segments: [{
                         id: entry.id, // Individual Arbeitszeiten record ID
+                        isManual: !!entry.manuell,
+                        isLateSync: !!entry.nachsynchronisiert,
                         start: start.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }),
                         end: endTimeString,
                         duration: durationMs > 0 ? durationMs : 0,
-                        bericht: entry.bericht || ""
+                        bericht: entry.bericht || "",
+                        projekt: formatProjectLabel(entry.projekt, entry.aufgabe)
                     }]
                 };
             } else {
@@ -1640,10 +4479,13 @@ app.get("/api/berichte", async (req, res) => {
                 }
                 consolidated[entryDate].segments.push({
                     id: entry.id, // Individual Arbeitszeiten record ID
+                    isManual: !!entry.manuell,
+                    isLateSync: !!entry.nachsynchronisiert,
                     start: start.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }),
                     end: endTimeString,
                     duration: durationMs > 0 ? durationMs : 0,
                     bericht: entry.bericht || "",
+                    projekt: formatProjectLabel(entry.projekt, entry.aufgabe),
                     isAutoCutoff: isAutoCutoffEntry(entry)
                 });
             }
@@ -1661,6 +4503,7 @@ app.get("/api/berichte", async (req, res) => {
                 seg.dauer = `${String(segHours).padStart(2, '0')}:${String(segMinutes).padStart(2, '0')}`;
                 delete seg.duration;
             });
+            markManualDays(entry);
             delete entry.durationMs;
             return entry;
         }).sort((a, b) => {
@@ -1676,18 +4519,19 @@ app.get("/api/berichte", async (req, res) => {
     }
 });
 
-app.get("/api/berichte/monat/:monat", async (req, res) => {
+app.get("/api/berichte/monat/:monat", validate(schemas.monatsbericht), async (req, res) => {
     if (!req.session.user) return res.status(401).json({ message: "Nicht eingeloggt" });
     try {
         const { monat } = req.params; const benutzerId = req.session.user.id;
-        if (!/^\d{4}-\d{2}$/.test(monat)) return res.status(400).json({ message: "Ungültiges Monatsformat." });
         const [jahr, monatNummer] = monat.split('-'); const currentYear = parseInt(jahr); const currentMonth = parseInt(monatNummer);
         const monthStartDate = `${monat}-01 00:00:00`; const lastDayOfMonth = new Date(currentYear, currentMonth, 0).getDate(); const monthEndDate = `${monat}-${String(lastDayOfMonth).padStart(2, '0')} 23:59:59`;
-        const [berichteArbeitszeiten] = await pool.execute("SELECT a.id, DATE_FORMAT(a.startZeit, '%d.%m.%Y') as datum, a.startZeit, a.endZeit, a.bericht FROM Arbeitszeiten a WHERE a.benutzerId = ? AND a.startZeit >= ? AND a.startZeit <= ? ORDER BY a.startZeit ASC", [benutzerId, monthStartDate, monthEndDate]);
-        const [abwesenheitenDesMonats] = await pool.execute("SELECT id, DATE_FORMAT(start_datum, '%Y-%m-%d') as start_datum_iso, DATE_FORMAT(end_datum, '%Y-%m-%d') as end_datum_iso, abwesenheit_typ, beschreibung FROM Abwesenheiten WHERE benutzerId = ? AND end_datum >= ? AND start_datum <= ?", [benutzerId, `${monat}-01`, monthEndDate.substring(0,10)]);
+        // Night shifts across midnight count on each day with their portion
+        const [monatsArbeitszeiten] = await pool.execute(`SELECT a.id, DATE_FORMAT(a.startZeit, '%d.%m.%Y') as datum, a.startZeit, a.endZeit, a.bericht, a.manuell, a.nachsynchronisiert, pr.name AS projekt, pa.name AS aufgabe FROM Arbeitszeiten a ${SEGMENT_PROJECT_JOINS} WHERE a.benutzerId = ? AND a.startZeit <= ? AND COALESCE(a.endZeit, NOW()) > ? ORDER BY a.startZeit ASC`, [benutzerId, monthEndDate, monthStartDate]);
+        const berichteArbeitszeiten = splitRowsAtMidnight(monatsArbeitszeiten, { von: monthStartDate.substring(0, 10), bis: monthEndDate.substring(0, 10) });
+        const [abwesenheitenDesMonats] = await pool.execute("SELECT id, DATE_FORMAT(start_datum, '%Y-%m-%d') as start_datum_iso, DATE_FORMAT(end_datum, '%Y-%m-%d') as end_datum_iso, abwesenheit_typ, umfang, stunden, beschreibung FROM Abwesenheiten WHERE benutzerId = ? AND status = 'genehmigt' AND end_datum >= ? AND start_datum <= ?", [benutzerId, `${monat}-01`, monthEndDate.substring(0,10)]);
         const [praktikantDetailsRows] = await pool.execute("SELECT email, vorname, nachname, bildungstraeger, praktikumszeit_1_von_bis, praktikumszeit_2_von_bis, allgemeine_notizen, total_urlaubstage_annually FROM Praktikanten WHERE id = ?", [benutzerId]);
         const praktikantDetails = praktikantDetailsRows[0] || {}; const total_urlaubstage_annually = praktikantDetails.total_urlaubstage_annually || 0;
-        let calculatedTotalMonthlyHours = 0; const reportEntries = []; let monthlyUrlaubTage = 0; let monthlyKrankheitTage = 0;
+        let calculatedTotalMonthlyHours = 0; const reportEntries = []; const monthlyAbsenceCounts = {};
         
         // Create consolidated entries with segments (similar to /api/berichte)
         const consolidated = {};
@@ -1721,10 +4565,13 @@ app.get("/api/berichte/monat/:monat", async (req, res) => {
                     sortDate: new Date(parseInt(entryDate.substring(6, 10)), parseInt(entryDate.substring(3, 5)) - 1, parseInt(entryDate.substring(0, 2))),
                     segments: [{
                         id: entry.id, // Individual Arbeitszeiten record ID
+                        isManual: !!entry.manuell,
+                        isLateSync: !!entry.nachsynchronisiert,
                         start: start.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }),
                         end: endTimeString,
                         duration: durationMs > 0 ? durationMs : 0,
-                        bericht: entry.bericht || ""
+                        bericht: entry.bericht || "",
+                        projekt: formatProjectLabel(entry.projekt, entry.aufgabe)
                     }]
                 };
             } else {
@@ -1739,15 +4586,22 @@ app.get("/api/berichte/monat/:monat", async (req, res) => {
                 }
                 consolidated[entryDate].segments.push({
                     id: entry.id, // Individual Arbeitszeiten record ID
+                    isManual: !!entry.manuell,
+                    isLateSync: !!entry.nachsynchronisiert,
                     start: start.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' }),
                     end: endTimeString,
                     duration: durationMs > 0 ? durationMs : 0,
                     bericht: entry.bericht || "",
+                    projekt: formatProjectLabel(entry.projekt, entry.aufgabe),
                     isAutoCutoff: isAutoCutoffEntry(entry)
                 });
             }
         });
 
+        // Missing statutory breaks are deducted per day (ArbZG)
+        const pausenabzugStunden = applyBreakRulesToReportEntries(consolidated, berichteArbeitszeiten);
+        calculatedTotalMonthlyHours -= pausenabzugStunden;
+
         // Convert consolidated entries to final format
         Object.values(consolidated).forEach(entry => {
             const totalHours = entry.durationMs / (1000 * 60 * 60);
@@ -1764,9 +4618,15 @@ app.get("/api/berichte/monat/:monat", async (req, res) => {
                 delete seg.duration;
             });
             
+            markManualDays(entry);
             delete entry.durationMs;
             reportEntries.push(entry);
         });
+        const freeDaysOfYear = await getFreeDaysForPeriodHelper(`${currentYear}-01-01`, `${currentYear}-12-31`, pool);
+        const feiertageDesMonats = [...freeDaysOfYear.entries()].filter(([datum]) => datum.startsWith(monat)).map(([datum, name]) => ({ datum: `${datum.substring(8, 10)}.${datum.substring(5, 7)}.${datum.substring(0, 4)}`, name }));
+        const schedule = await getWorkScheduleHelper(benutzerId, pool);
+        const absenceTypes = await getAbsenceTypesHelper(pool);
+        const monthlyTargetHours = await getTargetHoursForPeriodHelper(benutzerId, `${monat}-01`, monthEndDate.substring(0, 10), pool);
         const firstDayOfMonthUTC = new Date(Date.UTC(currentYear, currentMonth - 1, 1)); const actualLastDayNumberInMonth = new Date(currentYear, currentMonth, 0).getUTCDate(); const lastDayOfMonthUTC = new Date(Date.UTC(currentYear, currentMonth - 1, actualLastDayNumberInMonth, 23, 59, 59, 999));
         abwesenheitenDesMonats.forEach(abw => {
             const absenceStartUTC = new Date(Date.UTC(parseInt(abw.start_datum_iso.substring(0,4)), parseInt(abw.start_datum_iso.substring(5,7)) - 1, parseInt(abw.start_datum_iso.substring(8,10))));
@@ -1775,100 +4635,101 @@ app.get("/api/berichte/monat/:monat", async (req, res) => {
             while (currentDayOfAbsence <= absenceEndUTC) {
                 if (currentDayOfAbsence >= firstDayOfMonthUTC && currentDayOfAbsence <= lastDayOfMonthUTC) {
                     const dayOfWeek = currentDayOfAbsence.getUTCDay();
-                    if (dayOfWeek !== 0 && dayOfWeek !== 6) {
+                    if (schedule[dayOfWeek] > 0 && !freeDaysOfYear.has(currentDayOfAbsence.toISOString().split('T')[0])) {
                         const dayFormatted = `${String(currentDayOfAbsence.getUTCDate()).padStart(2, '0')}.${String(currentDayOfAbsence.getUTCMonth() + 1).padStart(2, '0')}.${currentDayOfAbsence.getUTCFullYear()}`;
-                        let entryDauer = "Ganztägig";
-                        if (abw.abwesenheit_typ === 'Urlaub') { calculatedTotalMonthlyHours += HOURS_PER_URLAUBSTAG_GLOBAL; monthlyUrlaubTage++; entryDauer = "08:00"; }
-                        else if (abw.abwesenheit_typ === 'Krankheit') { monthlyKrankheitTage++; }
-                        reportEntries.push({ id: `abwesenheit-${abw.id || 'new'}-${dayFormatted.replace(/\./g, '-')}`, datum: dayFormatted, type: abw.abwesenheit_typ, dauer: entryDauer, beschreibung: abw.beschreibung, startzeit: null, endzeit: null, sortDate: new Date(currentDayOfAbsence) });
+                        const absenceType = absenceTypes.get(abw.abwesenheit_typ);
+                        const credit = getAbsenceTypeDayCredit(abw, absenceType, schedule[dayOfWeek]);
+                        let entryDauer = formatAbsenceScope(abw);
+                        if (credit.stunden > 0) { calculatedTotalMonthlyHours += credit.stunden; entryDauer = isPartialDayAbsence(abw) ? `${formatHoursAsHHMM(credit.stunden)} (${entryDauer})` : formatHoursAsHHMM(credit.stunden); }
+                        monthlyAbsenceCounts[abw.abwesenheit_typ] = (monthlyAbsenceCounts[abw.abwesenheit_typ] || 0) + credit.tage;
+                        reportEntries.push({ id: `abwesenheit-${abw.id || 'new'}-${dayFormatted.replace(/\./g, '-')}`, datum: dayFormatted, type: abw.abwesenheit_typ, farbe: absenceType ? absenceType.farbe : null, umfang: abw.umfang, stunden: abw.stunden, gutschriftStunden: roundHours(credit.stunden), dauer: entryDauer, beschreibung: abw.beschreibung, startzeit: null, endzeit: null, sortDate: new Date(currentDayOfAbsence) });
                     }
                 }
                 currentDayOfAbsence.setUTCDate(currentDayOfAbsence.getUTCDate() + 1);
             }
         });
         reportEntries.sort((a, b) => a.sortDate - b.sortDate); reportEntries.forEach(entry => delete entry.sortDate);
-        const [urlaubstageImJahrRows] = await pool.execute("SELECT start_datum, end_datum FROM Abwesenheiten WHERE benutzerId = ? AND abwesenheit_typ = 'Urlaub' AND start_datum <= ? AND end_datum >= ?", [benutzerId, `${currentYear}-12-31`, `${currentYear}-01-01`]);
-        const urlaubDaysSet = new Set();
-        urlaubstageImJahrRows.forEach(urlaub => {
-            const startDateObj = new Date(urlaub.start_datum); const endDateObj = new Date(urlaub.end_datum);
-            let currentUrlaubDay = new Date(Date.UTC(startDateObj.getUTCFullYear(), startDateObj.getUTCMonth(), startDateObj.getUTCDate()));
-            const urlaubEndDay = new Date(Date.UTC(endDateObj.getUTCFullYear(), endDateObj.getUTCMonth(), endDateObj.getUTCDate()));
-            while(currentUrlaubDay <= urlaubEndDay) { if (currentUrlaubDay.getUTCFullYear() === currentYear) { const dayOfWeek = currentUrlaubDay.getUTCDay(); if (dayOfWeek !== 0 && dayOfWeek !== 6) urlaubDaysSet.add(currentUrlaubDay.toISOString().split('T')[0]); } currentUrlaubDay.setUTCDate(currentUrlaubDay.getUTCDate() + 1); }
-        });
-        const usedUrlaubstageThisYear = urlaubDaysSet.size;
+        const { vacationDays: usedUrlaubstageThisYear } = await getVacationForPeriodHelper(benutzerId, `${currentYear}-01-01`, `${currentYear}-12-31`, pool);
         const remainingUrlaubstage = total_urlaubstage_annually - usedUrlaubstageThisYear;
-        res.json({ reportEntries, ...praktikantDetails, calculatedTotalMonthlyHours: parseFloat(calculatedTotalMonthlyHours.toFixed(2)), monthlyAbsenceCounts: { Urlaub: monthlyUrlaubTage, Krankheit: monthlyKrankheitTage }, internDetails: { total_urlaubstage_annually, usedUrlaubstageThisYear, remainingUrlaubstage } });
+        res.json({ reportEntries, ...praktikantDetails, calculatedTotalMonthlyHours: parseFloat(calculatedTotalMonthlyHours.toFixed(2)), pausenabzugStunden: parseFloat(pausenabzugStunden.toFixed(2)), monthlyTargetHours: parseFloat(monthlyTargetHours.toFixed(2)), monthlyAbsenceCounts: roundAbsenceCounts(monthlyAbsenceCounts), feiertage: feiertageDesMonats, internDetails: { total_urlaubstage_annually, usedUrlaubstageThisYear, remainingUrlaubstage } });
     } catch (error) { 
         console.error("Error in /api/berichte/monat/:monat:", error);
         res.status(500).json({ success: false, message: "Fehler beim Abrufen der Monatsberichte: " + error.message }); 
     }
 });
 
+app.get("/api/berichte/monat/:monat/pdf", validate(schemas.monatsbericht), async (req, res) => {
+    if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt" });
+    const { monat } = req.params;
+    try {
+        await sendMonthlyReportPdf(res, req.session.user.id, monat);
+    } catch (error) {
+        console.error("[PDF] Fehler beim Erstellen des Monatsberichts:", error);
+        if (!res.headersSent) res.status(500).json({ success: false, message: "Fehler beim Erstellen des PDF-Berichts." });
+    }
+});
+
 app.get("/api/admin/dashboard/summary", async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ message: "Zugriff verweigert" });
     try {
-        const [totalUsersRows] = await pool.execute("SELECT COUNT(*) as totalUsers FROM Praktikanten");
-        const [activeUsersRows] = await pool.execute("SELECT COUNT(DISTINCT benutzerId) as activeUsers FROM Arbeitszeiten WHERE startZeit >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)");
+        const scope = getInternScopeSql(req.session.user, 'p');
+        const [totalUsersRows] = await pool.execute(`SELECT COUNT(*) as totalUsers FROM Praktikanten p WHERE ${scope.sql}`, scope.params);
+        const [activeUsersRows] = await pool.execute(`SELECT COUNT(DISTINCT a.benutzerId) as activeUsers FROM Arbeitszeiten a JOIN Praktikanten p ON p.id = a.benutzerId WHERE a.startZeit >= DATE_SUB(CURDATE(), INTERVAL 7 DAY) AND ${scope.sql}`, scope.params);
         const currentMonthDate = new Date(); const currentMonthYear = currentMonthDate.getFullYear(); const currentMonthNumber = currentMonthDate.getMonth() + 1;
         const currentMonthStartDate = `${currentMonthYear}-${String(currentMonthNumber).padStart(2, '0')}-01`; const currentMonthLastDay = new Date(currentMonthYear, currentMonthNumber, 0).getDate(); const currentMonthEndDate = `${currentMonthYear}-${String(currentMonthNumber).padStart(2, '0')}-${String(currentMonthLastDay).padStart(2, '0')}`;
-        const [thisMonthWorkHoursRows] = await pool.execute("SELECT p.id, p.vorname, p.nachname, a.startZeit, a.endZeit FROM Praktikanten p LEFT JOIN Arbeitszeiten a ON p.id = a.benutzerId AND YEAR(a.startZeit) = ? AND MONTH(a.startZeit) = ? WHERE p.rolle = 'Praktikant' AND p.status = 'aktiv' ORDER BY p.vorname, p.nachname", [currentMonthYear, currentMonthNumber]);
+        const [thisMonthWorkHoursRows] = await pool.execute(`SELECT p.id, p.vorname, p.nachname, a.startZeit, a.endZeit FROM Praktikanten p LEFT JOIN Arbeitszeiten a ON p.id = a.benutzerId AND a.startZeit < DATE_ADD(?, INTERVAL 1 DAY) AND COALESCE(a.endZeit, NOW()) > ? WHERE p.rolle = 'Praktikant' AND p.status = 'aktiv' AND ${scope.sql} ORDER BY p.vorname, p.nachname`, [currentMonthEndDate, currentMonthStartDate, ...scope.params]);
         const thisMonthHours = {};
+        const thisMonthSegments = {};
         thisMonthWorkHoursRows.forEach(row => {
             if (!thisMonthHours[row.id]) {
                 thisMonthHours[row.id] = { id: row.id, vorname: row.vorname, nachname: row.nachname, totalWorkHours: 0 };
+                thisMonthSegments[row.id] = [];
             }
-            if (row.startZeit && row.endZeit) {
-                thisMonthHours[row.id].totalWorkHours += (new Date(row.endZeit).getTime() - new Date(row.startZeit).getTime());
-            } else if (row.startZeit && row.endZeit === null) {
-                // Active timer - calculate current duration
-                const now = new Date();
-                thisMonthHours[row.id].totalWorkHours += (now.getTime() - new Date(row.startZeit).getTime());
-            }
+            if (row.startZeit) thisMonthSegments[row.id].push(row);
         });
 
         const hoursPerInternThisMonth = [];
         for (const id in thisMonthHours) {
             const row = thisMonthHours[id];
-            const vacationHours = await getVacationHoursForPeriodHelper(row.id, currentMonthStartDate, currentMonthEndDate, pool);
-            const totalHours = (row.totalWorkHours / (1000 * 60 * 60)) + vacationHours;
-            hoursPerInternThisMonth.push({ ...row, totalHours: totalHours.toFixed(2) });
+            row.totalWorkHours = sumNetWorkTime(thisMonthSegments[id], { von: currentMonthStartDate, bis: currentMonthEndDate }).netWorkedMs;
+            const absenceHours = await getAbsenceCreditHoursForPeriodHelper(row.id, currentMonthStartDate, currentMonthEndDate, pool);
+            const totalHours = (row.totalWorkHours / (1000 * 60 * 60)) + absenceHours;
+            const targetHours = await getTargetHoursForPeriodHelper(row.id, currentMonthStartDate, currentMonthEndDate, pool);
+            hoursPerInternThisMonth.push({ ...row, totalHours: totalHours.toFixed(2), targetHours: targetHours.toFixed(2) });
         }
 
         const lastMonthDate = new Date(); lastMonthDate.setMonth(lastMonthDate.getMonth() - 1); const lastMonthYear = lastMonthDate.getFullYear(); const lastMonthNumber = lastMonthDate.getMonth() + 1;
         const lastMonthStartDate = `${lastMonthYear}-${String(lastMonthNumber).padStart(2, '0')}-01`; const lastMonthLastDay = new Date(lastMonthYear, lastMonthNumber, 0).getDate(); const lastMonthEndDate = `${lastMonthYear}-${String(lastMonthNumber).padStart(2, '0')}-${String(lastMonthLastDay).padStart(2, '0')}`;
-        const [lastMonthWorkHoursRows] = await pool.execute("SELECT p.id, p.vorname, p.nachname, a.startZeit, a.endZeit FROM Praktikanten p LEFT JOIN Arbeitszeiten a ON p.id = a.benutzerId AND YEAR(a.startZeit) = ? AND MONTH(a.startZeit) = ? WHERE p.rolle = 'Praktikant' AND p.status = 'aktiv' ORDER BY p.vorname, p.nachname", [lastMonthYear, lastMonthNumber]);
+        const [lastMonthWorkHoursRows] = await pool.execute(`SELECT p.id, p.vorname, p.nachname, a.startZeit, a.endZeit FROM Praktikanten p LEFT JOIN Arbeitszeiten a ON p.id = a.benutzerId AND a.startZeit < DATE_ADD(?, INTERVAL 1 DAY) AND COALESCE(a.endZeit, NOW()) > ? WHERE p.rolle = 'Praktikant' AND p.status = 'aktiv' AND ${scope.sql} ORDER BY p.vorname, p.nachname`, [lastMonthEndDate, lastMonthStartDate, ...scope.params]);
         
         const lastMonthHours = {};
+        const lastMonthSegments = {};
         lastMonthWorkHoursRows.forEach(row => {
             if (!lastMonthHours[row.id]) {
                 lastMonthHours[row.id] = { id: row.id, vorname: row.vorname, nachname: row.nachname, totalWorkHours: 0 };
+                lastMonthSegments[row.id] = [];
             }
-            if (row.startZeit && row.endZeit) {
-                lastMonthHours[row.id].totalWorkHours += (new Date(row.endZeit).getTime() - new Date(row.startZeit).getTime());
-            } else if (row.startZeit && row.endZeit === null) {
-                // Active timer - calculate current duration
-                const now = new Date();
-                lastMonthHours[row.id].totalWorkHours += (now.getTime() - new Date(row.startZeit).getTime());
-            }
+            if (row.startZeit) lastMonthSegments[row.id].push(row);
         });
 
         const hoursPerInternLastMonth = [];
         for (const id in lastMonthHours) {
             const row = lastMonthHours[id];
-            const vacationHours = await getVacationHoursForPeriodHelper(row.id, lastMonthStartDate, lastMonthEndDate, pool);
-            const totalHours = (row.totalWorkHours / (1000 * 60 * 60)) + vacationHours;
-            hoursPerInternLastMonth.push({ ...row, totalHours: totalHours.toFixed(2) });
+            row.totalWorkHours = sumNetWorkTime(lastMonthSegments[id], { von: lastMonthStartDate, bis: lastMonthEndDate }).netWorkedMs;
+            const absenceHours = await getAbsenceCreditHoursForPeriodHelper(row.id, lastMonthStartDate, lastMonthEndDate, pool);
+            const totalHours = (row.totalWorkHours / (1000 * 60 * 60)) + absenceHours;
+            const targetHours = await getTargetHoursForPeriodHelper(row.id, lastMonthStartDate, lastMonthEndDate, pool);
+            hoursPerInternLastMonth.push({ ...row, totalHours: totalHours.toFixed(2), targetHours: targetHours.toFixed(2) });
         }
         res.json({ success: true, data: { totalRegisteredUsers: totalUsersRows[0].totalUsers, usersWithRecentActivity: activeUsersRows[0].activeUsers, hoursPerInternThisMonth, hoursPerInternLastMonth } });
     } catch (error) { res.status(500).json({ success: false, message: "Fehler: " + error.message }); }
 });
 
-app.put("/api/berichte/:berichtId", async (req, res) => {
+app.put("/api/berichte/:berichtId", validate(schemas.berichtAendern), async (req, res) => {
     if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt." });
+    const connection = await pool.getConnection();
     try {
         const { bericht: newBerichtText } = req.body; const benutzerId = req.session.user.id;
-        if (!newBerichtText || newBerichtText.trim() === "") return res.status(400).json({ success: false, message: "Berichtstext darf nicht leer sein." });
-        if (isNaN(parseInt(req.params.berichtId))) return res.status(400).json({ success: false, message: "Ungültige Berichts-ID." });
         const [berichtRows] = await pool.execute("SELECT benutzerId, endZeit, bericht FROM Arbeitszeiten WHERE id = ?", [req.params.berichtId]);
         if (berichtRows.length === 0) return res.status(404).json({ success: false, message: "Bericht nicht gefunden." });
         if (berichtRows[0].benutzerId !== benutzerId) return res.status(403).json({ success: false, message: "Zugriff verweigert." });
@@ -1879,121 +4740,335 @@ app.put("/api/berichte/:berichtId", async (req, res) => {
             return res.status(403).json({ success: false, message: "Auto cut-off Einträge können nicht bearbeitet werden. Diese Einträge sind systemgeneriert und dienen der Nachvollziehbarkeit." });
         }
         
-        await pool.execute("UPDATE Arbeitszeiten SET bericht = ? WHERE id = ? AND benutzerId = ?", [newBerichtText.trim(), req.params.berichtId, benutzerId]);
+        await connection.beginTransaction();
+        const alterWert = await getAuditSnapshotHelper(connection, 'Arbeitszeiten', req.params.berichtId);
+        await connection.execute("UPDATE Arbeitszeiten SET bericht = ? WHERE id = ? AND benutzerId = ?", [newBerichtText.trim(), req.params.berichtId, benutzerId]);
+        await writeRowAuditHelper(connection, req.session.user, 'Arbeitszeiten', alterWert.id, 'geaendert', alterWert);
+        await connection.commit();
         res.json({ success: true, message: "Bericht erfolgreich aktualisiert." });
-    } catch (error) { res.status(500).json({ success: false, message: "Interner Serverfehler." }); }
+    } catch (error) {
+        await connection.rollback();
+        res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    } finally {
+        connection.release();
+    }
 });
 
-app.put("/api/berichte/tag/:datum", async (req, res) => {
+app.put("/api/berichte/tag/:datum", validate(schemas.tagesberichtAendern), async (req, res) => {
     if (!req.session.user) return res.status(401).json({ success: false, message: "Nicht eingeloggt." });
+    const connection = await pool.getConnection();
     try {
         const { bericht: newBerichtText } = req.body;
         const { datum } = req.params;
         const benutzerId = req.session.user.id;
 
-        if (!newBerichtText || newBerichtText.trim() === "" || !/^\d{4}-\d{2}-\d{2}$/.test(datum)) {
-            return res.status(400).json({ success: false, message: "Datum und Berichtstext sind erforderlich." });
-        }
-
-        // Find all entries for the user on that day
-        const [entries] = await pool.execute(
-            "SELECT id FROM Arbeitszeiten WHERE benutzerId = ? AND DATE(startZeit) = ?",
-            [benutzerId, datum]
+        await connection.beginTransaction();
+        // Find all entries for the user on that day, including a night shift reaching into it
+        const [entries] = await connection.execute(
+            "SELECT id FROM Arbeitszeiten WHERE benutzerId = ? AND startZeit < DATE_ADD(?, INTERVAL 1 DAY) AND COALESCE(endZeit, NOW()) > ? FOR UPDATE",
+            [benutzerId, datum, datum]
         );
 
         if (entries.length === 0) {
+            await connection.rollback();
             return res.status(404).json({ success: false, message: "Keine Berichte für dieses Datum gefunden." });
         }
 
-        // Update the bericht for all entries of that day
-        const entryIds = entries.map(e => e.id);
-        if (entryIds.length > 0) {
-            const placeholders = entryIds.map(() => '?').join(',');
-            await pool.query(
-                `UPDATE Arbeitszeiten SET bericht = ? WHERE id IN (${placeholders})`,
-                [newBerichtText.trim(), ...entryIds]
-            );
+        // Update the bericht for all entries of that day, one audit entry per segment
+        for (const { id } of entries) {
+            const alterWert = await getAuditSnapshotHelper(connection, 'Arbeitszeiten', id);
+            await connection.execute("UPDATE Arbeitszeiten SET bericht = ? WHERE id = ?", [newBerichtText.trim(), id]);
+            await writeRowAuditHelper(connection, req.session.user, 'Arbeitszeiten', id, 'geaendert', alterWert);
         }
+        await connection.commit();
 
         res.json({ success: true, message: "Tagesbericht erfolgreich aktualisiert." });
     } catch (error) {
+        await connection.rollback();
         console.error("Fehler beim Aktualisieren des Tagesberichts:", error);
         res.status(500).json({ success: false, message: "Interner Serverfehler." });
+    } finally {
+        connection.release();
     }
 });
 
-app.get("/api/admin/dashboard/hours-summary", async (req, res) => {
+app.get("/api/admin/dashboard/hours-summary", validate(schemas.stundenUebersicht), async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert" });
     try {
         const { month, praktikantId } = req.query;
-        if (!month || !/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ success: false, message: "Ungültiges Monatsformat." });
         const [yearStr, monthStr] = month.split('-'); const year = parseInt(yearStr); const monthNumber = parseInt(monthStr);
         const monthStartDate = `${year}-${monthStr}-01`; const lastDayOfMonth = new Date(year, monthNumber, 0).getDate(); const monthEndDate = `${year}-${monthStr}-${String(lastDayOfMonth).padStart(2, '0')}`;
+        const scope = getInternScopeSql(req.session.user, 'p');
         let praktikantenToQuery = [];
         if (praktikantId) {
-            const parsedPraktikantId = parseInt(praktikantId);
-            if (isNaN(parsedPraktikantId)) return res.status(400).json({ success: false, message: "Ungültige Praktikant-ID." });
-            const [internRows] = await pool.execute("SELECT id, vorname, nachname FROM Praktikanten WHERE id = ? AND rolle = 'Praktikant' AND status = 'aktiv'", [parsedPraktikantId]);
+            const [internRows] = await pool.execute(`SELECT p.id, p.vorname, p.nachname FROM Praktikanten p WHERE p.id = ? AND p.rolle = 'Praktikant' AND p.status = 'aktiv' AND ${scope.sql}`, [praktikantId, ...scope.params]);
             if (internRows.length > 0) praktikantenToQuery = internRows;
         } else {
-            const [allInternsRows] = await pool.execute("SELECT id, vorname, nachname FROM Praktikanten WHERE rolle = 'Praktikant' AND status = 'aktiv' ORDER BY vorname, nachname");
+            const [allInternsRows] = await pool.execute(`SELECT p.id, p.vorname, p.nachname FROM Praktikanten p WHERE p.rolle = 'Praktikant' AND p.status = 'aktiv' AND ${scope.sql} ORDER BY p.vorname, p.nachname`, scope.params);
             praktikantenToQuery = allInternsRows;
         }
         const results = [];
         for (const intern of praktikantenToQuery) {
-            const [workHoursRows] = await pool.execute("SELECT startZeit, endZeit FROM Arbeitszeiten WHERE benutzerId = ? AND YEAR(startZeit) = ? AND MONTH(startZeit) = ?", [intern.id, year, monthNumber]);
-            let loggedWorkMs = 0;
-            workHoursRows.forEach(row => {
-                if (row.endZeit !== null) {
-                    // Completed timer
-                    loggedWorkMs += new Date(row.endZeit).getTime() - new Date(row.startZeit).getTime();
-                } else {
-                    // Active timer - calculate current duration
-                    const now = new Date();
-                    loggedWorkMs += now.getTime() - new Date(row.startZeit).getTime();
-                }
-            });
+            const [workHoursRows] = await pool.execute("SELECT startZeit, endZeit FROM Arbeitszeiten WHERE benutzerId = ? AND startZeit < DATE_ADD(?, INTERVAL 1 DAY) AND COALESCE(endZeit, NOW()) > ?", [intern.id, monthEndDate, monthStartDate]);
+            // Active timers count up to now, missing statutory breaks are deducted per day
+            const loggedWorkMs = sumNetWorkTime(workHoursRows, { von: monthStartDate, bis: monthEndDate }).netWorkedMs;
             const loggedWorkHours = loggedWorkMs / (1000 * 60 * 60);
-            const vacationHoursInMonth = await getVacationHoursForPeriodHelper(intern.id, monthStartDate, monthEndDate, pool);
-            results.push({ id: intern.id, vorname: intern.vorname, nachname: intern.nachname, totalHours: (loggedWorkHours + vacationHoursInMonth).toFixed(2) });
+            const absenceHoursInMonth = await getAbsenceCreditHoursForPeriodHelper(intern.id, monthStartDate, monthEndDate, pool);
+            const targetHours = await getTargetHoursForPeriodHelper(intern.id, monthStartDate, monthEndDate, pool);
+            const gleitzeitSaldo = await getFlextimeBalanceHelper(intern.id, new Date().toLocaleDateString('en-CA'), pool);
+            results.push({ id: intern.id, vorname: intern.vorname, nachname: intern.nachname, totalHours: (loggedWorkHours + absenceHoursInMonth).toFixed(2), targetHours: targetHours.toFixed(2), gleitzeitSaldo: gleitzeitSaldo.toFixed(2) });
         }
         results.sort((a, b) => parseFloat(b.totalHours) - parseFloat(a.totalHours));
         res.json({ success: true, data: results });
     } catch (error) { res.status(500).json({ success: false, message: "Fehler: " + error.message }); }
 });
 
-app.get("/api/admin/dashboard/intern-hours", async (req, res) => {
+app.get("/api/admin/dashboard/intern-hours", validate(schemas.praktikantenStunden), async (req, res) => {
     if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert" });
     try {
         const { month } = req.query;
-        if (!month || !/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ success: false, message: "Ungültiges Monatsformat." });
         const [yearStr, monthStr] = month.split('-'); const year = parseInt(yearStr); const monthNumber = parseInt(monthStr);
         const monthStartDate = `${year}-${monthStr}-01`; const lastDayOfMonth = new Date(year, monthNumber, 0).getDate(); const monthEndDate = `${year}-${monthStr}-${String(lastDayOfMonth).padStart(2, '0')}`;
-        const [internRows] = await pool.execute("SELECT id, vorname, nachname FROM Praktikanten WHERE rolle = 'Praktikant' AND status = 'aktiv' ORDER BY vorname, nachname ASC");
+        const scope = getInternScopeSql(req.session.user, 'p');
+        const [internRows] = await pool.execute(`SELECT p.id, p.vorname, p.nachname FROM Praktikanten p WHERE p.rolle = 'Praktikant' AND p.status = 'aktiv' AND ${scope.sql} ORDER BY p.vorname, p.nachname ASC`, scope.params);
         const results = [];
         for (const intern of internRows) {
-            const [workHoursRows] = await pool.execute("SELECT startZeit, endZeit FROM Arbeitszeiten WHERE benutzerId = ? AND YEAR(startZeit) = ? AND MONTH(startZeit) = ?", [intern.id, year, monthNumber]);
-            let totalWorkMs = 0;
-            workHoursRows.forEach(row => {
-                if (row.endZeit !== null) {
-                    // Completed timer
-                    totalWorkMs += new Date(row.endZeit).getTime() - new Date(row.startZeit).getTime();
-                } else {
-                    // Active timer - calculate current duration
-                    const now = new Date();
-                    totalWorkMs += now.getTime() - new Date(row.startZeit).getTime();
-                }
-            });
+            const [workHoursRows] = await pool.execute("SELECT startZeit, endZeit FROM Arbeitszeiten WHERE benutzerId = ? AND startZeit < DATE_ADD(?, INTERVAL 1 DAY) AND COALESCE(endZeit, NOW()) > ?", [intern.id, monthEndDate, monthStartDate]);
+            // Active timers count up to now, missing statutory breaks are deducted per day
+            const totalWorkMs = sumNetWorkTime(workHoursRows, { von: monthStartDate, bis: monthEndDate }).netWorkedMs;
             const totalWorkHours = totalWorkMs / (1000 * 60 * 60);
-            const totalVacationHours = await getVacationHoursForPeriodHelper(intern.id, monthStartDate, monthEndDate, pool);
-            results.push({ id: intern.id, vorname: intern.vorname, nachname: intern.nachname, totalHours: (totalWorkHours + totalVacationHours).toFixed(2) });
+            const totalAbsenceHours = await getAbsenceCreditHoursForPeriodHelper(intern.id, monthStartDate, monthEndDate, pool);
+            const targetHours = await getTargetHoursForPeriodHelper(intern.id, monthStartDate, monthEndDate, pool);
+            results.push({ id: intern.id, vorname: intern.vorname, nachname: intern.nachname, totalHours: (totalWorkHours + totalAbsenceHours).toFixed(2), targetHours: targetHours.toFixed(2) });
         }
         res.json({ success: true, data: results });
     } catch (error) { res.status(500).json({ success: false, message: "Fehler: " + error.message }); }
 });
 
+// --- Payroll export ---
+const EXPORT_MAX_DAYS = 366;
+
+// Export rows for a date range: one row per completed work segment and per credited absence day,
+// plus a negative 'Pausenabzug' row for each day whose missing statutory break was deducted (ArbZG)
+// scope limits the interns (alias p) to those visible to the requesting Betreuer, see getInternScopeSql()
+async function getTimeExportRowsHelper(vonDatum, bisDatum, praktikantId, scope, poolConnection) {
+    const [internRows] = praktikantId
+        ? await poolConnection.execute(`SELECT p.id, p.vorname, p.nachname FROM Praktikanten p WHERE p.id = ? AND p.rolle = 'Praktikant' AND ${scope.sql}`, [praktikantId, ...scope.params])
+        : await poolConnection.execute(`SELECT p.id, p.vorname, p.nachname FROM Praktikanten p WHERE p.rolle = 'Praktikant' AND ${scope.sql} ORDER BY p.nachname, p.vorname`, scope.params);
+    const freeDays = await getFreeDaysForPeriodHelper(vonDatum, bisDatum, poolConnection);
+    const absenceTypes = await getAbsenceTypesHelper(poolConnection);
+    const formatTime = date => date.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' });
+
+    const rows = [];
+    for (const intern of internRows) {
+        const personRows = [];
+        const person = { benutzerId: intern.id, nachname: intern.nachname || '', vorname: intern.vorname || '' };
+
+        const [segmentRows] = await poolConnection.execute(
+            "SELECT DATE_FORMAT(startZeit, '%Y-%m-%d') AS tag, startZeit, endZeit, bericht FROM Arbeitszeiten WHERE benutzerId = ? AND startZeit < DATE_ADD(?, INTERVAL 1 DAY) AND endZeit > ? ORDER BY startZeit ASC",
+            [intern.id, bisDatum, vonDatum]
+        );
+        let previousSegment = null;
+        // Night shifts across midnight are exported as one row per day
+        const daySegments = splitRowsAtMidnight(segmentRows, { von: vonDatum, bis: bisDatum });
+        daySegments.forEach(segment => {
+            const start = new Date(segment.startZeit);
+            const end = new Date(segment.endZeit);
+            // Auto cut-off notifications (see isAutoCutoffEntry()) and idle timers closed at their start carry no working time
+            if (end <= start) return;
+            // Break = gap to the previous segment of the same day
+            const pauseMs = previousSegment && previousSegment.tag === segment.tag ? Math.max(0, start - new Date(previousSegment.endZeit)) : 0;
+            personRows.push({
+                ...person,
+                datum: segment.tag,
+                typ: 'Arbeit',
+                start: formatTime(start),
+                ende: formatTime(end),
+                dauerStunden: roundHours(Math.max(0, end - start) / 3600000),
+                pauseStunden: roundHours(pauseMs / 3600000),
+                bericht: segment.bericht || ''
+            });
+            previousSegment = segment;
+        });
+        // Same deduction as sumNetWorkTime(), so the durations of a day add up to its net working time
+        evaluateBreaksByDay(daySegments.map(segment => ({ start: segment.startZeit, end: segment.endZeit }))).forEach((breaks, datum) => {
+            if (breaks.deductedBreakMs <= 0) return;
+            personRows.push({ ...person, datum, typ: 'Pausenabzug', start: '', ende: '', dauerStunden: -roundHours(breaks.deductedBreakMs / 3600000), pauseStunden: null, bericht: 'Gesetzliche Pause nicht eingehalten (§ 4 ArbZG)' });
+        });
+
+        const schedule = await getWorkScheduleHelper(intern.id, poolConnection);
+        const [absenceRows] = await poolConnection.execute(
+            "SELECT DATE_FORMAT(start_datum, '%Y-%m-%d') AS start_datum_iso, DATE_FORMAT(end_datum, '%Y-%m-%d') AS end_datum_iso, abwesenheit_typ, umfang, stunden, beschreibung FROM Abwesenheiten WHERE benutzerId = ? AND status = 'genehmigt' AND start_datum <= ? AND end_datum >= ?",
+            [intern.id, bisDatum, vonDatum]
+        );
+        absenceRows.forEach(abw => {
+            const absenceType = absenceTypes.get(abw.abwesenheit_typ);
+            const firstDay = abw.start_datum_iso > vonDatum ? abw.start_datum_iso : vonDatum;
+            const lastDay = abw.end_datum_iso < bisDatum ? abw.end_datum_iso : bisDatum;
+            for (let datum = firstDay; datum <= lastDay; datum = shiftIsoDate(datum, 1)) {
+                const [year, month, day] = datum.split('-').map(Number);
+                const scheduledHours = schedule[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+                if (scheduledHours <= 0 || freeDays.has(datum)) continue;
+                const typ = isPartialDayAbsence(abw) ? `${abw.abwesenheit_typ} (${formatAbsenceScope(abw)})` : abw.abwesenheit_typ;
+                personRows.push({ ...person, datum, typ, start: '', ende: '', dauerStunden: roundHours(getAbsenceTypeDayCredit(abw, absenceType, scheduledHours).stunden), pauseStunden: null, bericht: abw.beschreibung || '' });
+            }
+        });
+
+        personRows.sort((a, b) => a.datum.localeCompare(b.datum) || (a.typ === 'Pausenabzug') - (b.typ === 'Pausenabzug') || a.start.localeCompare(b.start));
+        rows.push(...personRows);
+    }
+    return rows;
+}
+
+app.get("/api/admin/export/arbeitszeiten", validate(schemas.export), async (req, res) => {
+    if (!req.session.user || req.session.user.rolle !== "Betreuer") return res.status(403).json({ success: false, message: "Zugriff verweigert." });
+    const { von, bis, format } = req.query;
+    const praktikantId = req.query.praktikantId || null;
+    if ((new Date(bis) - new Date(von)) / 86400000 >= EXPORT_MAX_DAYS) {
+        return res.status(400).json({ success: false, message: `Der Zeitraum darf höchstens ${EXPORT_MAX_DAYS} Tage umfassen.` });
+    }
+
+    try {
+        const rows = await getTimeExportRowsHelper(von, bis, praktikantId, getInternScopeSql(req.session.user, 'p'), pool);
+        const fileName = `Arbeitszeiten_${von}_${bis}.${format}`;
+        console.log(`[EXPORT] ${format.toUpperCase()} export ${von} - ${bis} (${rows.length} rows) by user ${req.session.user.id}`);
+        if (format === 'xlsx') {
+            const buffer = await createTimeExportXlsx(rows);
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+            return res.send(Buffer.from(buffer));
+        }
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(createTimeExportCsv(rows));
+    } catch (error) {
+        console.error("[EXPORT] Fehler beim Erstellen des Exports:", error);
+        res.status(500).json({ success: false, message: "Fehler beim Erstellen des Exports." });
+    }
+});
+
+// ================================
+// SCHEDULED MIDNIGHT CUTOFF
+// ================================
+
+// Seconds after midnight at which the job runs, so timers are only closed once their day has ended
+const CUTOFF_JOB_DELAY_SECONDS = 5;
+
+// Closes every timer that is still running from a previous day at 23:59 of its start day,
+// night shifts once the shift has ended
+async function runMidnightCutoffJob() {
+    const now = new Date();
+    const today = now.toLocaleDateString('en-CA');
+    const connection = await pool.getConnection();
+    let closedCount = 0;
+    try {
+        const [staleTimers] = await connection.execute(
+            "SELECT a.id, a.benutzerId, a.startZeit, a.bericht, p.vorname, p.nachname, p.email, p.betreuerId, p.nachtschicht FROM Arbeitszeiten a JOIN Praktikanten p ON a.benutzerId = p.id WHERE a.endZeit IS NULL AND a.startZeit < ?",
+            [`${today} 00:00:00`]
+        );
+        for (const timer of staleTimers) {
+            const schicht = getShiftSettings(timer.nachtschicht);
+            // A night shift started yesterday may still be running
+            if (!isTimerFromPreviousDay(timer.startZeit, now, schicht)) continue;
+            await connection.beginTransaction();
+            try {
+                // The intern may have stopped the timer in the meantime
+                const [lockedRows] = await connection.execute("SELECT id FROM Arbeitszeiten WHERE id = ? AND endZeit IS NULL FOR UPDATE", [timer.id]);
+                if (lockedRows.length === 0) {
+                    await connection.rollback();
+                    continue;
+                }
+                const cutoff = await handleStaleTimer(connection, timer.id, timer.benutzerId, timer.startZeit, timer.bericht, schicht);
+
+                const startDatum = new Date(timer.startZeit).toLocaleDateString('de-DE');
+                const praktikantName = `${timer.vorname || ''} ${timer.nachname || ''}`.trim() || timer.email;
+                const verlauf = schicht.nachtschicht ? 'lief über das Ende der Nachtschicht hinaus' : 'lief über Mitternacht';
+                await createNotificationHelper(connection, timer.benutzerId, 'auto_cutoff',
+                    `Dein Timer vom ${startDatum} ${verlauf} und wurde automatisch um ${cutoff.uhrzeit} beendet. Bitte prüfe deine Arbeitszeit und melde Korrekturen deinem Betreuer.`);
+                const betreuerIds = await getResponsibleBetreuerIdsHelper(connection, timer.betreuerId);
+                for (const betreuerId of betreuerIds) {
+                    await createNotificationHelper(connection, betreuerId, 'auto_cutoff',
+                        `Der Timer von ${praktikantName} vom ${startDatum} wurde automatisch um ${cutoff.uhrzeit} beendet.`);
+                }
+
+                await connection.commit();
+                closedCount++;
+            } catch (error) {
+                await connection.rollback();
+                console.error(`[CUTOFF JOB] Fehler beim Beenden von Timer ${timer.id}:`, error);
+            }
+        }
+    } finally {
+        connection.release();
+    }
+    console.log(`[CUTOFF JOB] ${closedCount} stale timer(s) closed`);
+    return closedCount;
+}
+
+// Minutes between two runs of the job that closes timers without heartbeat
+const IDLE_TIMER_JOB_INTERVAL_MINUTES = 1;
+
+async function runIdleTimerJob() {
+    const grenze = new Date(Date.now() - HEARTBEAT_TIMEOUT_MINUTES * 60 * 1000);
+    const connection = await pool.getConnection();
+    let closedCount = 0;
+    try {
+        const [idleTimers] = await connection.execute(
+            "SELECT id FROM Arbeitszeiten WHERE endZeit IS NULL AND letzterHeartbeat < ?",
+            [grenze]
+        );
+        for (const timer of idleTimers) {
+            await connection.beginTransaction();
+            try {
+                if (await closeIdleTimerHelper(connection, timer.id)) closedCount++;
+                await connection.commit();
+            } catch (error) {
+                await connection.rollback();
+                console.error(`[IDLE JOB] Fehler beim Beenden von Timer ${timer.id}:`, error);
+            }
+        }
+    } finally {
+        connection.release();
+    }
+    if (closedCount > 0) console.log(`[IDLE JOB] ${closedCount} idle timer(s) closed`);
+    return closedCount;
+}
+
+function scheduleMidnightCutoffJob() {
+    const now = new Date();
+    // Runs after midnight and again after the end of night shifts
+    const nextRun = new Date(Math.min(...[0, NIGHT_SHIFT_END_HOUR].map(hour => {
+        const run = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hour, 0, CUTOFF_JOB_DELAY_SECONDS);
+        if (run <= now) run.setDate(run.getDate() + 1);
+        return run.getTime();
+    })));
+    console.log(`[CUTOFF JOB] Next run at ${nextRun.toLocaleString('de-DE')}`);
+    setTimeout(async () => {
+        try {
+            await runMidnightCutoffJob();
+        } catch (error) {
+            console.error("[CUTOFF JOB] Fehler beim nächtlichen Timer-Cutoff:", error);
+        }
+        scheduleMidnightCutoffJob();
+    }, nextRun.getTime() - now.getTime());
+}
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
     console.log(`Server läuft auf Port ${PORT}`);
     console.log(`Frontend läuft auf http://localhost:${PORT}/`);
+
+    // Only one instance should run the job when several servers share the database
+    if (process.env.CUTOFF_JOB_ENABLED !== 'false') {
+        // Catch up on timers left open while the server was down; idle timers first, so they end at
+        // their last heartbeat instead of 23:59
+        runIdleTimerJob()
+            .catch(error => console.error("[IDLE JOB] Fehler nach dem Serverstart:", error))
+            .then(() => runMidnightCutoffJob())
+            .catch(error => console.error("[CUTOFF JOB] Fehler beim Cutoff nach dem Serverstart:", error));
+        scheduleMidnightCutoffJob();
+        setInterval(() => {
+            runIdleTimerJob().catch(error => console.error("[IDLE JOB] Fehler beim Beenden inaktiver Timer:", error));
+        }, IDLE_TIMER_JOB_INTERVAL_MINUTES * 60 * 1000);
+    }
 });
@@ -0,0 +1,103 @@
+/**
+ * Scope of an absence: whole days, half days or a number of hours
+ *
+ * Absences cover whole days unless their umfang says otherwise. Half days and
+ * hour amounts are only allowed for single-day absences. On every scheduled
+ * workday an absence is credited with a share of the scheduled hours:
+ *   ganztags               all scheduled hours, one day
+ *   vormittag/nachmittag   half of the scheduled hours, half a day
+ *   stunden                the given hours (at most the scheduled ones), the matching share of a day
+ *
+ * Absence types (Abwesenheitstypen) decide how many hours a full day is worth:
+ * the scheduled hours of the day, a fixed amount or nothing at all.
+ */
+
+const ABSENCE_SCOPES = ['ganztags', 'vormittag', 'nachmittag', 'stunden'];
+const HALF_DAY_SCOPES = ['vormittag', 'nachmittag'];
+
+const SCOPE_LABELS = {
+    ganztags: 'Ganztägig',
+    vormittag: 'Vormittags',
+    nachmittag: 'Nachmittags'
+};
+
+function roundTwoDecimals(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Whether the absence covers less than a whole day
+ * @param {{umfang?: string}} absence - Absence row
+ * @returns {boolean}
+ */
+function isPartialDayAbsence(absence) {
+    return Boolean(absence.umfang) && absence.umfang !== 'ganztags';
+}
+
+/**
+ * Credit of an absence on one scheduled workday
+ * @param {{umfang?: string, stunden?: number|string}} absence - Absence row
+ * @param {number} scheduledHours - Target hours of the day (0 on days off)
+ * @returns {{stunden: number, tage: number}} - Credited hours and share of a day
+ */
+function getAbsenceDayCredit(absence, scheduledHours) {
+    if (!(scheduledHours > 0)) return { stunden: 0, tage: 0 };
+    if (HALF_DAY_SCOPES.includes(absence.umfang)) {
+        return { stunden: scheduledHours / 2, tage: 0.5 };
+    }
+    if (absence.umfang === 'stunden') {
+        const stunden = Math.min(parseFloat(absence.stunden) || 0, scheduledHours);
+        return { stunden, tage: roundTwoDecimals(stunden / scheduledHours) };
+    }
+    return { stunden: scheduledHours, tage: 1 };
+}
+
+/**
+ * Credit of an absence on one scheduled workday according to its type
+ * Types without fixed hours credit the scheduled hours; fixed hours are capped
+ * at the scheduled ones and scaled down for half days and hour-based absences.
+ * @param {{umfang?: string, stunden?: number|string}} absence - Absence row
+ * @param {{gutschriftStunden: number|null}|undefined} absenceType - Settings of the type; unknown types credit no hours
+ * @param {number} scheduledHours - Target hours of the day (0 on days off)
+ * @returns {{stunden: number, tage: number}} - Credited hours and share of a day
+ */
+function getAbsenceTypeDayCredit(absence, absenceType, scheduledHours) {
+    const credit = getAbsenceDayCredit(absence, scheduledHours);
+    if (credit.tage === 0 || (absenceType && absenceType.gutschriftStunden === null)) return credit;
+    const creditedHours = absenceType ? Math.min(absenceType.gutschriftStunden, scheduledHours) : 0;
+    return { stunden: credit.stunden * creditedHours / scheduledHours, tage: credit.tage };
+}
+
+/**
+ * Whether two absences may not lie on the same day
+ * Two partial absences fit into one day unless they claim the same half.
+ * @param {{umfang?: string}} first - Absence row
+ * @param {{umfang?: string}} second - Absence row
+ * @returns {boolean}
+ */
+function absencesCollide(first, second) {
+    if (!isPartialDayAbsence(first) || !isPartialDayAbsence(second)) return true;
+    return first.umfang === second.umfang && HALF_DAY_SCOPES.includes(first.umfang);
+}
+
+/**
+ * German label of the scope, e.g. 'Vormittags' or '2,5 Std.'
+ * @param {{umfang?: string, stunden?: number|string}} absence - Absence row
+ * @returns {string}
+ */
+function formatAbsenceScope(absence) {
+    if (absence.umfang === 'stunden') {
+        return `${roundTwoDecimals(parseFloat(absence.stunden) || 0).toLocaleString('de-DE')} Std.`;
+    }
+    return SCOPE_LABELS[absence.umfang] || SCOPE_LABELS.ganztags;
+}
+
+module.exports = {
+    ABSENCE_SCOPES,
+    HALF_DAY_SCOPES,
+    isPartialDayAbsence,
+    getAbsenceDayCredit,
+    getAbsenceTypeDayCredit,
+    absencesCollide,
+    formatAbsenceScope
+};
@@ -0,0 +1,112 @@
+/**
+ * Statutory break rules according to § 4 Arbeitszeitgesetz (ArbZG)
+ *
+ * More than 6 hours of work require a 30 minute break, more than 9 hours a
+ * 45 minute break. Only interruptions of at least 15 minutes count as break.
+ * Breaks are derived from the gaps between the recorded segments of a day;
+ * if they fall short, the missing break time is deducted from the working time.
+ */
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+
+/** Minimum length of an interruption to count as break */
+const MIN_BREAK_BLOCK_MS = 15 * MS_PER_MINUTE;
+
+/**
+ * Working time bands with their required break, ascending
+ * A band applies if the net working time is above `fromMs` and at most `toMs`.
+ */
+const BREAK_BANDS = [
+    { fromMs: -Infinity, toMs: 6 * MS_PER_HOUR, breakMs: 0 },
+    { fromMs: 6 * MS_PER_HOUR, toMs: 9 * MS_PER_HOUR, breakMs: 30 * MS_PER_MINUTE },
+    { fromMs: 9 * MS_PER_HOUR, toMs: Infinity, breakMs: 45 * MS_PER_MINUTE }
+];
+
+/**
+ * Required break for a given working time
+ * @param {number} workMs - Working time in milliseconds
+ * @returns {number} - Required break in milliseconds
+ */
+function getRequiredBreakMs(workMs) {
+    const band = BREAK_BANDS.find(b => workMs > b.fromMs && workMs <= b.toMs);
+    return band ? band.breakMs : 0;
+}
+
+/**
+ * Smallest deduction so that the remaining working time and the total break
+ * (taken + deducted) comply with the rules; the deduction never pushes the
+ * working time further below a threshold than necessary (6h10 without break -> 6h00).
+ * @param {number} workedMs - Recorded working time
+ * @param {number} takenBreakMs - Breaks actually taken
+ * @returns {number} - Deduction in milliseconds
+ */
+function getBreakDeductionMs(workedMs, takenBreakMs) {
+    let deduction = Infinity;
+    BREAK_BANDS.forEach(band => {
+        const candidate = Math.max(0, band.breakMs - takenBreakMs, workedMs - band.toMs);
+        if (workedMs - candidate > band.fromMs) {
+            deduction = Math.min(deduction, candidate);
+        }
+    });
+    return Math.min(deduction, Math.max(0, workedMs));
+}
+
+/**
+ * Evaluates the segments of one day
+ * @param {Array<{start: Date|string, end: Date|string}>} segments - Segments of the same day
+ * @returns {{workedMs: number, takenBreakMs: number, requiredBreakMs: number, deductedBreakMs: number, netWorkedMs: number, breakViolation: boolean}}
+ */
+function evaluateDayBreaks(segments) {
+    const sorted = segments
+        .map(seg => ({ start: new Date(seg.start).getTime(), end: new Date(seg.end).getTime() }))
+        .filter(seg => seg.end > seg.start)
+        .sort((a, b) => a.start - b.start);
+
+    let workedMs = 0;
+    let takenBreakMs = 0;
+    let previousEnd = null;
+    sorted.forEach(seg => {
+        workedMs += seg.end - seg.start;
+        if (previousEnd !== null && seg.start - previousEnd >= MIN_BREAK_BLOCK_MS) {
+            takenBreakMs += seg.start - previousEnd;
+        }
+        previousEnd = previousEnd === null ? seg.end : Math.max(previousEnd, seg.end);
+    });
+
+    const deductedBreakMs = getBreakDeductionMs(workedMs, takenBreakMs);
+    const netWorkedMs = workedMs - deductedBreakMs;
+    return {
+        workedMs,
+        takenBreakMs,
+        requiredBreakMs: getRequiredBreakMs(netWorkedMs),
+        deductedBreakMs,
+        netWorkedMs,
+        breakViolation: deductedBreakMs > 0
+    };
+}
+
+/**
+ * Groups segments by local calendar day (of the start time) and evaluates each day
+ * @param {Array<{start: Date|string, end: Date|string}>} segments - Segments of any number of days
+ * @returns {Map<string, Object>} - Map of 'YYYY-MM-DD' to the result of evaluateDayBreaks()
+ */
+function evaluateBreaksByDay(segments) {
+    const segmentsByDay = new Map();
+    segments.forEach(seg => {
+        const day = new Date(seg.start).toLocaleDateString('en-CA');
+        if (!segmentsByDay.has(day)) segmentsByDay.set(day, []);
+        segmentsByDay.get(day).push(seg);
+    });
+    const result = new Map();
+    segmentsByDay.forEach((daySegments, day) => result.set(day, evaluateDayBreaks(daySegments)));
+    return result;
+}
+
+module.exports = {
+    MIN_BREAK_BLOCK_MS,
+    getRequiredBreakMs,
+    getBreakDeductionMs,
+    evaluateDayBreaks,
+    evaluateBreaksByDay
+};
@@ -0,0 +1,159 @@
+/**
+ * Working time law compliance checks
+ *
+ * Adults are checked against the Arbeitszeitgesetz (ArbZG): at most 10 hours
+ * per day (§ 3), at least 11 hours rest between two workdays (§ 5) and no work
+ * on Sundays (§ 9). Interns under 18 are checked against the stricter
+ * Jugendarbeitsschutzgesetz (JArbSchG) instead.
+ * Days are grouped by the local calendar day of the segment start, like in
+ * evaluateBreaksByDay().
+ */
+
+const { evaluateDayBreaks, MIN_BREAK_BLOCK_MS } = require('./arbzg');
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+
+const ADULT_LIMITS = {
+    maxDailyMs: 10 * MS_PER_HOUR,
+    minRestMs: 11 * MS_PER_HOUR
+};
+
+const YOUTH_LIMITS = {
+    maxDailyMs: 8 * MS_PER_HOUR,
+    maxWeeklyMs: 40 * MS_PER_HOUR,
+    minRestMs: 12 * MS_PER_HOUR,
+    // Work is only allowed between 6:00 and 20:00 (§ 14)
+    earliestStartHour: 6,
+    latestEndHour: 20,
+    // Required breaks by gross working time (§ 11)
+    breakBands: [
+        { fromMs: 6 * MS_PER_HOUR, breakMs: 60 * MS_PER_MINUTE },
+        { fromMs: 4.5 * MS_PER_HOUR, breakMs: 30 * MS_PER_MINUTE }
+    ]
+};
+
+function toLocalIsoDate(date) {
+    return date.toLocaleDateString('en-CA');
+}
+
+function formatDuration(ms) {
+    const totalMinutes = Math.round(ms / MS_PER_MINUTE);
+    return `${Math.floor(totalMinutes / 60)}:${String(totalMinutes % 60).padStart(2, '0')} Std.`;
+}
+
+/**
+ * Age in full years on a given day
+ * @param {string} geburtsdatum - Birth date 'YYYY-MM-DD'
+ * @param {string} datum - Day 'YYYY-MM-DD'
+ * @returns {number}
+ */
+function getAgeOnDate(geburtsdatum, datum) {
+    const [birthYear, birthMonth, birthDay] = geburtsdatum.split('-').map(Number);
+    const [year, month, day] = datum.split('-').map(Number);
+    const hadBirthday = month > birthMonth || (month === birthMonth && day >= birthDay);
+    return year - birthYear - (hadBirthday ? 0 : 1);
+}
+
+// Monday of the week as 'YYYY-MM-DD', used to sum up weekly working time
+function getWeekKey(datum) {
+    const [year, month, day] = datum.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Checks recorded segments against ArbZG, or JArbSchG for days on which the intern is under 18
+ * @param {Array<{start: Date|string, end: Date|string}>} segments - Completed or running (end = now) segments
+ * @param {Object} [options]
+ * @param {string|null} [options.geburtsdatum] - Birth date 'YYYY-MM-DD'; without it the adult rules apply
+ * @returns {Array<{datum: string, code: string, gesetz: string, message: string}>} - Warnings sorted by day
+ */
+function checkWorkingTimeCompliance(segments, options = {}) {
+    const geburtsdatum = options.geburtsdatum || null;
+
+    const segmentsByDay = new Map();
+    segments
+        .map(seg => ({ start: new Date(seg.start), end: new Date(seg.end) }))
+        .filter(seg => seg.end > seg.start)
+        .sort((a, b) => a.start - b.start)
+        .forEach(seg => {
+            const datum = toLocalIsoDate(seg.start);
+            if (!segmentsByDay.has(datum)) segmentsByDay.set(datum, []);
+            segmentsByDay.get(datum).push(seg);
+        });
+
+    const warnings = [];
+    const addWarning = (datum, code, gesetz, message) => warnings.push({ datum, code, gesetz, message });
+    const weeklyMs = new Map();
+    let previousDayEnd = null;
+
+    [...segmentsByDay.keys()].sort().forEach(datum => {
+        const daySegments = segmentsByDay.get(datum);
+        const jugendlich = geburtsdatum !== null && getAgeOnDate(geburtsdatum, datum) < 18;
+        const breaks = evaluateDayBreaks(daySegments);
+        const firstStart = daySegments[0].start;
+        const lastEnd = new Date(Math.max(...daySegments.map(seg => seg.end.getTime())));
+        const weekday = firstStart.getDay();
+
+        if (jugendlich) {
+            if (breaks.netWorkedMs > YOUTH_LIMITS.maxDailyMs) {
+                addWarning(datum, 'JUGEND_MAX_TAGESARBEITSZEIT', 'JArbSchG', `Tägliche Arbeitszeit von ${formatDuration(breaks.netWorkedMs)} überschreitet 8 Stunden (§ 8 JArbSchG).`);
+            }
+
+            const weekKey = getWeekKey(datum);
+            const weekBeforeMs = weeklyMs.get(weekKey) || 0;
+            const weekTotalMs = weekBeforeMs + breaks.netWorkedMs;
+            weeklyMs.set(weekKey, weekTotalMs);
+            // Flag only the day on which the limit is crossed
+            if (weekBeforeMs <= YOUTH_LIMITS.maxWeeklyMs && weekTotalMs > YOUTH_LIMITS.maxWeeklyMs) {
+                addWarning(datum, 'JUGEND_MAX_WOCHENARBEITSZEIT', 'JArbSchG', `Wöchentliche Arbeitszeit von ${formatDuration(weekTotalMs)} überschreitet 40 Stunden (§ 8 JArbSchG).`);
+            }
+
+            const band = YOUTH_LIMITS.breakBands.find(b => breaks.workedMs > b.fromMs);
+            if (band && breaks.takenBreakMs < band.breakMs) {
+                addWarning(datum, 'JUGEND_RUHEPAUSE', 'JArbSchG', `Pause von ${formatDuration(breaks.takenBreakMs)} unterschreitet die vorgeschriebenen ${band.breakMs / MS_PER_MINUTE} Minuten in Blöcken ab ${MIN_BREAK_BLOCK_MS / MS_PER_MINUTE} Minuten (§ 11 JArbSchG).`);
+            }
+
+            if (previousDayEnd !== null && firstStart - previousDayEnd < YOUTH_LIMITS.minRestMs) {
+                addWarning(datum, 'JUGEND_RUHEZEIT', 'JArbSchG', `Ruhezeit von ${formatDuration(firstStart - previousDayEnd)} seit dem letzten Arbeitstag unterschreitet 12 Stunden (§ 13 JArbSchG).`);
+            }
+
+            const dayStart = new Date(firstStart);
+            dayStart.setHours(YOUTH_LIMITS.earliestStartHour, 0, 0, 0);
+            const dayEnd = new Date(firstStart);
+            dayEnd.setHours(YOUTH_LIMITS.latestEndHour, 0, 0, 0);
+            if (firstStart < dayStart || lastEnd > dayEnd) {
+                addWarning(datum, 'JUGEND_NACHTRUHE', 'JArbSchG', 'Arbeit außerhalb der Zeit von 6 bis 20 Uhr (§ 14 JArbSchG).');
+            }
+
+            if (weekday === 6) {
+                addWarning(datum, 'JUGEND_SAMSTAGSARBEIT', 'JArbSchG', 'Arbeit an einem Samstag (§ 16 JArbSchG).');
+            } else if (weekday === 0) {
+                addWarning(datum, 'JUGEND_SONNTAGSARBEIT', 'JArbSchG', 'Arbeit an einem Sonntag (§ 17 JArbSchG).');
+            }
+        } else {
+            if (breaks.netWorkedMs > ADULT_LIMITS.maxDailyMs) {
+                addWarning(datum, 'MAX_TAGESARBEITSZEIT', 'ArbZG', `Tägliche Arbeitszeit von ${formatDuration(breaks.netWorkedMs)} überschreitet 10 Stunden (§ 3 ArbZG).`);
+            }
+
+            if (previousDayEnd !== null && firstStart - previousDayEnd < ADULT_LIMITS.minRestMs) {
+                addWarning(datum, 'RUHEZEIT', 'ArbZG', `Ruhezeit von ${formatDuration(firstStart - previousDayEnd)} seit dem letzten Arbeitstag unterschreitet 11 Stunden (§ 5 ArbZG).`);
+            }
+
+            if (weekday === 0) {
+                addWarning(datum, 'SONNTAGSARBEIT', 'ArbZG', 'Arbeit an einem Sonntag (§ 9 ArbZG).');
+            }
+        }
+
+        previousDayEnd = lastEnd;
+    });
+
+    return warnings;
+}
+
+module.exports = {
+    getAgeOnDate,
+    checkWorkingTimeCompliance
+};
@@ -0,0 +1,146 @@
+/**
+ * Public holiday calendar for the German federal states (Bundesländer)
+ *
+ * Fixed-date and movable holidays are computed locally, movable feasts are
+ * derived from Easter Sunday. All dates are handled as UTC calendar days and
+ * returned as 'YYYY-MM-DD' strings so they can be compared directly with the
+ * DATE columns from MySQL.
+ */
+
+/**
+ * Supported federal states with their official two-letter codes
+ */
+const BUNDESLAENDER = {
+    BW: 'Baden-Württemberg',
+    BY: 'Bayern',
+    BE: 'Berlin',
+    BB: 'Brandenburg',
+    HB: 'Bremen',
+    HH: 'Hamburg',
+    HE: 'Hessen',
+    MV: 'Mecklenburg-Vorpommern',
+    NI: 'Niedersachsen',
+    NW: 'Nordrhein-Westfalen',
+    RP: 'Rheinland-Pfalz',
+    SL: 'Saarland',
+    SN: 'Sachsen',
+    ST: 'Sachsen-Anhalt',
+    SH: 'Schleswig-Holstein',
+    TH: 'Thüringen'
+};
+
+/**
+ * Computes Easter Sunday for a given year (Gregorian calendar, anonymous algorithm)
+ * @param {number} year - Four-digit year
+ * @returns {Date} - Easter Sunday as UTC midnight
+ */
+function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function toIsoDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result;
+}
+
+/**
+ * Buß- und Bettag is the Wednesday before 23 November
+ * @param {number} year - Four-digit year
+ * @returns {Date} - Date as UTC midnight
+ */
+function getBussUndBettag(year) {
+    const nov22 = new Date(Date.UTC(year, 10, 22));
+    const daysBack = (nov22.getUTCDay() - 3 + 7) % 7;
+    return addDays(nov22, -daysBack);
+}
+
+/**
+ * Returns all public holidays of a year for the given federal state
+ * Nationwide holidays are always included; state-specific ones only if the state code is known.
+ * @param {number} year - Four-digit year
+ * @param {string} [bundesland] - Two-letter state code (e.g. 'NW')
+ * @returns {Array<{datum: string, name: string}>} - Holidays sorted by date
+ */
+function getPublicHolidays(year, bundesland) {
+    const easter = getEasterSunday(year);
+    const fixed = (month, day) => new Date(Date.UTC(year, month - 1, day));
+    const state = bundesland ? String(bundesland).toUpperCase() : null;
+    const inStates = (...codes) => state !== null && codes.includes(state);
+
+    const holidays = [
+        { date: fixed(1, 1), name: 'Neujahr' },
+        { date: addDays(easter, -2), name: 'Karfreitag' },
+        { date: addDays(easter, 1), name: 'Ostermontag' },
+        { date: fixed(5, 1), name: 'Tag der Arbeit' },
+        { date: addDays(easter, 39), name: 'Christi Himmelfahrt' },
+        { date: addDays(easter, 50), name: 'Pfingstmontag' },
+        { date: fixed(10, 3), name: 'Tag der Deutschen Einheit' },
+        { date: fixed(12, 25), name: '1. Weihnachtsfeiertag' },
+        { date: fixed(12, 26), name: '2. Weihnachtsfeiertag' }
+    ];
+
+    if (inStates('BW', 'BY', 'ST')) holidays.push({ date: fixed(1, 6), name: 'Heilige Drei Könige' });
+    if (inStates('BE') && year >= 2019) holidays.push({ date: fixed(3, 8), name: 'Internationaler Frauentag' });
+    if (inStates('MV') && year >= 2023) holidays.push({ date: fixed(3, 8), name: 'Internationaler Frauentag' });
+    if (inStates('BB')) {
+        holidays.push({ date: easter, name: 'Ostersonntag' });
+        holidays.push({ date: addDays(easter, 49), name: 'Pfingstsonntag' });
+    }
+    if (inStates('BW', 'BY', 'HE', 'NW', 'RP', 'SL')) holidays.push({ date: addDays(easter, 60), name: 'Fronleichnam' });
+    if (inStates('SL')) holidays.push({ date: fixed(8, 15), name: 'Mariä Himmelfahrt' });
+    if (inStates('TH') && year >= 2019) holidays.push({ date: fixed(9, 20), name: 'Weltkindertag' });
+    if (inStates('BB', 'MV', 'SN', 'ST', 'TH') || (inStates('HB', 'HH', 'NI', 'SH') && year >= 2018)) {
+        holidays.push({ date: fixed(10, 31), name: 'Reformationstag' });
+    }
+    if (inStates('BW', 'BY', 'NW', 'RP', 'SL')) holidays.push({ date: fixed(11, 1), name: 'Allerheiligen' });
+    if (inStates('SN')) holidays.push({ date: getBussUndBettag(year), name: 'Buß- und Bettag' });
+
+    return holidays
+        .map(h => ({ datum: toIsoDate(h.date), name: h.name }))
+        .sort((a, b) => a.datum.localeCompare(b.datum));
+}
+
+/**
+ * Collects the public holidays between two dates (inclusive) into a lookup map
+ * @param {string} periodStartDate - Start date 'YYYY-MM-DD'
+ * @param {string} periodEndDate - End date 'YYYY-MM-DD'
+ * @param {string} [bundesland] - Two-letter state code
+ * @returns {Map<string, string>} - Map of 'YYYY-MM-DD' to holiday name
+ */
+function getPublicHolidaysForPeriod(periodStartDate, periodEndDate, bundesland) {
+    const startYear = parseInt(periodStartDate.substring(0, 4));
+    const endYear = parseInt(periodEndDate.substring(0, 4));
+    const holidayMap = new Map();
+    for (let year = startYear; year <= endYear; year++) {
+        getPublicHolidays(year, bundesland).forEach(h => {
+            if (h.datum >= periodStartDate && h.datum <= periodEndDate) holidayMap.set(h.datum, h.name);
+        });
+    }
+    return holidayMap;
+}
+
+module.exports = {
+    BUNDESLAENDER,
+    getEasterSunday,
+    getPublicHolidays,
+    getPublicHolidaysForPeriod
+};
@@ -0,0 +1,76 @@
+/**
+ * Idle detection of running timers
+ *
+ * While the timer runs, the dashboard sends a heartbeat every minute. If the
+ * heartbeats stop for longer than the timeout (browser closed, laptop asleep),
+ * the segment is closed at the last heartbeat plus a grace period instead of
+ * at 23:59, and the intern confirms or corrects that end on the next visit.
+ * Segments without any heartbeat (started at the kiosk, or before this
+ * feature) keep the cutoff at 23:59, or at the end of the night shift.
+ */
+
+const { getLatestSegmentEnd } = require('./nightShift');
+
+const DEFAULT_HEARTBEAT_TIMEOUT_MINUTES = 10;
+const DEFAULT_HEARTBEAT_GRACE_MINUTES = 5;
+
+/**
+ * Whether the heartbeats of a running segment have stopped
+ * @param {Date|string|null} letzterHeartbeat - null if the segment never had a heartbeat
+ * @param {Date} jetzt
+ * @param {number} [timeoutMinutes]
+ * @returns {boolean}
+ */
+function isHeartbeatExpired(letzterHeartbeat, jetzt, timeoutMinutes = DEFAULT_HEARTBEAT_TIMEOUT_MINUTES) {
+    if (!letzterHeartbeat) return false;
+    return jetzt.getTime() - new Date(letzterHeartbeat).getTime() > timeoutMinutes * 60 * 1000;
+}
+
+/**
+ * End recorded for a segment whose heartbeats stopped
+ * @param {Date|string} startZeit
+ * @param {Date|string} letzterHeartbeat
+ * @param {Date} jetzt
+ * @param {number} [graceMinutes] - Time after the last heartbeat that is still counted
+ * @param {{nachtschicht?: boolean, schichtendeStunde?: number}} [schicht] - See getLatestSegmentEnd()
+ * @returns {Date} - Last heartbeat plus grace, at most now and at most the latest end of the segment
+ */
+function getIdleEndTime(startZeit, letzterHeartbeat, jetzt, graceMinutes = DEFAULT_HEARTBEAT_GRACE_MINUTES, schicht = {}) {
+    const ende = new Date(new Date(letzterHeartbeat).getTime() + graceMinutes * 60 * 1000);
+    return new Date(Math.min(ende.getTime(), jetzt.getTime(), getLatestSegmentEnd(startZeit, schicht).getTime()));
+}
+
+/**
+ * Checks an end time the intern enters instead of the recorded one
+ * @param {Date|string} startZeit - Start of the segment
+ * @param {Date} endZeit - Corrected end
+ * @param {{jetzt: Date, naechsterStart?: Date|string|null, schicht?: Object}} options
+ *   - naechsterStart: start of the user's next segment, the corrected one must not overlap it
+ *   - schicht: night shift settings of the user, see getLatestSegmentEnd()
+ * @returns {string|null} - Error message or null
+ */
+function checkIdleEndCorrection(startZeit, endZeit, { jetzt, naechsterStart = null, schicht = {} }) {
+    if (endZeit.getTime() <= new Date(startZeit).getTime()) {
+        return "Das Ende muss nach dem Beginn des Segments liegen.";
+    }
+    if (endZeit.getTime() > jetzt.getTime()) {
+        return "Das Ende darf nicht in der Zukunft liegen.";
+    }
+    const spaetestesEnde = getLatestSegmentEnd(startZeit, schicht);
+    if (endZeit.getTime() > spaetestesEnde.getTime()) {
+        if (!schicht.nachtschicht) return "Das Ende muss am selben Tag wie der Beginn liegen, spätestens um 23:59 Uhr.";
+        return `Das Ende der Nachtschicht darf spätestens am ${spaetestesEnde.toLocaleDateString('de-DE')} um ${spaetestesEnde.toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })} Uhr liegen.`;
+    }
+    if (naechsterStart && endZeit.getTime() > new Date(naechsterStart).getTime()) {
+        return "Das Ende überschneidet sich mit deinem nächsten erfassten Segment.";
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_HEARTBEAT_TIMEOUT_MINUTES,
+    DEFAULT_HEARTBEAT_GRACE_MINUTES,
+    isHeartbeatExpired,
+    getIdleEndTime,
+    checkIdleEndCorrection
+};
@@ -0,0 +1,52 @@
+/**
+ * Kiosk terminal at shared workstations
+ *
+ * Interns punch in and out at a kiosk device with a personal PIN or with the
+ * number of their badge, typed by a USB reader. PINs are generated by the
+ * server, so nobody can find out another person's PIN by trying to choose the
+ * same one. PINs and badge numbers are stored as HMAC with a server-side
+ * secret only and are looked up together, so a PIN must never equal a badge
+ * number.
+ */
+
+const crypto = require('crypto');
+
+const KIOSK_PIN_LENGTH = 6;
+
+/**
+ * Random numeric PIN
+ * @returns {string} - KIOSK_PIN_LENGTH digits, may start with 0
+ */
+function generateKioskPin() {
+    return String(crypto.randomInt(0, 10 ** KIOSK_PIN_LENGTH)).padStart(KIOSK_PIN_LENGTH, '0');
+}
+
+/**
+ * PIN or badge number as it is hashed and compared
+ * Badge readers send lower or upper case letters depending on the keyboard layout.
+ * @param {string} kennung - Input at the kiosk or badge number entered by a Betreuer
+ * @returns {string}
+ */
+function normalizeKioskIdentifier(kennung) {
+    return String(kennung || '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Lookup hash of a PIN or badge number
+ * A plain hash would not protect a PIN: with only 10^6 of them, all hashes of a
+ * database dump can be reversed by trying every PIN. Without the secret that is
+ * not possible; the hash stays deterministic, so it can still be looked up.
+ * @param {string} kennung - PIN or badge number, normalized here
+ * @param {string} secret - KIOSK_SECRET of the server
+ * @returns {string} - HMAC-SHA256 as hex
+ */
+function hashKioskIdentifier(kennung, secret) {
+    return crypto.createHmac('sha256', secret).update(normalizeKioskIdentifier(kennung)).digest('hex');
+}
+
+module.exports = {
+    KIOSK_PIN_LENGTH,
+    generateKioskPin,
+    normalizeKioskIdentifier,
+    hashKioskIdentifier
+};
@@ -0,0 +1,84 @@
+/**
+ * Login brute-force protection
+ *
+ * Failed logins are counted per account and per client IP, wrong kiosk PINs and
+ * badge numbers per kiosk device. After a few free attempts each further
+ * attempt has to wait twice as long as the previous one.
+ * The temporary account lockout on top of that is handled in server.js, as it
+ * depends on the configured LOGIN_MAX_ATTEMPTS and LOGIN_LOCKOUT_MINUTES.
+ */
+
+const MS_PER_SECOND = 1000;
+const MS_PER_MINUTE = 60 * MS_PER_SECOND;
+
+/** Backoff per account, counted since the last successful login */
+const ACCOUNT_BACKOFF = {
+    freeAttempts: 3,
+    baseDelayMs: 1 * MS_PER_SECOND,
+    maxDelayMs: 1 * MS_PER_MINUTE
+};
+
+/** Backoff per client IP, counted over a sliding window; covers unknown e-mail addresses as well */
+const IP_BACKOFF = {
+    freeAttempts: 10,
+    baseDelayMs: 1 * MS_PER_SECOND,
+    maxDelayMs: 15 * MS_PER_MINUTE,
+    windowMs: 15 * MS_PER_MINUTE
+};
+
+/** Backoff per kiosk device, counted since the last recognised PIN or badge number */
+const KIOSK_BACKOFF = {
+    freeAttempts: 5,
+    baseDelayMs: 1 * MS_PER_SECOND,
+    maxDelayMs: 5 * MS_PER_MINUTE
+};
+
+/**
+ * Waiting time after a number of failed attempts
+ * @param {number} failures - Failed attempts so far
+ * @param {{freeAttempts: number, baseDelayMs: number, maxDelayMs: number}} policy - ACCOUNT_BACKOFF, IP_BACKOFF or KIOSK_BACKOFF
+ * @returns {number} - Delay in milliseconds, 0 while free attempts are left
+ */
+function getBackoffMs(failures, policy) {
+    const excess = failures - policy.freeAttempts;
+    if (excess < 0) return 0;
+    // Capping the exponent keeps the intermediate value finite
+    return Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** Math.min(excess, 30));
+}
+
+/**
+ * Remaining waiting time before the next attempt is accepted
+ * @param {number} failures - Failed attempts so far
+ * @param {Date|string|null} lastFailure - Time of the last failed attempt
+ * @param {Date} now - Current time
+ * @param {Object} policy - ACCOUNT_BACKOFF, IP_BACKOFF or KIOSK_BACKOFF
+ * @returns {number} - Milliseconds to wait, 0 if an attempt is allowed
+ */
+function getRetryAfterMs(failures, lastFailure, now, policy) {
+    if (!lastFailure) return 0;
+    const nextAttemptAt = new Date(lastFailure).getTime() + getBackoffMs(failures, policy);
+    return Math.max(0, nextAttemptAt - now.getTime());
+}
+
+/**
+ * Value for app.set('trust proxy'), see the Express documentation
+ * 'true'/'false', a hop count ('1') or a comma separated list of addresses/subnets ('loopback, 10.0.0.0/8')
+ * @param {string|undefined} value - TRUST_PROXY environment variable
+ * @returns {boolean|number|Array<string>}
+ */
+function parseTrustProxySetting(value) {
+    const setting = (value || '').trim();
+    if (setting === '' || setting === 'false') return false;
+    if (setting === 'true') return true;
+    if (/^\d+$/.test(setting)) return Number(setting);
+    return setting.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+module.exports = {
+    ACCOUNT_BACKOFF,
+    IP_BACKOFF,
+    KIOSK_BACKOFF,
+    getBackoffMs,
+    getRetryAfterMs,
+    parseTrustProxySetting
+};
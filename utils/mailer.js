@@ -0,0 +1,72 @@
+/**
+ * Outgoing e-mail
+ *
+ * The transport is chosen with MAIL_TRANSPORT:
+ * - 'smtp': SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD
+ * - 'file': every mail is written as .eml file to MAIL_FILE_DIR (default ./mails)
+ * - 'console': every mail is printed to the server log
+ * Without MAIL_TRANSPORT, SMTP is used if SMTP_HOST is set, otherwise the console.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+
+function getMailTransportName() {
+    const configured = (process.env.MAIL_TRANSPORT || '').toLowerCase();
+    if (MAIL_TRANSPORTS.includes(configured)) return configured;
+    if (configured) console.warn(`[MAIL] Unbekannter MAIL_TRANSPORT "${configured}" - E-Mails werden in der Konsole ausgegeben.`);
+    return process.env.SMTP_HOST && !configured ? 'smtp' : 'console';
+}
+
+let transporter = null;
+
+function getTransporter() {
+    if (transporter) return transporter;
+    if (getMailTransportName() === 'smtp') {
+        const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+        });
+    } else {
+        // Renders the complete message without sending it
+        transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+    return transporter;
+}
+
+/**
+ * Sends a plain text e-mail through the configured transport
+ * @param {{to: string, subject: string, text: string}} mail - Recipient, subject and body
+ * @returns {Promise<void>}
+ */
+async function sendMail({ to, subject, text }) {
+    const transportName = getMailTransportName();
+    const info = await getTransporter().sendMail({
+        from: process.env.MAIL_FROM || 'Zeiterfassung <no-reply@localhost>',
+        to,
+        subject,
+        text
+    });
+
+    if (transportName === 'file') {
+        const directory = path.resolve(process.env.MAIL_FILE_DIR || 'mails');
+        await fs.mkdir(directory, { recursive: true });
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}_${info.messageId.replace(/[^A-Za-z0-9@.-]/g, '')}.eml`;
+        await fs.writeFile(path.join(directory, fileName), info.message);
+        console.log(`[MAIL] "${subject}" an ${to} gespeichert: ${path.join(directory, fileName)}`);
+    } else if (transportName === 'console') {
+        console.log(`[MAIL] ---- E-Mail an ${to} ----\n${info.message.toString()}\n[MAIL] ---- Ende ----`);
+    } else {
+        console.log(`[MAIL] "${subject}" an ${to} gesendet (${info.messageId})`);
+    }
+}
+
+module.exports = {
+    sendMail
+};
@@ -0,0 +1,89 @@
+/**
+ * Night shifts across midnight
+ *
+ * Timers normally end on their start day: one still running after midnight is
+ * treated as forgotten and closed at 23:59. Interns whose schedule allows night
+ * shifts may keep a segment running into the next morning, until the end of the
+ * night shift. Such a segment stays one row in Arbeitszeiten and is split into
+ * one portion per calendar day wherever time is totalled per day.
+ */
+
+const DEFAULT_NIGHT_SHIFT_END_HOUR = 6;
+
+/**
+ * Latest possible end of a segment
+ * @param {Date|string} startZeit
+ * @param {{nachtschicht?: boolean, schichtendeStunde?: number}} [options]
+ *   - nachtschicht: the intern may work across midnight
+ *   - schichtendeStunde: hour of the next day at which night shifts end
+ * @returns {Date} - 23:59 of the start day, for night shifts the end hour of the next day
+ */
+function getLatestSegmentEnd(startZeit, { nachtschicht = false, schichtendeStunde = DEFAULT_NIGHT_SHIFT_END_HOUR } = {}) {
+    const start = new Date(startZeit);
+    if (!nachtschicht) return new Date(start.getFullYear(), start.getMonth(), start.getDate(), 23, 59, 0);
+    return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1, schichtendeStunde, 0, 0);
+}
+
+function toLocalIsoDate(date) {
+    return date.toLocaleDateString('en-CA');
+}
+
+/**
+ * Splits a time span at every local midnight
+ * @param {Date|string} start
+ * @param {Date|string} end
+ * @returns {Array<{start: Date, end: Date}>} - One portion per calendar day, empty if end is not after start
+ */
+function splitAtMidnight(start, end) {
+    const portions = [];
+    const ende = new Date(end);
+    let portionStart = new Date(start);
+    while (portionStart < ende) {
+        const nextMidnight = new Date(portionStart.getFullYear(), portionStart.getMonth(), portionStart.getDate() + 1);
+        const portionEnd = nextMidnight < ende ? nextMidnight : ende;
+        portions.push({ start: portionStart, end: portionEnd });
+        portionStart = portionEnd;
+    }
+    return portions;
+}
+
+/**
+ * Replaces Arbeitszeiten rows crossing midnight by one row per calendar day
+ * startZeit and endZeit are clipped to the day; datum ('DD.MM.YYYY') and tag ('YYYY-MM-DD')
+ * are set to the day of the portion if the row has them, all other columns are copied.
+ * Running segments (endZeit null) are split up to now and keep endZeit null on their last portion.
+ * @param {Array<Object>} rows - Rows with startZeit and endZeit
+ * @param {{von?: string, bis?: string}} [zeitraum] - Keep only portions on the days 'YYYY-MM-DD' from von to bis
+ * @returns {Array<Object>} - Portions of a split row carry the times of the whole segment in segmentStartZeit and segmentEndZeit
+ */
+function splitRowsAtMidnight(rows, { von = null, bis = null } = {}) {
+    const jetzt = new Date();
+    const result = [];
+    rows.forEach(row => {
+        const start = new Date(row.startZeit);
+        const portions = splitAtMidnight(start, row.endZeit === null ? jetzt : row.endZeit);
+        const dayRows = portions.length <= 1 ? [row] : portions.map((portion, index) => {
+            const portionRow = {
+                ...row,
+                startZeit: portion.start,
+                endZeit: row.endZeit === null && index === portions.length - 1 ? null : portion.end,
+                segmentStartZeit: row.startZeit,
+                segmentEndZeit: row.endZeit
+            };
+            if ('datum' in row) portionRow.datum = portion.start.toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' });
+            if ('tag' in row) portionRow.tag = toLocalIsoDate(portion.start);
+            return portionRow;
+        });
+        dayRows.forEach(dayRow => {
+            const tag = toLocalIsoDate(new Date(dayRow.startZeit));
+            if ((von === null || tag >= von) && (bis === null || tag <= bis)) result.push(dayRow);
+        });
+    });
+    return result;
+}
+
+module.exports = {
+    DEFAULT_NIGHT_SHIFT_END_HOUR,
+    getLatestSegmentEnd,
+    splitRowsAtMidnight
+};
@@ -0,0 +1,37 @@
+/**
+ * Password policy
+ *
+ * Applied whenever a password is set: registration, own password change,
+ * change by a Betreuer and password reset. bcrypt only uses the first
+ * 72 bytes, so longer passwords are rejected instead of silently truncated.
+ */
+
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_BYTES = 72;
+
+/** Human readable summary, shown next to password fields */
+const PASSWORD_POLICY_TEXT = `Mindestens ${PASSWORD_MIN_LENGTH} Zeichen, davon mindestens ein Buchstabe und eine Ziffer.`;
+
+/**
+ * Checks a new password against the policy
+ * @param {*} passwort - Password from the request body
+ * @returns {string|null} - Error message, or null if the password is valid
+ */
+function validatePassword(passwort) {
+    if (typeof passwort !== 'string' || passwort.length < PASSWORD_MIN_LENGTH) {
+        return `Das Passwort muss mindestens ${PASSWORD_MIN_LENGTH} Zeichen lang sein.`;
+    }
+    if (Buffer.byteLength(passwort, 'utf8') > PASSWORD_MAX_BYTES) {
+        return `Das Passwort darf höchstens ${PASSWORD_MAX_BYTES} Bytes lang sein.`;
+    }
+    if (!/\p{L}/u.test(passwort) || !/\d/.test(passwort)) {
+        return "Das Passwort muss mindestens einen Buchstaben und eine Ziffer enthalten.";
+    }
+    return null;
+}
+
+module.exports = {
+    PASSWORD_MIN_LENGTH,
+    PASSWORD_POLICY_TEXT,
+    validatePassword
+};
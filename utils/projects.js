@@ -0,0 +1,84 @@
+/**
+ * Projects, tasks and cost centers of work segments
+ *
+ * Every Arbeitszeiten row can carry a project (Projekte) and optionally one of
+ * its tasks (Projektaufgaben); a project may name a cost center (kostenstelle).
+ * The monthly breakdown sums the recorded segment time per project, task and
+ * intern. Statutory break deductions are applied per day, not per segment, so
+ * they are not split across projects.
+ */
+
+const NO_PROJECT_LABEL = 'Ohne Projekt';
+
+function roundTwoDecimals(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Label of a segment's project as shown next to the segment, e.g. 'Website / Design'
+ * @param {string|null} projekt - Project name
+ * @param {string|null} [aufgabe] - Task name
+ * @returns {string|null} - null for segments without project
+ */
+function formatProjectLabel(projekt, aufgabe = null) {
+    if (!projekt) return null;
+    return aufgabe ? `${projekt} / ${aufgabe}` : projekt;
+}
+
+function addHours(list, key, name, stunden) {
+    let item = list.find(entry => entry.id === key);
+    if (!item) {
+        item = { id: key, name, stunden: 0 };
+        list.push(item);
+    }
+    item.stunden += stunden;
+}
+
+function sortByHours(list) {
+    return list.sort((a, b) => b.stunden - a.stunden || a.name.localeCompare(b.name, 'de'));
+}
+
+/**
+ * Hours per project with the split by task and by intern
+ * @param {Array<{projektId: number|null, projekt: string|null, kostenstelle: string|null, aufgabeId: number|null, aufgabe: string|null, benutzerId: number, vorname: string, nachname: string, sekunden: number|string}>} rows
+ *   - Segment time grouped by project, task and intern
+ * @returns {Array<{projektId: number|null, name: string, kostenstelle: string|null, stunden: number, aufgaben: Array, praktikanten: Array}>}
+ *   - Projects by hours, segments without project last
+ */
+function summarizeProjectHours(rows) {
+    const projects = new Map();
+    rows.forEach(row => {
+        const stunden = (parseFloat(row.sekunden) || 0) / 3600;
+        if (stunden <= 0) return;
+        const projektId = row.projektId || null;
+        if (!projects.has(projektId)) {
+            projects.set(projektId, {
+                projektId,
+                name: row.projekt || NO_PROJECT_LABEL,
+                kostenstelle: row.kostenstelle || null,
+                stunden: 0,
+                aufgaben: [],
+                praktikanten: []
+            });
+        }
+        const project = projects.get(projektId);
+        project.stunden += stunden;
+        if (row.aufgabeId) addHours(project.aufgaben, row.aufgabeId, row.aufgabe, stunden);
+        addHours(project.praktikanten, row.benutzerId, `${row.vorname || ''} ${row.nachname || ''}`.trim(), stunden);
+    });
+
+    const summary = sortByHours([...projects.values()].filter(project => project.projektId !== null));
+    if (projects.has(null)) summary.push(projects.get(null));
+    return summary.map(project => ({
+        ...project,
+        stunden: roundTwoDecimals(project.stunden),
+        aufgaben: sortByHours(project.aufgaben).map(({ id, name, stunden }) => ({ aufgabeId: id, name, stunden: roundTwoDecimals(stunden) })),
+        praktikanten: sortByHours(project.praktikanten).map(({ id, name, stunden }) => ({ benutzerId: id, name, stunden: roundTwoDecimals(stunden) }))
+    }));
+}
+
+module.exports = {
+    NO_PROJECT_LABEL,
+    formatProjectLabel,
+    summarizeProjectHours
+};
@@ -0,0 +1,48 @@
+/**
+ * Punches recorded offline and synced later
+ *
+ * The dashboard queues start, pause and end punches while the network is down
+ * and sends them later with the time they were made on the device (clientZeit).
+ * The server takes that time instead of its own clock if it is plausible:
+ *   - not more than PUNCH_CLOCK_SKEW_MS in the future (a device clock running slightly ahead is capped to now)
+ *   - not older than the configured offline window
+ *   - not before the previous punch of the user (start of the running segment or end of the last one)
+ * Punches that arrive more than PUNCH_LATE_SYNC_MS after they were made are
+ * flagged as late-synced so that the Betreuer can check them.
+ */
+
+const PUNCH_CLOCK_SKEW_MS = 2 * 60 * 1000;
+const PUNCH_LATE_SYNC_MS = 2 * 60 * 1000;
+const DEFAULT_OFFLINE_PUNCH_MAX_HOURS = 24;
+
+/**
+ * Time a punch is recorded with
+ * @param {Date|null|undefined} clientZeit - Time of the punch on the device; missing for online punches
+ * @param {Date} serverZeit - Time the request arrived
+ * @param {{maxOfflineHours?: number, fruehestens?: Date|string|null}} [options]
+ *   - maxOfflineHours: oldest punch accepted, fruehestens: time of the previous punch
+ * @returns {{zeit: Date|null, nachsynchronisiert: boolean, fehler: string|null}}
+ */
+function resolvePunchTime(clientZeit, serverZeit, { maxOfflineHours = DEFAULT_OFFLINE_PUNCH_MAX_HOURS, fruehestens = null } = {}) {
+    if (!clientZeit) return { zeit: serverZeit, nachsynchronisiert: false, fehler: null };
+
+    const verzoegerungMs = serverZeit.getTime() - clientZeit.getTime();
+    if (verzoegerungMs < -PUNCH_CLOCK_SKEW_MS) {
+        return { zeit: null, nachsynchronisiert: false, fehler: "Der Zeitpunkt der Stempelung liegt in der Zukunft. Bitte prüfe die Uhrzeit deines Geräts." };
+    }
+    if (verzoegerungMs > maxOfflineHours * 60 * 60 * 1000) {
+        return { zeit: null, nachsynchronisiert: false, fehler: `Die Stempelung ist älter als ${maxOfflineHours} Stunden und kann nicht mehr übernommen werden. Bitte stelle einen Korrekturantrag.` };
+    }
+    const zeit = verzoegerungMs < 0 ? serverZeit : clientZeit;
+    if (fruehestens && zeit.getTime() < new Date(fruehestens).getTime()) {
+        return { zeit: null, nachsynchronisiert: false, fehler: "Die Stempelung liegt vor deiner letzten erfassten Stempelung." };
+    }
+    return { zeit, nachsynchronisiert: verzoegerungMs > PUNCH_LATE_SYNC_MS, fehler: null };
+}
+
+module.exports = {
+    PUNCH_CLOCK_SKEW_MS,
+    PUNCH_LATE_SYNC_MS,
+    DEFAULT_OFFLINE_PUNCH_MAX_HOURS,
+    resolvePunchTime
+};
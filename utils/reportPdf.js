@@ -0,0 +1,239 @@
+/**
+ * PDF rendering of the monthly Tätigkeitsbericht
+ *
+ * Produces the same report as the former browser print view: one table per
+ * calendar week, the absence table, the monthly total and the signature blocks.
+ * Input is the data object returned by getMonthlyReportHelper() in server.js.
+ */
+
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 50;
+const CELL_PADDING = 4;
+const TABLE_FONT_SIZE = 9;
+
+// Column widths add up to the printable A4 width (595pt - 2 * margin)
+const WEEK_TABLE_COLUMNS = [
+    { header: 'Datum', key: 'datum', width: 65 },
+    { header: 'Start', key: 'startzeit', width: 45 },
+    { header: 'Ende', key: 'endzeit', width: 50 },
+    { header: 'Dauer', key: 'dauer', width: 45 },
+    { header: 'Tätigkeitsbericht', key: 'beschreibung', width: 290 }
+];
+
+const ABSENCE_TABLE_COLUMNS = [
+    { header: 'Datum', key: 'datum', width: 80 },
+    { header: 'Typ', key: 'type', width: 80 },
+    { header: 'Dauer', key: 'dauer', width: 65 },
+    { header: 'Beschreibung', key: 'beschreibung', width: 270 }
+];
+
+/**
+ * Formats 'YYYY-MM' as German month name with year, e.g. 'Oktober 2026'
+ * @param {string} monat - Month in 'YYYY-MM' format
+ * @returns {string}
+ */
+function formatMonthName(monat) {
+    const [year, month] = monat.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, 2)).toLocaleString('de-DE', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * ISO 8601 calendar week of a date
+ * @param {Date} date - Date as UTC midnight
+ * @returns {Array<number>} - [weekYear, weekNumber]
+ */
+function getIsoWeek(date) {
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    target.setUTCDate(target.getUTCDate() + 4 - (target.getUTCDay() || 7));
+    const yearStart = new Date(Date.UTC(target.getUTCFullYear(), 0, 1));
+    return [target.getUTCFullYear(), Math.ceil((((target - yearStart) / 86400000) + 1) / 7)];
+}
+
+function parseGermanDate(datum) {
+    const [day, month, year] = datum.split('.').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function formatHoursLong(decimalHours) {
+    const totalMinutes = Math.round(decimalHours * 60);
+    return `${Math.floor(totalMinutes / 60)} Std. ${String(totalMinutes % 60).padStart(2, '0')} Min.`;
+}
+
+/**
+ * Draws a bordered table, repeating the header row after page breaks
+ * @param {PDFDocument} doc - Target document
+ * @param {Array<{header: string, key: string, width: number}>} columns - Column definitions
+ * @param {Array<Object>} rows - Row objects, values are looked up by column key
+ */
+function drawTable(doc, columns, rows) {
+    const left = doc.page.margins.left;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    const rowHeight = (cells, font) => {
+        doc.font(font).fontSize(TABLE_FONT_SIZE);
+        return Math.max(...cells.map((text, i) => doc.heightOfString(text, { width: columns[i].width - 2 * CELL_PADDING }))) + 2 * CELL_PADDING;
+    };
+
+    const drawRow = (cells, font, fillColor) => {
+        const height = rowHeight(cells, font);
+        const y = doc.y;
+        let x = left;
+        cells.forEach((text, i) => {
+            if (fillColor) doc.rect(x, y, columns[i].width, height).fillAndStroke(fillColor, '#000000');
+            else doc.rect(x, y, columns[i].width, height).stroke('#000000');
+            doc.fillColor('#000000').font(font).fontSize(TABLE_FONT_SIZE)
+                .text(text, x + CELL_PADDING, y + CELL_PADDING, { width: columns[i].width - 2 * CELL_PADDING });
+            x += columns[i].width;
+        });
+        doc.x = left;
+        doc.y = y + height;
+    };
+
+    const headerCells = columns.map(col => col.header);
+    doc.lineWidth(0.5);
+    drawRow(headerCells, 'Helvetica-Bold', '#e9ecef');
+    rows.forEach(row => {
+        const cells = columns.map(col => (row[col.key] === null || row[col.key] === undefined ? '' : String(row[col.key])));
+        if (doc.y + rowHeight(cells, 'Helvetica') > bottom()) {
+            doc.addPage();
+            drawRow(headerCells, 'Helvetica-Bold', '#e9ecef');
+        }
+        drawRow(cells, 'Helvetica');
+    });
+    doc.moveDown();
+}
+
+function drawHeading(doc, text) {
+    // Keep headings together with at least the first table row
+    if (doc.y + 60 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(12).text(text, doc.page.margins.left);
+    doc.moveDown(0.3);
+}
+
+function drawSignatureBlocks(doc) {
+    const blockHeight = 110;
+    if (doc.y + blockHeight > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+    const left = doc.page.margins.left;
+    const printableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const boxWidth = printableWidth * 0.45;
+    const lineY = doc.y + 70;
+    const today = new Date().toLocaleDateString('de-DE');
+
+    [
+        { x: left, label: 'Datum, Unterschrift Praktikant/in' },
+        { x: left + printableWidth - boxWidth, label: 'Datum, Unterschrift Betreuer/in' }
+    ].forEach(block => {
+        doc.font('Helvetica').fontSize(10).text(today, block.x, lineY - 14, { width: boxWidth });
+        doc.lineWidth(1).moveTo(block.x, lineY).lineTo(block.x + boxWidth, lineY).stroke('#000000');
+        doc.fontSize(9).text(block.label, block.x, lineY + 5, { width: boxWidth, align: 'center' });
+    });
+    doc.x = left;
+    doc.y = lineY + 30;
+}
+
+function drawPageNumbers(doc) {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        const bottomMargin = doc.page.margins.bottom;
+        // Writing into the bottom margin would otherwise trigger an automatic page break
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(8).fillColor('#6c757d')
+            .text(`Seite ${i + 1} von ${range.count}`, doc.page.margins.left, doc.page.height - 35, {
+                width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+                align: 'center'
+            });
+        doc.page.margins.bottom = bottomMargin;
+    }
+    doc.fillColor('#000000');
+}
+
+/**
+ * Builds the monthly Tätigkeitsbericht as PDF document
+ * The document is already ended; pipe it into the response to send it.
+ * @param {Object} report - Report data from getMonthlyReportHelper()
+ * @param {string} monat - Month in 'YYYY-MM' format
+ * @returns {PDFDocument} - Readable PDF stream
+ */
+function createMonthlyReportPdf(report, monat) {
+    const monthName = formatMonthName(monat);
+    const praktikantName = `${report.vorname || ''} ${report.nachname || ''}`.trim() || report.email || '';
+
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: { Title: `Tätigkeitsbericht ${monthName} - ${praktikantName}`, Author: praktikantName }
+    });
+
+    doc.font('Helvetica-Bold').fontSize(16).text(`Tätigkeitsbericht für ${monthName}`, { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(10);
+    doc.font('Helvetica-Bold').text('Praktikant: ', { continued: true }).font('Helvetica').text(praktikantName);
+    if (report.bildungstraeger) doc.font('Helvetica-Bold').text('Bildungsträger: ', { continued: true }).font('Helvetica').text(report.bildungstraeger);
+    if (report.praktikumszeit_1_von_bis) doc.font('Helvetica-Bold').text('Praktikumszeitraum 1: ', { continued: true }).font('Helvetica').text(report.praktikumszeit_1_von_bis);
+    if (report.praktikumszeit_2_von_bis) doc.font('Helvetica-Bold').text('Praktikumszeitraum 2: ', { continued: true }).font('Helvetica').text(report.praktikumszeit_2_von_bis);
+    doc.moveDown();
+
+    // Work entries grouped by calendar week
+    const entriesByWeek = new Map();
+    report.reportEntries.filter(entry => entry.type === 'Arbeit').forEach(entry => {
+        const [weekYear, week] = getIsoWeek(parseGermanDate(entry.datum));
+        const weekKey = `${weekYear}-W${String(week).padStart(2, '0')}`;
+        if (!entriesByWeek.has(weekKey)) entriesByWeek.set(weekKey, []);
+        entriesByWeek.get(weekKey).push(entry);
+    });
+
+    if (entriesByWeek.size > 0) {
+        [...entriesByWeek.keys()].sort().forEach(weekKey => {
+            drawHeading(doc, `Kalenderwoche: ${weekKey.split('-W')[1]}`);
+            drawTable(doc, WEEK_TABLE_COLUMNS, entriesByWeek.get(weekKey));
+        });
+    } else {
+        doc.font('Helvetica').fontSize(10).text('Keine Arbeitseinträge für diesen Monat gefunden.');
+        doc.moveDown();
+    }
+
+    // Every entry that is not work belongs to an absence type
+    const absenceEntries = report.reportEntries.filter(entry => entry.type !== 'Arbeit');
+    if (absenceEntries.length > 0) {
+        drawHeading(doc, 'Abwesenheiten');
+        drawTable(doc, ABSENCE_TABLE_COLUMNS, absenceEntries);
+    }
+
+    doc.font('Helvetica-Bold').fontSize(11).text(`Gesamte Arbeitszeit in diesem Monat: ${formatHoursLong(report.calculatedTotalMonthlyHours || 0)}`, doc.page.margins.left);
+    if (report.pausenabzugStunden > 0) {
+        doc.font('Helvetica').fontSize(10).text(`Davon abgezogen wegen nicht eingehaltener gesetzlicher Pausen (ArbZG): ${formatHoursLong(report.pausenabzugStunden)}`);
+    }
+    if (typeof report.monthlyTargetHours === 'number') {
+        doc.font('Helvetica').fontSize(10).text(`Sollarbeitszeit laut Wochenarbeitszeit: ${formatHoursLong(report.monthlyTargetHours)}`);
+    }
+    doc.moveDown(2);
+
+    drawSignatureBlocks(doc);
+    drawPageNumbers(doc);
+    doc.end();
+    return doc;
+}
+
+/**
+ * File name for the monthly report, e.g. 'Taetigkeitsbericht_Max_Mustermann_2026-10.pdf'
+ * @param {Object} report - Report data from getMonthlyReportHelper()
+ * @param {string} monat - Month in 'YYYY-MM' format
+ * @returns {string}
+ */
+function getMonthlyReportPdfFilename(report, monat) {
+    const name = `${report.vorname || ''} ${report.nachname || ''}`.trim()
+        .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue')
+        .replace(/Ä/g, 'Ae').replace(/Ö/g, 'Oe').replace(/Ü/g, 'Ue').replace(/ß/g, 'ss')
+        .replace(/\s+/g, '_')
+        .replace(/[^A-Za-z0-9_-]/g, '');
+    return `Taetigkeitsbericht_${name || 'Praktikant'}_${monat}.pdf`;
+}
+
+module.exports = {
+    createMonthlyReportPdf,
+    getMonthlyReportPdfFilename
+};
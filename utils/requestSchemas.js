@@ -0,0 +1,493 @@
+/**
+ * Request schemas of the API routes
+ *
+ * One entry per route, used as validate(schemas.<name>) in server.js.
+ * Checks that need the database or the session (access rights, existing
+ * rows, duplicate emails) stay in the route handlers.
+ */
+
+const { Joi, id, isoDate, pastIsoDate, month, time, text, optionalText, email, password, orderedRange } = require('./validation');
+const { ABSENCE_SCOPES } = require('./absences');
+
+const ROLLEN = ['Praktikant', 'Betreuer'];
+
+const NAME_MAX_LENGTH = 50;
+// Absence types live in the Abwesenheitstypen table; routes check that the name exists
+const abwesenheitTypSchema = text('Art der Abwesenheit', NAME_MAX_LENGTH);
+const LONG_TEXT_MAX_LENGTH = 5000;
+
+// Badge numbers as typed by the USB reader of the kiosk terminal
+const kioskAusweisSchema = Joi.string().trim().pattern(/^[0-9A-Za-z]{4,32}$/, '4 bis 32 Buchstaben oder Ziffern').label('Ausweisnummer');
+const tokenSchema = Joi.string().trim().lowercase().pattern(/^[0-9a-f]{64}$/, 'Token').label('Link');
+const totpCodeSchema = Joi.string().trim().pattern(/^\d{6}$/, '6 Ziffern').label('Code');
+const berichtSchema = text('Tätigkeitsbericht', LONG_TEXT_MAX_LENGTH);
+const ablehnungSchema = Joi.object({ ablehnungsgrund: text('Ablehnungsgrund', 1000).required() });
+const limitSchema = Joi.number().integer().min(1).max(1000).allow('').label('Anzahl');
+// Resent as true after the user confirmed the warnings of a conflict check
+const konfliktBestaetigtSchema = Joi.boolean().label('Bestätigung');
+
+const params = keys => Joi.object(keys);
+const userIdParams = params({ userId: id('Benutzer-ID').required() });
+const idParams = params({ id: id().required() });
+
+/** Editable profile fields shared by the own profile and the Betreuer view */
+const profileFields = {
+    adresse: optionalText('Adresse', 500),
+    telefonnummer: optionalText('Telefonnummer', 50),
+    bildungstraeger: optionalText('Bildungsträger', 500),
+    praktikumszeit_1_von_bis: optionalText('Praktikumszeit 1', 100),
+    praktikumszeit_2_von_bis: optionalText('Praktikumszeit 2', 100),
+    allgemeine_notizen: optionalText('Allgemeine Notizen', 2000)
+};
+
+// Half days and hours only for single-day absences; hours are only kept for umfang 'stunden'
+function absenceScope(value, helpers) {
+    if (value.umfang !== 'ganztags' && value.end_datum !== value.start_datum) {
+        return helpers.error('absence.singleDay', {}, helpers.state.localize([...helpers.state.path, 'umfang']));
+    }
+    return { ...value, stunden: value.umfang === 'stunden' ? value.stunden : null };
+}
+
+const absenceTypeBody = Joi.object({
+    // 'Arbeit' is the type of work entries in reports and the admin entry form
+    name: text('Name', NAME_MAX_LENGTH).invalid('Arbeit').required(),
+    urlaubAnrechnen: Joi.boolean().default(false).label('Auf Urlaub anrechnen'),
+    // null: credited with the target hours of the day, 0: no credit
+    gutschriftStunden: Joi.number().min(0).max(24).allow(null, '').empty('').default(null).label('Gutgeschriebene Stunden'),
+    genehmigungErforderlich: Joi.boolean().default(false).label('Genehmigung erforderlich'),
+    farbe: Joi.string().trim().pattern(/^#[0-9a-fA-F]{6}$/, '#RRGGBB').default('#6c757d').label('Farbe'),
+    aktiv: Joi.boolean().default(true).label('Aktiv')
+});
+
+// Project and task of a work segment; null or '' books the segment without project
+const projectSelection = {
+    projektId: id('Projekt').allow(null, ''),
+    aufgabeId: id('Aufgabe').allow(null, '')
+};
+
+// Punches queued offline are sent with the device time, a random id and the user who made them;
+// the server checks the time for plausibility and records each id only once
+const offlinePunch = {
+    clientZeit: Joi.date().iso().label('Zeitpunkt der Stempelung'),
+    ereignisId: Joi.string().guid().label('Ereignis-ID'),
+    benutzerId: id('Benutzer').when('clientZeit', { is: Joi.exist(), then: Joi.required() })
+};
+
+const PROJECT_NAME_MAX_LENGTH = 100;
+
+const projectBody = Joi.object({
+    name: text('Name', PROJECT_NAME_MAX_LENGTH).required(),
+    kostenstelle: optionalText('Kostenstelle', 30),
+    aktiv: Joi.boolean().default(true).label('Aktiv')
+});
+
+const projectTaskBody = Joi.object({
+    name: text('Name', PROJECT_NAME_MAX_LENGTH).required(),
+    aktiv: Joi.boolean().default(true).label('Aktiv')
+});
+
+const absenceBody = Joi.object({
+    start_datum: isoDate('Startdatum').required(),
+    end_datum: isoDate('Enddatum').required(),
+    abwesenheit_typ: abwesenheitTypSchema.required(),
+    umfang: Joi.string().valid(...ABSENCE_SCOPES).default('ganztags').label('Umfang'),
+    stunden: Joi.number().positive().max(24).label('Stunden')
+        .when('umfang', { is: 'stunden', then: Joi.required(), otherwise: Joi.allow('', null) }),
+    beschreibung: optionalText('Beschreibung', 1000),
+    konfliktBestaetigt: konfliktBestaetigtSchema
+}).custom(orderedRange('start_datum', 'end_datum')).custom(absenceScope);
+
+// Empty: current month
+const monthQuery = Joi.object({ monat: month().allow('') });
+
+module.exports = {
+    // Authentication
+    login: {
+        body: Joi.object({
+            email: text('Email').required(),
+            passwort: Joi.string().max(1024).required().label('Passwort')
+        })
+    },
+    zweiFaktorAnmeldung: {
+        body: Joi.object({ code: text('Code', 20).required() })
+    },
+    einladungAbrufen: {
+        params: params({ token: tokenSchema.required() })
+    },
+    registrieren: {
+        body: Joi.object({
+            vorname: text('Vorname', NAME_MAX_LENGTH).required(),
+            nachname: text('Nachname', NAME_MAX_LENGTH).required(),
+            email: email().required(),
+            passwort: password().required(),
+            adresse: profileFields.adresse,
+            telefonnummer: profileFields.telefonnummer,
+            bildungstraeger: profileFields.bildungstraeger,
+            einladungToken: tokenSchema.allow('', null)
+        })
+    },
+    passwortVergessen: {
+        body: Joi.object({ email: email().required() })
+    },
+    passwortZuruecksetzen: {
+        body: Joi.object({
+            token: tokenSchema.required(),
+            passwort: password().required()
+        })
+    },
+
+    // Own account
+    profilAktualisieren: {
+        body: Joi.object({
+            vorname: text('Vorname', NAME_MAX_LENGTH).required(),
+            nachname: text('Nachname', NAME_MAX_LENGTH).required(),
+            ...profileFields
+        })
+    },
+    passwortAendern: {
+        body: Joi.object({
+            currentPassword: Joi.string().required().label('Aktuelles Passwort'),
+            newPassword: password('Neues Passwort').required()
+        })
+    },
+    zweiFaktorCode: {
+        body: Joi.object({ code: totpCodeSchema.required() })
+    },
+    zweiFaktorDeaktivieren: {
+        body: Joi.object({ passwort: Joi.string().required().label('Passwort') })
+    },
+    gleitzeitEigene: {
+        query: monthQuery
+    },
+
+    // Absences
+    abwesenheitErstellen: {
+        body: absenceBody
+    },
+    abwesenheitAendern: {
+        params: idParams,
+        body: absenceBody
+    },
+    abwesenheitLoeschen: {
+        params: idParams
+    },
+    adminAbwesenheitenAbrufen: {
+        params: userIdParams
+    },
+    adminAbwesenheitErstellen: {
+        params: userIdParams,
+        body: absenceBody
+    },
+    adminAbwesenheitAendern: {
+        params: params({ absenceId: id('Abwesenheits-ID').required() }),
+        body: absenceBody
+    },
+    adminAbwesenheitBearbeiten: {
+        params: params({ absenceId: id('Abwesenheits-ID').required() })
+    },
+    adminAbwesenheitAblehnen: {
+        params: params({ absenceId: id('Abwesenheits-ID').required() }),
+        body: ablehnungSchema
+    },
+
+    // Time tracking
+    zeiterfassungStart: {
+        body: Joi.object({ ...projectSelection, ...offlinePunch })
+    },
+    // Sending projektId replaces the project chosen at the start of the segment
+    zeiterfassungBericht: {
+        body: Joi.object({ bericht: optionalText('Tätigkeitsbericht', LONG_TEXT_MAX_LENGTH), ...projectSelection, ...offlinePunch })
+    },
+    // Without endZeit the end recorded after the heartbeats stopped is accepted
+    leerlaufEndeBestaetigen: {
+        params: idParams,
+        body: Joi.object({ endZeit: Joi.date().iso().allow(null).label('Ende') })
+    },
+
+    // Correction requests
+    korrekturantragErstellen: {
+        body: Joi.object({
+            datum: pastIsoDate().required(),
+            startzeit: time('Startzeit').required(),
+            endzeit: time('Endzeit').required(),
+            bericht: optionalText('Tätigkeitsbericht', LONG_TEXT_MAX_LENGTH),
+            begruendung: text('Begründung', 1000).required()
+        }).custom(orderedRange('startzeit', 'endzeit', { strict: true }))
+    },
+    korrekturantragLoeschen: {
+        params: idParams
+    },
+    korrekturantragGenehmigen: {
+        params: params({ antragId: id('Antrags-ID').required() })
+    },
+    korrekturantragAblehnen: {
+        params: params({ antragId: id('Antrags-ID').required() }),
+        body: ablehnungSchema
+    },
+
+    // Praktikanten management
+    praktikantAktualisieren: {
+        params: idParams,
+        body: Joi.object({
+            email: email(),
+            rolle: Joi.string().valid(...ROLLEN).label('Rolle'),
+            // Empty: password stays unchanged
+            passwort: password().allow('', null),
+            vorname: optionalText('Vorname', NAME_MAX_LENGTH),
+            nachname: optionalText('Nachname', NAME_MAX_LENGTH),
+            ...profileFields
+        })
+    },
+    praktikantStatus: {
+        params: idParams,
+        body: Joi.object({ status: Joi.string().valid('aktiv', 'inaktiv').required().label('Status') })
+    },
+    praktikantLoeschen: {
+        params: idParams
+    },
+    urlaubstage: {
+        params: userIdParams,
+        body: Joi.object({ total_urlaubstage_annually: Joi.number().integer().min(0).max(366).required().label('Urlaubstage pro Jahr') })
+    },
+    arbeitszeiten: {
+        params: userIdParams,
+        body: Joi.object({
+            arbeitszeit_mo: Joi.number().min(0).max(24).required().label('Montag'),
+            arbeitszeit_di: Joi.number().min(0).max(24).required().label('Dienstag'),
+            arbeitszeit_mi: Joi.number().min(0).max(24).required().label('Mittwoch'),
+            arbeitszeit_do: Joi.number().min(0).max(24).required().label('Donnerstag'),
+            arbeitszeit_fr: Joi.number().min(0).max(24).required().label('Freitag'),
+            arbeitszeit_sa: Joi.number().min(0).max(24).required().label('Samstag'),
+            arbeitszeit_so: Joi.number().min(0).max(24).required().label('Sonntag'),
+            // Segments may cross midnight and run until the end of the night shift
+            nachtschicht: Joi.boolean().default(false).label('Nachtschichten')
+        })
+    },
+    // Empty: removes the badge number
+    kioskAusweis: {
+        params: userIdParams,
+        body: Joi.object({ ausweisnummer: kioskAusweisSchema.allow('', null) })
+    },
+    geburtsdatum: {
+        params: userIdParams,
+        // Empty: removes the birth date
+        body: Joi.object({ geburtsdatum: pastIsoDate('Geburtsdatum').allow('', null) })
+    },
+    betreuerZuweisen: {
+        params: userIdParams,
+        // Empty: removes the assignment
+        body: Joi.object({ betreuerId: id('Betreuer').allow('', null) })
+    },
+    superAdmin: {
+        params: userIdParams,
+        body: Joi.object({ superadmin: Joi.boolean().required().label('Super-Admin') })
+    },
+    benutzerAktion: {
+        params: userIdParams
+    },
+    benutzerProfil: {
+        params: idParams
+    },
+    zweiFaktorPflicht: {
+        body: Joi.object({ pflicht: Joi.boolean().required().label('Pflicht') })
+    },
+    anmeldeversuche: {
+        query: Joi.object({
+            email: optionalText('Email'),
+            ip: optionalText('IP-Adresse', 45),
+            nurFehlgeschlagen: Joi.boolean().label('Nur fehlgeschlagene'),
+            limit: limitSchema
+        })
+    },
+
+    // Invitations
+    einladungErstellen: {
+        body: Joi.object({
+            email: email().required(),
+            vorname: optionalText('Vorname', NAME_MAX_LENGTH),
+            nachname: optionalText('Nachname', NAME_MAX_LENGTH),
+            bildungstraeger: profileFields.bildungstraeger,
+            // Only used for super-admins; empty: invitation without Betreuer
+            betreuerId: id('Betreuer').allow('', null)
+        })
+    },
+    einladungZurueckziehen: {
+        params: idParams
+    },
+
+    // Holidays and closing days
+    jahr: {
+        // Empty: current year
+        query: Joi.object({ jahr: Joi.number().integer().min(2000).max(2100).allow('').label('Jahr') })
+    },
+    betriebsschliessungErstellen: {
+        body: Joi.object({
+            start_datum: isoDate('Startdatum').required(),
+            // Empty: single day
+            end_datum: isoDate('Enddatum').allow('', null),
+            bezeichnung: text('Bezeichnung').required()
+        }).custom(orderedRange('start_datum', 'end_datum'))
+    },
+    betriebsschliessungLoeschen: {
+        params: idParams
+    },
+
+    // Absence types
+    abwesenheitstypErstellen: {
+        body: absenceTypeBody
+    },
+    abwesenheitstypAendern: {
+        params: idParams,
+        body: absenceTypeBody
+    },
+    abwesenheitstypLoeschen: {
+        params: idParams
+    },
+
+    // Projects and tasks
+    projektErstellen: {
+        body: projectBody
+    },
+    projektAendern: {
+        params: idParams,
+        body: projectBody
+    },
+    projektLoeschen: {
+        params: idParams
+    },
+    projektaufgabeErstellen: {
+        params: idParams,
+        body: projectTaskBody
+    },
+    projektaufgabeAendern: {
+        params: idParams,
+        body: projectTaskBody
+    },
+    projektaufgabeLoeschen: {
+        params: idParams
+    },
+    projektauswertung: {
+        query: Joi.object({
+            monat: month().allow(''),
+            praktikantId: id('Praktikant').allow('')
+        })
+    },
+
+    // Kiosk terminal
+    kioskGeraetErstellen: {
+        body: Joi.object({ name: text('Name', 100).required() })
+    },
+    kioskGeraetLoeschen: {
+        params: idParams
+    },
+    // PIN or badge number; the kiosk page does not know which one was entered
+    kioskStempeln: {
+        body: Joi.object({ kennung: Joi.string().trim().max(32).required().label('PIN oder Ausweisnummer') })
+    },
+
+    // Audit log
+    adminAuditlog: {
+        query: Joi.object({
+            benutzerId: id('Praktikant').allow(''),
+            entitaet: optionalText('Bereich', 50),
+            entitaetId: id('Eintrags-ID').allow(''),
+            von: isoDate('Von').allow(''),
+            bis: isoDate('Bis').allow(''),
+            limit: limitSchema
+        }).custom(orderedRange('von', 'bis'))
+    },
+    auditlog: {
+        query: Joi.object({
+            entitaet: optionalText('Bereich', 50),
+            entitaetId: id('Eintrags-ID').allow(''),
+            limit: limitSchema
+        })
+    },
+
+    // Data quality report
+    adminDatenqualitaet: {
+        query: Joi.object({
+            von: isoDate('Von').allow(''),
+            bis: isoDate('Bis').allow('')
+        }).custom(orderedRange('von', 'bis'))
+    },
+
+    // Flextime and compliance
+    adminMonatsauswertung: {
+        params: userIdParams,
+        query: monthQuery
+    },
+    gleitzeitKorrektur: {
+        params: userIdParams,
+        body: Joi.object({
+            // Empty: today
+            datum: pastIsoDate().allow('', null),
+            stunden: Joi.number().min(-1000).max(1000).invalid(0).required().label('Stunden'),
+            kommentar: text('Kommentar', 1000).required()
+        })
+    },
+
+    // Reports
+    adminMonatsbericht: {
+        params: params({
+            praktikantId: id('Praktikant').required(),
+            monat: month().required()
+        })
+    },
+    monatsbericht: {
+        params: params({ monat: month().required() })
+    },
+    adminEintragErstellen: {
+        body: Joi.object({
+            benutzerId: id('Praktikant').required(),
+            datum: isoDate().required(),
+            // 'Arbeit' or the name of an absence type
+            typ: text('Typ', NAME_MAX_LENGTH).required(),
+            startzeit: time('Startzeit').when('typ', { is: 'Arbeit', then: Joi.required(), otherwise: Joi.allow('', null) }),
+            endzeit: time('Endzeit').when('typ', { is: 'Arbeit', then: Joi.required(), otherwise: Joi.allow('', null) }),
+            bericht: berichtSchema.when('typ', { is: 'Arbeit', then: Joi.required(), otherwise: Joi.allow('', null) }),
+            beschreibung: optionalText('Beschreibung', 1000),
+            konfliktBestaetigt: konfliktBestaetigtSchema
+        })
+    },
+    adminBerichtDetails: {
+        params: params({ berichtId: id('Berichts-ID').required() })
+    },
+    adminBerichtAendern: {
+        params: idParams,
+        // Start and end on the day of the entry; an end before the start means the next day
+        body: Joi.object({
+            bericht: berichtSchema.required(),
+            startzeit: time('Startzeit').required(),
+            endzeit: time('Endzeit').required(),
+            konfliktBestaetigt: konfliktBestaetigtSchema
+        })
+    },
+    berichtAendern: {
+        params: params({ berichtId: id('Berichts-ID').required() }),
+        body: Joi.object({ bericht: berichtSchema.required() })
+    },
+    tagesberichtAendern: {
+        params: params({ datum: isoDate().required() }),
+        body: Joi.object({ bericht: berichtSchema.required() })
+    },
+
+    // Dashboard and export
+    stundenUebersicht: {
+        query: Joi.object({
+            month: month().required(),
+            praktikantId: id('Praktikant').allow('')
+        })
+    },
+    praktikantenStunden: {
+        query: Joi.object({ month: month().required() })
+    },
+    export: {
+        query: Joi.object({
+            von: isoDate('Von').required(),
+            bis: isoDate('Bis').required(),
+            format: Joi.string().trim().lowercase().valid('csv', 'xlsx').default('csv').label('Format'),
+            praktikantId: id('Praktikant').allow('')
+        }).custom(orderedRange('von', 'bis'))
+    }
+};
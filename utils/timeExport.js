@@ -0,0 +1,139 @@
+/**
+ * CSV and XLSX export of time entries for payroll
+ *
+ * Input rows are built by getTimeExportRowsHelper() in server.js, one row per
+ * work segment or absence day, plus one 'Pausenabzug' row with a negative duration per day
+ * whose missing statutory break was deducted:
+ * { benutzerId, nachname, vorname, datum: 'YYYY-MM-DD', typ, start, ende, dauerStunden, pauseStunden, bericht }
+ */
+
+const ExcelJS = require('exceljs');
+
+const EXPORT_COLUMNS = [
+    { header: 'ID', key: 'benutzerId', width: 6 },
+    { header: 'Nachname', key: 'nachname', width: 18 },
+    { header: 'Vorname', key: 'vorname', width: 18 },
+    { header: 'Datum', key: 'datum', width: 12 },
+    { header: 'Typ', key: 'typ', width: 11 },
+    { header: 'Beginn', key: 'start', width: 8 },
+    { header: 'Ende', key: 'ende', width: 8 },
+    { header: 'Dauer (Std.)', key: 'dauerStunden', width: 12 },
+    { header: 'Pause (Std.)', key: 'pauseStunden', width: 12 },
+    { header: 'Tätigkeitsbericht', key: 'bericht', width: 60 }
+];
+
+// Person sheets carry the name in the sheet title, so the name columns are left out there
+const PERSON_SHEET_COLUMNS = EXPORT_COLUMNS.filter(col => !['benutzerId', 'nachname', 'vorname'].includes(col.key));
+
+function formatGermanNumber(value) {
+    if (value === null || value === undefined || value === '') return '';
+    return Number(value).toFixed(2).replace('.', ',');
+}
+
+function formatGermanDate(isoDate) {
+    const [year, month, day] = isoDate.split('-');
+    return `${day}.${month}.${year}`;
+}
+
+// Excel runs cells starting with these characters as formula; interns' free text must stay text
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds the CSV export (UTF-8 with BOM, semicolon separated, decimal comma)
+ * so that it opens correctly in a German Excel
+ * @param {Array<Object>} rows - Export rows
+ * @returns {string} - CSV content
+ */
+function createTimeExportCsv(rows) {
+    const lines = [EXPORT_COLUMNS.map(col => escapeCsvField(col.header)).join(';')];
+    rows.forEach(row => {
+        lines.push(EXPORT_COLUMNS.map(col => {
+            if (col.key === 'datum') return formatGermanDate(row.datum);
+            if (col.key === 'dauerStunden' || col.key === 'pauseStunden') return formatGermanNumber(row[col.key]);
+            return escapeCsvField(row[col.key]);
+        }).join(';'));
+    });
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Excel limits sheet names to 31 characters and forbids some characters
+ * @param {string} name - Desired sheet name
+ * @param {Set<string>} usedNames - Names already taken in the workbook (lower case)
+ * @returns {string} - Unique valid sheet name
+ */
+function toSheetName(name, usedNames) {
+    const base = (name.replace(/[\[\]:*?/\\]/g, ' ').trim() || 'Praktikant').substring(0, 31);
+    let sheetName = base;
+    let counter = 2;
+    while (usedNames.has(sheetName.toLowerCase())) {
+        const suffix = ` (${counter++})`;
+        sheetName = base.substring(0, 31 - suffix.length) + suffix;
+    }
+    usedNames.add(sheetName.toLowerCase());
+    return sheetName;
+}
+
+/**
+ * Builds the XLSX export with one sheet per person and a total row per sheet
+ * @param {Array<Object>} rows - Export rows
+ * @returns {Promise<Buffer>} - XLSX file content
+ */
+async function createTimeExportXlsx(rows) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const rowsByPerson = new Map();
+    rows.forEach(row => {
+        if (!rowsByPerson.has(row.benutzerId)) rowsByPerson.set(row.benutzerId, []);
+        rowsByPerson.get(row.benutzerId).push(row);
+    });
+
+    const usedNames = new Set();
+    const addSheet = (name, personRows) => {
+        const sheet = workbook.addWorksheet(toSheetName(name, usedNames), { views: [{ state: 'frozen', ySplit: 1 }] });
+        sheet.columns = PERSON_SHEET_COLUMNS.map(col => ({ ...col }));
+        sheet.getRow(1).font = { bold: true };
+
+        personRows.forEach(row => {
+            const [year, month, day] = row.datum.split('-').map(Number);
+            sheet.addRow({
+                ...row,
+                datum: new Date(Date.UTC(year, month - 1, day)),
+                pauseStunden: row.pauseStunden === null ? '' : row.pauseStunden
+            });
+        });
+        if (personRows.length > 0) {
+            const totalRow = sheet.addRow({
+                typ: 'Summe',
+                dauerStunden: personRows.reduce((sum, row) => sum + row.dauerStunden, 0),
+                pauseStunden: personRows.reduce((sum, row) => sum + (row.pauseStunden || 0), 0)
+            });
+            totalRow.font = { bold: true };
+        }
+
+        sheet.getColumn('datum').numFmt = 'dd.mm.yyyy';
+        sheet.getColumn('dauerStunden').numFmt = '#,##0.00';
+        sheet.getColumn('pauseStunden').numFmt = '#,##0.00';
+        sheet.getColumn('bericht').alignment = { wrapText: true, vertical: 'top' };
+    };
+
+    rowsByPerson.forEach(personRows => {
+        const { nachname, vorname, benutzerId } = personRows[0];
+        addSheet([nachname, vorname].filter(Boolean).join(', ') || `ID ${benutzerId}`, personRows);
+    });
+    if (rowsByPerson.size === 0) addSheet('Keine Daten', []);
+
+    return workbook.xlsx.writeBuffer();
+}
+
+module.exports = {
+    createTimeExportCsv,
+    createTimeExportXlsx
+};
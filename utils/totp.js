@@ -0,0 +1,148 @@
+/**
+ * Time-based one-time passwords (TOTP, RFC 6238) and recovery codes
+ *
+ * Uses the defaults of the common authenticator apps: HMAC-SHA1, 6 digits,
+ * 30 second time steps. The shared secret is exchanged as Base32 string.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+/** Accepted clock drift in time steps before and after the current one */
+const TOTP_WINDOW = 1;
+
+// Recovery codes avoid characters that are easily confused (0/O, 1/I/L)
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+function base32Decode(text) {
+    const cleaned = text.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Ungültiges Base32-Zeichen');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * New random shared secret
+ * @returns {string} - 160 bit secret as Base32
+ */
+function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Time step of a point in time
+ * @param {number} [nowMs] - Unix time in milliseconds
+ * @returns {number}
+ */
+function getTimeStep(nowMs = Date.now()) {
+    return Math.floor(nowMs / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Code for a given time step (HOTP, RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} - Zero-padded code
+ */
+function generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Checks a code against the current time step and the allowed drift
+ * The caller has to reject steps that were already used to prevent replays.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [nowMs] - Unix time in milliseconds
+ * @returns {number|null} - Matching time step, or null if the code is invalid
+ */
+function verifyTotp(secret, code, nowMs = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+    const currentStep = getTimeStep(nowMs);
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+        const expected = generateTotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+    }
+    return null;
+}
+
+/**
+ * otpauth:// URI for the QR code read by the authenticator app
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the app, usually the e-mail address
+ * @param {string} issuer - Name of the application
+ * @returns {string}
+ */
+function buildOtpauthUrl(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(TOTP_DIGITS), period: String(TOTP_STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * New set of one-time recovery codes in the form 'XXXXX-XXXXX'
+ * @returns {Array<string>}
+ */
+function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const chars = Array.from(crypto.randomBytes(10), byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+        return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+    });
+}
+
+/**
+ * Normalizes user input of a recovery code (case, spaces, missing dash)
+ * @param {string} code - Code entered by the user
+ * @returns {string|null} - Code in the form 'XXXXX-XXXXX', or null if it cannot be one
+ */
+function normalizeRecoveryCode(code) {
+    const cleaned = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+    if (cleaned.length !== 10 || [...cleaned].some(char => !RECOVERY_CODE_ALPHABET.includes(char))) return null;
+    return `${cleaned.slice(0, 5)}-${cleaned.slice(5)}`;
+}
+
+module.exports = {
+    generateTotpSecret,
+    generateTotp,
+    verifyTotp,
+    getTimeStep,
+    buildOtpauthUrl,
+    generateRecoveryCodes,
+    normalizeRecoveryCode
+};
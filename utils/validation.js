@@ -0,0 +1,172 @@
+/**
+ * Request validation with Joi
+ *
+ * Every route declares schemas for body, params and query (see requestSchemas.js).
+ * validate() checks the request before the route handler runs and replaces the
+ * checked parts with the converted values: ids become numbers, strings are
+ * trimmed and unknown fields are removed. Invalid requests are answered with
+ * 400 and one German message per field:
+ *
+ *   { success: false, message: "<first message>", fehler: [{ feld: "end_datum", meldung: "..." }] }
+ */
+
+const Joi = require('joi');
+const { validatePassword } = require('./passwordPolicy');
+
+/** German texts for the Joi error codes used in the schemas */
+const MESSAGES = {
+    'any.required': '{{#label}} ist erforderlich.',
+    'any.only': '{{#label}} hat einen ungültigen Wert.',
+    'any.invalid': '{{#label}} hat einen ungültigen Wert.',
+    'string.base': '{{#label}} muss ein Text sein.',
+    'string.empty': '{{#label}} darf nicht leer sein.',
+    'string.min': '{{#label}} muss mindestens {{#limit}} Zeichen lang sein.',
+    'string.max': '{{#label}} darf höchstens {{#limit}} Zeichen lang sein.',
+    'string.length': '{{#label}} muss genau {{#limit}} Zeichen lang sein.',
+    'string.email': '{{#label}} muss eine gültige Email-Adresse sein.',
+    'string.pattern.base': '{{#label}} hat ein ungültiges Format.',
+    'string.pattern.name': '{{#label}} muss im Format {{#name}} angegeben werden.',
+    'string.guid': '{{#label}} hat ein ungültiges Format.',
+    'number.base': '{{#label}} muss eine Zahl sein.',
+    'number.integer': '{{#label}} muss eine ganze Zahl sein.',
+    'number.min': '{{#label}} muss mindestens {{#limit}} sein.',
+    'number.max': '{{#label}} darf höchstens {{#limit}} sein.',
+    'number.positive': '{{#label}} muss größer als 0 sein.',
+    'number.unsafe': '{{#label}} ist zu groß.',
+    'boolean.base': '{{#label}} muss wahr oder falsch sein.',
+    'object.base': 'Ungültige Anfrage.',
+    'date.base': '{{#label}} ist kein gültiger Zeitpunkt.',
+    'date.format': '{{#label}} ist kein gültiger Zeitpunkt.',
+    'date.invalid': '{{#label}} ist kein gültiges Datum.',
+    'date.future': '{{#label}} darf nicht in der Zukunft liegen.',
+    'range.order': '{{#endLabel}} darf nicht vor {{#startLabel}} liegen.',
+    'time.order': '{{#endLabel}} muss nach {{#startLabel}} liegen.',
+    'absence.singleDay': 'Halbe Tage und Stunden sind nur für eintägige Abwesenheiten möglich.'
+};
+
+const VALIDATION_OPTIONS = {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true,
+    messages: MESSAGES,
+    errors: { wrap: { label: false } }
+};
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Positive integer id (route parameters, foreign keys) */
+function id(label = 'ID') {
+    return Joi.number().integer().positive().label(label);
+}
+
+/** Calendar date as 'YYYY-MM-DD' string; stays a string so it can be passed to SQL unchanged */
+function isoDate(label = 'Datum') {
+    return Joi.string().trim().pattern(ISO_DATE_PATTERN, 'JJJJ-MM-TT').custom((value, helpers) => {
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return helpers.error('date.invalid');
+        }
+        return value;
+    }).label(label);
+}
+
+/** Like isoDate(), but not after today (server time) */
+function pastIsoDate(label = 'Datum') {
+    return isoDate(label).custom((value, helpers) => (
+        value > new Date().toLocaleDateString('en-CA') ? helpers.error('date.future') : value
+    ));
+}
+
+/** Month as 'YYYY-MM' */
+function month(label = 'Monat') {
+    return Joi.string().trim().pattern(/^\d{4}-(0[1-9]|1[0-2])$/, 'JJJJ-MM').label(label);
+}
+
+/** Time of day as 'HH:MM' */
+function time(label = 'Uhrzeit') {
+    return Joi.string().trim().pattern(/^([01]\d|2[0-3]):[0-5]\d$/, 'HH:MM').label(label);
+}
+
+/** Required, trimmed text */
+function text(label, maxLength = 255) {
+    return Joi.string().trim().max(maxLength).label(label);
+}
+
+/** Optional text; empty strings and null are kept so routes can store NULL */
+function optionalText(label, maxLength = 255) {
+    return text(label, maxLength).allow('', null);
+}
+
+function email(label = 'Email') {
+    return Joi.string().trim().email({ tlds: { allow: false } }).max(255).label(label);
+}
+
+/** New password, checked against the password policy */
+function password(label = 'Passwort') {
+    return Joi.string().custom((value, helpers) => {
+        const error = validatePassword(value);
+        return error ? helpers.message(error) : value;
+    }).label(label);
+}
+
+/**
+ * Object-level rule: the end of a range must not lie before its start
+ * Both keys hold strings that sort chronologically ('YYYY-MM-DD' or 'HH:MM').
+ * @param {string} startKey - Key of the start value
+ * @param {string} endKey - Key of the end value
+ * @param {{strict?: boolean}} [options] - strict: the end has to lie after the start
+ * @returns {Function} - Argument for Joi.object().custom()
+ */
+function orderedRange(startKey, endKey, { strict = false } = {}) {
+    return (value, helpers) => {
+        const start = value[startKey];
+        const end = value[endKey];
+        if (!start || !end || (strict ? end > start : end >= start)) return value;
+        const labelOf = key => helpers.schema.extract(key).describe().flags?.label || key;
+        // Reported on the end field, so that forms can mark it
+        const state = helpers.state.localize([...helpers.state.path, endKey]);
+        return helpers.error(strict ? 'time.order' : 'range.order', { endLabel: labelOf(endKey), startLabel: labelOf(startKey) }, state);
+    };
+}
+
+/**
+ * Express middleware for a route schema
+ * @param {{body?: Object, params?: Object, query?: Object}} schema - Joi schemas per request part
+ * @returns {Function} - Middleware answering 400 with field-level messages
+ */
+function validate(schema) {
+    const parts = Object.keys(schema);
+    return (req, res, next) => {
+        const fehler = [];
+        const values = {};
+        for (const part of parts) {
+            const { error, value } = schema[part].validate(req[part] || {}, VALIDATION_OPTIONS);
+            if (error) {
+                error.details.forEach(detail => fehler.push({ feld: detail.path.join('.') || part, meldung: detail.message }));
+            } else {
+                values[part] = value;
+            }
+        }
+        if (fehler.length > 0) {
+            return res.status(400).json({ success: false, message: fehler[0].meldung, fehler });
+        }
+        Object.assign(req, values);
+        next();
+    };
+}
+
+module.exports = {
+    Joi,
+    id,
+    isoDate,
+    pastIsoDate,
+    month,
+    time,
+    text,
+    optionalText,
+    email,
+    password,
+    orderedRange,
+    validate
+};